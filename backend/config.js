@@ -0,0 +1,69 @@
+require('dotenv').config({ quiet: true });
+
+// 🔹 Runtime configuration (values come from .env or the process environment)
+const mongoUri = process.env.MONGODB_URI || '';
+
+module.exports = {
+  port: parseInt(process.env.PORT, 10) || 5000,
+  mongoUri,
+  // 'mongo' persists to MONGODB_URI, 'memory' keeps everything in-process (offline/dev/tests)
+  storage: process.env.STORAGE || (mongoUri ? 'mongo' : 'memory'),
+  sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS) || 12,
+  // Lifetime of the camera-scoped tokens that go into snapshot and stream URLs
+  mediaTokenTtlSeconds: parseFloat(process.env.MEDIA_TOKEN_TTL_SECONDS) || 300,
+  // Password for the demo accounts seeded in memory mode
+  demoPassword: process.env.DEMO_PASSWORD || 'bluecompass',
+  // API key of the demo camera counter seeded in memory mode
+  demoDeviceKey: process.env.DEMO_DEVICE_KEY || 'bluecompass-camera',
+  // Camera proxy: how long to wait for a device, how often to probe snapshots, and when a silent camera counts as offline
+  cameraTimeoutMs: parseInt(process.env.CAMERA_TIMEOUT_MS, 10) || 5000,
+  cameraHealthPollMs: parseInt(process.env.CAMERA_HEALTH_POLL_MS, 10) || 30000,
+  cameraStaleSeconds: parseFloat(process.env.CAMERA_STALE_SECONDS) || 90,
+  // Snapshot URL of the demo camera seeded in memory mode
+  demoCameraUrl: process.env.DEMO_CAMERA_URL || '',
+  // Counted items may differ from the declared load by this share before it is flagged
+  loadTolerance: (parseFloat(process.env.LOAD_TOLERANCE_PERCENT) || 5) / 100,
+  // External geocoder used when the bundled gazetteer has no confident match
+  geocoder: process.env.GEOCODER || 'nominatim',
+  nominatimUrl: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+  geocoderUserAgent: process.env.GEOCODER_USER_AGENT || 'BlueCompass/1.0 (pickup geocoding)',
+  geocodeCacheTtlMs: (parseFloat(process.env.GEOCODE_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // Road routing: an OSRM-compatible server, or the bundled road network only (air-gapped)
+  router: process.env.ROUTER || 'osrm',
+  osrmUrl: process.env.OSRM_URL || 'https://router.project-osrm.org',
+  roadNetworkFile: process.env.ROAD_NETWORK_FILE || '',
+  routeCacheTtlMs: (parseFloat(process.env.ROUTE_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // Trip bookings can be made/cancelled until this many hours before departure
+  bookingCutoffHours: parseFloat(process.env.BOOKING_CUTOFF_HOURS) || 6,
+  // Where optimized routes start and end unless the request names another depot
+  depot: {
+    name: process.env.DEPOT_NAME || 'Salem Hub',
+    lat: parseFloat(process.env.DEPOT_LAT) || 11.6643,
+    lng: parseFloat(process.env.DEPOT_LNG) || 78.146,
+  },
+  // Time spent at each pickup when checking pickup windows (drive times come from the router)
+  pickupServiceMinutes: parseFloat(process.env.PICKUP_SERVICE_MINUTES) || 15,
+  // Live tracking: how much of each truck's GPS trail to show, and when its position counts as stale
+  trackingTrailMinutes: parseFloat(process.env.TRACKING_TRAIL_MINUTES) || 30,
+  trackingStaleMinutes: parseFloat(process.env.TRACKING_STALE_MINUTES) || 5,
+  // GPS fixes older than this are deleted (a TTL index in Mongo, pruning in the memory store)
+  trackingRetentionHours: parseFloat(process.env.TRACKING_RETENTION_HOURS) || 24,
+  // Dispatchers are warned when a truck's or trip's load reaches this share of its capacity
+  capacityWarningRatio: (parseFloat(process.env.CAPACITY_WARNING_PERCENT) || 90) / 100,
+  // Seller notifications: EMAIL_TRANSPORT console | file | sendgrid | none, SMS_TRANSPORT console | file | twilio | none
+  emailTransport: process.env.EMAIL_TRANSPORT || 'console',
+  smsTransport: process.env.SMS_TRANSPORT || 'console',
+  outboxFile: process.env.OUTBOX_FILE || '',
+  emailFrom: process.env.EMAIL_FROM || 'pickups@bluecompass.example',
+  sendgridApiKey: process.env.SENDGRID_API_KEY || '',
+  twilioAccountSid: process.env.TWILIO_ACCOUNT_SID || '',
+  twilioAuthToken: process.env.TWILIO_AUTH_TOKEN || '',
+  twilioFrom: process.env.TWILIO_FROM || '',
+  smsDefaultCountryCode: process.env.SMS_DEFAULT_COUNTRY_CODE || '+91',
+  // Dates and times in seller messages are written in this IANA time zone, whatever the server's is
+  timeZone: process.env.TIME_ZONE || 'Asia/Kolkata',
+  // Failed sends are retried after OUTBOX_RETRY_SECONDS, doubling each time, up to OUTBOX_MAX_ATTEMPTS tries
+  outboxRetrySeconds: parseFloat(process.env.OUTBOX_RETRY_SECONDS) || 30,
+  outboxMaxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5,
+  outboxPollMs: parseInt(process.env.OUTBOX_POLL_MS, 10) || 5000,
+};
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const config = require('./config');
+
+// 🔹 Connect to MongoDB unless we are running on the in-memory stand-in
+async function connect() {
+  if (config.storage === 'memory') {
+    console.log('💾 Using in-memory storage (set MONGODB_URI to persist data)');
+    return;
+  }
+
+  if (!config.mongoUri) {
+    throw new Error('STORAGE=mongo requires MONGODB_URI to be set');
+  }
+
+  await mongoose.connect(config.mongoUri);
+  console.log('🍃 Connected to MongoDB');
+}
+
+async function disconnect() {
+  if (config.storage !== 'memory') {
+    await mongoose.disconnect();
+  }
+}
+
+module.exports = { connect, disconnect };
@@ -0,0 +1,11 @@
+// 🔹 Error with an HTTP status; the error middleware in server.js turns it into a JSON response
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
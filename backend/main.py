@@ -1,13 +1,23 @@
 import cv2
 import numpy as np
+import os
+import queue
 import requests
+import threading
 import time
+from datetime import datetime, timezone
 
 # --- CONFIGURATION ---
 URL = "http://10.124.211.137/capture"  # <--- REPLACE WITH YOUR ESP32 IP
 THRESHOLD = 0.65                   # Accuracy (0.5 to 0.9). Higher = stricter.
 COOLDOWN_TIME = 2                  # Seconds to wait before counting same object again
 
+# Detections are posted to the backend, which ties them to this camera's trip and loading stop.
+# Register the camera under /api/devices to get its key (the demo camera uses DEMO_DEVICE_KEY).
+API_URL = os.environ.get("API_URL", "http://localhost:5000/api")
+DEVICE_ID = os.environ.get("DEVICE_ID", "cam-tn30ab1234")
+DEVICE_KEY = os.environ.get("DEVICE_KEY", "bluecompass-camera")
+
 # --- LOAD AND PREPARE TEMPLATES ---
 def load_and_prep(path):
     img = cv2.imread(path, 0)
@@ -30,6 +40,48 @@ count_b = 0
 last_seen_a = 0
 last_seen_b = 0
 
+# Detections waiting for the sender thread, so a slow or unreachable backend never stalls the camera loop
+outbox = queue.Queue()
+RETRY_SECONDS = 5
+
+def report(label, confidence):
+    outbox.put({
+        "deviceId": DEVICE_ID,
+        "label": label,
+        "at": datetime.now(timezone.utc).isoformat(),
+        "confidence": round(float(confidence), 3),
+    })
+
+def send_detections():
+    """Posts queued detections in batches. Network failures, 5xx and 429 are retried with the next
+    batch; any other refusal (bad key, unknown camera, invalid event) would fail again, so it is dropped."""
+    pending = []
+    while True:
+        try:
+            # Block until a detection arrives; while some are unsent, wake up to retry them
+            pending.append(outbox.get(timeout=RETRY_SECONDS if pending else None))
+        except queue.Empty:
+            pass
+        while not outbox.empty():
+            pending.append(outbox.get_nowait())
+        del pending[:-500]  # the backend takes at most 500 per batch; keep the newest
+
+        try:
+            resp = requests.post(f"{API_URL}/detections", json={"events": pending},
+                                 headers={"X-Device-Key": DEVICE_KEY}, timeout=5)
+        except requests.RequestException as e:
+            print(f"Backend offline, {len(pending)} detection(s) queued: {e}")
+            continue
+        if resp.ok:
+            pending.clear()
+        elif resp.status_code >= 500 or resp.status_code == 429:
+            print(f"Backend unavailable ({resp.status_code}), {len(pending)} detection(s) queued")
+        else:
+            print(f"Backend refused {len(pending)} detection(s), dropping them: {resp.status_code} {resp.text}")
+            pending.clear()
+
+threading.Thread(target=send_detections, daemon=True).start()
+
 def find_match(frame_gray, template):
     """Searches for the template at multiple scales for better detection"""
     found = None
@@ -68,6 +120,7 @@ while True:
                 count_a += 1
                 last_seen_a = current_time
                 print(f"Detected Object A! Total: {count_a}")
+                report("a", match_a[0])
             # Draw box
             h, w = template_a.shape
             cv2.rectangle(frame, match_a[1], (match_a[1][0] + w, match_a[1][1] + h), (0, 255, 0), 2)
@@ -79,6 +132,7 @@ while True:
                 count_b += 1
                 last_seen_b = current_time
                 print(f"Detected Object B! Total: {count_b}")
+                report("b", match_b[0])
             # Draw box
             h, w = template_b.shape
             cv2.rectangle(frame, match_b[1], (match_b[1][0] + w, match_b[1][1] + h), (255, 0, 0), 2)
@@ -0,0 +1,62 @@
+const { userForToken, userForMediaToken } = require('../services/auth');
+const { deviceForKey } = require('../services/devices');
+const { HttpError } = require('../errors');
+
+const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+async function resolveSession(req, token) {
+  const user = await userForToken(token);
+  if (!user) {
+    throw new HttpError(401, 'Authentication required');
+  }
+  req.user = user;
+  req.token = token;
+}
+
+// 🔹 Require a valid session; sets req.user and req.token
+async function authenticate(req, res, next) {
+  await resolveSession(req, bearerToken(req));
+  next();
+}
+
+// 🔹 Same, but also accepts ?token= because EventSource cannot send headers
+async function authenticateStream(req, res, next) {
+  await resolveSession(req, bearerToken(req) || (req.validQuery || req.query).token);
+  next();
+}
+
+// 🔹 Camera media for <img> tags: a bearer session, or ?token= holding a media token for camera :id
+async function authenticateMedia(req, res, next) {
+  const bearer = bearerToken(req);
+  if (bearer) return authenticate(req, res, next);
+
+  const user = await userForMediaToken((req.validQuery || req.query).token, req.params.id);
+  if (!user) {
+    throw new HttpError(401, 'Authentication required');
+  }
+  req.user = user;
+  next();
+}
+
+// 🔹 Camera counters authenticate with their own key in X-Device-Key; sets req.device
+async function authenticateDevice(req, res, next) {
+  const device = await deviceForKey(req.get('X-Device-Key'));
+  if (!device) {
+    throw new HttpError(401, 'Unknown or inactive device key');
+  }
+  req.device = device;
+  next();
+}
+
+// 🔹 Require one of the given roles (use after authenticate)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    throw new HttpError(403, `Only ${roles.join(' or ')} accounts can do this`);
+  }
+  next();
+};
+
+module.exports = { authenticate, authenticateStream, authenticateMedia, authenticateDevice, requireRole, bearerToken };
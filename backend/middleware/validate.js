@@ -0,0 +1,147 @@
+const { HttpError } = require('../errors');
+
+// 🔹 Declarative request validation
+//
+// A schema maps field names to rules:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'objectId' | 'array' | 'object',
+//     required, default, min, max, minLength, maxLength, pattern, format: 'email' | 'phone',
+//     values: [...], future: true, items: <rule>, fields: <schema>, nullable: true, message }
+// Values are cast and trimmed; unknown fields are dropped; an explicit null is kept for
+// `nullable` fields (to clear them) and treated as missing otherwise. All failures are
+// collected and reported together as { message, errors: { field: reason } }.
+
+const FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/, message: 'must be a valid email address' },
+  // 7-15 digits, optional leading +, spaces/dashes allowed between digits
+  phone: { pattern: /^\+?\d[\d\s-]{5,18}\d$/, message: 'must be a valid phone number', digits: [7, 15] },
+};
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+const startOfToday = () => {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Returns [value, error]
+function checkField(rule, raw) {
+  const fail = (reason) => [undefined, rule.message || reason];
+
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const n = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(n)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(n)) return fail('must be a whole number');
+      if (rule.min !== undefined && n < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && n > rule.max) return fail(`must be at most ${rule.max}`);
+      if (rule.exclusiveMin !== undefined && n <= rule.exclusiveMin) return fail(`must be greater than ${rule.exclusiveMin}`);
+      return [n];
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return [raw];
+      if (raw === 'true' || raw === 'false') return [raw === 'true'];
+      return fail('must be true or false');
+    }
+    case 'date': {
+      const d = raw instanceof Date ? raw : new Date(raw);
+      if (Number.isNaN(d.getTime())) return fail('must be a valid date');
+      if (rule.future && d < startOfToday()) return fail('must be today or later');
+      return [d];
+    }
+    case 'objectId': {
+      const s = String(raw).trim();
+      if (!/^[a-f\d]{24}$/i.test(s)) return fail('must be a valid id');
+      return [s];
+    }
+    case 'array': {
+      if (!Array.isArray(raw)) return fail('must be a list');
+      if (rule.minLength !== undefined && raw.length < rule.minLength) return fail(`must have at least ${rule.minLength} item(s)`);
+      if (rule.maxLength !== undefined && raw.length > rule.maxLength) return fail(`must have at most ${rule.maxLength} item(s)`);
+      if (!rule.items) return [raw];
+      const out = [];
+      for (let i = 0; i < raw.length; i += 1) {
+        const { value, errors } = rule.items.type === 'object'
+          ? applySchema(rule.items.fields, raw[i])
+          : wrap(checkField(rule.items, raw[i]));
+        if (errors) return fail(`item ${i + 1}: ${Object.entries(errors).map(([k, v]) => (k ? `${k} ${v}` : v)).join(', ')}`);
+        out.push(value);
+      }
+      return [out];
+    }
+    case 'object': {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('must be an object');
+      if (!rule.fields) return [raw];
+      const { value, errors } = applySchema(rule.fields, raw);
+      if (errors) return fail(Object.entries(errors).map(([k, v]) => `${k} ${v}`).join(', '));
+      return [value];
+    }
+    default: {
+      // string
+      if (typeof raw === 'object') return fail('must be text');
+      const s = String(raw).trim();
+      if (rule.minLength !== undefined && s.length < rule.minLength) return fail(`must be at least ${rule.minLength} characters`);
+      if (rule.maxLength !== undefined && s.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.values && !rule.values.includes(s)) return fail(`must be one of: ${rule.values.join(', ')}`);
+      if (rule.pattern && !rule.pattern.test(s)) return fail('has an invalid format');
+      const format = rule.format && FORMATS[rule.format];
+      if (format) {
+        if (!format.pattern.test(s)) return fail(format.message);
+        if (format.digits) {
+          const digits = s.replace(/\D/g, '').length;
+          if (digits < format.digits[0] || digits > format.digits[1]) return fail(format.message);
+        }
+      }
+      return [s];
+    }
+  }
+}
+
+const wrap = ([value, error]) => (error ? { errors: { '': error } } : { value });
+
+function applySchema(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = source[field];
+    if (raw === null && rule.nullable) {
+      value[field] = null;
+      return;
+    }
+    if (isBlank(raw)) {
+      if (rule.required) errors[field] = rule.message || 'is required';
+      else if (rule.default !== undefined) value[field] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      return;
+    }
+    const [v, error] = checkField(rule, raw);
+    if (error) errors[field] = error;
+    else value[field] = v;
+  });
+
+  return Object.keys(errors).length ? { errors } : { value };
+}
+
+// validate({ body, params, query, headers }) -> middleware; validated values replace req.body / req.params
+// and land on req.validQuery (Express 5 makes req.query read-only) and req.validHeaders
+// (header names in lower case).
+const validate = (schemas) => (req, res, next) => {
+  const errors = {};
+  ['headers', 'params', 'query', 'body'].forEach((part) => {
+    if (!schemas[part]) return;
+    const result = applySchema(schemas[part], req[part]);
+    if (result.errors) Object.assign(errors, result.errors);
+    else if (part === 'query') req.validQuery = result.value;
+    else if (part === 'headers') req.validHeaders = result.value;
+    else req[part] = result.value;
+  });
+
+  if (Object.keys(errors).length) {
+    throw new HttpError(400, 'Validation failed', { errors });
+  }
+  next();
+};
+
+module.exports = { validate, applySchema };
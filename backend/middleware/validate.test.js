@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applySchema, validate } = require('./validate');
+
+test('applySchema casts and trims values and drops unknown fields', () => {
+  const schema = {
+    name: { type: 'string' },
+    weight: { type: 'number' },
+    count: { type: 'integer' },
+    urgent: { type: 'boolean' },
+    date: { type: 'date' },
+  };
+  const { value, errors } = applySchema(schema, {
+    name: '  Arul  ',
+    weight: '12.5',
+    count: 3,
+    urgent: 'true',
+    date: '2026-10-20T09:00:00Z',
+    role: 'admin',
+  });
+
+  assert.equal(errors, undefined);
+  assert.deepEqual(value, { name: 'Arul', weight: 12.5, count: 3, urgent: true, date: new Date('2026-10-20T09:00:00Z') });
+});
+
+test('applySchema fills defaults and reports every failing field at once', () => {
+  const schema = {
+    name: { type: 'string', required: true },
+    email: { type: 'string', format: 'email' },
+    phone: { type: 'string', format: 'phone' },
+    weight: { type: 'number', min: 1 },
+    type: { type: 'string', values: ['Textiles', 'Food'] },
+    status: { type: 'string', default: 'open' },
+  };
+  const { value, errors } = applySchema(schema, { name: '  ', email: 'nope', phone: '12', weight: 0, type: 'Steel' });
+
+  assert.equal(value, undefined);
+  assert.deepEqual(errors, {
+    name: 'is required',
+    email: 'must be a valid email address',
+    phone: 'must be a valid phone number',
+    weight: 'must be at least 1',
+    type: 'must be one of: Textiles, Food',
+  });
+  assert.deepEqual(applySchema(schema, { name: 'Arul' }).value, { name: 'Arul', status: 'open' });
+});
+
+test('applySchema checks array items and nested objects', () => {
+  const schema = {
+    stops: {
+      type: 'array',
+      minLength: 1,
+      items: { type: 'object', fields: { lat: { type: 'number', required: true, min: -90, max: 90 } } },
+    },
+    depot: { type: 'object', fields: { name: { type: 'string', required: true } } },
+  };
+
+  assert.deepEqual(applySchema(schema, { stops: [{ lat: '11.5', extra: 1 }], depot: { name: 'Salem' } }).value, {
+    stops: [{ lat: 11.5 }],
+    depot: { name: 'Salem' },
+  });
+  assert.deepEqual(applySchema(schema, { stops: [{ lat: 11 }, { lat: 95 }], depot: {} }).errors, {
+    stops: 'item 2: lat must be at most 90',
+    depot: 'name is required',
+  });
+  assert.deepEqual(applySchema(schema, { stops: [] }).errors, { stops: 'must have at least 1 item(s)' });
+});
+
+test('validate replaces the body, keeps the query apart and throws a 400 with the field errors', () => {
+  const middleware = validate({
+    query: { month: { type: 'string', pattern: /^\d{4}-\d{2}$/ } },
+    body: { weight: { type: 'number', required: true } },
+  });
+
+  const req = { query: { month: '2026-10' }, body: { weight: '5', extra: true } };
+  let called = false;
+  middleware(req, {}, () => { called = true; });
+  assert.ok(called);
+  assert.deepEqual(req.body, { weight: 5 });
+  assert.deepEqual(req.validQuery, { month: '2026-10' });
+
+  assert.throws(
+    () => middleware({ query: { month: 'October' }, body: {} }, {}, () => {}),
+    (err) => {
+      assert.equal(err.status, 400);
+      assert.deepEqual(err.details.errors, {
+        month: 'has an invalid format',
+        weight: 'is required',
+      });
+      return true;
+    }
+  );
+});
+
+test('validate checks headers on their own and leaves the validated ones on req.validHeaders', () => {
+  const middleware = validate({ headers: { 'idempotency-key': { type: 'string', minLength: 8 } } });
+
+  const req = { headers: { 'idempotency-key': 'key-12345', host: 'localhost' }, body: {} };
+  middleware(req, {}, () => {});
+  assert.deepEqual(req.validHeaders, { 'idempotency-key': 'key-12345' });
+
+  assert.throws(
+    () => middleware({ headers: { 'idempotency-key': 'short' }, body: {} }, {}, () => {}),
+    err => err.status === 400 && err.details.errors['idempotency-key'] === 'must be at least 8 characters'
+  );
+});
+
+test('applySchema keeps an explicit null only for nullable fields', () => {
+  const schema = { vehicleId: { type: 'objectId', nullable: true }, hub: { type: 'string' } };
+
+  assert.deepEqual(applySchema(schema, { vehicleId: null, hub: null }).value, { vehicleId: null });
+  assert.deepEqual(applySchema(schema, {}).value, {});
+});
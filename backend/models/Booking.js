@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+const BOOKING_STATUSES = ['active', 'cancelled'];
+
+// Cargo space on a trip reserved for one pickup request
+const bookingSchema = new mongoose.Schema(
+  {
+    trip: { type: String, required: true }, // Trip id
+    request: { type: String, required: true }, // PickupRequest id
+    seller: { type: String, required: true }, // User id
+    sellerName: { type: String, default: '' },
+    weightKg: { type: Number, required: true, min: 0 },
+    status: { type: String, enum: BOOKING_STATUSES, default: 'active' },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+// A request holds space on at most one trip at a time
+bookingSchema.index({ request: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+bookingSchema.plugin(toJSON);
+
+const Booking = mongoose.models.Booking || mongoose.model('Booking', bookingSchema);
+Booking.BOOKING_STATUSES = BOOKING_STATUSES;
+
+module.exports = Booking;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+// A camera at a dock or on a truck: the backend proxies its snapshots/stream and, if it runs a
+// counter, accepts its detections. The API key is only ever stored hashed.
+const cameraDeviceSchema = new mongoose.Schema(
+  {
+    deviceId: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, trim: true, default: '' },
+    vehicle: { type: String, default: null }, // Vehicle id, for a camera mounted on a truck
+    hub: { type: String, trim: true, default: '' }, // hub, for a camera fixed at a loading dock
+    dock: { type: String, trim: true, default: '' }, // dock or bay within the hub
+    snapshotUrl: { type: String, trim: true, default: '' }, // JPEG of the current frame (ESP32-CAM: /capture)
+    streamUrl: { type: String, trim: true, default: '' }, // MJPEG stream (ESP32-CAM: :81/stream)
+    keyHash: { type: String, required: true }, // sha256 of the API key
+    active: { type: Boolean, default: true },
+    lastSeenAt: { type: Date, default: null }, // last detections posted
+    lastFrameAt: { type: Date, default: null }, // last frame fetched through the proxy or health check
+    lastErrorAt: { type: Date, default: null },
+    lastError: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+cameraDeviceSchema.plugin(toJSON);
+
+module.exports = mongoose.models.CameraDevice || mongoose.model('CameraDevice', cameraDeviceSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+// One item seen by a camera counter, attributed on arrival to the trip and loading stop it belongs to
+const detectionEventSchema = new mongoose.Schema(
+  {
+    device: { type: String, required: true }, // CameraDevice deviceId
+    label: { type: String, required: true, trim: true, lowercase: true }, // detector class label (see SkuClass)
+    confidence: { type: Number, default: null, min: 0, max: 1 },
+    at: { type: Date, required: true }, // when the camera saw it
+    vehicle: { type: String, default: null }, // Vehicle id
+    trip: { type: String, default: null }, // Trip id
+    plan: { type: String, default: null }, // RoutePlan id
+    stopSequence: { type: Number, default: null }, // route stop the truck was loading at
+    request: { type: String, default: null }, // PickupRequest id of that stop
+  },
+  { timestamps: true }
+);
+
+detectionEventSchema.index({ trip: 1, at: 1 });
+detectionEventSchema.plugin(toJSON);
+
+module.exports = mongoose.models.DetectionEvent || mongoose.model('DetectionEvent', detectionEventSchema);
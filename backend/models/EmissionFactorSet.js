@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+// One immutable version of the emission-factor catalog; edits publish a new version
+const emissionFactorSetSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, unique: true, min: 1 },
+    factors: { type: mongoose.Schema.Types.Mixed, required: true },
+    active: { type: Boolean, default: false },
+    notes: { type: String, trim: true, default: '' },
+    createdBy: { type: String, default: null }, // userId of the admin who published it
+  },
+  { timestamps: true }
+);
+
+emissionFactorSetSchema.plugin(toJSON);
+
+module.exports = mongoose.models.EmissionFactorSet || mongoose.model('EmissionFactorSet', emissionFactorSetSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const toJSON = require('./toJSON');
+
+// One GPS fix from a truck, posted by the driver's phone or a simulator
+const locationPingSchema = new mongoose.Schema(
+  {
+    vehicle: { type: String, required: true }, // Vehicle id
+    reportedBy: { type: String, default: null }, // userId of the device's account
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 },
+    speedKmh: { type: Number, default: null, min: 0 },
+    headingDeg: { type: Number, default: null, min: 0, max: 360 },
+    accuracyM: { type: Number, default: null, min: 0 },
+    recordedAt: { type: Date, required: true }, // when the device took the fix
+  },
+  { timestamps: true }
+);
+
+locationPingSchema.index({ vehicle: 1, recordedAt: -1 });
+locationPingSchema.index({ recordedAt: 1 }, { expireAfterSeconds: Math.round(config.trackingRetentionHours * 60 * 60) });
+locationPingSchema.plugin(toJSON);
+
+module.exports = mongoose.models.LocationPing || mongoose.model('LocationPing', locationPingSchema);
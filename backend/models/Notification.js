@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+// request: a seller raised a pickup; cancellation: one was called off;
+// driver: a stop was arrived at, picked up or failed; capacity: a truck or trip is nearly full
+const NOTIFICATION_TYPES = ['request', 'cancellation', 'driver', 'capacity'];
+
+// One item in a user's notification feed, with its own read state
+const notificationSchema = new mongoose.Schema(
+  {
+    user: { type: String, required: true }, // User id of the recipient
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    title: { type: String, required: true },
+    body: { type: String, default: '' },
+    request: { type: String, default: null }, // PickupRequest id, when the item is about one
+    vehicle: { type: String, default: null }, // Vehicle id
+    trip: { type: String, default: null }, // Trip id
+    read: { type: Boolean, default: false },
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.plugin(toJSON);
+
+const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
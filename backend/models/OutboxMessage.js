@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+const CHANNELS = ['email', 'sms'];
+const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+// One rendered message waiting for (or done with) its transport; failed sends are retried with backoff
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: CHANNELS, required: true },
+    to: { type: String, required: true }, // email address or phone number
+    template: { type: String, required: true },
+    subject: { type: String, default: '' }, // email only
+    text: { type: String, required: true },
+    request: { type: String, default: null }, // PickupRequest id the message is about
+    dedupeKey: { type: String, default: null }, // set for messages that must go out once only
+    status: { type: String, enum: OUTBOX_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: { type: String, default: '' },
+    transport: { type: String, default: null }, // transport that delivered it
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+outboxMessageSchema.plugin(toJSON);
+
+const OutboxMessage = mongoose.models.OutboxMessage || mongoose.model('OutboxMessage', outboxMessageSchema);
+OutboxMessage.CHANNELS = CHANNELS;
+OutboxMessage.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
+module.exports = OutboxMessage;
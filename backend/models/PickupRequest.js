@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+const { STATUSES } = require('../services/pickupLifecycle');
+
+const GOODS_TYPES = ['Perishables', 'Textiles', 'Hardware', 'Electronics', 'Other'];
+const MAX_WEIGHT_KG = 20000;
+
+// One entry per status change: who moved the request, from where, to where
+const historyEntrySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    action: { type: String, required: true },
+    actor: { type: String, default: 'system' },
+    note: { type: String, default: '' },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// This request's share of the emissions of the run that carried it, fixed at delivery
+const emissionShareSchema = new mongoose.Schema(
+  {
+    kg: { type: Number, required: true, min: 0 },
+    distanceKm: { type: Number, required: true, min: 0 },
+    // osrm or local (road km), or straight-line when no router answered (an estimate)
+    distanceSource: { type: String, default: 'straight-line' },
+    sharedLoadKg: { type: Number, required: true, min: 0 }, // total load the run's emissions were split over
+    basis: { type: String, enum: ['trip', 'route', 'vehicle', 'default'], required: true },
+    vehicle: { type: String, default: null }, // registration number
+    city: { type: String, default: null }, // district of the pickup, for city rankings
+    factorVersion: { type: Number, required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const pickupRequestSchema = new mongoose.Schema(
+  {
+    seller: { type: String, default: null }, // id of the seller account that created it
+    sellerName: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    address: { type: String, required: true, trim: true },
+    weight: { type: Number, required: true, min: 0, max: MAX_WEIGHT_KG },
+    type: { type: String, enum: GOODS_TYPES, default: 'Perishables' },
+    date: { type: Date, default: null },
+    slot: { type: String, default: null }, // id of the booked PickupSlot
+    windowStart: { type: Date, default: null }, // copied from the slot for routing
+    windowEnd: { type: Date, default: null },
+    lat: { type: Number, min: -90, max: 90, default: null },
+    lng: { type: Number, min: -180, max: 180, default: null },
+    vehicle: { type: String, default: null }, // id of the assigned Vehicle
+    trip: { type: String, default: null }, // id of the Trip it is booked on
+    status: { type: String, enum: STATUSES, default: 'Pending' },
+    history: { type: [historyEntrySchema], default: [] },
+    emissions: { type: emissionShareSchema, default: null },
+    idempotencyKey: { type: String, default: null }, // client key of the submission that created it
+    idempotencyHash: { type: String, default: null }, // sha256 of that submission's body
+  },
+  { timestamps: true }
+);
+
+pickupRequestSchema.index(
+  { seller: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+pickupRequestSchema.plugin(toJSON);
+
+const PickupRequest = mongoose.models.PickupRequest || mongoose.model('PickupRequest', pickupRequestSchema);
+PickupRequest.GOODS_TYPES = GOODS_TYPES;
+PickupRequest.MAX_WEIGHT_KG = MAX_WEIGHT_KG;
+
+module.exports = PickupRequest;
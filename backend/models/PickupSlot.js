@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+const SLOT_STATUSES = ['open', 'closed'];
+
+// A pickup time window published by logistics, with a cap on pickups and kg
+const pickupSlotSchema = new mongoose.Schema(
+  {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    hub: { type: String, trim: true, default: '' },
+    maxPickups: { type: Number, required: true, min: 1 },
+    maxKg: { type: Number, required: true, min: 1 },
+    // Held by requests in the slot; only changed through pickupSlots.increment
+    bookedPickups: { type: Number, default: 0, min: 0 },
+    bookedKg: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: SLOT_STATUSES, default: 'open' },
+    createdBy: { type: String, default: null }, // userId of the publishing logistics account
+  },
+  { timestamps: true }
+);
+
+pickupSlotSchema.plugin(toJSON);
+
+const PickupSlot = mongoose.models.PickupSlot || mongoose.model('PickupSlot', pickupSlotSchema);
+PickupSlot.SLOT_STATUSES = SLOT_STATUSES;
+
+module.exports = PickupSlot;
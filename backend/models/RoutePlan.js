@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+const STOP_STATUSES = ['pending', 'arrived', 'picked-up', 'failed', 'skipped'];
+
+// One stop of a planned route, in driving order
+const routeStopSchema = new mongoose.Schema(
+  {
+    sequence: { type: Number, required: true, min: 1 },
+    request: { type: String, default: null }, // PickupRequest id; ad-hoc stops have none
+    name: { type: String, default: '' },
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    weightKg: { type: Number, default: 0, min: 0 },
+    eta: { type: Date, default: null },
+    driveMin: { type: Number, default: 0, min: 0 }, // planned drive from the previous stop (or the depot)
+    status: { type: String, enum: STOP_STATUSES, default: 'pending' },
+    reason: { type: String, default: '' }, // why a pickup failed or the stop was skipped
+    arrivedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// The route a truck was given by the latest optimization run; a newer run supersedes it
+const routePlanSchema = new mongoose.Schema(
+  {
+    vehicle: { type: String, required: true }, // Vehicle id
+    createdBy: { type: String, default: null }, // userId of the dispatcher who ran the optimizer
+    departAt: { type: Date, required: true },
+    depot: { name: String, lat: Number, lng: Number },
+    distanceKm: { type: Number, default: 0 },
+    durationMin: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    stops: { type: [routeStopSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+routePlanSchema.plugin(toJSON);
+
+const RoutePlan = mongoose.models.RoutePlan || mongoose.model('RoutePlan', routePlanSchema);
+RoutePlan.STOP_STATUSES = STOP_STATUSES;
+
+module.exports = RoutePlan;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+// Login sessions: only a hash of the bearer token is stored. A media token is a short-lived
+// session scoped to one camera ("camera:<id>") and tied to the login (parent) it came from
+const sessionSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true },
+    user: { type: String, required: true },
+    scope: { type: String, default: null },
+    parent: { type: String, default: null },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.plugin(toJSON);
+
+module.exports = mongoose.models.Session || mongoose.model('Session', sessionSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+const { GOODS_TYPES } = require('./PickupRequest');
+
+// A kind of item the camera counters recognise, keyed by the detector's class label
+const skuClassSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, required: true, trim: true },
+    goodsType: { type: String, enum: [...GOODS_TYPES, null], default: null },
+    unitWeightKg: { type: Number, default: null, min: 0 },
+  },
+  { timestamps: true }
+);
+
+skuClassSchema.plugin(toJSON);
+
+module.exports = mongoose.models.SkuClass || mongoose.model('SkuClass', skuClassSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+const TRIP_STATUSES = ['scheduled', 'departed', 'completed', 'cancelled'];
+
+// A dispatcher accepting a load that does not match what was booked
+const loadSignOffSchema = new mongoose.Schema(
+  {
+    by: { type: String, required: true }, // userId of the dispatcher
+    name: { type: String, default: '' },
+    note: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    fingerprint: { type: String, required: true }, // the mismatches signed off; any change needs a new sign-off
+  },
+  { _id: false }
+);
+
+// A published departure sellers can see (and later book space on)
+const tripSchema = new mongoose.Schema(
+  {
+    hub: { type: String, required: true, trim: true },
+    destination: { type: String, trim: true, default: '' },
+    departureAt: { type: Date, required: true },
+    vehicle: { type: String, required: true }, // Vehicle id
+    capacityKg: { type: Number, required: true, min: 1 },
+    bookedKg: { type: Number, default: 0, min: 0 }, // held by active bookings; only changed through trips.increment
+    status: { type: String, enum: TRIP_STATUSES, default: 'scheduled' },
+    notes: { type: String, trim: true, default: '' },
+    createdBy: { type: String, default: null }, // userId of the publishing logistics account
+    countResetAt: { type: Date, default: null }, // detections received before this are left out of the trip's counts
+    loadSignOff: { type: loadSignOffSchema, default: null },
+  },
+  { timestamps: true }
+);
+
+tripSchema.plugin(toJSON);
+
+const Trip = mongoose.models.Trip || mongoose.model('Trip', tripSchema);
+Trip.TRIP_STATUSES = TRIP_STATUSES;
+
+module.exports = Trip;
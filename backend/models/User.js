@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+// admin maintains reference data such as the emission-factor catalog;
+// driver runs the route of the vehicle that names them (Vehicle.driverUser)
+const ROLES = ['seller', 'logistics', 'admin', 'driver'];
+
+const userSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, default: '', trim: true },
+    email: { type: String, default: '', trim: true, lowercase: true },
+    role: { type: String, enum: ROLES, required: true },
+    passwordHash: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+userSchema.plugin(toJSON);
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const toJSON = require('./toJSON');
+
+const VEHICLE_CLASSES = ['LCV', 'MCV', 'HCV'];
+const FUEL_TYPES = ['diesel', 'cng', 'electric', 'petrol'];
+const AVAILABILITY = ['available', 'on-trip', 'maintenance', 'off-duty'];
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    registrationNumber: { type: String, required: true, unique: true, trim: true, uppercase: true },
+    vehicleClass: { type: String, enum: VEHICLE_CLASSES, required: true },
+    payloadCapacityKg: { type: Number, required: true, min: 1 },
+    volumeCapacityM3: { type: Number, min: 0, default: null },
+    fuelType: { type: String, enum: FUEL_TYPES, required: true },
+    refrigerated: { type: Boolean, default: false }, // reefer unit adds to the emission factor
+    driverName: { type: String, trim: true, default: '' },
+    driverPhone: { type: String, trim: true, default: '' },
+    driverUser: { type: String, default: null }, // id of the driver's User account
+    homeHub: { type: String, trim: true, default: '' },
+    availability: { type: String, enum: AVAILABILITY, default: 'available' },
+  },
+  { timestamps: true }
+);
+
+vehicleSchema.plugin(toJSON);
+
+const Vehicle = mongoose.models.Vehicle || mongoose.model('Vehicle', vehicleSchema);
+Vehicle.VEHICLE_CLASSES = VEHICLE_CLASSES;
+Vehicle.FUEL_TYPES = FUEL_TYPES;
+Vehicle.AVAILABILITY = AVAILABILITY;
+
+module.exports = Vehicle;
@@ -0,0 +1,11 @@
+// Schema plugin: expose `id` as a string and hide Mongo internals in API responses
+module.exports = function toJSON(schema) {
+  schema.set('toJSON', {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    },
+  });
+};
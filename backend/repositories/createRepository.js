@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Both stores expose the same async API and return plain JSON records
+// (string `id`, no `_id`), so routes never care which one is active.
+// `increment(id, { field: n }, { field: 'maxField' })` adds to counters and returns null
+// instead when a field would pass its limit or a decrement would take it below zero, so
+// concurrent reservations cannot both take the last of something. `update(id, changes, where)` likewise returns null unless the record
+// still matches `where` when it is written, so two writers cannot both act on one state.
+
+// Supports plain equality, `{ $in: [...] }`, `{ $gte: value }` and `{ $type: 'string' }`, which is
+// all the routes and the models' partial indexes use.
+function matches(record, filter) {
+  return Object.entries(filter).every(([key, expected]) => {
+    const actual = record[key];
+    if (expected && typeof expected === 'object' && Array.isArray(expected.$in)) {
+      return expected.$in.some(v => String(v) === String(actual));
+    }
+    if (expected && typeof expected === 'object' && '$gte' in expected) {
+      return actual != null && actual >= expected.$gte;
+    }
+    if (expected && typeof expected === 'object' && '$type' in expected) {
+      return typeof actual === expected.$type;
+    }
+    return String(actual) === String(expected);
+  });
+}
+
+// Shaped like the driver's error so callers handle both stores the same way
+function duplicateKeyError(keyValue) {
+  const err = new Error(`E11000 duplicate key error: ${JSON.stringify(keyValue)}`);
+  err.code = 11000;
+  err.keyValue = keyValue;
+  return err;
+}
+
+// How often the memory store drops expired records (Mongo's TTL monitor also runs once a minute)
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createMongoRepository(Model) {
+  const findDoc = (id) => (mongoose.isValidObjectId(id) ? Model.findById(id) : null);
+
+  return {
+    async create(data) {
+      const doc = await Model.create(data);
+      return doc.toJSON();
+    },
+
+    async find(filter = {}) {
+      const docs = await Model.find(filter).sort({ createdAt: 1 });
+      return docs.map(d => d.toJSON());
+    },
+
+    async findOne(filter = {}) {
+      const doc = await Model.findOne(filter);
+      return doc ? doc.toJSON() : null;
+    },
+
+    async findById(id) {
+      const doc = await findDoc(id);
+      return doc ? doc.toJSON() : null;
+    },
+
+    async update(id, changes, where = {}) {
+      if (Object.keys(where).length) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        const doc = await Model.findOneAndUpdate({ _id: id, ...where }, { $set: changes }, { new: true, runValidators: true });
+        return doc ? doc.toJSON() : null;
+      }
+      const doc = await findDoc(id);
+      if (!doc) return null;
+      doc.set(changes);
+      await doc.save();
+      return doc.toJSON();
+    },
+
+    // One atomic $inc, applied only while every limit still holds afterwards
+    async increment(id, amounts, limits = {}) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const after = (field) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, amounts[field] || 0] });
+      const guards = [
+        ...Object.entries(limits).map(([field, max]) => ({ $lte: [after(field), `$${max}`] })),
+        ...Object.keys(amounts).filter(field => amounts[field] < 0).map(field => ({ $gte: [after(field), 0] })),
+      ];
+      const filter = guards.length ? { _id: id, $expr: { $and: guards } } : { _id: id };
+      const doc = await Model.findOneAndUpdate(filter, { $inc: amounts }, { new: true });
+      return doc ? doc.toJSON() : null;
+    },
+
+    async remove(id) {
+      const doc = await findDoc(id);
+      if (!doc) return false;
+      await doc.deleteOne();
+      return true;
+    },
+  };
+}
+
+// Offline stand-in: documents still go through the Mongoose schema for
+// defaults, casting and validation, they just live in a Map.
+function createMemoryRepository(Model) {
+  const records = new Map();
+
+  // The model's TTL indexes ([field, ms]), honoured on writes like Mongo would in the background
+  const ttls = Model.schema.indexes()
+    .filter(([, options]) => options.expireAfterSeconds !== undefined)
+    .map(([fields, options]) => [Object.keys(fields)[0], options.expireAfterSeconds * 1000]);
+  // The model's unique indexes ([fields, partial filter]), checked on create like Mongo would
+  const uniques = Model.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => [Object.keys(fields), options.partialFilterExpression || {}]);
+  const assertUnique = (record) => {
+    uniques.forEach(([fields, partial]) => {
+      if (!matches(record, partial)) return;
+      const taken = [...records.values()].some(other =>
+        matches(other, partial) && fields.every(f => String(other[f]) === String(record[f])));
+      if (taken) throw duplicateKeyError(Object.fromEntries(fields.map(f => [f, record[f]])));
+    });
+  };
+
+  let prunedAt = 0;
+  const prune = () => {
+    const now = Date.now();
+    if (!ttls.length || now - prunedAt < PRUNE_INTERVAL_MS) return;
+    prunedAt = now;
+    records.forEach((record, id) => {
+      if (ttls.some(([field, ms]) => record[field] && new Date(record[field]).getTime() + ms <= now)) records.delete(id);
+    });
+  };
+
+  const build = async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    return doc.toJSON();
+  };
+
+  return {
+    async create(data) {
+      prune();
+      const now = new Date();
+      const record = await build({ ...data, createdAt: now, updatedAt: now });
+      assertUnique(record);
+      records.set(record.id, record);
+      return structuredClone(record);
+    },
+
+    async find(filter = {}) {
+      return [...records.values()]
+        .filter(r => matches(r, filter))
+        .map(r => structuredClone(r));
+    },
+
+    async findOne(filter = {}) {
+      const record = [...records.values()].find(r => matches(r, filter));
+      return record ? structuredClone(record) : null;
+    },
+
+    async findById(id) {
+      const record = records.get(String(id));
+      return record ? structuredClone(record) : null;
+    },
+
+    async update(id, changes, where = {}) {
+      const existing = records.get(String(id));
+      if (!existing || !matches(existing, where)) return null;
+      const built = await build({ ...existing, ...changes, _id: existing.id, updatedAt: new Date() });
+      // Like Mongo's save, write only the changed fields, over whatever changed during validation
+      const latest = records.get(String(id));
+      if (!latest || !matches(latest, where)) return null;
+      const record = { ...latest, updatedAt: built.updatedAt };
+      Object.keys(changes).forEach((key) => { record[key] = built[key]; });
+      records.set(record.id, record);
+      return structuredClone(record);
+    },
+
+    // Checked and written without awaiting, so no other call can slip in between
+    async increment(id, amounts, limits = {}) {
+      const existing = records.get(String(id));
+      if (!existing) return null;
+      const record = { ...existing, updatedAt: new Date() };
+      Object.entries(amounts).forEach(([field, by]) => { record[field] = (record[field] || 0) + by; });
+      if (Object.entries(limits).some(([field, max]) => record[field] > record[max])) return null;
+      if (Object.keys(amounts).some(field => amounts[field] < 0 && record[field] < 0)) return null;
+      records.set(record.id, record);
+      return structuredClone(record);
+    },
+
+    async remove(id) {
+      return records.delete(String(id));
+    },
+  };
+}
+
+module.exports = function createRepository(Model) {
+  return config.storage === 'memory' ? createMemoryRepository(Model) : createMongoRepository(Model);
+};
@@ -0,0 +1,67 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trips, bookings, locationPings } = require('.');
+
+const trip = () => trips.create({ hub: 'Salem Hub', departureAt: new Date(Date.now() + 864e5), vehicle: 'v1', capacityKg: 300 });
+
+const limits = { bookedKg: 'capacityKg' };
+
+test('increment only moves counters while they stay within their limits', async () => {
+  const { id } = await trip();
+
+  const results = await Promise.all([1, 2, 3, 4].map(() => trips.increment(id, { bookedKg: 100 }, limits)));
+  assert.equal(results.filter(Boolean).length, 3);
+  assert.equal(await trips.increment(id, { bookedKg: 1 }, limits), null);
+
+  const released = await trips.increment(id, { bookedKg: -100 });
+  assert.equal(released.bookedKg, 200);
+  assert.equal(await trips.increment('missing', { bookedKg: 1 }), null);
+});
+
+test('increment never takes a counter below zero', async () => {
+  const { id } = await trip();
+  await trips.increment(id, { bookedKg: 50 }, limits);
+
+  assert.equal(await trips.increment(id, { bookedKg: -80 }), null);
+  assert.equal((await trips.findById(id)).bookedKg, 50);
+});
+
+test('an update does not overwrite a counter moved while it was validating', async () => {
+  const { id } = await trip();
+
+  const [updated] = await Promise.all([
+    trips.update(id, { hub: 'Erode Hub' }),
+    trips.increment(id, { bookedKg: 50 }, limits),
+  ]);
+  assert.equal(updated.hub, 'Erode Hub');
+  assert.equal(updated.bookedKg, 50);
+});
+
+test('an update with a condition is written only while the record still matches it', async () => {
+  const { id } = await trip();
+
+  const results = await Promise.all([1, 2].map(() => trips.update(id, { status: 'cancelled' }, { status: 'scheduled' })));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await trips.update(id, { status: 'departed' }, { status: 'scheduled' }), null);
+  assert.equal((await trips.findById(id)).status, 'cancelled');
+});
+
+test('create honours unique indexes, including partial ones', async () => {
+  const booking = { trip: 't1', request: 'r1', seller: 's1', weightKg: 10 };
+  const first = await bookings.create(booking);
+
+  await assert.rejects(bookings.create(booking), err => err.code === 11000);
+  await bookings.update(first.id, { status: 'cancelled' });
+  await bookings.create(booking);
+});
+
+test('find supports $gte', async () => {
+  const now = Date.now();
+  await locationPings.create({ vehicle: 'v1', lat: 11, lng: 78, recordedAt: new Date(now - 60 * 60000) });
+  await locationPings.create({ vehicle: 'v1', lat: 11.1, lng: 78.1, recordedAt: new Date(now - 60000) });
+
+  const recent = await locationPings.find({ vehicle: 'v1', recordedAt: { $gte: new Date(now - 30 * 60000) } });
+  assert.deepEqual(recent.map(p => p.lat), [11.1]);
+});
@@ -0,0 +1,34 @@
+const createRepository = require('./createRepository');
+const PickupRequest = require('../models/PickupRequest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Vehicle = require('../models/Vehicle');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const PickupSlot = require('../models/PickupSlot');
+const EmissionFactorSet = require('../models/EmissionFactorSet');
+const RoutePlan = require('../models/RoutePlan');
+const LocationPing = require('../models/LocationPing');
+const OutboxMessage = require('../models/OutboxMessage');
+const Notification = require('../models/Notification');
+const SkuClass = require('../models/SkuClass');
+const CameraDevice = require('../models/CameraDevice');
+const DetectionEvent = require('../models/DetectionEvent');
+
+module.exports = {
+  pickupRequests: createRepository(PickupRequest),
+  users: createRepository(User),
+  sessions: createRepository(Session),
+  vehicles: createRepository(Vehicle),
+  trips: createRepository(Trip),
+  bookings: createRepository(Booking),
+  pickupSlots: createRepository(PickupSlot),
+  emissionFactors: createRepository(EmissionFactorSet),
+  routePlans: createRepository(RoutePlan),
+  locationPings: createRepository(LocationPing),
+  outbox: createRepository(OutboxMessage),
+  notifications: createRepository(Notification),
+  skuClasses: createRepository(SkuClass),
+  cameraDevices: createRepository(CameraDevice),
+  detections: createRepository(DetectionEvent),
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+const auth = require('../services/auth');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+
+const router = express.Router();
+
+// 🔹 Sellers sign themselves up; logistics accounts are created by an operator (scripts/createUser.js)
+router.post('/register', validate(schemas.register), async (req, res) => {
+  const { userId, password, name, phone, email } = req.body;
+  await auth.createUser({ userId, password, name, phone, email, role: 'seller' });
+  res.status(201).json(await auth.login(userId, password));
+});
+
+// 🔹 Exchange User ID + password for a bearer token
+router.post('/login', validate(schemas.login), async (req, res) => {
+  const { userId, password } = req.body;
+  res.json(await auth.login(userId, password));
+});
+
+// 🔹 End the current session
+router.post('/logout', authenticate, async (req, res) => {
+  await auth.logout(req.token);
+  res.status(204).end();
+});
+
+// 🔹 Who am I (used by the frontend to restore a session)
+router.get('/me', authenticate, async (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
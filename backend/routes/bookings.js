@@ -0,0 +1,28 @@
+const express = require('express');
+const bookingService = require('../services/bookings');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/bookings');
+
+const router = express.Router();
+
+// 🔹 Bookings on a trip: logistics sees the full manifest, sellers their own
+router.get('/trips/:id/bookings', authenticate, validate(schemas.byId), async (req, res) => {
+  res.json(await bookingService.listForTrip(req.params.id, req.user));
+});
+
+// 🔹 Seller books space on a trip for one of their requests
+router.post('/trips/:id/bookings', authenticate, requireRole('seller'), validate(schemas.create), async (req, res) => {
+  res.status(201).json(await bookingService.bookTrip(req.params.id, req.body.requestId, req.user));
+});
+
+router.get('/bookings', authenticate, requireRole('seller'), validate(schemas.mine), async (req, res) => {
+  res.json(await bookingService.listForSeller(req.user.id, req.validQuery));
+});
+
+// 🔹 Cancel a booking (sellers only until the cutoff)
+router.post('/bookings/:id/cancel', authenticate, validate(schemas.byId), async (req, res) => {
+  res.json(await bookingService.cancelBooking(req.params.id, req.user));
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const carbon = require('../services/carbon');
+const { HttpError } = require('../errors');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/carbon');
+
+const router = express.Router();
+
+// 🔹 Monthly carbon statement as JSON or a CSV download
+router.get('/carbon/statement', authenticate, requireRole('seller', 'logistics'), validate(schemas.statement), async (req, res) => {
+  const { month = carbon.currentMonth(), format, seller } = req.validQuery;
+  const sellerId = req.user.role === 'seller' ? req.user.id : seller;
+  if (!sellerId) throw new HttpError(400, 'Validation failed', { errors: { seller: 'is required' } });
+
+  const statement = await carbon.monthlyStatement(sellerId, month);
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="carbon-statement-${month}.csv"`);
+    return res.type('text/csv').send(carbon.statementCsv(statement));
+  }
+  res.json(statement);
+});
+
+// 🔹 The seller's sustainability rank in their city
+router.get('/carbon/rank', authenticate, requireRole('seller'), async (req, res) => {
+  res.json(await carbon.sustainabilityRank(req.user.id));
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const detections = require('../services/detections');
+const { authenticate, authenticateDevice, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/detections');
+
+const router = express.Router();
+const logisticsOnly = [authenticate, requireRole('logistics')];
+
+// 🔹 Camera counters post what they saw: { events: [{ deviceId, label, at, confidence }] }
+router.post('/detections', authenticateDevice, validate(schemas.ingest), async (req, res) => {
+  res.status(201).json(await detections.ingest(req.device, req.body.events));
+});
+
+// 🔹 Items counted onto a trip since its last reset, per SKU class and loading stop
+router.get('/trips/:id/counts', ...logisticsOnly, validate(schemas.byTrip), async (req, res) => {
+  res.json(await detections.tripCounts(req.params.id));
+});
+
+router.post('/trips/:id/counts/reset', ...logisticsOnly, validate(schemas.byTrip), async (req, res) => {
+  res.json(await detections.resetCounts(req.params.id));
+});
+
+module.exports = router;
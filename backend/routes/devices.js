@@ -0,0 +1,53 @@
+const express = require('express');
+const devices = require('../services/devices');
+const cameras = require('../services/cameras');
+const { authenticate, authenticateMedia, requireRole } = require('../middleware/auth');
+const { issueMediaToken } = require('../services/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/devices');
+
+const router = express.Router();
+const staff = [authenticate, requireRole('logistics', 'admin')];
+const staffMedia = [validate(schemas.media), authenticateMedia, requireRole('logistics', 'admin')];
+
+// 🔹 Camera registry with each camera's health
+router.get('/devices', ...staff, async (req, res) => {
+  res.json(await devices.listDevices());
+});
+
+// 🔹 Register a camera on a truck (vehicleId) or at a hub dock (hub, dock); the response carries its API key once
+router.post('/devices', ...staff, validate(schemas.create), async (req, res) => {
+  res.status(201).json(await devices.registerDevice(req.body));
+});
+
+router.patch('/devices/:id', ...staff, validate(schemas.update), async (req, res) => {
+  res.json(await devices.updateDevice(req.params.id, req.body));
+});
+
+router.post('/devices/:id/rotate-key', ...staff, validate(schemas.byId), async (req, res) => {
+  res.json(await devices.rotateKey(req.params.id));
+});
+
+// 🔹 A short-lived token for this camera's snapshot and stream URLs, so they never carry the login token
+router.post('/devices/:id/media-token', ...staff, validate(schemas.byId), async (req, res) => {
+  await devices.getDevice(req.params.id);
+  res.status(201).json(await issueMediaToken(req.token, req.params.id));
+});
+
+// 🔹 The camera's current frame, fetched by the backend so browsers never reach device addresses
+router.get('/devices/:id/snapshot', ...staffMedia, async (req, res) => {
+  const frame = await cameras.snapshot(req.params.id);
+  res.set({ 'Content-Type': frame.contentType, 'Cache-Control': 'no-store' }).send(frame.body);
+});
+
+// 🔹 Its MJPEG stream, relayed for as long as the viewer stays
+router.get('/devices/:id/stream', ...staffMedia, async (req, res) => {
+  await cameras.pipeStream(req.params.id, req, res);
+});
+
+router.delete('/devices/:id', ...staff, validate(schemas.byId), async (req, res) => {
+  await devices.removeDevice(req.params.id);
+  res.status(204).end();
+});
+
+module.exports = router;
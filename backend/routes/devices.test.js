@@ -0,0 +1,69 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const { vehicles } = require('../repositories');
+const { createUser, login, logout } = require('../services/auth');
+
+let server;
+let base;
+let token;
+
+const call = async (method, path, { auth = token, body } = {}) => {
+  const res = await fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(auth ? { Authorization: `Bearer ${auth}` } : {}) },
+    body: body && JSON.stringify(body),
+  });
+  return { status: res.status, data: res.status === 204 ? null : await res.json() };
+};
+
+// A camera without a snapshot URL answers 404 once the caller is let through
+const snapshot = async (id, mediaToken) => (await fetch(`${base}/devices/${id}/snapshot?token=${mediaToken}`)).status;
+
+test.before(async () => {
+  await createUser({ userId: 'BC-IND-901', password: 'bluecompass', name: 'Dispatch', role: 'logistics' });
+  ({ token } = await login('BC-IND-901', 'bluecompass'));
+  server = app.listen(0);
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+test.after(() => server.close());
+
+test('a media token opens only its own camera and is not a login', async () => {
+  const { data: camera } = await call('POST', '/devices', { body: { deviceId: 'cam-media-1', name: 'Dock 1' } });
+  const { data: other } = await call('POST', '/devices', { body: { deviceId: 'cam-media-2', name: 'Dock 2' } });
+
+  const { status, data } = await call('POST', `/devices/${camera.id}/media-token`);
+  assert.equal(status, 201);
+  assert.ok(new Date(data.expiresAt) - Date.now() <= 300 * 1000);
+
+  assert.equal(await snapshot(camera.id, data.token), 404);
+  assert.equal(await snapshot(other.id, data.token), 401);
+  assert.equal(await snapshot(camera.id, token), 401);
+  assert.equal((await call('GET', '/devices', { auth: data.token })).status, 401);
+});
+
+test('a media token stops working when its login ends', async () => {
+  const { data: camera } = await call('POST', '/devices', { body: { deviceId: 'cam-media-3' } });
+  const session = await login('BC-IND-901', 'bluecompass');
+  const { data } = await call('POST', `/devices/${camera.id}/media-token`, { auth: session.token });
+
+  await logout(session.token);
+  assert.equal(await snapshot(camera.id, data.token), 401);
+});
+
+test('a camera can be taken off its truck with vehicleId: null', async () => {
+  const truck = await vehicles.create({ registrationNumber: 'TN30ZZ9999', vehicleClass: 'LCV', payloadCapacityKg: 1000, fuelType: 'diesel' });
+  const { data: camera } = await call('POST', '/devices', { body: { deviceId: 'cam-media-4', vehicleId: truck.id } });
+  assert.equal(camera.vehicle, truck.id);
+
+  const renamed = await call('PATCH', `/devices/${camera.id}`, { body: { name: 'Rear door' } });
+  assert.equal(renamed.data.vehicle, truck.id);
+
+  const moved = await call('PATCH', `/devices/${camera.id}`, { body: { vehicleId: null, hub: 'Salem Hub', dock: 'D2' } });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.data.vehicle, null);
+  assert.equal(moved.data.hub, 'Salem Hub');
+});
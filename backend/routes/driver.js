@@ -0,0 +1,23 @@
+const express = require('express');
+const driverRoutes = require('../services/driverRoutes');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/driver');
+
+const router = express.Router();
+
+const driver = [authenticate, requireRole('driver')];
+
+// 🔹 Driver's route from the latest optimization, stop by stop
+router.get('/driver/route', ...driver, async (req, res) => {
+  res.json(await driverRoutes.currentRoute(req.user));
+});
+
+// 🔹 Stop execution: POST /api/driver/stops/:sequence/{arrive,pickup,fail,skip}
+Object.keys(driverRoutes.STOP_ACTIONS).forEach((action) => {
+  router.post(`/driver/stops/:sequence/${action}`, ...driver, validate(schemas.stop), async (req, res) => {
+    res.json(await driverRoutes.updateStop(req.user, req.params.sequence, action, req.body.reason));
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const catalog = require('../services/emissionFactors');
+const { estimate } = require('../services/emissions');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/emissionFactors');
+
+const router = express.Router();
+const staff = [authenticate, requireRole('logistics', 'admin')];
+const adminOnly = [authenticate, requireRole('admin')];
+
+// 🔹 Emission-factor catalog: every version, newest first
+router.get('/emission-factors', ...staff, async (req, res) => {
+  res.json(await catalog.listVersions());
+});
+
+router.get('/emission-factors/current', ...staff, async (req, res) => {
+  res.json(await catalog.activeFactorSet());
+});
+
+router.get('/emission-factors/:version', ...staff, validate(schemas.byVersion), async (req, res) => {
+  res.json(await catalog.getVersion(req.params.version));
+});
+
+// 🔹 Admins publish edited factors as a new version, or switch back to an older one
+router.post('/emission-factors', ...adminOnly, validate(schemas.publish), async (req, res) => {
+  res.status(201).json(await catalog.publishVersion(req.body, req.user));
+});
+
+router.post('/emission-factors/:version/activate', ...adminOnly, validate(schemas.byVersion), async (req, res) => {
+  res.json(await catalog.activateVersion(req.params.version));
+});
+
+// 🔹 Manual estimate for one shipment against the active factors
+router.post('/emissions/estimate', ...staff, validate(schemas.estimate), async (req, res) => {
+  const set = await catalog.activeFactorSet();
+  res.json({ ...estimate(set.factors, req.body), factorVersion: set.version });
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const events = require('../services/events');
+const { withActions } = require('../services/pickupLifecycle');
+const { authenticateStream } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/events');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+// Shape an event for one subscriber, or return null if they must not see it
+function eventFor(user, type, payload) {
+  if (type.startsWith('request.')) {
+    if (user.role === 'driver') return null;
+    if (user.role === 'seller' && payload.seller !== user.id) return null;
+    return withActions(payload, user.role);
+  }
+  if (type.startsWith('notification.')) {
+    return payload.user === user.id ? payload : null;
+  }
+  if (['detections.', 'tracking.', 'camera.'].some(prefix => type.startsWith(prefix))) {
+    return user.role === 'logistics' ? payload : null;
+  }
+  if (type.startsWith('route.')) {
+    return user.role === 'logistics' || payload.driverUser === user.id ? payload : null;
+  }
+  if (user.role === 'driver') return null;
+  return payload;
+}
+
+// 🔹 Server-Sent Events stream of request, route, tracking and cargo count updates
+router.get('/events', validate(schemas.stream), authenticateStream, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+  send('ready', { user: req.user.userId });
+
+  const unsubscribe = events.subscribe(({ type, payload }) => {
+    const data = eventFor(req.user, type, payload);
+    if (data) send(type, data);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
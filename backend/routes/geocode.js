@@ -0,0 +1,15 @@
+const express = require('express');
+const { geocode } = require('../services/geocoding');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/geocode');
+
+const router = express.Router();
+
+// 🔹 Resolve an address or pincode to ranked candidate locations
+router.get('/geocode', authenticate, validate(schemas.search), async (req, res) => {
+  const { q, limit } = req.validQuery;
+  res.json(await geocode(q, { limit }));
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const feed = require('../services/notificationFeed');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+
+const router = express.Router();
+
+// 🔹 The signed-in user's notification feed, newest first (?type=&unread=true)
+router.get('/notifications', authenticate, validate(schemas.feed), async (req, res) => {
+  res.json(await feed.listFeed(req.user, req.validQuery));
+});
+
+// 🔹 Mark everything (or everything of one type) read
+router.post('/notifications/read-all', authenticate, validate(schemas.readAll), async (req, res) => {
+  res.json(await feed.markAllRead(req.user, req.body));
+});
+
+router.post('/notifications/:id/read', authenticate, validate(schemas.byId), async (req, res) => {
+  res.json(await feed.markRead(req.user, req.params.id));
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { optimizeRoutes } = require('../services/optimizer');
+const { recordPlans } = require('../services/driverRoutes');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/optimize');
+
+const router = express.Router();
+
+// 🔹 Plan one route per truck for the given stops (capacity-aware); each truck's
+// driver gets its route on /driver
+router.post('/optimize', authenticate, requireRole('logistics'), validate(schemas.optimize), async (req, res) => {
+  const result = await optimizeRoutes(req.body);
+  const plans = await recordPlans(result, req.user);
+  res.json({ ...result, routes: result.routes.map((r, i) => ({ ...r, planId: plans[i].id })) });
+});
+
+module.exports = router;
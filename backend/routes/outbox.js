@@ -0,0 +1,29 @@
+const express = require('express');
+const { outbox } = require('../repositories');
+const notifications = require('../services/notifications');
+const { HttpError } = require('../errors');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/outbox');
+
+const router = express.Router();
+
+const admin = [authenticate, requireRole('admin')];
+
+// 🔹 Seller notifications queued, sent or given up on, newest first
+router.get('/outbox', ...admin, validate(schemas.list), async (req, res) => {
+  const messages = await outbox.find(req.validQuery);
+  res.json(messages.reverse());
+});
+
+// 🔹 Give a failed message another round of attempts
+router.post('/outbox/:id/retry', ...admin, validate(schemas.byId), async (req, res) => {
+  const message = await outbox.findById(req.params.id);
+  if (!message) throw new HttpError(404, 'Message not found');
+  if (message.status !== 'failed') throw new HttpError(409, `Cannot retry a message that is ${message.status}`);
+  const updated = await outbox.update(message.id, { status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+  setImmediate(notifications.drain);
+  res.json(updated);
+});
+
+module.exports = router;
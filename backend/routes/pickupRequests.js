@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const express = require('express');
+const { pickupRequests } = require('../repositories');
+const { HttpError } = require('../errors');
+const { ACTIONS, withActions, transition } = require('../services/pickupLifecycle');
+const { authenticate, requireRole } = require('../middleware/auth');
+const events = require('../services/events');
+const { reserveSlot, releaseSlot } = require('../services/slots');
+const { recordDelivery } = require('../services/carbon');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/pickupRequests');
+
+const router = express.Router();
+
+// Sellers only ever see their own requests
+const visibleTo = (user, request) => user.role !== 'seller' || request.seller === user.id;
+
+async function createPickup(user, body, idempotency = null) {
+  const { sellerName, phone, email, address, weight, type, lat, lng, slotId } = body;
+  // A booked slot fixes the pickup date and the window routing must respect
+  const slot = slotId ? await reserveSlot(slotId, weight) : null;
+  const date = slot ? slot.start : body.date;
+
+  const newRequest = await pickupRequests.create({
+    seller: user.id,
+    sellerName,
+    phone,
+    email,
+    address,
+    weight,
+    type,
+    date,
+    slot: slot ? slot.id : null,
+    windowStart: slot ? slot.start : null,
+    windowEnd: slot ? slot.end : null,
+    lat: lat ?? null,
+    lng: lng ?? null,
+    status: 'Pending',
+    history: [{ from: null, to: 'Pending', action: 'create', actor: user.userId, at: new Date() }],
+    idempotencyKey: idempotency ? idempotency.key : null,
+    idempotencyHash: idempotency ? idempotency.hash : null,
+  }).catch(async (err) => {
+    if (slot) await releaseSlot(slot.id, weight);
+    throw err;
+  });
+  events.publish('request.created', newRequest);
+  return newRequest;
+}
+
+// Fingerprint of a validated body (keys sorted), to tell a retry from a different request under the same key
+const hashBody = (body) => crypto.createHash('sha256')
+  .update(JSON.stringify(Object.keys(body).sort().map(k => [k, body[k]])))
+  .digest('hex');
+
+const reused = () => new HttpError(422, 'This Idempotency-Key was already used for a different request');
+
+// 🔹 Seller creates pickup request (frontend must provide verified lat/lng).
+// With an Idempotency-Key header a repeated submission returns the request the first one created (200);
+// the same key with a different body is refused (422). The unique (seller, key) index settles retries
+// that race the first try, on this server or another one.
+router.post('/request-pickup', authenticate, requireRole('seller'), validate(schemas.createPickup), async (req, res) => {
+  const key = req.validHeaders['idempotency-key'] || null;
+  if (!key) {
+    const newRequest = await createPickup(req.user, req.body);
+    return res.status(201).json(withActions(newRequest, req.user.role));
+  }
+  const hash = hashBody(req.body);
+
+  const replay = (existing) => {
+    if (existing.idempotencyHash !== hash) throw reused();
+    return res.status(200).json(withActions(existing, req.user.role));
+  };
+
+  const existing = await pickupRequests.findOne({ seller: req.user.id, idempotencyKey: key });
+  if (existing) return replay(existing);
+
+  let newRequest;
+  try {
+    newRequest = await createPickup(req.user, req.body, { key, hash });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Another submission with this key was created first
+    const first = await pickupRequests.findOne({ seller: req.user.id, idempotencyKey: key });
+    if (!first) throw err;
+    return replay(first);
+  }
+  res.status(201).json(withActions(newRequest, req.user.role));
+});
+
+// 🔹 Logistics views all requests, sellers their own
+router.get('/requests', authenticate, requireRole('logistics', 'seller'), async (req, res) => {
+  const filter = req.user.role === 'seller' ? { seller: req.user.id } : {};
+  const all = await pickupRequests.find(filter);
+  res.json(all.map(r => withActions(r, req.user.role)));
+});
+
+// 🔹 Single request with its status history
+router.get('/requests/:id', authenticate, requireRole('logistics', 'seller'), validate(schemas.requestById), async (req, res) => {
+  const request = await pickupRequests.findById(req.params.id);
+  if (!request || !visibleTo(req.user, request)) {
+    return res.status(404).json({ message: 'Request not found' });
+  }
+
+  res.json(withActions(request, req.user.role));
+});
+
+// 🔹 Lifecycle transitions: POST /api/requests/:id/{accept,reject,schedule,pickup,dispatch,deliver,cancel}
+// Drivers act on their route's stops through /api/driver instead
+Object.keys(ACTIONS).forEach((action) => {
+  const roles = ACTIONS[action].roles.filter(role => role !== 'driver');
+  if (!roles.length) return;
+  router.post(`/requests/:id/${action}`, authenticate, requireRole(...roles), validate(schemas.transition), async (req, res) => {
+    const { note } = req.body;
+    const moved = await transition(pickupRequests, req.params.id, action, { user: req.user, note });
+    // A delivered request keeps its share of the emissions for the seller's carbon statement
+    const request = action === 'deliver' ? await recordDelivery(moved) : moved;
+    res.json(withActions(request, req.user.role));
+  });
+});
+
+// 🔹 Logistics accepts a request (kept for older clients; same as /requests/:id/accept)
+router.post('/accept-request/:id', authenticate, requireRole('logistics'), validate(schemas.transition), async (req, res) => {
+  const { note } = req.body;
+  const request = await transition(pickupRequests, req.params.id, 'accept', { user: req.user, note });
+  res.json(withActions(request, req.user.role));
+});
+
+module.exports = router;
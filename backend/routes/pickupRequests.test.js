@@ -0,0 +1,94 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const { pickupRequests } = require('../repositories');
+const { createUser, login } = require('../services/auth');
+
+let server;
+let base;
+let token;
+
+const body = {
+  sellerName: 'Arul',
+  phone: '+91 98765 43210',
+  email: 'arul@example.com',
+  address: 'Salem',
+  weight: 120,
+  type: 'Textiles',
+  lat: 11.66,
+  lng: 78.15,
+};
+
+const submit = async (payload, key) => {
+  const res = await fetch(`${base}/request-pickup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(payload),
+  });
+  return { status: res.status, data: await res.json() };
+};
+
+test.before(async () => {
+  await createUser({ userId: 'BC-SEL-901', password: 'bluecompass', name: 'Arul', role: 'seller' });
+  ({ token } = await login('BC-SEL-901', 'bluecompass'));
+  server = app.listen(0);
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+test.after(() => server.close());
+
+test('a repeated submission with the same Idempotency-Key returns the first request', async () => {
+  const first = await submit(body, 'retry-key-0001');
+  const again = await submit(body, 'retry-key-0001');
+
+  assert.equal(first.status, 201);
+  assert.equal(again.status, 200);
+  assert.equal(again.data.id, first.data.id);
+});
+
+test('concurrent submissions with the same key create one request', async () => {
+  const results = await Promise.all([1, 2, 3].map(() => submit(body, 'race-key-0001')));
+
+  assert.equal(new Set(results.map(r => r.data.id)).size, 1);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 200, 201]);
+});
+
+test('a retry that misses the first request up front, as on another server, still gets it back', async (t) => {
+  const first = await submit(body, 'split-key-0001');
+
+  // Each submission's up-front lookup misses, so its create runs into the unique index
+  const findOne = pickupRequests.findOne;
+  let lookups = 0;
+  t.mock.method(pickupRequests, 'findOne', filter => (lookups++ === 0 ? null : findOne(filter)));
+  const again = await submit(body, 'split-key-0001');
+  lookups = 0;
+  const other = await submit({ ...body, weight: 500 }, 'split-key-0001');
+
+  assert.equal(again.status, 200);
+  assert.equal(again.data.id, first.data.id);
+  assert.equal(other.status, 422);
+});
+
+test('the same key with a different body is refused', async () => {
+  await submit(body, 'reused-key-0001');
+  const other = await submit({ ...body, weight: 500 }, 'reused-key-0001');
+
+  assert.equal(other.status, 422);
+});
+
+test('submissions without a key, or under another key, are separate requests', async () => {
+  const a = await submit(body);
+  const b = await submit(body);
+  const c = await submit(body, 'other-key-0001');
+
+  assert.equal(new Set([a.data.id, b.data.id, c.data.id]).size, 3);
+});
+
+test('a malformed key is a validation error', async () => {
+  const { status, data } = await submit(body, 'bad key!');
+
+  assert.equal(status, 400);
+  assert.ok(data.errors['idempotency-key']);
+});
@@ -0,0 +1,20 @@
+const express = require('express');
+const reconciliation = require('../services/reconciliation');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reconciliation');
+
+const router = express.Router();
+const logisticsOnly = [authenticate, requireRole('logistics')];
+
+// 🔹 Booked cargo against counted cargo, per SKU class and per request, with the flagged mismatches
+router.get('/trips/:id/reconciliation', ...logisticsOnly, validate(schemas.byTrip), async (req, res) => {
+  res.json(await reconciliation.reconcileTrip(req.params.id));
+});
+
+// 🔹 Dispatcher accepts a mismatched load so the trip can depart (note says why)
+router.post('/trips/:id/reconciliation/sign-off', ...logisticsOnly, validate(schemas.signOff), async (req, res) => {
+  res.json(await reconciliation.signOff(req.params.id, req.user, req.body.note));
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { route } = require('../services/routing');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/routing');
+
+const router = express.Router();
+
+// 🔹 Road geometry, distance and drive time through the points in order
+router.post('/route', authenticate, validate(schemas.route), async (req, res) => {
+  res.json(await route(req.body.points));
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const catalog = require('../services/skuClasses');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/skuClasses');
+
+const router = express.Router();
+const staff = [authenticate, requireRole('logistics', 'admin')];
+const adminOnly = [authenticate, requireRole('admin')];
+
+// 🔹 SKU classes: which detector labels count as which item
+router.get('/sku-classes', ...staff, async (req, res) => {
+  res.json(await catalog.listSkuClasses());
+});
+
+router.post('/sku-classes', ...adminOnly, validate(schemas.create), async (req, res) => {
+  res.status(201).json(await catalog.createSkuClass(req.body));
+});
+
+router.patch('/sku-classes/:id', ...adminOnly, validate(schemas.update), async (req, res) => {
+  res.json(await catalog.updateSkuClass(req.params.id, req.body));
+});
+
+router.delete('/sku-classes/:id', ...adminOnly, validate(schemas.byId), async (req, res) => {
+  await catalog.removeSkuClass(req.params.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const slotService = require('../services/slots');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/slots');
+
+const router = express.Router();
+const logisticsOnly = [authenticate, requireRole('logistics')];
+
+// 🔹 Pickup windows with remaining capacity (sellers only see open ones)
+router.get('/slots', authenticate, validate(schemas.list), async (req, res) => {
+  const filter = req.user.role === 'seller' ? { ...req.validQuery, status: 'open' } : req.validQuery;
+  res.json(await slotService.listSlots(filter));
+});
+
+// 🔹 Logistics publishes, resizes, closes or removes windows
+router.post('/slots', ...logisticsOnly, validate(schemas.create), async (req, res) => {
+  res.status(201).json(await slotService.createSlot(req.body, req.user));
+});
+
+router.patch('/slots/:id', ...logisticsOnly, validate(schemas.update), async (req, res) => {
+  res.json(await slotService.updateSlot(req.params.id, req.body));
+});
+
+router.delete('/slots/:id', ...logisticsOnly, validate(schemas.byId), async (req, res) => {
+  await slotService.removeSlot(req.params.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const tracking = require('../services/tracking');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/tracking');
+
+const router = express.Router();
+
+// 🔹 GPS fix from a driver's phone (or a simulator posting as logistics)
+router.post('/tracking/pings', authenticate, requireRole('driver', 'logistics'), validate(schemas.ping), async (req, res) => {
+  res.status(201).json(await tracking.recordPing(req.user, req.body));
+});
+
+// 🔹 Live position, recent trail and remaining-stop ETAs of every reporting truck
+router.get('/tracking', authenticate, requireRole('logistics'), async (req, res) => {
+  res.json(await tracking.liveFleet());
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const tripService = require('../services/trips');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/trips');
+
+const router = express.Router();
+
+// 🔹 Published departures (sellers use this for the schedule and calendar)
+router.get('/trips', authenticate, validate(schemas.list), async (req, res) => {
+  // Sellers only see departures that are still open
+  const filter = req.user.role === 'seller' ? { ...req.validQuery, status: 'scheduled' } : req.validQuery;
+  res.json(await tripService.listTrips(filter));
+});
+
+router.get('/trips/:id', authenticate, validate(schemas.byId), async (req, res) => {
+  res.json(await tripService.getTrip(req.params.id));
+});
+
+// 🔹 Logistics publishes a departure
+router.post('/trips', authenticate, requireRole('logistics'), validate(schemas.create), async (req, res) => {
+  res.status(201).json(await tripService.publishTrip(req.body, req.user));
+});
+
+// 🔹 Logistics reschedules / swaps vehicle / cancels
+router.patch('/trips/:id', authenticate, requireRole('logistics'), validate(schemas.update), async (req, res) => {
+  res.json(await tripService.updateTrip(req.params.id, req.body));
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const fleet = require('../services/fleet');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { withActions } = require('../services/pickupLifecycle');
+const schemas = require('../schemas/vehicles');
+
+const router = express.Router();
+const logisticsOnly = [authenticate, requireRole('logistics')];
+
+// 🔹 Fleet registry with current utilisation
+router.get('/vehicles', ...logisticsOnly, validate(schemas.list), async (req, res) => {
+  res.json(await fleet.listFleet(req.validQuery));
+});
+
+router.get('/vehicles/:id', ...logisticsOnly, validate(schemas.byId), async (req, res) => {
+  res.json(await fleet.getVehicle(req.params.id));
+});
+
+// 🔹 Register a vehicle
+router.post('/vehicles', ...logisticsOnly, validate(schemas.create), async (req, res) => {
+  res.status(201).json(await fleet.registerVehicle(req.body));
+});
+
+// 🔹 Update driver, hub, availability, capacity...
+router.patch('/vehicles/:id', ...logisticsOnly, validate(schemas.update), async (req, res) => {
+  res.json(await fleet.updateVehicle(req.params.id, req.body));
+});
+
+router.delete('/vehicles/:id', ...logisticsOnly, validate(schemas.byId), async (req, res) => {
+  await fleet.removeVehicle(req.params.id);
+  res.status(204).end();
+});
+
+// 🔹 Assign an accepted request to a vehicle (vehicleId: null unassigns)
+router.post('/requests/:id/assign-vehicle', ...logisticsOnly, validate(schemas.assign), async (req, res) => {
+  const request = await fleet.assignVehicle(req.params.id, req.body.vehicleId);
+  res.json(withActions(request, req.user.role));
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const register = {
+  body: {
+    userId: { type: 'string', required: true, minLength: 3, maxLength: 40, pattern: /^[A-Za-z0-9._-]+$/ },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+    name: { type: 'string', required: true, maxLength: 120 },
+    phone: { type: 'string', required: true, format: 'phone' },
+    email: { type: 'string', format: 'email', maxLength: 254 },
+  },
+};
+
+const login = {
+  body: {
+    userId: { type: 'string', required: true, maxLength: 40 },
+    password: { type: 'string', required: true, maxLength: 128 },
+  },
+};
+
+module.exports = { register, login };
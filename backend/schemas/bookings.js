@@ -0,0 +1,19 @@
+const { BOOKING_STATUSES } = require('../models/Booking');
+const { idParams } = require('./common');
+
+const create = {
+  params: idParams,
+  body: {
+    requestId: { type: 'objectId', required: true },
+  },
+};
+
+const mine = {
+  query: {
+    status: { type: 'string', values: BOOKING_STATUSES },
+  },
+};
+
+const byId = { params: idParams };
+
+module.exports = { create, mine, byId };
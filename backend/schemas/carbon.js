@@ -0,0 +1,10 @@
+const statement = {
+  query: {
+    month: { type: 'string', pattern: /^\d{4}-(0[1-9]|1[0-2])$/, message: 'must be a month like 2026-10' },
+    format: { type: 'string', values: ['json', 'csv'], default: 'json' },
+    // Logistics can pull any seller's statement; sellers always get their own
+    seller: { type: 'objectId' },
+  },
+};
+
+module.exports = { statement };
@@ -0,0 +1,9 @@
+// Rules shared by several route schemas
+const idParams = { id: { type: 'objectId', required: true } };
+
+const lat = { type: 'number', min: -90, max: 90, message: 'must be a latitude between -90 and 90' };
+const lng = { type: 'number', min: -180, max: 180, message: 'must be a longitude between -180 and 180' };
+
+const note = { type: 'string', maxLength: 500 };
+
+module.exports = { idParams, lat, lng, note };
@@ -0,0 +1,29 @@
+const { idParams } = require('./common');
+
+// Detector class labels: what the camera's model emits, e.g. "a" or "textile_bale"
+const label = { type: 'string', minLength: 1, maxLength: 40, pattern: /^[A-Za-z0-9_-]+$/ };
+const deviceId = { type: 'string', minLength: 2, maxLength: 60, pattern: /^[A-Za-z0-9_.:-]+$/ };
+
+const ingest = {
+  body: {
+    events: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: 500,
+      items: {
+        type: 'object',
+        fields: {
+          deviceId: { ...deviceId, required: true },
+          label: { ...label, required: true },
+          at: { type: 'date', required: true },
+          confidence: { type: 'number', min: 0, max: 1 },
+        },
+      },
+    },
+  },
+};
+
+const byTrip = { params: idParams };
+
+module.exports = { label, deviceId, ingest, byTrip };
@@ -0,0 +1,30 @@
+const { idParams } = require('./common');
+const { deviceId } = require('./detections');
+const { stream } = require('./events');
+
+const url = { type: 'string', maxLength: 300, pattern: /^https?:\/\/\S+$/, message: 'must be an http(s) URL' };
+
+const fields = {
+  name: { type: 'string', maxLength: 80 },
+  vehicleId: { type: 'objectId' },
+  hub: { type: 'string', maxLength: 120 },
+  dock: { type: 'string', maxLength: 60 },
+  snapshotUrl: url,
+  streamUrl: url,
+};
+
+const create = {
+  body: { ...fields, deviceId: { ...deviceId, required: true } },
+};
+
+const update = {
+  params: idParams,
+  body: { ...fields, vehicleId: { ...fields.vehicleId, nullable: true }, active: { type: 'boolean' } },
+};
+
+const byId = { params: idParams };
+
+// <img> tags cannot send headers, so the proxy also takes a media token for this camera in ?token=
+const media = { params: idParams, query: stream.query };
+
+module.exports = { create, update, byId, media };
@@ -0,0 +1,10 @@
+const stop = {
+  params: {
+    sequence: { type: 'integer', min: 1, required: true },
+  },
+  body: {
+    reason: { type: 'string', maxLength: 200 },
+  },
+};
+
+module.exports = { stop };
@@ -0,0 +1,44 @@
+const { VEHICLE_CLASSES, FUEL_TYPES } = require('../models/Vehicle');
+
+const MODES = ['road', 'rail', 'air'];
+
+const factor = { type: 'number', min: 0, max: 100, required: true };
+const group = (fields) => ({ type: 'object', required: true, fields });
+const byClass = (rule) => group(Object.fromEntries(VEHICLE_CLASSES.map(c => [c, rule])));
+
+// A full catalog: every published version stands on its own
+const catalog = group({
+  road: byClass(group({ empty: factor, full: factor, payloadKg: { type: 'number', exclusiveMin: 0, max: 60000, required: true } })),
+  fuel: group(Object.fromEntries(FUEL_TYPES.filter(f => f !== 'electric').map(f => [f, factor]))),
+  electric: group({
+    gridKgPerKwh: factor,
+    kwhPerKm: byClass(group({ empty: factor, full: factor })),
+  }),
+  reeferUplift: { ...factor, max: 5 },
+  modes: group({ rail: factor, air: factor }),
+});
+
+const versionParams = { version: { type: 'integer', min: 1, required: true } };
+
+const publish = {
+  body: {
+    factors: catalog,
+    notes: { type: 'string', maxLength: 500, default: '' },
+  },
+};
+
+const byVersion = { params: versionParams };
+
+const estimate = {
+  body: {
+    distanceKm: { type: 'number', exclusiveMin: 0, max: 20000, required: true },
+    weightKg: { type: 'number', min: 0, max: 60000, required: true },
+    mode: { type: 'string', values: MODES, default: 'road' },
+    vehicleClass: { type: 'string', values: VEHICLE_CLASSES, default: 'MCV' },
+    fuelType: { type: 'string', values: FUEL_TYPES, default: 'diesel' },
+    refrigerated: { type: 'boolean', default: false },
+    emptyReturn: { type: 'boolean', default: false },
+  },
+};
+
+module.exports = { publish, byVersion, estimate };
@@ -0,0 +1,7 @@
+const stream = {
+  query: {
+    token: { type: 'string', maxLength: 128 },
+  },
+};
+
+module.exports = { stream };
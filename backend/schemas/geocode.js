@@ -0,0 +1,8 @@
+const search = {
+  query: {
+    q: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+    limit: { type: 'integer', min: 1, max: 10, default: 5 },
+  },
+};
+
+module.exports = { search };
@@ -0,0 +1,19 @@
+const { NOTIFICATION_TYPES } = require('../models/Notification');
+const { idParams } = require('./common');
+
+const type = { type: 'string', values: NOTIFICATION_TYPES };
+
+const feed = {
+  query: {
+    type,
+    unread: { type: 'boolean' },
+  },
+};
+
+const readAll = {
+  body: { type },
+};
+
+const byId = { params: idParams };
+
+module.exports = { feed, readAll, byId };
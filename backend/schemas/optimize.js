@@ -0,0 +1,34 @@
+const { lat, lng } = require('./common');
+
+const MAX_STOPS = 200;
+
+const stop = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', maxLength: 64 },
+    requestId: { type: 'objectId' },
+    name: { type: 'string', maxLength: 200 },
+    lat: { ...lat, required: true },
+    lng: { ...lng, required: true },
+    weightKg: { type: 'number', min: 0, max: 60000, default: 0 },
+  },
+};
+
+const optimize = {
+  body: {
+    stops: { type: 'array', required: true, minLength: 1, maxLength: MAX_STOPS, items: stop },
+    depot: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', maxLength: 120, default: 'Depot' },
+        lat: { ...lat, required: true },
+        lng: { ...lng, required: true },
+      },
+    },
+    vehicleIds: { type: 'array', minLength: 1, items: { type: 'objectId' } },
+    // When the trucks leave the depot; defaults to now
+    departAt: { type: 'date' },
+  },
+};
+
+module.exports = { optimize };
@@ -0,0 +1,13 @@
+const { OUTBOX_STATUSES, CHANNELS } = require('../models/OutboxMessage');
+const { idParams } = require('./common');
+
+const list = {
+  query: {
+    status: { type: 'string', values: OUTBOX_STATUSES },
+    channel: { type: 'string', values: CHANNELS },
+  },
+};
+
+const byId = { params: idParams };
+
+module.exports = { list, byId };
@@ -0,0 +1,30 @@
+const { GOODS_TYPES, MAX_WEIGHT_KG } = require('../models/PickupRequest');
+const { idParams, lat, lng, note } = require('./common');
+
+const createPickup = {
+  // Sent by clients that retry (the offline queue): a repeat with the same key returns the first request
+  headers: {
+    'idempotency-key': { type: 'string', minLength: 8, maxLength: 100, pattern: /^[\w-]+$/ },
+  },
+  body: {
+    sellerName: { type: 'string', required: true, maxLength: 120 },
+    phone: { type: 'string', required: true, format: 'phone' },
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    address: { type: 'string', required: true, minLength: 3, maxLength: 500 },
+    weight: { type: 'number', required: true, exclusiveMin: 0, max: MAX_WEIGHT_KG },
+    type: { type: 'string', values: GOODS_TYPES, default: 'Perishables' },
+    date: { type: 'date', future: true, default: null },
+    slotId: { type: 'objectId' },
+    lat,
+    lng,
+  },
+};
+
+const requestById = { params: idParams };
+
+const transition = {
+  params: idParams,
+  body: { note },
+};
+
+module.exports = { createPickup, requestById, transition };
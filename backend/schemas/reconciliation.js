@@ -0,0 +1,10 @@
+const { idParams, note } = require('./common');
+
+const byTrip = { params: idParams };
+
+const signOff = {
+  params: idParams,
+  body: { note: { ...note, required: true, minLength: 3 } },
+};
+
+module.exports = { byTrip, signOff };
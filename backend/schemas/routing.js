@@ -0,0 +1,17 @@
+const { lat, lng } = require('./common');
+
+const MAX_WAYPOINTS = 100;
+
+const route = {
+  body: {
+    points: {
+      type: 'array',
+      required: true,
+      minLength: 2,
+      maxLength: MAX_WAYPOINTS,
+      items: { type: 'object', fields: { lat: { ...lat, required: true }, lng: { ...lng, required: true } } },
+    },
+  },
+};
+
+module.exports = { route };
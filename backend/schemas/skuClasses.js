@@ -0,0 +1,24 @@
+const { GOODS_TYPES } = require('../models/PickupRequest');
+const { idParams } = require('./common');
+const { label } = require('./detections');
+
+const fields = {
+  label,
+  name: { type: 'string', minLength: 2, maxLength: 80 },
+  goodsType: { type: 'string', values: GOODS_TYPES },
+  unitWeightKg: { type: 'number', min: 0, max: 5000 },
+};
+
+const create = {
+  body: {
+    ...fields,
+    label: { ...fields.label, required: true },
+    name: { ...fields.name, required: true },
+  },
+};
+
+const update = { params: idParams, body: fields };
+
+const byId = { params: idParams };
+
+module.exports = { create, update, byId };
@@ -0,0 +1,40 @@
+const { SLOT_STATUSES } = require('../models/PickupSlot');
+const { idParams } = require('./common');
+
+const fields = {
+  start: { type: 'date', future: true },
+  end: { type: 'date', future: true },
+  hub: { type: 'string', maxLength: 120 },
+  maxPickups: { type: 'integer', min: 1, max: 500 },
+  maxKg: { type: 'number', exclusiveMin: 0, max: 100000 },
+  status: { type: 'string', values: SLOT_STATUSES },
+};
+
+const required = (rule) => ({ ...rule, required: true });
+
+const list = {
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    status: fields.status,
+  },
+};
+
+const create = {
+  body: {
+    start: required(fields.start),
+    end: required(fields.end),
+    hub: fields.hub,
+    maxPickups: required(fields.maxPickups),
+    maxKg: required(fields.maxKg),
+  },
+};
+
+const update = {
+  params: idParams,
+  body: fields,
+};
+
+const byId = { params: idParams };
+
+module.exports = { list, create, update, byId };
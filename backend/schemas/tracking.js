@@ -0,0 +1,16 @@
+const { lat, lng } = require('./common');
+
+const ping = {
+  body: {
+    // Drivers report for their own truck; logistics and simulators must name one
+    vehicleId: { type: 'objectId' },
+    lat: { ...lat, required: true },
+    lng: { ...lng, required: true },
+    speedKmh: { type: 'number', min: 0, max: 200 },
+    headingDeg: { type: 'number', min: 0, max: 360 },
+    accuracyM: { type: 'number', min: 0 },
+    recordedAt: { type: 'date' },
+  },
+};
+
+module.exports = { ping };
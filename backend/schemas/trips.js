@@ -0,0 +1,40 @@
+const { TRIP_STATUSES } = require('../models/Trip');
+const { idParams } = require('./common');
+
+const list = {
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    hub: { type: 'string', maxLength: 120 },
+    status: { type: 'string', values: TRIP_STATUSES },
+  },
+};
+
+const create = {
+  body: {
+    hub: { type: 'string', required: true, maxLength: 120 },
+    destination: { type: 'string', maxLength: 120 },
+    departureAt: { type: 'date', required: true, future: true },
+    vehicleId: { type: 'objectId', required: true },
+    capacityKg: { type: 'number', exclusiveMin: 0, max: 60000 },
+    notes: { type: 'string', maxLength: 500 },
+  },
+};
+
+const update = {
+  params: idParams,
+  body: {
+    hub: { type: 'string', maxLength: 120 },
+    destination: { type: 'string', maxLength: 120 },
+    departureAt: { type: 'date', future: true },
+    vehicleId: { type: 'objectId' },
+    capacityKg: { type: 'number', exclusiveMin: 0, max: 60000 },
+    // Trips start 'scheduled'; services/trips.js TRIP_TRANSITIONS decides which moves are allowed
+    status: { type: 'string', values: TRIP_STATUSES.filter(s => s !== 'scheduled') },
+    notes: { type: 'string', maxLength: 500 },
+  },
+};
+
+const byId = { params: idParams };
+
+module.exports = { list, create, update, byId };
@@ -0,0 +1,46 @@
+const { VEHICLE_CLASSES, FUEL_TYPES, AVAILABILITY } = require('../models/Vehicle');
+const { idParams } = require('./common');
+
+const fields = {
+  registrationNumber: { type: 'string', minLength: 4, maxLength: 20, pattern: /^[A-Za-z0-9\s-]+$/ },
+  vehicleClass: { type: 'string', values: VEHICLE_CLASSES },
+  payloadCapacityKg: { type: 'number', exclusiveMin: 0, max: 60000 },
+  volumeCapacityM3: { type: 'number', min: 0, max: 200 },
+  fuelType: { type: 'string', values: FUEL_TYPES },
+  refrigerated: { type: 'boolean' },
+  driverName: { type: 'string', maxLength: 120 },
+  driverPhone: { type: 'string', format: 'phone' },
+  driverUser: { type: 'objectId' },
+  homeHub: { type: 'string', maxLength: 120 },
+  availability: { type: 'string', values: AVAILABILITY },
+};
+
+const required = (rule) => ({ ...rule, required: true });
+
+const list = {
+  query: {
+    availability: fields.availability,
+    homeHub: fields.homeHub,
+  },
+};
+
+const create = {
+  body: {
+    ...fields,
+    registrationNumber: required(fields.registrationNumber),
+    vehicleClass: required(fields.vehicleClass),
+    payloadCapacityKg: required(fields.payloadCapacityKg),
+    fuelType: required(fields.fuelType),
+  },
+};
+
+const update = { params: idParams, body: fields };
+
+const byId = { params: idParams };
+
+const assign = {
+  params: idParams,
+  body: { vehicleId: { type: 'objectId', default: null } },
+};
+
+module.exports = { list, create, update, byId, assign };
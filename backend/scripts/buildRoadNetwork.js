@@ -0,0 +1,50 @@
+// Usage: node scripts/buildRoadNetwork.js <overpass.json> <out.json> ["<name>"]
+//
+// Converts an OpenStreetMap export from Overpass (JSON output, ways with their nodes), e.g.
+//   [out:json]; way[highway~"^(motorway|trunk|primary|secondary)$"](<south>,<west>,<north>,<east>); (._;>;); out;
+// into the road network the local router loads (ROAD_NETWORK_FILE).
+const fs = require('fs');
+
+// Typical loaded-truck speeds by OSM highway class
+const SPEED_KMH = { motorway: 70, trunk: 60, primary: 50, secondary: 40, tertiary: 30 };
+const DEFAULT_SPEED_KMH = 25;
+
+function main() {
+  const [input, output, name = 'OpenStreetMap extract'] = process.argv.slice(2);
+  if (!input || !output) {
+    console.error('Usage: node scripts/buildRoadNetwork.js <overpass.json> <out.json> ["<name>"]');
+    process.exit(1);
+  }
+
+  const { elements } = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const osmNodes = new Map(elements.filter(e => e.type === 'node').map(e => [e.id, e]));
+  const index = new Map(); // OSM node id -> position in `nodes`
+  const nodes = [];
+  const ways = [];
+
+  const indexOf = (id) => {
+    if (!index.has(id)) {
+      const n = osmNodes.get(id);
+      index.set(id, nodes.length);
+      nodes.push([Math.round(n.lat * 1e5) / 1e5, Math.round(n.lon * 1e5) / 1e5]);
+    }
+    return index.get(id);
+  };
+
+  elements.filter(e => e.type === 'way' && e.tags && e.tags.highway).forEach((way) => {
+    const ids = way.nodes.filter(id => osmNodes.has(id));
+    if (ids.length < 2) return;
+    const highway = way.tags.highway.replace(/_link$/, '');
+    const maxspeed = parseFloat(way.tags.maxspeed);
+    ways.push({
+      name: way.tags.ref || way.tags.name || highway,
+      speedKmh: Math.min(maxspeed || Infinity, SPEED_KMH[highway] || DEFAULT_SPEED_KMH),
+      nodes: ids.map(indexOf),
+    });
+  });
+
+  fs.writeFileSync(output, JSON.stringify({ name, notes: `Built from ${input}`, nodes, ways }));
+  console.log(`✅ ${ways.length} ways, ${nodes.length} nodes -> ${output}`);
+}
+
+main();
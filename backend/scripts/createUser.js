@@ -0,0 +1,21 @@
+// Usage: node scripts/createUser.js <userId> <password> <seller|logistics|admin|driver> "<name>" [phone] [email]
+const db = require('../db');
+const { createUser } = require('../services/auth');
+
+async function main() {
+  const [userId, password, role, name, phone, email] = process.argv.slice(2);
+  if (!userId || !password || !role || !name) {
+    console.error('Usage: node scripts/createUser.js <userId> <password> <seller|logistics|admin|driver> "<name>" [phone] [email]');
+    process.exit(1);
+  }
+
+  await db.connect();
+  const user = await createUser({ userId, password, role, name, phone, email });
+  console.log('✅ Created user', user.userId, `(${user.role})`);
+  await db.disconnect();
+}
+
+main().catch((err) => {
+  console.error('Failed to create user:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+// Usage: node scripts/simulateDriver.js <driverUserId> <password> [speedKmh] [pingSeconds] [speedup]
+//
+// Drives a driver's current route against a running server: walks the road geometry from
+// the depot through every stop and back, posting a GPS ping every `pingSeconds` and marking
+// each stop arrived and picked up on reaching it. `speedup` compresses time (10 = ten times
+// faster than real driving). Set API_URL to target a server other than localhost:5000.
+const { haversineKm } = require('../services/optimizer/geo');
+
+const API = process.env.API_URL || 'http://localhost:5000/api';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function call(token, method, path, body) {
+  const res = await fetch(`${API}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(`${method} ${path}: ${data.message || res.status}`);
+  return data;
+}
+
+const toPoint = ([lat, lng]) => ({ lat, lng });
+
+// Cumulative km at each vertex of the polyline
+function distances(line) {
+  const km = [0];
+  for (let i = 1; i < line.length; i += 1) km.push(km[i - 1] + haversineKm(toPoint(line[i - 1]), toPoint(line[i])));
+  return km;
+}
+
+// Point `km` along the polyline, or null past its end
+function pointAlong(line, cumulative, km) {
+  const i = cumulative.findIndex(d => d >= km);
+  if (i === -1) return null;
+  if (i === 0) return toPoint(line[0]);
+  const a = toPoint(line[i - 1]);
+  const b = toPoint(line[i]);
+  const segment = cumulative[i] - cumulative[i - 1];
+  const f = segment > 0 ? (km - cumulative[i - 1]) / segment : 0;
+  return { lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f };
+}
+
+// How far along the polyline each stop is reached, visiting them in order
+function stopDistances(line, cumulative, stops) {
+  let from = 0;
+  return stops.map((stop) => {
+    let best = from;
+    for (let i = from; i < line.length; i += 1) {
+      if (haversineKm(toPoint(line[i]), stop) < haversineKm(toPoint(line[best]), stop)) best = i;
+    }
+    from = best;
+    return cumulative[best];
+  });
+}
+
+async function main() {
+  const [userId, password, speed = '40', every = '5', factor = '10'] = process.argv.slice(2);
+  if (!userId || !password) {
+    console.error('Usage: node scripts/simulateDriver.js <driverUserId> <password> [speedKmh] [pingSeconds] [speedup]');
+    process.exit(1);
+  }
+  const speedKmh = parseFloat(speed);
+  const pingSeconds = parseFloat(every);
+  const stepKm = (speedKmh * pingSeconds * parseFloat(factor)) / 3600;
+
+  const { token } = await call(null, 'POST', '/auth/login', { userId, password });
+  const plan = await call(token, 'GET', '/driver/route');
+  const open = plan.stops.filter(s => s.status === 'pending' || s.status === 'arrived');
+  // Requests withdrawn since the route was planned are not driven to
+  const withdrawn = open.filter(s => ['Cancelled', 'Rejected'].includes(s.requestStatus));
+  for (const stop of withdrawn) {
+    await call(token, 'POST', `/driver/stops/${stop.sequence}/skip`);
+    console.log(`⏭️  Stop ${stop.sequence} skipped: request ${stop.requestStatus.toLowerCase()}`);
+  }
+  const pending = open.filter(s => !withdrawn.includes(s));
+  const points = [plan.depot, ...pending, plan.depot].map(p => ({ lat: p.lat, lng: p.lng }));
+  const { geometry, distanceKm } = await call(token, 'POST', '/route', { points });
+  const cumulative = distances(geometry);
+  const reachedAt = stopDistances(geometry, cumulative, pending);
+  console.log(`🚚 ${plan.vehicle.registrationNumber}: ${pending.length} stops, ${distanceKm.toFixed(1)} km`);
+
+  for (let km = 0; ; km += stepKm) {
+    const position = pointAlong(geometry, cumulative, km);
+    if (!position) break;
+    await call(token, 'POST', '/tracking/pings', { ...position, speedKmh });
+
+    while (pending.length && reachedAt[0] <= km) {
+      const stop = pending.shift();
+      reachedAt.shift();
+      if (stop.status === 'pending') await call(token, 'POST', `/driver/stops/${stop.sequence}/arrive`);
+      await call(token, 'POST', `/driver/stops/${stop.sequence}/pickup`);
+      console.log(`📦 Stop ${stop.sequence} picked up: ${stop.address}`);
+    }
+    await sleep(pingSeconds * 1000);
+  }
+  console.log('✅ Back at the depot');
+}
+
+main().catch((err) => {
+  console.error('Simulation failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+const config = require('./config');
+const { vehicles, trips, pickupSlots, users, skuClasses, cameraDevices } = require('./repositories');
+const { seedDemoUsers } = require('./services/auth');
+const { hashKey } = require('./services/devices');
+
+// 🔹 Demo data so the in-memory mode is usable straight away
+const DEMO_VEHICLES = [
+  { registrationNumber: 'TN30AB1234', vehicleClass: 'LCV', payloadCapacityKg: 1500, volumeCapacityM3: 8, fuelType: 'diesel', refrigerated: true, driverName: 'Rajesh K.', driverPhone: '+91 94430 11111', homeHub: 'Salem Hub', driverUserId: 'BC-DRV-301' },
+  { registrationNumber: 'TN30CD5678', vehicleClass: 'MCV', payloadCapacityKg: 5000, volumeCapacityM3: 22, fuelType: 'cng', driverName: 'Suresh M.', driverPhone: '+91 94430 22222', homeHub: 'Salem Hub' },
+  { registrationNumber: 'KA01EF9012', vehicleClass: 'HCV', payloadCapacityKg: 10000, volumeCapacityM3: 45, fuelType: 'diesel', driverName: 'Leo Das', driverPhone: '+91 98450 33333', homeHub: 'Koramangala Depot' },
+  { registrationNumber: 'TN09EV0001', vehicleClass: 'LCV', payloadCapacityKg: 800, volumeCapacityM3: 5, fuelType: 'electric', driverName: 'Ramesh M', driverPhone: '+91 94440 44444', homeHub: 'Chennai Collection' },
+];
+
+async function seedDemoVehicles() {
+  for (const { driverUserId, ...vehicle } of DEMO_VEHICLES) {
+    if (!(await vehicles.findOne({ registrationNumber: vehicle.registrationNumber }))) {
+      // Demo drivers log in with their own account (see seedDemoUsers)
+      const driver = driverUserId ? await users.findOne({ userId: driverUserId }) : null;
+      await vehicles.create({ ...vehicle, driverUser: driver ? driver.id : null });
+    }
+  }
+  console.log(`🚚 Demo fleet: ${DEMO_VEHICLES.length} vehicles`);
+}
+
+// Departures relative to today: [days ahead, "HH:MM", vehicle registration, hub, destination]
+const DEMO_TRIPS = [
+  [2, '16:00', 'TN30AB1234', 'Salem Hub', 'Chennai Collection'],
+  [4, '11:30', 'TN30CD5678', 'Salem Hub', 'Koramangala Depot'],
+  [5, '10:25', 'TN09EV0001', 'Chennai Collection', 'Salem Hub'],
+  [5, '09:45', 'KA01EF9012', 'Koramangala Depot', 'Salem Hub'],
+  [12, '08:00', 'TN30CD5678', 'Salem Hub', 'Coimbatore'],
+  [33, '07:30', 'KA01EF9012', 'Koramangala Depot', 'Chennai Collection'],
+];
+
+async function seedDemoTrips() {
+  if ((await trips.find()).length > 0) return;
+  for (const [daysAhead, time, registrationNumber, hub, destination] of DEMO_TRIPS) {
+    const vehicle = await vehicles.findOne({ registrationNumber });
+    const [hours, minutes] = time.split(':').map(Number);
+    const departureAt = new Date();
+    departureAt.setDate(departureAt.getDate() + daysAhead);
+    departureAt.setHours(hours, minutes, 0, 0);
+    await trips.create({ hub, destination, departureAt, vehicle: vehicle.id, capacityKg: vehicle.payloadCapacityKg, createdBy: 'BC-IND-101' });
+  }
+  console.log(`🗓️  Demo schedule: ${DEMO_TRIPS.length} trips`);
+}
+
+// Pickup windows for each of the next DEMO_SLOT_DAYS days: ["HH:MM" start, "HH:MM" end]
+const DEMO_SLOT_DAYS = 7;
+const DEMO_SLOT_WINDOWS = [['09:00', '12:00'], ['14:00', '17:00']];
+
+async function seedDemoSlots() {
+  if ((await pickupSlots.find()).length > 0) return;
+  const at = (daysAhead, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const d = new Date();
+    d.setDate(d.getDate() + daysAhead);
+    d.setHours(hours, minutes, 0, 0);
+    return d;
+  };
+  for (let day = 1; day <= DEMO_SLOT_DAYS; day += 1) {
+    for (const [start, end] of DEMO_SLOT_WINDOWS) {
+      await pickupSlots.create({ start: at(day, start), end: at(day, end), hub: 'Salem Hub', maxPickups: 8, maxKg: 3000, createdBy: 'BC-IND-101' });
+    }
+  }
+  console.log(`🕘 Demo pickup slots: ${DEMO_SLOT_DAYS * DEMO_SLOT_WINDOWS.length}`);
+}
+
+// What the demo camera's detector reports as "a" and "b"
+const DEMO_SKU_CLASSES = [
+  { label: 'a', name: 'Textile bale', goodsType: 'Textiles', unitWeightKg: 25 },
+  { label: 'b', name: 'Hardware crate', goodsType: 'Hardware', unitWeightKg: 40 },
+];
+
+// A counter mounted on the demo driver's truck, posting with DEMO_DEVICE_KEY (its feed is DEMO_CAMERA_URL)
+const DEMO_DEVICE = { deviceId: 'cam-tn30ab1234', name: 'TN30AB1234 tailgate', registrationNumber: 'TN30AB1234' };
+
+async function seedDemoCounting() {
+  if ((await skuClasses.find()).length === 0) {
+    for (const sku of DEMO_SKU_CLASSES) await skuClasses.create(sku);
+  }
+  if (!(await cameraDevices.findOne({ deviceId: DEMO_DEVICE.deviceId }))) {
+    const vehicle = await vehicles.findOne({ registrationNumber: DEMO_DEVICE.registrationNumber });
+    await cameraDevices.create({
+      deviceId: DEMO_DEVICE.deviceId,
+      name: DEMO_DEVICE.name,
+      vehicle: vehicle.id,
+      snapshotUrl: config.demoCameraUrl,
+      keyHash: hashKey(config.demoDeviceKey),
+    });
+  }
+  console.log(`📷 Demo camera counter: ${DEMO_DEVICE.deviceId} / ${config.demoDeviceKey}`);
+}
+
+async function seedDemoData() {
+  await seedDemoUsers();
+  await seedDemoVehicles();
+  await seedDemoTrips();
+  await seedDemoSlots();
+  await seedDemoCounting();
+}
+
+module.exports = { seedDemoData };
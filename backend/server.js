@@ -1,57 +1,94 @@
 const express = require("express");
 const cors = require("cors");
+const mongoose = require("mongoose");
+const config = require("./config");
+const db = require("./db");
+const { HttpError } = require("./errors");
+const { seedDemoData } = require("./seed");
+const notifications = require("./services/notifications");
+const notificationFeed = require("./services/notificationFeed");
+const cameras = require("./services/cameras");
+const authRoutes = require("./routes/auth");
+const pickupRequestRoutes = require("./routes/pickupRequests");
+const eventRoutes = require("./routes/events");
+const geocodeRoutes = require("./routes/geocode");
+const routingRoutes = require("./routes/routing");
+const vehicleRoutes = require("./routes/vehicles");
+const tripRoutes = require("./routes/trips");
+const bookingRoutes = require("./routes/bookings");
+const optimizerRoutes = require("./routes/optimize");
+const slotRoutes = require("./routes/slots");
+const emissionRoutes = require("./routes/emissions");
+const carbonRoutes = require("./routes/carbon");
+const driverRoutes = require("./routes/driver");
+const trackingRoutes = require("./routes/tracking");
+const outboxRoutes = require("./routes/outbox");
+const notificationRoutes = require("./routes/notifications");
+const detectionRoutes = require("./routes/detections");
+const skuClassRoutes = require("./routes/skuClasses");
+const deviceRoutes = require("./routes/devices");
+const reconciliationRoutes = require("./routes/reconciliation");
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-// 🔹 In-memory storage
-let pickupRequests = [];
+app.use("/api/auth", authRoutes);
+app.use("/api", pickupRequestRoutes);
+app.use("/api", eventRoutes);
+app.use("/api", geocodeRoutes);
+app.use("/api", routingRoutes);
+app.use("/api", vehicleRoutes);
+app.use("/api", tripRoutes);
+app.use("/api", bookingRoutes);
+app.use("/api", optimizerRoutes);
+app.use("/api", slotRoutes);
+app.use("/api", emissionRoutes);
+app.use("/api", carbonRoutes);
+app.use("/api", driverRoutes);
+app.use("/api", trackingRoutes);
+app.use("/api", outboxRoutes);
+app.use("/api", notificationRoutes);
+app.use("/api", detectionRoutes);
+app.use("/api", skuClassRoutes);
+app.use("/api", deviceRoutes);
+app.use("/api", reconciliationRoutes);
 
-// 🔹 Seller creates pickup request (frontend must provide verified lat/lng)
-app.post('/api/request-pickup', (req, res) => {
-  const { sellerName, phone, email, address, weight, type, lat, lng, date } = req.body || {};
-
-  if (!sellerName || !phone || !email || !address || !weight) {
-    return res.status(400).json({ message: 'Missing required fields' });
+// 🔹 Every error leaves as { message, ...details }; validation failures add
+// field-level messages under `errors`
+app.use((err, req, res, next) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ message: err.message, ...(err.details || {}) });
   }
-
-  const newRequest = {
-    id: Date.now(),
-    sellerName,
-    phone,
-    email,
-    address,
-    weight,
-    type: type || 'Perishables',
-    date: date || null,
-    lat: typeof lat === 'number' ? lat : (lat ? parseFloat(lat) : null),
-    lng: typeof lng === 'number' ? lng : (lng ? parseFloat(lng) : null),
-    status: 'Pending',
-  };
-
-  pickupRequests.push(newRequest);
-  res.status(201).json(newRequest);
-});
-
-// 🔹 Logistics views all requests
-app.get("/api/requests", (req, res) => {
-  res.json(pickupRequests);
-});
-
-// 🔹 Logistics accepts a request
-app.post("/api/accept-request/:id", (req, res) => {
-  const requestId = parseInt(req.params.id);
-
-  const request = pickupRequests.find(r => r.id === requestId);
-  if (!request) {
-    return res.status(404).json({ message: "Request not found" });
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.fromEntries(Object.entries(err.errors).map(([path, e]) => [path, e.message]));
+    return res.status(400).json({ message: "Validation failed", errors });
   }
-
-  request.status = "Accepted";
-  res.json(request);
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ message: "Validation failed", errors: { [err.path]: `Invalid value for ${err.path}` } });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ message: "Request body is not valid JSON" });
+  }
+  console.error(err);
+  res.status(500).json({ message: "Internal server error" });
 });
 
-app.listen(5000, () => {
-  console.log("🚛 Blue Compass backend running on port 5000");
-});
\ No newline at end of file
+if (require.main === module) {
+  db.connect()
+    .then(() => (config.storage === "memory" ? seedDemoData() : null))
+    .then(() => {
+      app.listen(config.port, () => {
+        console.log(`🚛 Blue Compass backend running on port ${config.port}`);
+      });
+      notifications.start();
+      notificationFeed.start();
+      cameras.start();
+    })
+    .catch((err) => {
+      console.error("Failed to start backend:", err);
+      process.exit(1);
+    });
+}
+
+module.exports = app;
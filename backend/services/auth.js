@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const { users, sessions } = require('../repositories');
+const { HttpError } = require('../errors');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Strip secrets before a user record leaves the server
+const publicUser = ({ passwordHash, ...user }) => user;
+
+async function createUser({ userId, password, name, phone, email, role }) {
+  if (!userId || !password || !name || !role) {
+    throw new HttpError(400, 'userId, password, name and role are required');
+  }
+  if (String(password).length < 8) {
+    throw new HttpError(400, 'Password must be at least 8 characters');
+  }
+  if (await users.findOne({ userId })) {
+    throw new HttpError(409, `User ID "${userId}" is already taken`);
+  }
+
+  const user = await users.create({
+    userId, name, phone, email, role,
+    passwordHash: await hashPassword(password),
+  });
+  return publicUser(user);
+}
+
+// Returns { token, user, expiresAt } on success; one generic 401 for any mismatch
+async function login(userId, password) {
+  const user = userId ? await users.findOne({ userId }) : null;
+  if (!user || !(await verifyPassword(String(password || ''), user.passwordHash))) {
+    throw new HttpError(401, 'Invalid User ID or password');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + config.sessionTtlHours * 60 * 60 * 1000);
+  await sessions.create({ tokenHash: hashToken(token), user: user.id, expiresAt });
+
+  return { token, user: publicUser(user), expiresAt };
+}
+
+async function logout(token) {
+  const session = await sessions.findOne({ tokenHash: hashToken(token) });
+  if (session) await sessions.remove(session.id);
+}
+
+async function liveSession(token) {
+  if (!token) return null;
+  const session = await sessions.findOne({ tokenHash: hashToken(token) });
+  if (!session) return null;
+  if (new Date(session.expiresAt) <= new Date()) {
+    await sessions.remove(session.id);
+    return null;
+  }
+  return session;
+}
+
+async function sessionUser(session) {
+  const user = await users.findById(session.user);
+  return user ? publicUser(user) : null;
+}
+
+// Resolve a bearer token to its user, or null if unknown/expired; media tokens are not logins
+async function userForToken(token) {
+  const session = await liveSession(token);
+  return session && !session.scope ? sessionUser(session) : null;
+}
+
+// A token for one camera's snapshot and stream URLs, which end up in browser history and
+// proxy logs: it expires within minutes, opens nothing else and dies with the login
+async function issueMediaToken(sessionToken, deviceId) {
+  const login = await liveSession(sessionToken);
+  if (!login || login.scope) throw new HttpError(401, 'Authentication required');
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Math.min(
+    Date.now() + config.mediaTokenTtlSeconds * 1000,
+    new Date(login.expiresAt).getTime()
+  ));
+  await sessions.create({ tokenHash: hashToken(token), user: login.user, scope: `camera:${deviceId}`, parent: login.id, expiresAt });
+  return { token, expiresAt };
+}
+
+// Resolve a media token to its user, or null unless it was issued for this camera
+async function userForMediaToken(token, deviceId) {
+  const session = await liveSession(token);
+  if (!session || session.scope !== `camera:${deviceId}`) return null;
+  if (!(await sessions.findById(session.parent))) return null;
+  return sessionUser(session);
+}
+
+// Demo accounts so the in-memory mode is usable straight away
+async function seedDemoUsers() {
+  const demo = [
+    { userId: 'BC-IND-101', name: 'Blue Compass Dispatch', role: 'logistics' },
+    { userId: 'BC-SEL-201', name: 'Arul Kumar', phone: '+91 98765 43210', email: 'arul@example.com', role: 'seller' },
+    { userId: 'BC-ADM-001', name: 'Blue Compass Admin', role: 'admin' },
+    { userId: 'BC-DRV-301', name: 'Rajesh K.', phone: '+91 94430 11111', role: 'driver' },
+  ];
+  for (const account of demo) {
+    if (!(await users.findOne({ userId: account.userId }))) {
+      await createUser({ ...account, password: config.demoPassword });
+      console.log(`👤 Demo ${account.role} account: ${account.userId} / ${config.demoPassword}`);
+    }
+  }
+}
+
+module.exports = {
+  hashPassword, verifyPassword, publicUser, createUser, login, logout,
+  userForToken, issueMediaToken, userForMediaToken, seedDemoUsers,
+};
@@ -0,0 +1,128 @@
+const { bookings, trips, pickupRequests } = require('../repositories');
+const { HttpError } = require('../errors');
+const events = require('./events');
+const { withDetails, cutoffFor } = require('./trips');
+
+// Requests that have not left the seller yet can still be put on a trip
+const BOOKABLE_STATUSES = ['Pending', 'Accepted', 'Scheduled'];
+
+const isOwner = (user, booking) => user.role !== 'seller' || booking.seller === user.id;
+
+async function publishTripUpdate(tripId) {
+  const trip = await trips.findById(tripId);
+  if (trip) events.publish('trip.updated', await withDetails(trip));
+}
+
+const releaseSpace = (tripId, weightKg) => trips.increment(tripId, { bookedKg: -weightKg });
+
+async function setRequestTrip(requestId, tripId) {
+  const updated = await pickupRequests.update(requestId, { trip: tripId });
+  if (updated) events.publish('request.updated', updated);
+}
+
+// Flip an active booking to cancelled and give its space back; null when another call got
+// there first, so the space is only ever released once
+async function cancelActive(booking, reason) {
+  const cancelled = await bookings.update(booking.id, {
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancelReason: reason,
+  }, { status: 'active' });
+  if (!cancelled) return null;
+  await releaseSpace(booking.trip, booking.weightKg);
+  await setRequestTrip(booking.request, null);
+  return cancelled;
+}
+
+// 🔹 Bookings on one trip (sellers only see their own)
+async function listForTrip(tripId, user) {
+  const trip = await trips.findById(tripId);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+  const filter = { trip: tripId };
+  if (user.role === 'seller') filter.seller = user.id;
+  return bookings.find(filter);
+}
+
+// 🔹 A seller's bookings across all trips
+async function listForSeller(sellerId, { status } = {}) {
+  const filter = { seller: sellerId };
+  if (status) filter.status = status;
+  return bookings.find(filter);
+}
+
+// 🔹 Reserve the request's weight on a trip
+async function bookTrip(tripId, requestId, user) {
+  const [trip, request] = await Promise.all([trips.findById(tripId), pickupRequests.findById(requestId)]);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+  if (!request || request.seller !== user.id) throw new HttpError(404, 'Request not found');
+
+  if (trip.status !== 'scheduled') throw new HttpError(409, `Trip is ${trip.status}`);
+  if (new Date() >= cutoffFor(trip)) {
+    throw new HttpError(409, 'Bookings for this trip have closed');
+  }
+  if (!BOOKABLE_STATUSES.includes(request.status)) {
+    throw new HttpError(409, `A ${request.status} request cannot be booked on a trip`);
+  }
+
+  const existing = await bookings.findOne({ request: requestId, status: 'active' });
+  if (existing) throw new HttpError(409, 'Request is already booked on a trip', { tripId: existing.trip });
+
+  // Take the space first, atomically, so two sellers cannot both get the last of it
+  const held = await trips.increment(tripId, { bookedKg: request.weight }, { bookedKg: 'capacityKg' });
+  if (!held) {
+    const { remainingKg } = await withDetails(await trips.findById(tripId));
+    throw new HttpError(409, `Only ${remainingKg} kg left on this trip; request weighs ${request.weight} kg`, { remainingKg });
+  }
+
+  let booking;
+  try {
+    booking = await bookings.create({
+      trip: tripId,
+      request: requestId,
+      seller: user.id,
+      sellerName: request.sellerName,
+      weightKg: request.weight,
+    });
+  } catch (err) {
+    await releaseSpace(tripId, request.weight);
+    // The unique index on active bookings caught a concurrent booking of the same request
+    if (err.code === 11000) throw new HttpError(409, 'Request is already booked on a trip');
+    throw err;
+  }
+  await setRequestTrip(requestId, tripId);
+  await publishTripUpdate(tripId);
+  return booking;
+}
+
+// 🔹 Release the space; allowed until the booking cutoff
+async function cancelBooking(id, user) {
+  const booking = await bookings.findById(id);
+  if (!booking || !isOwner(user, booking)) throw new HttpError(404, 'Booking not found');
+  if (booking.status === 'cancelled') throw new HttpError(409, 'Booking is already cancelled');
+
+  const trip = await trips.findById(booking.trip);
+  if (trip && user.role === 'seller' && new Date() >= cutoffFor(trip)) {
+    throw new HttpError(409, 'Bookings for this trip can no longer be cancelled');
+  }
+
+  const cancelled = await cancelActive(booking, user.role === 'seller' ? 'Cancelled by seller' : 'Cancelled by logistics');
+  if (!cancelled) throw new HttpError(409, 'Booking is already cancelled');
+  await publishTripUpdate(booking.trip);
+  return cancelled;
+}
+
+// Called when logistics cancels the whole trip
+async function cancelAllForTrip(tripId, reason) {
+  const active = await bookings.find({ trip: tripId, status: 'active' });
+  for (const booking of active) {
+    await cancelActive(booking, reason);
+  }
+}
+
+// Called when the request itself is cancelled or rejected, so its weight stops holding space
+async function cancelForRequest(requestId, reason) {
+  const booking = await bookings.findOne({ request: requestId, status: 'active' });
+  if (booking && await cancelActive(booking, reason)) await publishTripUpdate(booking.trip);
+}
+
+module.exports = { listForTrip, listForSeller, bookTrip, cancelBooking, cancelAllForTrip, cancelForRequest, BOOKABLE_STATUSES };
@@ -0,0 +1,52 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trips, bookings, pickupRequests, users } = require('../repositories');
+const { bookTrip, cancelBooking } = require('./bookings');
+const { transition } = require('./pickupLifecycle');
+
+let seller;
+
+async function setUp(weight = 100) {
+  const trip = await trips.create({ hub: 'Salem Hub', departureAt: new Date(Date.now() + 7 * 864e5), vehicle: 'v1', capacityKg: 1000 });
+  const request = await pickupRequests.create({
+    seller: seller.id, sellerName: 'Arul', phone: '+91 98765 43210', email: 'arul@example.com', address: 'Salem', weight, type: 'Textiles',
+  });
+  return { trip, request };
+}
+
+const bookedKg = async trip => (await trips.findById(trip.id)).bookedKg;
+
+test.before(async () => {
+  seller = await users.create({ userId: 'BC-SEL-911', passwordHash: 'x', name: 'Arul', role: 'seller' });
+});
+
+test('a request can only be booked once, even by concurrent calls', async () => {
+  const { trip, request } = await setUp();
+
+  const results = await Promise.allSettled([1, 2].map(() => bookTrip(trip.id, request.id, seller)));
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(r => r.status === 'rejected').reason.status, 409);
+  assert.equal(await bookedKg(trip), 100);
+});
+
+test('concurrent cancels of one booking release its space once', async () => {
+  const { trip, request } = await setUp();
+  const booking = await bookTrip(trip.id, request.id, seller);
+
+  const results = await Promise.allSettled([1, 2].map(() => cancelBooking(booking.id, seller)));
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(await bookedKg(trip), 0);
+});
+
+test('cancelling the request cancels its booking and frees the space', async () => {
+  const { trip, request } = await setUp();
+  await bookTrip(trip.id, request.id, seller);
+
+  const cancelled = await transition(pickupRequests, request.id, 'cancel', { user: seller });
+  assert.equal(cancelled.status, 'Cancelled');
+  assert.equal(cancelled.trip, null);
+  assert.equal(await bookedKg(trip), 0);
+  assert.deepEqual((await bookings.find({ request: request.id })).map(b => b.status), ['cancelled']);
+});
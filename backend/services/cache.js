@@ -0,0 +1,31 @@
+// 🔹 Small in-process LRU cache with per-entry expiry.
+// Map iteration order is insertion order, so re-inserting on read keeps
+// the most recently used entries at the end and the oldest at the front.
+function createCache({ max = 500, ttlMs = 60 * 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  }
+
+  return { get, set, clear: () => entries.clear(), size: () => entries.size };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,89 @@
+const { Readable } = require('stream');
+const config = require('../config');
+const { cameraDevices } = require('../repositories');
+const { HttpError } = require('../errors');
+const devices = require('./devices');
+const events = require('./events');
+
+// A frame less than this old already counts as "seen"; spares a write per proxied snapshot
+const FRAME_WRITE_INTERVAL_MS = 10000;
+
+async function recordHealth(device, changes) {
+  const updated = await cameraDevices.update(device.id, changes);
+  const after = await devices.getDevice(updated.id);
+  if (after.health !== device.health) events.publish('camera.health', after);
+  return after;
+}
+
+async function recordFrame(device) {
+  if (device.health === 'online' && device.lastFrameAt && Date.now() - new Date(device.lastFrameAt) < FRAME_WRITE_INTERVAL_MS) return device;
+  return recordHealth(device, { lastFrameAt: new Date() });
+}
+
+const recordError = (device, message) => recordHealth(device, { lastErrorAt: new Date(), lastError: message });
+
+async function openUpstream(device, url, signal) {
+  try {
+    const res = await fetch(url, { signal });
+    if (!res.ok) throw new Error(`camera answered ${res.status}`);
+    return res;
+  } catch (err) {
+    let reason = err.message;
+    if (err.name === 'TimeoutError') reason = 'camera did not answer in time';
+    else if (err.cause) reason = `cannot reach camera (${err.cause.code || err.cause.message})`;
+    await recordError(device, reason);
+    throw new HttpError(502, `${device.name || device.deviceId} is offline`, { reason });
+  }
+}
+
+async function cameraFor(id) {
+  const device = await devices.getDevice(id);
+  if (!device.active) throw new HttpError(409, `${device.name || device.deviceId} is disabled`);
+  return device;
+}
+
+// 🔹 The camera's current frame as { contentType, body } (a Buffer), fetched by the backend
+async function snapshot(id) {
+  const device = await cameraFor(id);
+  if (!device.snapshotUrl) throw new HttpError(404, `${device.name || device.deviceId} has no snapshot URL`);
+  const res = await openUpstream(device, device.snapshotUrl, AbortSignal.timeout(config.cameraTimeoutMs));
+  const body = Buffer.from(await res.arrayBuffer());
+  await recordFrame(device);
+  return { contentType: res.headers.get('content-type') || 'image/jpeg', body };
+}
+
+// 🔹 Relay the camera's MJPEG stream to `res` until either side hangs up
+async function pipeStream(id, req, res) {
+  const device = await cameraFor(id);
+  if (!device.streamUrl) throw new HttpError(404, `${device.name || device.deviceId} has no stream URL`);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(new DOMException('timeout', 'TimeoutError')), config.cameraTimeoutMs);
+  const upstream = await openUpstream(device, device.streamUrl, controller.signal).finally(() => clearTimeout(timeout));
+  await recordFrame(device);
+
+  res.set({
+    'Content-Type': upstream.headers.get('content-type') || 'multipart/x-mixed-replace',
+    'Cache-Control': 'no-cache',
+  });
+  const body = Readable.fromWeb(upstream.body);
+  req.on('close', () => controller.abort());
+  body.on('error', () => res.end());
+  body.pipe(res);
+}
+
+// Fetch every active camera's snapshot once, so health is known before anyone opens the feed
+async function probeAll() {
+  const cameras = (await devices.listDevices()).filter(d => d.active && d.snapshotUrl);
+  await Promise.all(cameras.map(d => snapshot(d.id).catch(() => null)));
+}
+
+// 🔹 Start probing cameras; returns a stop function
+function start() {
+  const probe = () => probeAll().catch(err => console.error('Camera health check failed:', err));
+  probe();
+  const timer = setInterval(probe, config.cameraHealthPollMs);
+  return () => clearInterval(timer);
+}
+
+module.exports = { snapshot, pipeStream, probeAll, start };
@@ -0,0 +1,230 @@
+const config = require('../config');
+const { pickupRequests, vehicles, trips, bookings, users, routePlans } = require('../repositories');
+const { HttpError } = require('../errors');
+const { legEmissionKg } = require('./emissions');
+const { activeFactorSet } = require('./emissionFactors');
+const { haversineKm } = require('./optimizer/geo');
+const routing = require('./routing');
+const gazetteer = require('./geocoding/gazetteer');
+
+// Sellers are ranked on deliveries from this many days back
+const RANK_WINDOW_DAYS = 90;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Best gazetteer match for a hub or destination name, or null
+const placeNamed = (name) => gazetteer.search(name)[0] || null;
+
+// Most a pickup may lie from a gazetteer locality and still be counted in its district
+const CITY_MAX_KM = 25;
+
+// Km of each leg through `points` and where they came from (osrm or the bundled network);
+// straight-line km only if no router answers, which the statement then marks as an estimate
+async function runLegs(points) {
+  try {
+    const { legs, source } = await routing.route(points);
+    return { legsKm: legs.map(l => l.distanceKm), distanceSource: source };
+  } catch (err) {
+    console.warn('Routing the carrying run failed:', err.message);
+    return { legsKm: points.slice(1).map((p, i) => haversineKm(points[i], p)), distanceSource: 'straight-line' };
+  }
+}
+
+// Emissions of a run whose legs carry `loadsKg` (one per leg)
+async function runEmissions(factors, vehicle, points, loadsKg) {
+  const { legsKm, distanceSource } = await runLegs(points);
+  return {
+    distanceKm: legsKm.reduce((sum, km) => sum + km, 0),
+    distanceSource,
+    runKg: legsKm.reduce((sum, km, i) => sum + legEmissionKg(factors, km, loadsKg[i], vehicle), 0),
+  };
+}
+
+// The latest route plan of `vehicleId` on which the request was picked up, or null
+async function pickupPlan(vehicleId, requestId) {
+  const plans = await routePlans.find({ vehicle: vehicleId });
+  return plans.reverse().find(p => p.stops.some(s => s.request === requestId && s.status === 'picked-up')) || null;
+}
+
+// The run that carried the request and everything it carried, so the shares of all the requests on
+// it add up to its emissions: a booked trip's linehaul from its hub at the booked load, else the
+// route its truck drove (depot, every stop picked up, back) leg by leg at the load on board. A
+// request picked up off-route (or a trip without a destination) is charged its own haul to the depot.
+async function carryingRun(request, factors) {
+  const pickup = { lat: request.lat, lng: request.lng };
+  const trip = request.trip && await trips.findById(request.trip);
+  const destination = trip && trip.destination ? placeNamed(trip.destination) : null;
+  if (trip && destination) {
+    const hub = placeNamed(trip.hub) || config.depot;
+    const vehicle = await vehicles.findById(trip.vehicle);
+    const booked = await bookings.find({ trip: trip.id, status: 'active' });
+    const sharedLoadKg = Math.max(booked.reduce((sum, b) => sum + b.weightKg, 0), request.weight);
+    return {
+      basis: 'trip',
+      vehicle,
+      sharedLoadKg,
+      ...await runEmissions(factors, vehicle, [hub, destination], [sharedLoadKg]),
+    };
+  }
+
+  const vehicle = request.vehicle && await vehicles.findById(request.vehicle);
+  const plan = vehicle && await pickupPlan(vehicle.id, request.id);
+  if (plan) {
+    const picked = plan.stops.filter(s => s.status === 'picked-up');
+    const depot = plan.depot && plan.depot.lat != null ? plan.depot : config.depot;
+    let onBoardKg = 0;
+    const loadsKg = [0, ...picked.map((s) => { onBoardKg += s.weightKg; return onBoardKg; })];
+    return {
+      basis: 'route',
+      vehicle,
+      sharedLoadKg: onBoardKg,
+      ...await runEmissions(factors, vehicle, [depot, ...picked, depot], loadsKg),
+    };
+  }
+
+  return {
+    basis: vehicle ? 'vehicle' : 'default',
+    vehicle,
+    sharedLoadKg: request.weight,
+    ...await runEmissions(factors, vehicle, [pickup, config.depot], [request.weight]),
+  };
+}
+
+// District of the locality nearest the pickup, unless the pickup is too far from any to tell
+function cityOf(point) {
+  const place = gazetteer.nearest(point);
+  return place && place.km <= CITY_MAX_KM ? place.district : null;
+}
+
+// 🔹 Fix a delivered request's share of its run's emissions (split by weight)
+async function recordDelivery(request) {
+  if (request.lat == null || request.lng == null) return request;
+  const factorSet = await activeFactorSet();
+  const run = await carryingRun(request, factorSet.factors);
+
+  return pickupRequests.update(request.id, {
+    emissions: {
+      kg: run.sharedLoadKg > 0 ? run.runKg * (request.weight / run.sharedLoadKg) : 0,
+      distanceKm: run.distanceKm,
+      distanceSource: run.distanceSource,
+      sharedLoadKg: run.sharedLoadKg,
+      basis: run.basis,
+      vehicle: run.vehicle ? run.vehicle.registrationNumber : null,
+      city: cityOf(request),
+      factorVersion: factorSet.version,
+      at: new Date(),
+    },
+  });
+}
+
+// "2026-10" -> [start of October, start of November] in server time
+function monthRange(month) {
+  const [year, m] = month.split('-').map(Number);
+  return [new Date(year, m - 1, 1), new Date(year, m, 1)];
+}
+
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const deliveredWithEmissions = async (filter = {}) =>
+  (await pickupRequests.find({ ...filter, status: 'Delivered' })).filter(r => r.emissions);
+
+// 🔹 One seller's deliveries in a month with the emissions each carried
+async function monthlyStatement(sellerId, month = currentMonth()) {
+  const seller = await users.findById(sellerId);
+  if (!seller) throw new HttpError(404, 'Seller not found');
+  const [from, to] = monthRange(month);
+
+  const lines = (await deliveredWithEmissions({ seller: sellerId }))
+    .filter(r => new Date(r.emissions.at) >= from && new Date(r.emissions.at) < to)
+    .sort((a, b) => new Date(a.emissions.at) - new Date(b.emissions.at))
+    .map(r => ({
+      requestId: r.id,
+      deliveredAt: r.emissions.at,
+      address: r.address,
+      type: r.type,
+      weightKg: r.weight,
+      distanceKm: round(r.emissions.distanceKm),
+      distanceSource: r.emissions.distanceSource,
+      estimated: r.emissions.distanceSource === 'straight-line',
+      vehicle: r.emissions.vehicle,
+      basis: r.emissions.basis,
+      emissionKg: round(r.emissions.kg, 3),
+      factorVersion: r.emissions.factorVersion,
+    }));
+
+  const weightKg = lines.reduce((sum, l) => sum + l.weightKg, 0);
+  const emissionKg = lines.reduce((sum, l) => sum + l.emissionKg, 0);
+  return {
+    seller: { id: seller.id, userId: seller.userId, name: seller.name },
+    month,
+    from,
+    to,
+    lines,
+    totals: {
+      pickups: lines.length,
+      weightKg,
+      emissionKg: round(emissionKg, 3),
+      kgPerTonne: weightKg > 0 ? round(emissionKg / (weightKg / 1000)) : 0,
+      factorVersions: [...new Set(lines.map(l => l.factorVersion))],
+      // Some distances are straight-line, so their emissions are estimates
+      estimated: lines.some(l => l.estimated),
+    },
+  };
+}
+
+const CSV_COLUMNS = ['deliveredAt', 'requestId', 'address', 'type', 'weightKg', 'distanceKm', 'distanceSource', 'vehicle', 'basis', 'emissionKg', 'factorVersion'];
+
+// Text a spreadsheet would run as a formula (=, +, -, @) is prefixed with ' so it stays text
+const csvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function statementCsv(statement) {
+  const rows = statement.lines.map(line => CSV_COLUMNS.map(c => csvCell(line[c])).join(','));
+  const total = CSV_COLUMNS.map((c, i) => {
+    if (i === 0) return 'TOTAL';
+    if (c === 'weightKg') return statement.totals.weightKg;
+    if (c === 'emissionKg') return statement.totals.emissionKg;
+    return '';
+  }).join(',');
+  return [CSV_COLUMNS.join(','), ...rows, total].join('\n') + '\n';
+}
+
+// 🔹 Where a seller stands among sellers in the same city: fewest kg CO2e per tonne shipped first
+async function sustainabilityRank(sellerId) {
+  const since = new Date(Date.now() - RANK_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const recent = (await deliveredWithEmissions()).filter(r => r.seller && new Date(r.emissions.at) >= since);
+
+  const bySeller = {};
+  recent.forEach((r) => {
+    const s = bySeller[r.seller] || (bySeller[r.seller] = { kg: 0, weightKg: 0, cities: {} });
+    s.kg += r.emissions.kg;
+    s.weightKg += r.weight;
+    if (r.emissions.city) s.cities[r.emissions.city] = (s.cities[r.emissions.city] || 0) + r.weight;
+  });
+  // A seller belongs to the city most of their weight ships from
+  const cityOf = (s) => Object.entries(s.cities).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  const intensity = (s) => s.kg / Math.max(s.weightKg / 1000, 0.001);
+
+  const mine = bySeller[sellerId];
+  if (!mine) return { rank: null, of: 0, city: null, kgPerTonne: null, windowDays: RANK_WINDOW_DAYS };
+
+  const city = cityOf(mine);
+  const peers = Object.entries(bySeller)
+    .filter(([, s]) => cityOf(s) === city)
+    .sort(([, a], [, b]) => intensity(a) - intensity(b));
+  return {
+    rank: peers.findIndex(([id]) => id === sellerId) + 1,
+    of: peers.length,
+    city,
+    kgPerTonne: round(intensity(mine)),
+    windowDays: RANK_WINDOW_DAYS,
+  };
+}
+
+module.exports = { recordDelivery, monthlyStatement, statementCsv, sustainabilityRank, currentMonth };
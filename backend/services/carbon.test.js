@@ -0,0 +1,39 @@
+process.env.STORAGE = 'memory';
+process.env.ROUTER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vehicles, routePlans, pickupRequests } = require('../repositories');
+const { recordDelivery } = require('./carbon');
+
+const depot = { name: 'Salem Hub', lat: 11.6643, lng: 78.146 };
+
+const request = (weight, lat, lng, vehicle) => pickupRequests.create({
+  sellerName: 'Arul', phone: '+91 98765 43210', email: 'arul@example.com', address: 'Salem', weight, type: 'Textiles', lat, lng, vehicle, status: 'Delivered',
+});
+
+test('requests picked up on one route share its emissions by weight', async () => {
+  const truck = await vehicles.create({ registrationNumber: 'TN30ZZ0101', vehicleClass: 'LCV', payloadCapacityKg: 1500, fuelType: 'diesel' });
+  const light = await request(200, 11.74, 78.05, truck.id);
+  const heavy = await request(300, 11.8, 78.05, truck.id);
+  await routePlans.create({
+    vehicle: truck.id,
+    departAt: new Date(),
+    depot,
+    stops: [light, heavy].map((r, i) => ({ sequence: i + 1, request: r.id, lat: r.lat, lng: r.lng, weightKg: r.weight, status: 'picked-up' })),
+  });
+
+  const [a, b] = [await recordDelivery(light), await recordDelivery(heavy)];
+  assert.equal(a.emissions.basis, 'route');
+  assert.equal(a.emissions.sharedLoadKg, 500);
+  assert.equal(a.emissions.distanceKm, b.emissions.distanceKm);
+  assert.ok(Math.abs(a.emissions.kg / b.emissions.kg - 200 / 300) < 1e-9);
+});
+
+test('a pickup far from every gazetteer locality is not counted in any city', async () => {
+  const nearSalem = await recordDelivery(await request(100, 11.66, 78.15, null));
+  const offMap = await recordDelivery(await request(100, 14.5, 78.05, null));
+
+  assert.equal(nearSalem.emissions.city, 'Salem');
+  assert.equal(offMap.emissions.city, null);
+});
@@ -0,0 +1,121 @@
+const { detections, trips, skuClasses } = require('../repositories');
+const { HttpError } = require('../errors');
+const { activePlan } = require('./driverRoutes');
+const devices = require('./devices');
+const events = require('./events');
+
+// Soonest first, so the trip about to leave wins over later ones
+const byDeparture = (a, b) => new Date(a.departureAt) - new Date(b.departureAt);
+
+// The trip a device is loading for: its truck's trip on the road, else the truck's next
+// scheduled departure. A camera fixed at a hub bay loads that hub's next departure.
+async function currentTrip(device) {
+  if (device.vehicle) {
+    const [departed] = await trips.find({ vehicle: device.vehicle, status: 'departed' });
+    if (departed) return departed;
+    const [next] = (await trips.find({ vehicle: device.vehicle, status: 'scheduled' })).sort(byDeparture);
+    return next || null;
+  }
+  if (device.hub) {
+    const [next] = (await trips.find({ hub: device.hub, status: 'scheduled' })).sort(byDeparture);
+    return next || null;
+  }
+  return null;
+}
+
+// The route stop the truck is standing at (the latest one the driver marked arrived), if any
+async function loadingStop(vehicleId) {
+  const plan = vehicleId ? await activePlan(vehicleId) : null;
+  if (!plan) return { plan: null, stop: null };
+  const [stop] = plan.stops
+    .filter(s => s.status === 'arrived')
+    .sort((a, b) => new Date(b.arrivedAt) - new Date(a.arrivedAt));
+  return { plan, stop: stop || null };
+}
+
+// 🔹 Per-class counts for a trip since its last reset, with a breakdown by loading stop
+async function tripCounts(tripId) {
+  const trip = await trips.findById(tripId);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+
+  // By when the camera saw each item, so a batch that arrives late is counted on the right side of a reset
+  const resetAt = trip.countResetAt ? new Date(trip.countResetAt) : null;
+  const [counted, classes] = await Promise.all([
+    detections.find(resetAt ? { trip: trip.id, at: { $gte: resetAt } } : { trip: trip.id }),
+    skuClasses.find(),
+  ]);
+
+  const byLabel = {};
+  const stops = {};
+  counted.forEach((e) => {
+    byLabel[e.label] = (byLabel[e.label] || 0) + 1;
+    if (e.stopSequence == null) return;
+    stops[e.stopSequence] = stops[e.stopSequence] || { sequence: e.stopSequence, request: e.request, total: 0, labels: {} };
+    stops[e.stopSequence].total += 1;
+    stops[e.stopSequence].labels[e.label] = (stops[e.stopSequence].labels[e.label] || 0) + 1;
+  });
+
+  const known = new Set(classes.map(c => c.label));
+  const perClass = classes.map(c => ({
+    sku: c.id,
+    label: c.label,
+    name: c.name,
+    count: byLabel[c.label] || 0,
+    weightKg: c.unitWeightKg != null ? (byLabel[c.label] || 0) * c.unitWeightKg : null,
+  }));
+
+  return {
+    trip: trip.id,
+    countResetAt: trip.countResetAt,
+    total: counted.length,
+    classes: perClass,
+    unclassified: counted.filter(e => !known.has(e.label)).length,
+    estimatedWeightKg: perClass.reduce((sum, c) => sum + (c.weightKg || 0), 0),
+    stops: Object.values(stops).sort((a, b) => a.sequence - b.sequence),
+    lastDetectionAt: counted.reduce((latest, e) => (!latest || new Date(e.at) > new Date(latest) ? e.at : latest), null),
+  };
+}
+
+const publishCounts = async (tripId) => events.publish('detections.counted', await tripCounts(tripId));
+
+// 🔹 Store a batch of detections from one device, attributed to its current trip and loading stop.
+// Events that cannot be tied to a trip are still kept (trip: null) so nothing a camera saw is lost.
+async function ingest(device, batch) {
+  const foreign = batch.find(e => e.deviceId !== device.deviceId);
+  if (foreign) throw new HttpError(403, `This key belongs to device ${device.deviceId}, not ${foreign.deviceId}`);
+
+  const [trip, { plan, stop }] = await Promise.all([currentTrip(device), loadingStop(device.vehicle)]);
+  const now = new Date();
+  await Promise.all(batch.map(e => detections.create({
+    device: device.deviceId,
+    label: e.label,
+    confidence: e.confidence ?? null,
+    at: e.at > now ? now : e.at, // device clocks drift; never record a sighting in the future
+    vehicle: device.vehicle || (trip ? trip.vehicle : null),
+    trip: trip ? trip.id : null,
+    plan: plan ? plan.id : null,
+    stopSequence: stop ? stop.sequence : null,
+    request: stop ? stop.request : null,
+  })));
+  await devices.touch(device);
+  if (trip) await publishCounts(trip.id);
+
+  return {
+    accepted: batch.length,
+    trip: trip ? trip.id : null,
+    stopSequence: stop ? stop.sequence : null,
+    request: stop ? stop.request : null,
+  };
+}
+
+// 🔹 Start the trip's counts from zero; earlier detections stay on record
+async function resetCounts(tripId) {
+  const trip = await trips.findById(tripId);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+  await trips.update(trip.id, { countResetAt: new Date() });
+  const counts = await tripCounts(trip.id);
+  events.publish('detections.counted', counts);
+  return counts;
+}
+
+module.exports = { currentTrip, tripCounts, ingest, resetCounts };
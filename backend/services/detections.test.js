@@ -0,0 +1,19 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trips, detections } = require('../repositories');
+const { tripCounts, resetCounts } = require('./detections');
+
+test('a reset counts by when the camera saw each item, not when the batch arrived', async () => {
+  const trip = await trips.create({ hub: 'Salem Hub', departureAt: new Date(Date.now() + 864e5), vehicle: 'v1', capacityKg: 1000 });
+  const seenAt = new Date();
+  await resetCounts(trip.id);
+
+  // A batch captured before the reset but delivered after it, and one captured after
+  await detections.create({ device: 'cam-1', label: 'bale', at: new Date(seenAt.getTime() - 60000), trip: trip.id });
+  await detections.create({ device: 'cam-1', label: 'bale', at: new Date(Date.now() + 1000), trip: trip.id });
+
+  const counts = await tripCounts(trip.id);
+  assert.equal(counts.total, 1);
+});
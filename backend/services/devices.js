@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { cameraDevices, vehicles } = require('../repositories');
+const { HttpError } = require('../errors');
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+const newKey = () => crypto.randomBytes(24).toString('hex');
+
+// 'online' after a recent frame or detection, 'offline' after an error or a long silence,
+// 'unknown' for a camera nothing has been heard from yet
+function healthOf(device) {
+  const heard = Math.max(0, ...[device.lastFrameAt, device.lastSeenAt].filter(Boolean).map(d => new Date(d).getTime()));
+  if (!heard && !device.lastErrorAt) return 'unknown';
+  if (device.lastErrorAt && new Date(device.lastErrorAt).getTime() > heard) return 'offline';
+  return Date.now() - heard <= config.cameraStaleSeconds * 1000 ? 'online' : 'offline';
+}
+
+const publicDevice = ({ keyHash, ...device }) => ({ ...device, health: device.active ? healthOf(device) : 'disabled' });
+
+async function checkVehicle(vehicleId) {
+  if (!vehicleId) return;
+  if (!(await vehicles.findById(vehicleId))) {
+    throw new HttpError(400, 'Validation failed', { errors: { vehicleId: 'must be a registered vehicle' } });
+  }
+}
+
+async function listDevices() {
+  return (await cameraDevices.find()).map(publicDevice);
+}
+
+async function getDevice(id) {
+  const device = await cameraDevices.findById(id);
+  if (!device) throw new HttpError(404, 'Device not found');
+  return publicDevice(device);
+}
+
+// 🔹 Register a camera; the API key (for posting detections) is returned this once and only its hash is kept
+async function registerDevice({ deviceId, vehicleId, ...fields }) {
+  await checkVehicle(vehicleId);
+  if (await cameraDevices.findOne({ deviceId })) {
+    throw new HttpError(409, `Device ${deviceId} is already registered`);
+  }
+  const apiKey = newKey();
+  const device = await cameraDevices.create({ ...fields, deviceId, vehicle: vehicleId || null, keyHash: hashKey(apiKey) });
+  return { ...publicDevice(device), apiKey };
+}
+
+// vehicleId: null takes the camera off its truck (e.g. when it moves to a hub dock)
+async function updateDevice(id, { vehicleId, ...changes }) {
+  await getDevice(id);
+  await checkVehicle(vehicleId);
+  const updated = await cameraDevices.update(id, vehicleId !== undefined ? { ...changes, vehicle: vehicleId } : changes);
+  return publicDevice(updated);
+}
+
+// 🔹 Issue a new key (the old one stops working straight away)
+async function rotateKey(id) {
+  await getDevice(id);
+  const apiKey = newKey();
+  const updated = await cameraDevices.update(id, { keyHash: hashKey(apiKey) });
+  return { ...publicDevice(updated), apiKey };
+}
+
+async function removeDevice(id) {
+  await getDevice(id);
+  await cameraDevices.remove(id);
+}
+
+// 🔹 The active device a key belongs to, or null
+async function deviceForKey(key) {
+  if (!key) return null;
+  const device = await cameraDevices.findOne({ keyHash: hashKey(key) });
+  return device && device.active ? publicDevice(device) : null;
+}
+
+const touch = (device) => cameraDevices.update(device.id, { lastSeenAt: new Date() });
+
+module.exports = { hashKey, listDevices, getDevice, registerDevice, updateDevice, rotateKey, removeDevice, deviceForKey, touch };
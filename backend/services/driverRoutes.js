@@ -0,0 +1,185 @@
+const { routePlans, vehicles, pickupRequests } = require('../repositories');
+const { HttpError } = require('../errors');
+const { transition } = require('./pickupLifecycle');
+const { RELEASED_STATUSES } = require('./slots');
+const events = require('./events');
+
+// Stop actions a driver can take: which stop statuses each applies to and where it leads.
+// `skip` closes the stop of a request that was cancelled or rejected after the route was planned.
+const STOP_ACTIONS = {
+  arrive: { from: ['pending'], to: 'arrived' },
+  pickup: { from: ['pending', 'arrived'], to: 'picked-up' },
+  fail: { from: ['pending', 'arrived'], to: 'failed' },
+  skip: { from: ['pending', 'arrived'], to: 'skipped' },
+};
+
+const publishPlan = (plan, vehicle) => events.publish('route.updated', { ...plan, driverUser: vehicle ? vehicle.driverUser : null });
+
+// Retire a truck's active routes; returns the stops its driver had already reached or closed
+async function retirePlans(vehicleId) {
+  const previous = await routePlans.find({ vehicle: vehicleId, active: true });
+  await Promise.all(previous.map(p => routePlans.update(p.id, { active: false })));
+  return previous.flatMap(p => p.stops).filter(s => s.status !== 'pending');
+}
+
+// 🔹 Keep each truck's route from an optimization run so its driver can work through it;
+// a newer run replaces the routes of every truck in its fleet, including trucks it gave no
+// stops. Stops the driver has already reached, picked up, failed or skipped stay at the head
+// of the new route, so a replan mid-run keeps them. Returns the plans in `result.routes` order.
+async function recordPlans(result, user) {
+  const routed = result.routes.map(r => r.vehicle.id);
+  await Promise.all(result.vehicleIds.filter(id => !routed.includes(id)).map(async (vehicleId) => {
+    const started = await retirePlans(vehicleId);
+    const vehicle = await vehicles.findById(vehicleId);
+    if (!started.length) {
+      publishPlan({ id: null, vehicle: vehicleId, active: false, stops: [] }, vehicle);
+      return;
+    }
+    // Nothing left to drive, but what was already done on the road stays on record
+    const plan = await routePlans.create({
+      vehicle: vehicleId,
+      createdBy: user ? user.userId : null,
+      departAt: result.departAt,
+      depot: result.depot,
+      stops: started.map((s, i) => ({ ...s, sequence: i + 1 })),
+    });
+    publishPlan(plan, vehicle);
+  }));
+
+  return Promise.all(result.routes.map(async (route) => {
+    const started = await retirePlans(route.vehicle.id);
+    const startedRequests = started.map(s => s.request).filter(Boolean);
+    const planned = route.stops
+      .map((s, i) => ({
+        request: s.requestId || null,
+        name: s.name,
+        lat: s.lat,
+        lng: s.lng,
+        weightKg: s.weightKg,
+        eta: s.eta,
+        driveMin: route.legs[i].minutes,
+      }))
+      .filter(s => !s.request || !startedRequests.includes(s.request));
+
+    const plan = await routePlans.create({
+      vehicle: route.vehicle.id,
+      createdBy: user ? user.userId : null,
+      departAt: result.departAt,
+      depot: result.depot,
+      distanceKm: route.distanceKm,
+      durationMin: route.durationMin,
+      stops: [...started, ...planned].map((s, i) => ({ ...s, sequence: i + 1 })),
+    });
+    publishPlan(plan, await vehicles.findById(route.vehicle.id));
+    return plan;
+  }));
+}
+
+// The truck's active route, or null
+async function activePlan(vehicleId) {
+  const [plan] = (await routePlans.find({ vehicle: vehicleId, active: true })).slice(-1);
+  return plan || null;
+}
+
+// The truck a driver account is linked to, or 404
+async function driverVehicle(user) {
+  const vehicle = await vehicles.findOne({ driverUser: user.id });
+  if (!vehicle) throw new HttpError(404, 'No vehicle is assigned to you');
+  return vehicle;
+}
+
+// The driver's truck and its active route, or 404 when there is nothing to drive
+async function driverPlan(user) {
+  const vehicle = await driverVehicle(user);
+  const plan = await activePlan(vehicle.id);
+  if (!plan) throw new HttpError(404, 'No route has been planned for your vehicle yet');
+  return { vehicle, plan };
+}
+
+// What the driver needs at the door: who to ask for, how to reach them and what to load
+async function withRequestDetails(stop) {
+  const request = stop.request ? await pickupRequests.findById(stop.request) : null;
+  if (!request) return { ...stop, sellerName: null, phone: null, type: null, address: stop.name, requestStatus: null };
+  return {
+    ...stop,
+    sellerName: request.sellerName,
+    phone: request.phone,
+    type: request.type,
+    address: request.address,
+    weightKg: request.weight,
+    requestStatus: request.status,
+  };
+}
+
+// 🔹 The driver's current route with the pickup details for each stop
+async function currentRoute(user) {
+  const { vehicle, plan } = await driverPlan(user);
+  return {
+    ...plan,
+    vehicle: { id: vehicle.id, registrationNumber: vehicle.registrationNumber, vehicleClass: vehicle.vehicleClass },
+    stops: await Promise.all(plan.stops.map(withRequestDetails)),
+  };
+}
+
+// Move the stop's pickup request along with it. A pickup also puts the request on the truck and
+// schedules it first if it was only accepted, all in one write, so the seller hears only "picked up".
+// Arriving leaves the request as it is: its states track who holds the goods, which a truck at the
+// door does not change. Logistics sees the arrival as route.stop-updated, and the seller was told
+// the truck was on its way when the previous stop was done.
+async function moveRequest(stop, action, vehicle, user, reason) {
+  if (!stop.request) return;
+  if (action === 'skip') {
+    const request = await pickupRequests.findById(stop.request);
+    if (request && !RELEASED_STATUSES.includes(request.status)) {
+      throw new HttpError(409, `Only stops of cancelled or rejected requests can be skipped; this one is ${request.status}`);
+    }
+  } else if (action === 'pickup') {
+    await transition(pickupRequests, stop.request, 'pickup', {
+      user,
+      via: { action: 'schedule', note: `On the route of ${vehicle.registrationNumber}` },
+      changes: { vehicle: vehicle.id },
+    });
+  } else if (action === 'fail') {
+    await transition(pickupRequests, stop.request, 'fail', { user, note: reason });
+  }
+}
+
+// 🔹 Driver marks stop `sequence` arrived, picked up, failed (failures need a reason) or skipped
+// (only when its request was withdrawn). Throws 404 for unknown stops and 409 when the stop is
+// already past that point.
+async function updateStop(user, sequence, action, reason = '') {
+  const rule = STOP_ACTIONS[action];
+  if (!rule) throw new HttpError(404, `Unknown action "${action}"`);
+  if (action === 'fail' && !reason) {
+    throw new HttpError(400, 'Validation failed', { errors: { reason: 'is required when a pickup fails' } });
+  }
+
+  const { vehicle, plan } = await driverPlan(user);
+  const stop = plan.stops.find(s => s.sequence === sequence);
+  if (!stop) throw new HttpError(404, `Stop ${sequence} is not on your route`);
+  if (!rule.from.includes(stop.status)) {
+    throw new HttpError(409, `Cannot ${action} at a stop that is ${stop.status}`, { status: stop.status });
+  }
+
+  await moveRequest(stop, action, vehicle, user, reason);
+
+  const now = new Date();
+  const changes = action === 'arrive'
+    ? { status: rule.to, arrivedAt: now }
+    : { status: rule.to, reason: action === 'pickup' ? '' : reason, arrivedAt: stop.arrivedAt || now, completedAt: now };
+  const updated = await routePlans.update(plan.id, {
+    stops: plan.stops.map(s => (s.sequence === sequence ? { ...s, ...changes } : s)),
+  });
+  publishPlan(updated, vehicle);
+  events.publish('route.stop-updated', {
+    plan: plan.id,
+    vehicle: { id: vehicle.id, registrationNumber: vehicle.registrationNumber },
+    driverUser: user.id,
+    driverName: user.name,
+    action,
+    stop: { ...stop, ...changes },
+  });
+  return currentRoute(user);
+}
+
+module.exports = { STOP_ACTIONS, recordPlans, activePlan, driverVehicle, currentRoute, updateStop };
@@ -0,0 +1,79 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vehicles, users, pickupRequests } = require('../repositories');
+const { recordPlans, activePlan, updateStop } = require('./driverRoutes');
+const { transition } = require('./pickupLifecycle');
+
+const depot = { name: 'Salem Hub', lat: 11.66, lng: 78.15 };
+let driver;
+let truck;
+let spare;
+
+const request = () => pickupRequests.create({
+  sellerName: 'Arul', phone: '+91 98765 43210', email: 'arul@example.com', address: 'Salem', weight: 100, type: 'Textiles', lat: 11.7, lng: 78.1, status: 'Accepted',
+});
+
+// What optimizeRoutes returns, cut down to what recordPlans reads
+const run = (routes, vehicleIds) => ({
+  depot,
+  departAt: new Date(),
+  vehicleIds,
+  routes: routes.map(([vehicle, requests]) => ({
+    vehicle: { id: vehicle.id },
+    distanceKm: 10,
+    durationMin: 30,
+    stops: requests.map(r => ({ requestId: r.id, name: r.address, lat: r.lat, lng: r.lng, weightKg: r.weight, eta: new Date() })),
+    legs: requests.map(() => ({ minutes: 10 })),
+  })),
+});
+
+// Stops the driver worked in an earlier test stay at the head of later routes, so look stops up by request
+const sequenceOf = async r => (await activePlan(truck.id)).stops.find(s => s.request === r.id).sequence;
+const stopOf = (route, r) => route.stops.find(s => s.request === r.id);
+
+test.before(async () => {
+  driver = await users.create({ userId: 'BC-DRV-901', passwordHash: 'x', name: 'Ravi', role: 'driver' });
+  truck = await vehicles.create({ registrationNumber: 'TN30ZZ0001', vehicleClass: 'LCV', payloadCapacityKg: 1500, fuelType: 'diesel', driverUser: driver.id });
+  spare = await vehicles.create({ registrationNumber: 'TN30ZZ0002', vehicleClass: 'LCV', payloadCapacityKg: 1500, fuelType: 'diesel' });
+});
+
+test('a run retires the routes of trucks in its fleet that it gave no stops', async () => {
+  await recordPlans(run([[spare, [await request()]]], [spare.id]), null);
+  assert.ok(await activePlan(spare.id));
+
+  await recordPlans(run([[truck, [await request()]]], [truck.id, spare.id]), null);
+  assert.equal(await activePlan(spare.id), null);
+  assert.ok(await activePlan(truck.id));
+});
+
+test('a truck left without stops keeps the stops its driver already worked', async () => {
+  const first = await request();
+  await recordPlans(run([[truck, [first, await request()]]], [truck.id]), null);
+  await updateStop(driver, await sequenceOf(first), 'pickup');
+
+  await recordPlans(run([[spare, [await request()]]], [truck.id, spare.id]), null);
+  const kept = await activePlan(truck.id);
+  assert.deepEqual(kept.stops.map(s => [s.request, s.status]), [[first.id, 'picked-up']]);
+});
+
+test('the stop of a request withdrawn after planning is skipped, not picked up', async () => {
+  const [withdrawn, open] = [await request(), await request()];
+  await recordPlans(run([[truck, [withdrawn, open]]], [truck.id]), null);
+  await transition(pickupRequests, withdrawn.id, 'cancel', { note: 'No longer needed' });
+
+  await assert.rejects(updateStop(driver, await sequenceOf(withdrawn), 'pickup'), err => err.status === 409);
+  await assert.rejects(updateStop(driver, await sequenceOf(open), 'skip'), err => err.status === 409);
+  const route = await updateStop(driver, await sequenceOf(withdrawn), 'skip');
+  assert.deepEqual([stopOf(route, withdrawn).status, stopOf(route, open).status], ['skipped', 'pending']);
+});
+
+test('arriving at a stop leaves its request as it was', async () => {
+  const waiting = await request();
+  await recordPlans(run([[truck, [waiting]]], [truck.id]), null);
+
+  const route = await updateStop(driver, await sequenceOf(waiting), 'arrive');
+  assert.equal(stopOf(route, waiting).status, 'arrived');
+  assert.equal((await pickupRequests.findById(waiting.id)).status, 'Accepted');
+});
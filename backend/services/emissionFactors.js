@@ -0,0 +1,83 @@
+const { emissionFactors } = require('../repositories');
+const { HttpError } = require('../errors');
+
+// 🔹 Version 1 of the catalog, published automatically on first use
+const DEFAULT_FACTORS = {
+  // Diesel kg CO2e per vehicle-km running empty and at the class's reference payload
+  road: {
+    LCV: { empty: 0.2, full: 0.3, payloadKg: 1500 },
+    MCV: { empty: 0.42, full: 0.65, payloadKg: 5000 },
+    HCV: { empty: 0.65, full: 1.05, payloadKg: 10000 },
+  },
+  // Combustion fuels relative to diesel in the same class
+  fuel: { diesel: 1, petrol: 1.12, cng: 0.82 },
+  // Battery trucks: kWh per vehicle-km times the grid's kg CO2e per kWh
+  electric: {
+    gridKgPerKwh: 0.71,
+    kwhPerKm: {
+      LCV: { empty: 0.22, full: 0.3 },
+      MCV: { empty: 0.65, full: 0.9 },
+      HCV: { empty: 1.1, full: 1.5 },
+    },
+  },
+  // Share added on top for a running refrigeration unit
+  reeferUplift: 0.2,
+  // Other modes for the estimator, kg CO2e per tonne-km
+  modes: { rail: 0.028, air: 0.602 },
+};
+
+let active = null; // cached active version
+
+async function ensureCatalog() {
+  if (await emissionFactors.findOne()) return;
+  await emissionFactors.create({ version: 1, factors: DEFAULT_FACTORS, active: true, notes: 'Initial catalog', createdBy: 'system' });
+}
+
+// 🔹 The version new calculations use
+async function activeFactorSet() {
+  if (!active) {
+    await ensureCatalog();
+    active = await emissionFactors.findOne({ active: true });
+  }
+  return active;
+}
+
+async function listVersions() {
+  await ensureCatalog();
+  return (await emissionFactors.find()).sort((a, b) => b.version - a.version);
+}
+
+async function getVersion(version) {
+  const set = await emissionFactors.findOne({ version });
+  if (!set) throw new HttpError(404, `Emission factor version ${version} not found`);
+  return set;
+}
+
+async function makeActive(id) {
+  const current = await emissionFactors.find({ active: true });
+  for (const set of current) {
+    if (set.id !== id) await emissionFactors.update(set.id, { active: false });
+  }
+  active = await emissionFactors.update(id, { active: true });
+  return active;
+}
+
+// 🔹 Edits never change a published version; they publish the next one and make it active
+async function publishVersion({ factors, notes }, user) {
+  const versions = await listVersions();
+  const created = await emissionFactors.create({
+    version: versions[0].version + 1,
+    factors,
+    notes,
+    createdBy: user.userId,
+  });
+  return makeActive(created.id);
+}
+
+// Roll back (or forward) to an existing version
+async function activateVersion(version) {
+  const set = await getVersion(version);
+  return makeActive(set.id);
+}
+
+module.exports = { DEFAULT_FACTORS, activeFactorSet, listVersions, getVersion, publishVersion, activateVersion };
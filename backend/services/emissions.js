@@ -0,0 +1,45 @@
+// 🔹 Emission maths over one version of the factor catalog (services/emissionFactors.js).
+// Truck factors are per vehicle-km, empty and at full payload; in between they scale
+// linearly with the share of the payload on board.
+
+const DEFAULT_CLASS = 'MCV';
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+function kgPerKm(factors, vehicle, loadKg = 0) {
+  const vehicleClass = factors.road[vehicle?.vehicleClass] ? vehicle.vehicleClass : DEFAULT_CLASS;
+  const payloadKg = vehicle?.payloadCapacityKg || factors.road[vehicleClass].payloadKg;
+  const share = clamp01(loadKg / payloadKg);
+  const between = ({ empty, full }) => empty + (full - empty) * share;
+
+  const base = vehicle?.fuelType === 'electric'
+    ? between(factors.electric.kwhPerKm[vehicleClass]) * factors.electric.gridKgPerKwh
+    : between(factors.road[vehicleClass]) * (factors.fuel[vehicle?.fuelType] ?? 1);
+  return base * (vehicle?.refrigerated ? 1 + factors.reeferUplift : 1);
+}
+
+const legEmissionKg = (factors, distanceKm, loadKg, vehicle) => distanceKm * kgPerKm(factors, vehicle, loadKg);
+
+// One trip by `mode`; road trips can add the empty run back. Rail and air are per tonne-km.
+function tripKg(factors, { distanceKm, weightKg, mode, vehicleClass, fuelType, refrigerated, emptyReturn }) {
+  if (mode !== 'road') {
+    const kg = distanceKm * (weightKg / 1000) * factors.modes[mode];
+    return { ladenKg: kg * (refrigerated ? 1 + factors.reeferUplift : 1), emptyReturnKg: 0 };
+  }
+  const vehicle = { vehicleClass, fuelType, refrigerated };
+  return {
+    ladenKg: legEmissionKg(factors, distanceKm, weightKg, vehicle),
+    emptyReturnKg: emptyReturn ? legEmissionKg(factors, distanceKm, 0, vehicle) : 0,
+  };
+}
+
+// 🔹 Manual estimate, compared with the same trip in a diesel truck of the same class
+function estimate(factors, input) {
+  const chosen = tripKg(factors, input);
+  const diesel = tripKg(factors, { ...input, mode: 'road', fuelType: 'diesel' });
+  const emissionKg = chosen.ladenKg + chosen.emptyReturnKg;
+  const baselineKg = diesel.ladenKg + diesel.emptyReturnKg;
+  return { emissionKg, baselineKg, savingsKg: baselineKg - emissionKg, breakdown: chosen };
+}
+
+module.exports = { kgPerKm, legEmissionKg, estimate };
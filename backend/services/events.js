@@ -0,0 +1,25 @@
+const { EventEmitter } = require('events');
+
+// 🔹 In-process event bus behind the /api/events stream (which also sends its own `ready`).
+// Event types:
+//   request.created, request.updated, request.status-changed
+//   trip.updated
+//   route.updated, route.stop-updated, tracking.position
+//   detections.counted, camera.health
+//   notification.created
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(type, payload) {
+  bus.emit('event', { type, payload });
+}
+
+// Returns an unsubscribe function
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+const subscriberCount = () => bus.listenerCount('event');
+
+module.exports = { publish, subscribe, subscriberCount };
@@ -0,0 +1,99 @@
+const { vehicles, pickupRequests, users } = require('../repositories');
+const { LOADED_STATUSES } = require('./pickupLifecycle');
+const { HttpError } = require('../errors');
+const events = require('./events');
+
+// Requests currently occupying space, grouped by vehicle id
+async function loadsByVehicle() {
+  const loaded = await pickupRequests.find({ status: { $in: LOADED_STATUSES } });
+  const loads = {};
+  loaded.forEach((r) => {
+    if (!r.vehicle) return;
+    loads[r.vehicle] = loads[r.vehicle] || { weightKg: 0, requests: 0 };
+    loads[r.vehicle].weightKg += r.weight || 0;
+    loads[r.vehicle].requests += 1;
+  });
+  return loads;
+}
+
+const withUtilisation = (vehicle, load = { weightKg: 0, requests: 0 }) => ({
+  ...vehicle,
+  loadKg: load.weightKg,
+  assignedRequests: load.requests,
+  remainingKg: Math.max(0, vehicle.payloadCapacityKg - load.weightKg),
+  utilisation: vehicle.payloadCapacityKg ? load.weightKg / vehicle.payloadCapacityKg : 0,
+});
+
+// 🔹 Fleet with each vehicle's accepted weight vs payload capacity
+async function listFleet(filter = {}) {
+  const [all, loads] = await Promise.all([vehicles.find(filter), loadsByVehicle()]);
+  return all.map(v => withUtilisation(v, loads[v.id]));
+}
+
+async function getVehicle(id) {
+  const vehicle = await vehicles.findById(id);
+  if (!vehicle) throw new HttpError(404, 'Vehicle not found');
+  const loads = await loadsByVehicle();
+  return withUtilisation(vehicle, loads[id]);
+}
+
+// A vehicle can only be linked to a driver account
+async function checkDriver(driverUser) {
+  if (!driverUser) return;
+  const user = await users.findById(driverUser);
+  if (!user || user.role !== 'driver') {
+    throw new HttpError(400, 'Validation failed', { errors: { driverUser: 'must be a driver account' } });
+  }
+}
+
+async function registerVehicle(data) {
+  await checkDriver(data.driverUser);
+  if (await vehicles.findOne({ registrationNumber: data.registrationNumber.toUpperCase() })) {
+    throw new HttpError(409, `Vehicle ${data.registrationNumber} is already registered`);
+  }
+  return withUtilisation(await vehicles.create(data));
+}
+
+async function updateVehicle(id, changes) {
+  const current = await getVehicle(id);
+  await checkDriver(changes.driverUser);
+  if (changes.payloadCapacityKg !== undefined && changes.payloadCapacityKg < current.loadKg) {
+    throw new HttpError(409, `Vehicle already carries ${current.loadKg} kg; capacity cannot go below that`);
+  }
+  const updated = await vehicles.update(id, changes);
+  return getVehicle(updated.id);
+}
+
+async function removeVehicle(id) {
+  const vehicle = await getVehicle(id);
+  if (vehicle.assignedRequests > 0) {
+    throw new HttpError(409, 'Unassign its pickup requests before removing this vehicle');
+  }
+  await vehicles.remove(id);
+}
+
+// 🔹 Put an accepted/scheduled request on a vehicle (or take it off with vehicleId = null)
+async function assignVehicle(requestId, vehicleId) {
+  const request = await pickupRequests.findById(requestId);
+  if (!request) throw new HttpError(404, 'Request not found');
+  if (!['Accepted', 'Scheduled'].includes(request.status)) {
+    throw new HttpError(409, `Cannot change the vehicle of a request that is ${request.status}`);
+  }
+
+  if (vehicleId) {
+    const vehicle = await getVehicle(vehicleId);
+    if (['maintenance', 'off-duty'].includes(vehicle.availability)) {
+      throw new HttpError(409, `Vehicle ${vehicle.registrationNumber} is ${vehicle.availability}`);
+    }
+    const alreadyOnIt = request.vehicle === vehicleId ? request.weight : 0;
+    if (vehicle.loadKg - alreadyOnIt + request.weight > vehicle.payloadCapacityKg) {
+      throw new HttpError(409, `Vehicle ${vehicle.registrationNumber} only has ${vehicle.remainingKg + alreadyOnIt} kg free`);
+    }
+  }
+
+  const updated = await pickupRequests.update(requestId, { vehicle: vehicleId || null });
+  events.publish('request.updated', updated);
+  return updated;
+}
+
+module.exports = { listFleet, getVehicle, registerVehicle, updateVehicle, removeVehicle, assignVehicle };
@@ -0,0 +1,76 @@
+const entries = require('../../data/pincodes.json');
+const { haversineKm } = require('../optimizer/geo');
+
+// 🔹 Offline lookup over the bundled Indian pincode/locality gazetteer.
+// Coordinates are locality centroids, good enough to seed the pickup map.
+
+const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Whole-word containment, so "salem" matches "salem tamil nadu" but not "jerusalem"
+const containsPhrase = (text, phrase) => phrase && ` ${text} `.includes(` ${phrase} `);
+
+const label = (e) => `${e.locality}, ${e.district}, ${e.state} ${e.pincode}`;
+
+const toCandidate = (e, score, match) => ({
+  label: label(e),
+  lat: e.lat,
+  lng: e.lng,
+  pincode: e.pincode,
+  source: 'gazetteer',
+  match,
+  score,
+});
+
+// Scores: exact pincode 1.0, locality (+district) 0.9-0.95, district 0.7,
+// same 3-digit postal sorting district 0.5, locality prefix 0.6
+function search(query) {
+  const text = normalize(query);
+  if (!text) return [];
+
+  const pincode = (text.match(/\b\d{6}\b/) || [])[0];
+  const words = text.replace(/\b\d+\b/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const exact = pincode ? entries.filter(e => e.pincode === pincode) : [];
+  const results = exact.map(e => toCandidate(e, 1, 'pincode'));
+
+  entries.forEach((e) => {
+    const locality = normalize(e.locality);
+    const district = normalize(e.district);
+
+    if (exact.includes(e)) return;
+    if (words) {
+      const hasLocality = containsPhrase(words, locality);
+      const hasDistrict = containsPhrase(words, district);
+      if (hasLocality) {
+        results.push(toCandidate(e, hasDistrict && locality !== district ? 0.95 : 0.9, 'locality'));
+        return;
+      }
+      if (hasDistrict) {
+        results.push(toCandidate(e, 0.7, 'district'));
+        return;
+      }
+      if (words.length >= 3 && locality.startsWith(words)) {
+        results.push(toCandidate(e, 0.6, 'prefix'));
+        return;
+      }
+    }
+    // Unknown pincode: fall back to localities in the same postal sorting district
+    if (pincode && exact.length === 0 && e.pincode.slice(0, 3) === pincode.slice(0, 3)) {
+      results.push(toCandidate(e, 0.5, 'postal-district'));
+    }
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+// Closest locality to a point, with its distance in km
+function nearest(point) {
+  let best = null;
+  entries.forEach((e) => {
+    const km = haversineKm(point, e);
+    if (!best || km < best.km) best = { ...toCandidate(e, 1, 'nearest'), district: e.district, km };
+  });
+  return best;
+}
+
+module.exports = { search, normalize, nearest };
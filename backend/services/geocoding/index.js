@@ -0,0 +1,65 @@
+const config = require('../../config');
+const { createCache } = require('../cache');
+const gazetteer = require('./gazetteer');
+const createNominatimProvider = require('./providers/nominatim');
+
+// 🔹 Geocoding: bundled gazetteer first, then the configured external provider.
+// GEOCODER=nominatim | none (offline / air-gapped deployments)
+function createProvider() {
+  switch (config.geocoder) {
+    case 'nominatim':
+      return createNominatimProvider({ baseUrl: config.nominatimUrl, userAgent: config.geocoderUserAgent });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown GEOCODER "${config.geocoder}"`);
+  }
+}
+
+const provider = createProvider();
+const cache = createCache({ max: 1000, ttlMs: config.geocodeCacheTtlMs });
+
+// A gazetteer hit at or above this score is trusted without asking the provider
+const CONFIDENT_SCORE = 0.9;
+// Candidates closer than this (in degrees, ~200 m) are treated as duplicates
+const SAME_PLACE_DEG = 0.002;
+
+function dedupe(candidates) {
+  const kept = [];
+  candidates.forEach((c) => {
+    const dup = kept.some(k => Math.abs(k.lat - c.lat) < SAME_PLACE_DEG && Math.abs(k.lng - c.lng) < SAME_PLACE_DEG);
+    if (!dup) kept.push(c);
+  });
+  return kept;
+}
+
+// Returns { query, candidates: [{ label, lat, lng, source, match, score, pincode? }], cached, providerError? }
+async function geocode(query, { limit = 5 } = {}) {
+  const key = `${gazetteer.normalize(query)}|${limit}`;
+  const hit = cache.get(key);
+  if (hit) return { ...hit, cached: true };
+
+  let candidates = gazetteer.search(query);
+  let providerError;
+
+  const confident = candidates.length > 0 && candidates[0].score >= CONFIDENT_SCORE;
+  if (!confident && provider) {
+    try {
+      candidates = candidates.concat(await provider.search(query, { limit }));
+    } catch (err) {
+      console.warn(`Geocoder ${provider.name} failed:`, err.message);
+      providerError = `${provider.name} unavailable`;
+    }
+  }
+
+  const result = {
+    query,
+    candidates: dedupe(candidates.sort((a, b) => b.score - a.score)).slice(0, limit),
+  };
+  // Don't pin a degraded answer in the cache while the provider is down
+  if (!providerError) cache.set(key, result);
+
+  return { ...result, cached: false, ...(providerError ? { providerError } : {}) };
+}
+
+module.exports = { geocode };
@@ -0,0 +1,40 @@
+// 🔹 Nominatim-compatible HTTP geocoder (public OSM instance or self-hosted).
+// The public instance allows one request per second, so calls are serialised
+// through a promise chain spaced by `minIntervalMs`.
+module.exports = function createNominatimProvider({ baseUrl, userAgent, minIntervalMs = 1000, timeoutMs = 5000 }) {
+  let queue = Promise.resolve();
+  let lastCall = 0;
+
+  const throttle = (fn) => {
+    const run = queue.then(async () => {
+      const wait = lastCall + minIntervalMs - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      lastCall = Date.now();
+      return fn();
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function search(query, { limit = 5 } = {}) {
+    const url = `${baseUrl.replace(/\/$/, '')}/search?format=json&countrycodes=in&limit=${limit}&q=${encodeURIComponent(query)}`;
+    const res = await throttle(() => fetch(url, {
+      headers: { 'User-Agent': userAgent, 'Accept-Language': 'en' },
+      signal: AbortSignal.timeout(timeoutMs),
+    }));
+    if (!res.ok) throw new Error(`Nominatim responded ${res.status}`);
+    const items = await res.json();
+
+    // Nominatim's `importance` is 0..1; keep it below exact gazetteer hits
+    return items.map(i => ({
+      label: i.display_name,
+      lat: parseFloat(i.lat),
+      lng: parseFloat(i.lon),
+      source: 'nominatim',
+      match: i.type || 'external',
+      score: Math.min(0.85, 0.4 + (parseFloat(i.importance) || 0) * 0.5),
+    }));
+  }
+
+  return { name: 'nominatim', search };
+};
@@ -0,0 +1,113 @@
+const config = require('../config');
+const { notifications, users } = require('../repositories');
+const { HttpError } = require('../errors');
+const { getVehicle } = require('./fleet');
+const events = require('./events');
+
+// Most recent items returned per feed request
+const FEED_LIMIT = 100;
+
+const roleRecipients = async (role) => users.find({ role });
+
+// 🔹 Add an item to the feed of every logistics account and push it to them live
+async function notify(type, { title, body = '', request = null, vehicle = null, trip = null }) {
+  const recipients = await roleRecipients('logistics');
+  return Promise.all(recipients.map(async (user) => {
+    const item = await notifications.create({ user: user.id, type, title, body, request, vehicle, trip });
+    events.publish('notification.created', item);
+    return item;
+  }));
+}
+
+// 🔹 A user's newest items, optionally one type or unread only, with their unread count
+async function listFeed(user, { type, unread } = {}) {
+  const mine = await notifications.find({ user: user.id });
+  const items = mine
+    .filter(n => (!type || n.type === type) && (!unread || !n.read))
+    .reverse()
+    .slice(0, FEED_LIMIT);
+  return { items, unreadCount: mine.filter(n => !n.read).length };
+}
+
+async function markRead(user, id) {
+  const item = await notifications.findById(id);
+  if (!item || item.user !== user.id) throw new HttpError(404, 'Notification not found');
+  return item.read ? item : notifications.update(id, { read: true, readAt: new Date() });
+}
+
+// Marks every unread item (or every unread item of `type`) read; returns how many changed
+async function markAllRead(user, { type } = {}) {
+  const unread = (await notifications.find({ user: user.id, read: false })).filter(n => !type || n.type === type);
+  const now = new Date();
+  await Promise.all(unread.map(n => notifications.update(n.id, { read: true, readAt: now })));
+  return { updated: unread.length };
+}
+
+// Trucks and trips currently warned about; cleared once they drop back below the threshold
+// so the next time they fill up warns again
+const warned = new Set();
+
+async function checkCapacity(key, { loadKg, capacityKg, label, vehicle = null, trip = null }) {
+  const full = capacityKg > 0 && loadKg / capacityKg >= config.capacityWarningRatio;
+  if (!full) {
+    warned.delete(key);
+    return;
+  }
+  if (warned.has(key)) return;
+  warned.add(key);
+  await notify('capacity', {
+    title: `${label} is ${Math.round((loadKg / capacityKg) * 100)}% full`,
+    body: `${loadKg} of ${capacityKg} kg taken`,
+    vehicle,
+    trip,
+  });
+}
+
+const STOP_TITLES = { arrive: 'arrived at', pickup: 'picked up at', fail: 'could not pick up at', skip: 'skipped withdrawn' };
+
+async function onEvent({ type, payload }) {
+  if (type === 'request.created') {
+    await notify('request', {
+      title: `New pickup request from ${payload.sellerName}`,
+      body: `${payload.weight} kg of ${payload.type} · ${payload.address}`,
+      request: payload.id,
+    });
+  } else if (type === 'request.status-changed' && payload.status === 'Cancelled') {
+    const last = payload.history[payload.history.length - 1];
+    await notify('cancellation', {
+      title: `Pickup from ${payload.sellerName} cancelled`,
+      body: [`${payload.weight} kg · ${payload.address}`, last && last.note].filter(Boolean).join(' · '),
+      request: payload.id,
+    });
+  } else if (type === 'route.stop-updated') {
+    await notify('driver', {
+      title: `${payload.vehicle.registrationNumber} ${STOP_TITLES[payload.action]} stop ${payload.stop.sequence}`,
+      body: [payload.stop.name, payload.stop.reason].filter(Boolean).join(' · '),
+      request: payload.stop.request,
+      vehicle: payload.vehicle.id,
+    });
+  } else if (type === 'request.updated' && payload.vehicle) {
+    const vehicle = await getVehicle(payload.vehicle);
+    await checkCapacity(`vehicle:${vehicle.id}`, {
+      loadKg: vehicle.loadKg,
+      capacityKg: vehicle.payloadCapacityKg,
+      label: `Truck ${vehicle.registrationNumber}`,
+      vehicle: vehicle.id,
+    });
+  } else if (type === 'trip.updated' && payload.status === 'scheduled') {
+    await checkCapacity(`trip:${payload.id}`, {
+      loadKg: payload.bookedKg,
+      capacityKg: payload.capacityKg,
+      label: `Trip ${payload.hub} → ${payload.destination || 'hub'}`,
+      trip: payload.id,
+      vehicle: payload.vehicle ? payload.vehicle.id : null,
+    });
+  }
+}
+
+// 🔹 Start turning events into feed items; returns a stop function
+function start() {
+  return events.subscribe(event => onEvent(event).catch(err => console.error('Notification feed failed:', err)));
+}
+
+module.exports = { notify, listFeed, markRead, markAllRead, start };
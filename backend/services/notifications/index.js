@@ -0,0 +1,145 @@
+const config = require('../../config');
+const { outbox, pickupRequests, vehicles } = require('../../repositories');
+const events = require('../events');
+const { STATUS_TEMPLATES, render } = require('./templates');
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+const createSendgridTransport = require('./transports/sendgrid');
+const createTwilioTransport = require('./transports/twilio');
+
+// 🔹 Seller notification outbox: status changes and route progress become templated
+// email/SMS messages, stored first and then handed to the configured transports,
+// with retries and backoff. EMAIL_TRANSPORT / SMS_TRANSPORT pick the transport
+// ('none' turns a channel off).
+const TRANSPORTS = {
+  email: {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ file: config.outboxFile }),
+    sendgrid: () => createSendgridTransport({ apiKey: config.sendgridApiKey, from: config.emailFrom }),
+  },
+  sms: {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ file: config.outboxFile }),
+    twilio: () => createTwilioTransport({
+      accountSid: config.twilioAccountSid,
+      authToken: config.twilioAuthToken,
+      from: config.twilioFrom,
+      defaultCountryCode: config.smsDefaultCountryCode,
+    }),
+  },
+};
+
+function createTransport(channel, kind) {
+  if (kind === 'none') return null;
+  const factory = TRANSPORTS[channel][kind];
+  if (!factory) throw new Error(`Unknown ${channel.toUpperCase()}_TRANSPORT "${kind}"`);
+  return factory();
+}
+
+const transports = {
+  email: createTransport('email', config.emailTransport),
+  sms: createTransport('sms', config.smsTransport),
+};
+
+// Where each channel sends to on a pickup request
+const RECIPIENT = { email: data => data.email, sms: data => data.phone };
+
+// Dedupe keys being queued right now, so back-to-back events cannot both pass the lookup
+const queueing = new Set();
+
+// 🔹 Render `template` for every channel the seller can be reached on and queue it.
+// Messages with a dedupeKey are only ever queued once per channel.
+async function enqueue(template, data, { dedupeKey = null } = {}) {
+  const queued = [];
+  for (const channel of Object.keys(transports)) {
+    const to = RECIPIENT[channel](data);
+    if (!transports[channel] || !to) continue;
+    const key = dedupeKey ? `${dedupeKey}:${channel}` : null;
+    if (key && (queueing.has(key) || await outbox.findOne({ dedupeKey: key }))) continue;
+    if (key) queueing.add(key);
+    try {
+      queued.push(await outbox.create({ channel, to, template, ...render(template, channel, data), request: data.id || null, dedupeKey: key }));
+    } finally {
+      if (key) queueing.delete(key);
+    }
+  }
+  if (queued.length) setImmediate(drain);
+  return queued;
+}
+
+// Wait before retry n (1-based): retry base doubled each time
+const backoffMs = (attempts) => config.outboxRetrySeconds * 1000 * 2 ** (attempts - 1);
+
+async function attempt(message) {
+  const transport = transports[message.channel];
+  const attempts = message.attempts + 1;
+  try {
+    if (!transport) throw new Error(`No ${message.channel} transport configured`);
+    await transport.send(message);
+    return outbox.update(message.id, { status: 'sent', attempts, sentAt: new Date(), transport: transport.name, lastError: '' });
+  } catch (err) {
+    const failed = attempts >= config.outboxMaxAttempts;
+    console.warn(`Outbox ${message.channel} to ${message.to} failed (attempt ${attempts}):`, err.message);
+    return outbox.update(message.id, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: new Date(Date.now() + backoffMs(attempts)),
+    });
+  }
+}
+
+let draining = false;
+
+// 🔹 Send every pending message that is due; one run at a time
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    const now = Date.now();
+    const due = (await outbox.find({ status: 'pending' })).filter(m => new Date(m.nextAttemptAt).getTime() <= now);
+    for (const message of due) {
+      await attempt(message);
+    }
+  } catch (err) {
+    console.error('Outbox drain failed:', err);
+  } finally {
+    draining = false;
+  }
+}
+
+// The seller of the next stop learns the truck is coming once it is moving towards them
+async function notifyEnRoute(planId, vehicleId, stop, eta) {
+  if (!stop || !stop.request) return;
+  const [request, vehicle] = await Promise.all([pickupRequests.findById(stop.request), vehicles.findById(vehicleId)]);
+  if (!request || !['Accepted', 'Scheduled'].includes(request.status)) return;
+  await enqueue('en-route', { ...request, vehicle: vehicle ? vehicle.registrationNumber : '', eta }, { dedupeKey: `en-route:${planId}:${request.id}` });
+}
+
+const DONE = ['picked-up', 'failed', 'skipped'];
+
+async function onEvent({ type, payload }) {
+  if (type === 'request.status-changed' && STATUS_TEMPLATES[payload.status]) {
+    await enqueue(STATUS_TEMPLATES[payload.status], payload);
+  } else if (type === 'route.updated' && payload.stops.some(s => DONE.includes(s.status))) {
+    // A stop was just finished: the truck is heading for the next one
+    const next = payload.stops.find(s => s.status === 'pending');
+    if (next) await notifyEnRoute(payload.id, payload.vehicle, next, next.eta);
+  } else if (type === 'tracking.position' && payload && payload.planId) {
+    // The truck reports moving with its next stop still ahead
+    const [next] = payload.stops;
+    if (next && next.status === 'pending') await notifyEnRoute(payload.planId, payload.vehicle.id, next, next.eta);
+  }
+}
+
+// 🔹 Start listening for events and retrying due messages; returns a stop function
+function start() {
+  const unsubscribe = events.subscribe(event => onEvent(event).catch(err => console.error('Outbox enqueue failed:', err)));
+  const timer = setInterval(drain, config.outboxPollMs);
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+  };
+}
+
+module.exports = { enqueue, drain, start };
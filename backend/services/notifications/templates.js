@@ -0,0 +1,49 @@
+const config = require('../../config');
+
+// 🔹 Seller message templates: one email (subject + text) and one SMS per event.
+// `data` is the pickup request plus whatever the event adds (vehicle, eta).
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: config.timeZone });
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: config.timeZone });
+
+const ref = (data) => `#${String(data.id).slice(-6).toUpperCase()}`;
+const load = (data) => `${data.weight} kg of ${data.type}`;
+
+const signOff = '\n\nBlue Compass Logistics';
+
+const TEMPLATES = {
+  accepted: {
+    subject: data => `Pickup ${ref(data)} accepted`,
+    email: data => `Hello ${data.sellerName},\n\nYour pickup request ${ref(data)} for ${load(data)} from ${data.address} has been accepted. We will confirm the pickup time once it is scheduled.${signOff}`,
+    sms: data => `Blue Compass: pickup ${ref(data)} (${load(data)}) accepted. We'll confirm the time soon.`,
+  },
+  scheduled: {
+    subject: data => `Pickup ${ref(data)} scheduled for ${formatDate(data.windowStart || data.date)}`,
+    email: data => `Hello ${data.sellerName},\n\nYour pickup ${ref(data)} is scheduled for ${formatDate(data.windowStart || data.date)}${data.windowStart ? ` between ${formatTime(data.windowStart)} and ${formatTime(data.windowEnd)}` : ''}. Please have ${load(data)} ready at ${data.address}.${signOff}`,
+    sms: data => `Blue Compass: pickup ${ref(data)} scheduled for ${formatDate(data.windowStart || data.date)}${data.windowStart ? ` ${formatTime(data.windowStart)}-${formatTime(data.windowEnd)}` : ''}. Please keep the goods ready.`,
+  },
+  'en-route': {
+    subject: data => `Driver on the way for pickup ${ref(data)}`,
+    email: data => `Hello ${data.sellerName},\n\nOur truck ${data.vehicle} is on its way to ${data.address}${data.eta ? ` and should arrive around ${formatTime(data.eta)}` : ''}. Please have ${load(data)} ready.${signOff}`,
+    sms: data => `Blue Compass: truck ${data.vehicle} is on the way for pickup ${ref(data)}${data.eta ? `, arriving ~${formatTime(data.eta)}` : ''}.`,
+  },
+  'picked-up': {
+    subject: data => `Pickup ${ref(data)} collected`,
+    email: data => `Hello ${data.sellerName},\n\nWe have collected ${load(data)} from ${data.address} (pickup ${ref(data)}). We will let you know when it is delivered.${signOff}`,
+    sms: data => `Blue Compass: ${load(data)} collected for pickup ${ref(data)}. Thank you!`,
+  },
+};
+
+// Request status -> template sent when a request enters it
+const STATUS_TEMPLATES = { Accepted: 'accepted', Scheduled: 'scheduled', PickedUp: 'picked-up' };
+
+// { subject, text } for `channel` ('email' | 'sms')
+function render(template, channel, data) {
+  const t = TEMPLATES[template];
+  if (!t) throw new Error(`Unknown notification template "${template}"`);
+  return channel === 'email'
+    ? { subject: t.subject(data), text: t.email(data) }
+    : { subject: '', text: t.sms(data) };
+}
+
+module.exports = { TEMPLATES, STATUS_TEMPLATES, render };
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render } = require('./templates');
+
+test('pickup windows are written in the configured time zone, not the server one', () => {
+  const { text } = render('scheduled', 'sms', {
+    id: 'abc123def456',
+    weight: 120,
+    type: 'Textiles',
+    windowStart: '2026-10-20T03:30:00Z',
+    windowEnd: '2026-10-20T05:30:00Z',
+  });
+
+  // 03:30 UTC is 09:00 in Asia/Kolkata
+  assert.match(text, /20 Oct 2026 09:00-11:00/);
+});
@@ -0,0 +1,9 @@
+// 🔹 Development transport: prints each message instead of sending it
+module.exports = function createConsoleTransport({ log = console.log } = {}) {
+  async function send(message) {
+    const subject = message.subject ? ` "${message.subject}"` : '';
+    log(`✉️  [${message.channel}] to ${message.to}${subject}\n${message.text}`);
+  }
+
+  return { name: 'console', send };
+};
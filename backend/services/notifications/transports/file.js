@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+
+// 🔹 Development/test transport: appends each message as one JSON line to a file
+module.exports = function createFileTransport({ file }) {
+  const target = file || path.join(__dirname, '../../../data/outbox.log');
+
+  async function send(message) {
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      channel: message.channel,
+      to: message.to,
+      template: message.template,
+      subject: message.subject,
+      text: message.text,
+    });
+    await fs.promises.appendFile(target, `${line}\n`);
+  }
+
+  return { name: 'file', send };
+};
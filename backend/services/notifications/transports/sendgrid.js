@@ -0,0 +1,20 @@
+// 🔹 Email through the SendGrid v3 mail API
+module.exports = function createSendgridTransport({ apiKey, from, timeoutMs = 10000 }) {
+  async function send(message) {
+    if (!apiKey) throw new Error('SENDGRID_API_KEY is not set');
+    const res = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: { email: from },
+        subject: message.subject,
+        content: [{ type: 'text/plain', value: message.text }],
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`SendGrid responded ${res.status}`);
+  }
+
+  return { name: 'sendgrid', send };
+};
@@ -0,0 +1,24 @@
+// 🔹 SMS through the Twilio Messages API
+module.exports = function createTwilioTransport({ accountSid, authToken, from, defaultCountryCode = '+91', timeoutMs = 10000 }) {
+  // Twilio wants E.164; sellers usually type a bare 10-digit mobile number
+  const toE164 = (phone) => {
+    const digits = phone.replace(/[\s-]/g, '');
+    return digits.startsWith('+') ? digits : `${defaultCountryCode}${digits.replace(/^0/, '')}`;
+  };
+
+  async function send(message) {
+    if (!accountSid || !authToken) throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set');
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({ To: toE164(message.to), From: from, Body: message.text }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`Twilio responded ${res.status}`);
+  }
+
+  return { name: 'twilio', send };
+};
@@ -0,0 +1,212 @@
+const config = require('../../config');
+const { pickupRequests } = require('../../repositories');
+const { HttpError } = require('../../errors');
+const { listFleet } = require('../fleet');
+const { kgPerKm, legEmissionKg } = require('../emissions');
+const { activeFactorSet } = require('../emissionFactors');
+const routing = require('../routing');
+const vrp = require('./vrp');
+
+const UNAVAILABLE = ['maintenance', 'off-duty'];
+
+const UNASSIGNED_REASONS = {
+  capacity: 'No vehicle has room for this load',
+  window: 'No vehicle can reach it within its pickup window',
+};
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+const vehicleSummary = (v) => ({
+  id: v.id,
+  registrationNumber: v.registrationNumber,
+  vehicleClass: v.vehicleClass,
+  fuelType: v.fuelType,
+  refrigerated: v.refrigerated,
+  driverName: v.driverName,
+  capacityKg: v.payloadCapacityKg,
+});
+
+// Requests are looked up so their stored weight, position and vehicle win over the client's copy
+async function resolveStops(stops) {
+  return Promise.all(stops.map(async (stop, i) => {
+    if (!stop.requestId) {
+      return { id: stop.id || `stop-${i + 1}`, name: stop.name || `Stop ${i + 1}`, lat: stop.lat, lng: stop.lng, weightKg: stop.weightKg || 0, vehicle: null };
+    }
+    const request = await pickupRequests.findById(stop.requestId);
+    if (!request) throw new HttpError(404, `Request ${stop.requestId} not found`);
+    return {
+      id: stop.id || request.id,
+      requestId: request.id,
+      name: request.address || request.sellerName,
+      lat: request.lat ?? stop.lat,
+      lng: request.lng ?? stop.lng,
+      weightKg: request.weight,
+      vehicle: request.vehicle,
+      windowStart: request.windowStart,
+      windowEnd: request.windowEnd,
+      requestedAt: request.createdAt,
+    };
+  }));
+}
+
+async function resolveFleet(vehicleIds) {
+  const fleet = await listFleet();
+  const chosen = vehicleIds
+    ? fleet.filter(v => vehicleIds.includes(v.id))
+    : fleet.filter(v => !UNAVAILABLE.includes(v.availability));
+  if (!chosen.length) throw new HttpError(409, 'No vehicles available to route');
+  // Largest first, which is also the order dispatch fills trucks by hand
+  return chosen.sort((a, b) => b.payloadCapacityKg - a.payloadCapacityKg);
+}
+
+// Leg by leg from the depot and back: the truck leaves empty and gains each stop's weight
+function routeLegs(factors, road, nodes, resolved, depot, vehicle) {
+  const points = [0, ...nodes, 0];
+  const nameOf = (node) => (node === 0 ? depot.name : resolved[node - 1].name);
+  let loadKg = 0;
+  return points.slice(1).map((to, i) => {
+    const from = points[i];
+    if (from !== 0) loadKg += resolved[from - 1].weightKg;
+    const km = road.km[from][to];
+    return { from: nameOf(from), to: nameOf(to), km, minutes: road.minutes[from][to], loadKg, emissionKg: legEmissionKg(factors, km, loadKg, vehicle) };
+  });
+}
+
+// A plan's routes with the fleet vehicle each one runs on (plan routes follow the fleet order)
+const onFleet = (plan, fleet) => plan.routes.map((r, i) => ({ ...r, fleetVehicle: fleet[i] }));
+
+// Trucks that got stops, with their legs and totals
+function describe(factors, routes, road, resolved, depot) {
+  return routes
+    .filter(r => r.nodes.length)
+    .map((r) => {
+      const legs = routeLegs(factors, road, r.nodes, resolved, depot, r.fleetVehicle);
+      return {
+        ...r,
+        legs,
+        minutes: legs.reduce((acc, leg) => acc + leg.minutes, 0),
+        emissionKg: legs.reduce((acc, leg) => acc + leg.emissionKg, 0),
+      };
+    });
+}
+
+const roundLeg = (leg) => ({ ...leg, km: round(leg.km), minutes: Math.round(leg.minutes), emissionKg: round(leg.emissionKg, 3) });
+
+const sum = (routes, key) => routes.reduce((acc, r) => acc + r[key], 0);
+
+const minutesAfter = (departAt, date) => (new Date(date) - departAt) / 60000;
+
+// Pickup window in minutes after departure; stops without a slot can be visited any time
+const windowFor = (stop, departAt) => (stop.windowEnd
+  ? [Math.max(0, minutesAfter(departAt, stop.windowStart)), minutesAfter(departAt, stop.windowEnd)]
+  : null);
+
+// 🔹 Split the stops over the fleet: one closed route per truck from the depot,
+// reaching every slotted stop inside its pickup window
+async function optimizeRoutes({ depot = config.depot, stops, vehicleIds, departAt = new Date() }) {
+  const [resolved, fleet, factorSet] = await Promise.all([resolveStops(stops), resolveFleet(vehicleIds), activeFactorSet()]);
+  const { factors } = factorSet;
+  const fleetIds = fleet.map(v => v.id);
+  const solverStops = resolved.map(s => ({
+    weightKg: s.weightKg,
+    // A request assigned to a truck outside this run is free to go on any truck
+    vehicle: fleetIds.includes(s.vehicle) ? s.vehicle : null,
+    window: windowFor(s, departAt),
+  }));
+  // The solver weighs km by each truck's half-laden factor; reported emissions use the real load per leg
+  const solverFleet = fleet.map(v => ({ id: v.id, capacityKg: v.payloadCapacityKg, costPerKm: kgPerKm(factors, v, v.payloadCapacityKg / 2) }));
+
+  // Road km drive the cost and road minutes the pickup windows
+  const road = await routing.matrix([depot, ...resolved]);
+  const timing = { minutes: road.minutes, serviceMin: config.pickupServiceMinutes };
+  const plan = vrp.solve(road.km, solverStops, solverFleet, timing);
+
+  // Baseline: the trucks the plan uses, filled with the stops the plan assigned in the order their
+  // requests came in (ad-hoc stops last), under the same capacities and windows
+  const used = plan.routes.map(r => r.nodes.length > 0);
+  const baselineOrder = fleet.map((_, i) => i).sort((a, b) => used[b] - used[a]);
+  const baselineFleet = baselineOrder.map(i => fleet[i]);
+  const requestedAt = (node) => (resolved[node - 1].requestedAt ? new Date(resolved[node - 1].requestedAt).getTime() : Infinity);
+  const assigned = plan.routes.flatMap(r => r.nodes).sort((a, b) => requestedAt(a) - requestedAt(b) || a - b);
+  const baselinePlan = vrp.arrivalOrder(road.km, solverStops, baselineOrder.map(i => solverFleet[i]), timing, assigned);
+
+  // A stop arrival order cannot fit still has to be collected: the baseline pays for a separate
+  // out-and-back run on its pinned truck or the biggest one, so both totals cover the same stops
+  const separateRuns = baselinePlan.unassigned.map(({ node }) => {
+    const pinned = fleetIds.indexOf(solverStops[node - 1].vehicle);
+    return {
+      fleetVehicle: fleet[Math.max(0, pinned)],
+      nodes: [node],
+      loadKg: solverStops[node - 1].weightKg,
+      km: road.km[0][node] + road.km[node][0],
+      separateRun: true,
+    };
+  });
+
+  const optimized = describe(factors, onFleet(plan, fleet), road, resolved, depot);
+  const baseline = describe(factors, [...onFleet(baselinePlan, baselineFleet), ...separateRuns], road, resolved, depot);
+
+  const routes = optimized.map((r) => {
+    let loadKg = 0;
+    const routeStops = r.nodes.map((node, seq) => {
+      const stop = resolved[node - 1];
+      loadKg += stop.weightKg;
+      return { ...stop, sequence: seq + 1, loadAfterKg: loadKg, eta: new Date(departAt.getTime() + r.arrivals[seq] * 60000) };
+    });
+    return {
+      vehicle: vehicleSummary(r.fleetVehicle),
+      stops: routeStops,
+      loadKg: r.loadKg,
+      utilisation: round(r.loadKg / r.fleetVehicle.payloadCapacityKg, 3),
+      distanceKm: round(r.km),
+      durationMin: Math.round(r.minutes),
+      emissionKg: round(r.emissionKg),
+      legs: r.legs.map(roundLeg),
+      path: [[depot.lat, depot.lng], ...routeStops.map(s => [s.lat, s.lng]), [depot.lat, depot.lng]],
+    };
+  });
+
+  const baselineRoutes = baseline.map(r => ({
+    vehicle: vehicleSummary(r.fleetVehicle),
+    separateRun: Boolean(r.separateRun),
+    stops: r.nodes.map(node => resolved[node - 1].name),
+    loadKg: r.loadKg,
+    distanceKm: round(r.km),
+    durationMin: Math.round(r.minutes),
+    emissionKg: round(r.emissionKg),
+    legs: r.legs.map(roundLeg),
+  }));
+
+  const unassignedStop = ({ node, reason }) => ({ ...resolved[node - 1], reason: UNASSIGNED_REASONS[reason] });
+  const optimizedKg = sum(optimized, 'emissionKg');
+  const baselineKg = sum(baseline, 'emissionKg');
+  const saved = baselineKg - optimizedKg;
+
+  return {
+    depot,
+    departAt,
+    // Every truck the run planned for, including those it gave no stops
+    vehicleIds: fleetIds,
+    routes,
+    baselineRoutes,
+    unassigned: plan.unassigned.map(unassignedStop),
+    // Stops the optimized plan serves that arrival order could not fit; each is a separate run in its totals
+    baselineUnassigned: baselinePlan.unassigned.map(unassignedStop),
+    stats: {
+      vehiclesUsed: routes.length,
+      baselineKm: round(sum(baseline, 'km')),
+      optimizedKm: round(sum(optimized, 'km')),
+      baselineMin: Math.round(sum(baseline, 'minutes')),
+      optimizedMin: Math.round(sum(optimized, 'minutes')),
+      baseline: round(baselineKg),
+      optimized: round(optimizedKg),
+      saved: round(saved),
+      percent: baselineKg > 0 ? round((saved / baselineKg) * 100, 1) : 0,
+      factorVersion: factorSet.version,
+      // Where the km/minutes came from: osrm or the bundled road network
+      distanceSource: road.source,
+    },
+  };
+}
+
+module.exports = { optimizeRoutes };
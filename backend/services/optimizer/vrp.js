@@ -0,0 +1,212 @@
+// 🔹 Capacitated vehicle routing with pickup time windows over a distance matrix
+//
+// Node 0 of `matrix` is the depot and stop i is node i + 1. Every vehicle runs at
+// most one route depot -> stops -> depot without exceeding its capacity. The cost
+// of a route is its km times the vehicle's costPerKm, so a mixed fleet prefers the
+// cheaper trucks whenever the load allows it.
+//
+// With `timing` ({ minutes: travel-time matrix, serviceMin }) a stop carrying
+// `window: [earliest, latest]` (minutes after departure) must be reached by
+// `latest`; a truck that arrives early waits. No move ever produces a late stop.
+//
+// Construction is regret-2 insertion: the stop that would lose the most by not
+// getting its best slot is placed first. The plan is then improved with 2-opt
+// inside each route and or-opt moves of 1-3 consecutive stops within and between
+// routes until no move helps.
+
+const EPS = 1e-9;
+const MAX_MOVES = 2000;
+const OR_OPT_MAX_SEGMENT = 3;
+
+function routeKm(matrix, nodes) {
+  if (!nodes.length) return 0;
+  let km = matrix[0][nodes[0]];
+  for (let i = 1; i < nodes.length; i += 1) km += matrix[nodes[i - 1]][nodes[i]];
+  return km + matrix[nodes[nodes.length - 1]][0];
+}
+
+// Arrival minute at each node, or null if some stop would be reached after its window
+function arrivals(ctx, nodes) {
+  if (!ctx.timing) return nodes.map(() => null);
+  const { minutes, serviceMin } = ctx.timing;
+  const out = [];
+  let t = 0;
+  let prev = 0;
+  for (const node of nodes) {
+    t += minutes[prev][node];
+    const [earliest, latest] = ctx.stops[node - 1].window || [0, Infinity];
+    if (t > latest + EPS) return null;
+    t = Math.max(t, earliest);
+    out.push(t);
+    t += serviceMin;
+    prev = node;
+  }
+  return out;
+}
+
+const onTime = (ctx, nodes) => !ctx.timing || arrivals(ctx, nodes) !== null;
+
+const routeCost = (ctx, route, nodes = route.nodes) => routeKm(ctx.matrix, nodes) * route.vehicle.costPerKm;
+
+// A stop pinned to a vehicle (stop.vehicle) may only ride on that vehicle
+const canCarry = (route, stop) => !stop.vehicle || stop.vehicle === route.vehicle.id;
+
+const hasRoom = (route, kg) => route.loadKg + kg <= route.vehicle.capacityKg;
+
+const emptyRoutes = (vehicles) => vehicles.map(vehicle => ({ vehicle: { costPerKm: 1, ...vehicle }, nodes: [], loadKg: 0 }));
+
+const insertAt = (nodes, pos, segment) => [...nodes.slice(0, pos), ...segment, ...nodes.slice(pos)];
+
+// Cheapest on-time position for `node` in `route` as { pos, delta }, or null
+function bestInsertion(ctx, route, node) {
+  const { matrix } = ctx;
+  const { nodes } = route;
+  let best = null;
+  for (let pos = 0; pos <= nodes.length; pos += 1) {
+    const prev = pos === 0 ? 0 : nodes[pos - 1];
+    const next = pos === nodes.length ? 0 : nodes[pos];
+    const delta = (matrix[prev][node] + matrix[node][next] - matrix[prev][next]) * route.vehicle.costPerKm;
+    if ((!best || delta < best.delta) && onTime(ctx, insertAt(nodes, pos, [node]))) best = { pos, delta };
+  }
+  return best;
+}
+
+// Regret-2 insertion; returns [{ node, reason: 'capacity' | 'window' }] for stops no truck can take
+function construct(ctx, routes) {
+  const { stops } = ctx;
+  const pending = new Set(stops.map((_, i) => i + 1));
+  const unassigned = [];
+
+  while (pending.size) {
+    let pick = null;
+    for (const node of [...pending]) {
+      const stop = stops[node - 1];
+      const roomy = routes.filter(r => canCarry(r, stop) && hasRoom(r, stop.weightKg));
+      const options = roomy
+        .map(r => ({ route: r, ...bestInsertion(ctx, r, node) }))
+        .filter(o => o.pos !== undefined)
+        .sort((a, b) => a.delta - b.delta);
+
+      if (!options.length) {
+        pending.delete(node);
+        unassigned.push({ node, reason: roomy.length ? 'window' : 'capacity' });
+        continue;
+      }
+
+      const regret = options.length > 1 ? options[1].delta - options[0].delta : Infinity;
+      const sameRegret = pick && (regret === pick.regret || Math.abs(regret - pick.regret) <= EPS);
+      if (!pick || (sameRegret ? options[0].delta < pick.delta : regret > pick.regret)) {
+        pick = { node, regret, ...options[0] };
+      }
+    }
+    if (!pick) break;
+
+    pick.route.nodes.splice(pick.pos, 0, pick.node);
+    pick.route.loadKg += stops[pick.node - 1].weightKg;
+    pending.delete(pick.node);
+  }
+  return unassigned;
+}
+
+// Reverse the first improving segment inside one route
+function twoOpt(ctx, route) {
+  const { nodes } = route;
+  const current = routeKm(ctx.matrix, nodes);
+  for (let i = 0; i < nodes.length - 1; i += 1) {
+    for (let j = i + 1; j < nodes.length; j += 1) {
+      const candidate = [...nodes.slice(0, i), ...nodes.slice(i, j + 1).reverse(), ...nodes.slice(j + 1)];
+      if (routeKm(ctx.matrix, candidate) < current - EPS && onTime(ctx, candidate)) {
+        route.nodes = candidate;
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Move a run of 1-3 stops (either direction) to the first cheaper on-time slot on any route
+function orOpt(ctx, routes) {
+  const { stops } = ctx;
+  for (const from of routes) {
+    const fromCost = routeCost(ctx, from);
+    for (let len = 1; len <= OR_OPT_MAX_SEGMENT; len += 1) {
+      for (let i = 0; i + len <= from.nodes.length; i += 1) {
+        const segment = from.nodes.slice(i, i + len);
+        const segmentKg = segment.reduce((sum, n) => sum + stops[n - 1].weightKg, 0);
+        const rest = [...from.nodes.slice(0, i), ...from.nodes.slice(i + len)];
+        const gain = fromCost - routeCost(ctx, from, rest);
+        const variants = len > 1 ? [segment, [...segment].reverse()] : [segment];
+
+        for (const to of routes) {
+          const same = to === from;
+          if (!same && (!hasRoom(to, segmentKg) || !segment.every(n => canCarry(to, stops[n - 1])))) continue;
+          const base = same ? rest : to.nodes;
+          const baseCost = routeCost(ctx, to, base);
+
+          for (let pos = 0; pos <= base.length; pos += 1) {
+            for (const seg of variants) {
+              const candidate = insertAt(base, pos, seg);
+              if (routeCost(ctx, to, candidate) - baseCost < gain - EPS && onTime(ctx, candidate)) {
+                if (!same) {
+                  // Removing stops never makes the rest of a route late
+                  from.nodes = rest;
+                  from.loadKg -= segmentKg;
+                  to.loadKg += segmentKg;
+                }
+                to.nodes = candidate;
+                return true;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  return false;
+}
+
+function improve(ctx, routes) {
+  for (let moves = 0; moves < MAX_MOVES; moves += 1) {
+    const moved = routes.some(r => twoOpt(ctx, r)) || orOpt(ctx, routes);
+    if (!moved) return;
+  }
+}
+
+const finish = (ctx, routes, unassigned) => ({
+  routes: routes.map(r => ({ ...r, km: routeKm(ctx.matrix, r.nodes), arrivals: arrivals(ctx, r.nodes) })),
+  unassigned,
+});
+
+// stops: [{ weightKg, vehicle?, window? }], vehicles: [{ id, capacityKg, costPerKm? }]
+// -> { routes: [{ vehicle, nodes, loadKg, km, arrivals }], unassigned: [{ node, reason }] }
+// (one route per vehicle, possibly empty; arrivals are minutes after departure when timed)
+function solve(matrix, stops, vehicles, timing = null) {
+  const ctx = { matrix, stops, timing };
+  const routes = emptyRoutes(vehicles);
+  const unassigned = construct(ctx, routes);
+  improve(ctx, routes);
+  return finish(ctx, routes, unassigned);
+}
+
+// What dispatch does by hand: `nodes`, given in the order the requests arrived, each appended to the
+// first vehicle with room that still reaches it on time (same windows as solve); a stop no vehicle
+// can take is unassigned
+function arrivalOrder(matrix, stops, vehicles, timing = null, nodes = stops.map((_, i) => i + 1)) {
+  const ctx = { matrix, stops, timing };
+  const routes = emptyRoutes(vehicles);
+  const unassigned = [];
+  nodes.forEach((node) => {
+    const stop = stops[node - 1];
+    const withRoom = routes.filter(r => canCarry(r, stop) && hasRoom(r, stop.weightKg));
+    const route = withRoom.find(r => onTime(ctx, [...r.nodes, node]));
+    if (!route) {
+      unassigned.push({ node, reason: withRoom.length ? 'window' : 'capacity' });
+      return;
+    }
+    route.nodes.push(node);
+    route.loadKg += stop.weightKg;
+  });
+  return finish(ctx, routes, unassigned);
+}
+
+module.exports = { solve, arrivalOrder, routeKm };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { solve, arrivalOrder } = require('./vrp');
+
+// Depot and stops on a straight road: km and minutes are both the gap between positions
+const line = (...positions) => {
+  const all = [0, ...positions];
+  return all.map(a => all.map(b => Math.abs(a - b)));
+};
+const timed = (matrix, serviceMin = 5) => ({ minutes: matrix, serviceMin });
+const truck = (id, capacityKg = 1000, costPerKm) => ({ id, capacityKg, costPerKm });
+
+test('solve splits a load that one truck cannot carry and keeps pinned stops on their truck', () => {
+  const matrix = line(1, 2, 3);
+  const stops = [{ weightKg: 600 }, { weightKg: 600 }, { weightKg: 10, vehicle: 'b' }];
+  const { routes, unassigned } = solve(matrix, stops, [truck('a'), truck('b')]);
+
+  assert.deepEqual(unassigned, []);
+  routes.forEach(r => assert.ok(r.loadKg <= r.vehicle.capacityKg));
+  assert.ok(routes.find(r => r.vehicle.id === 'b').nodes.includes(3));
+  assert.equal(routes.flatMap(r => r.nodes).length, 3);
+});
+
+test('solve puts a load that fits on one truck on the cheaper one', () => {
+  const matrix = line(1, 2);
+  const stops = [{ weightKg: 100 }, { weightKg: 100 }];
+  const { routes } = solve(matrix, stops, [truck('dear', 1000, 30), truck('cheap', 1000, 10)]);
+  const used = routes.filter(r => r.nodes.length);
+
+  assert.deepEqual(used.map(r => r.vehicle.id), ['cheap']);
+});
+
+test('solve leaves out a stop no truck can carry', () => {
+  const matrix = line(1, 2);
+  const { routes, unassigned } = solve(matrix, [{ weightKg: 10 }, { weightKg: 5000 }], [truck('a')]);
+
+  assert.deepEqual(routes[0].nodes, [1]);
+  assert.deepEqual(unassigned, [{ node: 2, reason: 'capacity' }]);
+});
+
+test('solve visits a stop with a tight window first even when it is further out', () => {
+  const matrix = line(1, 10);
+  const stops = [{ weightKg: 10 }, { weightKg: 10, window: [0, 10] }];
+  const { routes, unassigned } = solve(matrix, stops, [truck('a')], timed(matrix));
+
+  assert.deepEqual(unassigned, []);
+  assert.deepEqual(routes[0].nodes, [2, 1]);
+  assert.ok(routes[0].arrivals[0] <= 10);
+});
+
+test('solve waits for a window to open instead of arriving early', () => {
+  const matrix = line(5);
+  const { routes } = solve(matrix, [{ weightKg: 10, window: [30, 40] }], [truck('a')], timed(matrix));
+
+  assert.deepEqual(routes[0].arrivals, [30]);
+});
+
+test('solve leaves out stops that cannot be reached in time', () => {
+  const matrix = line(20, 2);
+  const stops = [{ weightKg: 10, window: [0, 10] }, { weightKg: 10 }];
+  const { routes, unassigned } = solve(matrix, stops, [truck('a')], timed(matrix));
+
+  assert.deepEqual(routes[0].nodes, [2]);
+  assert.deepEqual(unassigned, [{ node: 1, reason: 'window' }]);
+});
+
+test('arrivalOrder fills trucks in the order it is given under the same windows, with only those stops', () => {
+  const matrix = line(1, 10, 4);
+  const stops = [{ weightKg: 10 }, { weightKg: 10, window: [0, 10] }, { weightKg: 10 }];
+
+  // Stop 1 arriving first makes stop 2 late; stop 3 was not handed over at all
+  const late = arrivalOrder(matrix, stops, [truck('a')], timed(matrix), [1, 2]);
+  assert.deepEqual(late.routes[0].nodes, [1]);
+  assert.deepEqual(late.unassigned, [{ node: 2, reason: 'window' }]);
+
+  const early = arrivalOrder(matrix, stops, [truck('a')], timed(matrix), [2, 1]);
+  assert.deepEqual(early.routes[0].nodes, [2, 1]);
+  assert.deepEqual(early.unassigned, []);
+});
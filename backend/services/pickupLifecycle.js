@@ -0,0 +1,101 @@
+const { HttpError } = require('../errors');
+const events = require('./events');
+
+// 🔹 Pickup request state machine
+// Each action moves a request from one of its `from` states to `to`;
+// `roles` lists who may trigger it (sellers only on their own requests);
+// `requiresNote` actions must say why; `loadCheck` actions need the load of the request's trip
+// to match its bookings or be signed off (services/reconciliation.js).
+const ACTIONS = {
+  accept: { from: ['Pending'], to: 'Accepted', roles: ['logistics'] },
+  reject: { from: ['Pending'], to: 'Rejected', roles: ['logistics'] },
+  schedule: { from: ['Accepted', 'PickupFailed'], to: 'Scheduled', roles: ['logistics'] },
+  pickup: { from: ['Scheduled'], to: 'PickedUp', roles: ['logistics', 'driver'] },
+  fail: { from: ['Accepted', 'Scheduled'], to: 'PickupFailed', roles: ['driver'], requiresNote: true },
+  dispatch: { from: ['PickedUp'], to: 'InTransit', roles: ['logistics'], loadCheck: true },
+  deliver: { from: ['InTransit'], to: 'Delivered', roles: ['logistics'] },
+  cancel: { from: ['Pending', 'Accepted', 'Scheduled', 'PickupFailed'], to: 'Cancelled', roles: ['logistics', 'seller'] },
+};
+
+const STATUSES = ['Pending', 'Accepted', 'Rejected', 'Scheduled', 'PickupFailed', 'PickedUp', 'InTransit', 'Delivered', 'Cancelled'];
+const TERMINAL_STATUSES = ['Rejected', 'Delivered', 'Cancelled'];
+// Statuses in which a request's weight occupies its assigned vehicle
+const LOADED_STATUSES = ['Accepted', 'Scheduled', 'PickedUp', 'InTransit'];
+
+// Actions available from `status`, optionally narrowed to what `role` may do
+const allowedActions = (status, role) =>
+  Object.keys(ACTIONS).filter(action =>
+    ACTIONS[action].from.includes(status) && (!role || ACTIONS[action].roles.includes(role)));
+
+// Attach the actions the client may offer from the request's current state
+const withActions = (request, role) => ({ ...request, allowedActions: allowedActions(request.status, role) });
+
+// Apply `action` to the request with `id` on behalf of `user`, appending a history entry.
+// `via` ({ action, note }) is a system step taken first when the request is in one of its
+// `from` states, and `changes` are other fields to set; both land in the same single write.
+// Throws 404 for unknown requests/actions, 403 for the wrong role, 400 for a missing
+// required note and 409 for illegal transitions, an unsigned load mismatch or a request that
+// changed status while this transition was being checked.
+async function transition(repo, id, action, { user = null, note = '', via = null, changes = {} } = {}) {
+  const rule = ACTIONS[action];
+  if (!rule) {
+    throw new HttpError(404, `Unknown action "${action}"`);
+  }
+  if (user && !rule.roles.includes(user.role)) {
+    throw new HttpError(403, `Only ${rule.roles.join(' or ')} accounts can ${action} a request`);
+  }
+  if (rule.requiresNote && !note) {
+    throw new HttpError(400, 'Validation failed', { errors: { note: `is required to ${action} a request` } });
+  }
+
+  const request = await repo.findById(id);
+  if (!request || (user && user.role === 'seller' && request.seller !== user.id)) {
+    throw new HttpError(404, 'Request not found');
+  }
+
+  const first = via && ACTIONS[via.action].from.includes(request.status) ? ACTIONS[via.action] : null;
+  const status = first ? first.to : request.status;
+  if (!rule.from.includes(status)) {
+    throw new HttpError(409, `Cannot ${action} a request that is ${request.status}`, {
+      status: request.status,
+      allowedActions: allowedActions(request.status),
+    });
+  }
+
+  if (rule.loadCheck && request.trip) {
+    // Lazy require: reconciliation depends on services that depend on this module
+    await require('./reconciliation').checkDeparture(request.trip);
+  }
+
+  const actor = user ? user.userId : 'system';
+  const at = new Date();
+  const entries = [
+    ...(first ? [{ from: request.status, to: first.to, action: via.action, actor: 'system', note: via.note || '', at }] : []),
+    { from: status, to: rule.to, action, actor, note, at },
+  ];
+  const updated = await repo.update(id, {
+    ...changes,
+    status: rule.to,
+    history: [...(request.history || []), ...entries],
+  }, { status: request.status });
+  if (!updated) {
+    throw new HttpError(409, `Cannot ${action} the request: it changed while this was being checked, reload and try again`);
+  }
+  let result = updated;
+  if (updated.slot || updated.trip) {
+    // Lazy requires: the repositories load the PickupRequest model, which loads this module
+    const slots = require('./slots');
+    if (slots.RELEASED_STATUSES.includes(rule.to)) {
+      if (updated.slot) await slots.releaseSlot(updated.slot, updated.weight || 0);
+      if (updated.trip) {
+        // Give back its space on the trip; that also clears the request's trip
+        await require('./bookings').cancelForRequest(id, `Request ${rule.to.toLowerCase()}`);
+        result = (await repo.findById(id)) || updated;
+      }
+    }
+  }
+  events.publish('request.status-changed', result);
+  return result;
+}
+
+module.exports = { ACTIONS, STATUSES, TERMINAL_STATUSES, LOADED_STATUSES, allowedActions, withActions, transition };
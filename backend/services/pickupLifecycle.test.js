@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transition, allowedActions } = require('./pickupLifecycle');
+
+const logistics = { id: 'u-logi', userId: 'BC-IND-101', role: 'logistics' };
+const seller = { id: 'u-seller', userId: 'BC-SEL-201', role: 'seller' };
+const driver = { id: 'u-driver', userId: 'BC-DRV-301', role: 'driver' };
+
+// Just enough of a repository for transition(), counting writes; `moveTo` changes the
+// stored status between the read and the write, like a concurrent transition would
+function fakeRepo(request, { moveTo = null } = {}) {
+  const records = { [request.id]: { history: [], seller: seller.id, slot: null, trip: null, ...request } };
+  const repo = {
+    writes: 0,
+    async findById(id) {
+      return records[id] ? structuredClone(records[id]) : null;
+    },
+    async update(id, changes, where = {}) {
+      if (moveTo) records[id].status = moveTo;
+      if (Object.entries(where).some(([key, value]) => records[id][key] !== value)) return null;
+      repo.writes += 1;
+      records[id] = { ...records[id], ...changes };
+      return structuredClone(records[id]);
+    },
+  };
+  return repo;
+}
+
+const statusOf = (err, status) => {
+  assert.equal(err.status, status);
+  return true;
+};
+
+test('transition moves the request and appends a history entry', async () => {
+  const repo = fakeRepo({ id: 'r1', status: 'Pending' });
+  const updated = await transition(repo, 'r1', 'accept', { user: logistics, note: 'ok' });
+
+  assert.equal(updated.status, 'Accepted');
+  assert.equal(updated.history.length, 1);
+  assert.deepEqual(
+    { ...updated.history[0], at: undefined },
+    { from: 'Pending', to: 'Accepted', action: 'accept', actor: 'BC-IND-101', note: 'ok', at: undefined }
+  );
+});
+
+test('transition refuses illegal moves, the wrong role, a missing note and other sellers', async () => {
+  const repo = fakeRepo({ id: 'r1', status: 'Pending' });
+
+  await assert.rejects(transition(repo, 'r1', 'deliver', { user: logistics }), err => statusOf(err, 409));
+  await assert.rejects(transition(repo, 'r1', 'accept', { user: seller }), err => statusOf(err, 403));
+  await assert.rejects(transition(repo, 'r1', 'fail', { user: driver }), err => statusOf(err, 400));
+  await assert.rejects(transition(repo, 'r1', 'teleport', { user: logistics }), err => statusOf(err, 404));
+  await assert.rejects(transition(repo, 'r1', 'cancel', { user: { ...seller, id: 'someone-else' } }), err => statusOf(err, 404));
+  assert.equal(repo.writes, 0);
+
+  const cancelled = await transition(repo, 'r1', 'cancel', { user: seller });
+  assert.equal(cancelled.status, 'Cancelled');
+  assert.deepEqual(allowedActions(cancelled.status), []);
+});
+
+test('transition refuses to write over a status that changed after it was read', async () => {
+  const repo = fakeRepo({ id: 'r1', status: 'Pending' }, { moveTo: 'Cancelled' });
+
+  await assert.rejects(transition(repo, 'r1', 'accept', { user: logistics }), err => statusOf(err, 409));
+  assert.equal(repo.writes, 0);
+  assert.equal((await repo.findById('r1')).status, 'Cancelled');
+});
+
+test('transition takes a `via` step and extra changes in the same single write', async () => {
+  const repo = fakeRepo({ id: 'r1', status: 'Accepted', vehicle: null });
+  const updated = await transition(repo, 'r1', 'pickup', {
+    user: driver,
+    via: { action: 'schedule', note: 'On the route of TN30AB1234' },
+    changes: { vehicle: 'v1' },
+  });
+
+  assert.equal(repo.writes, 1);
+  assert.equal(updated.status, 'PickedUp');
+  assert.equal(updated.vehicle, 'v1');
+  assert.deepEqual(updated.history.map(h => [h.action, h.from, h.to, h.actor]), [
+    ['schedule', 'Accepted', 'Scheduled', 'system'],
+    ['pickup', 'Scheduled', 'PickedUp', 'BC-DRV-301'],
+  ]);
+});
+
+test('transition skips `via` when the request is already past it', async () => {
+  const repo = fakeRepo({ id: 'r1', status: 'Scheduled' });
+  const updated = await transition(repo, 'r1', 'pickup', { user: driver, via: { action: 'schedule' } });
+
+  assert.deepEqual(updated.history.map(h => h.action), ['pickup']);
+  await assert.rejects(transition(repo, 'r1', 'pickup', { user: driver, via: { action: 'schedule' } }), err => statusOf(err, 409));
+});
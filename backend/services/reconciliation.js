@@ -0,0 +1,158 @@
+const config = require('../config');
+const { trips, bookings, pickupRequests, skuClasses } = require('../repositories');
+const { HttpError } = require('../errors');
+const { tripCounts } = require('./detections');
+const { withDetails } = require('./trips');
+const events = require('./events');
+
+// Lines that stop a trip from departing until a dispatcher signs off
+const MISMATCHES = ['short', 'extra'];
+
+// 'short' / 'extra' once the counted items differ from the expected ones by more than the tolerance
+function verdict(expected, counted) {
+  const allowed = Math.floor(expected * config.loadTolerance);
+  if (counted < expected - allowed) return 'short';
+  if (counted > expected + allowed) return 'extra';
+  return 'ok';
+}
+
+// The SKU class a goods type is counted as; only classes with a unit weight can turn kg into items
+const classFor = (classes, goodsType) => classes.find(c => c.goodsType === goodsType && c.unitWeightKg > 0) || null;
+
+// Declared kg as a number of items of the class (at least one when anything was declared)
+const itemsFor = (weightKg, sku) => Math.max(1, Math.round(weightKg / sku.unitWeightKg));
+
+// Identifies the set of mismatches, so a sign-off stops covering the load once the counts move
+const fingerprintOf = (flags) => JSON.stringify(flags.map(f => [f.kind, f.key, f.status, f.expected, f.counted]));
+
+// 🔹 Declared cargo on a trip (its active bookings) against what the cameras counted since the last reset
+async function reconcileTrip(tripId) {
+  const trip = await trips.findById(tripId);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+
+  const [booked, classes, counts] = await Promise.all([
+    bookings.find({ trip: trip.id, status: 'active' }),
+    skuClasses.find(),
+    tripCounts(trip.id),
+  ]);
+  const requests = await Promise.all(booked.map(b => pickupRequests.findById(b.request)));
+  const countedAtStop = {};
+  counts.stops.filter(s => s.request).forEach((s) => {
+    const seen = countedAtStop[s.request] || { total: 0, labels: {} };
+    seen.total += s.total;
+    Object.entries(s.labels).forEach(([label, n]) => { seen.labels[label] = (seen.labels[label] || 0) + n; });
+    countedAtStop[s.request] = seen;
+  });
+  // Per-request checks need a camera on the truck; hub bay cameras only give trip totals
+  const stopCounting = counts.stops.length > 0;
+
+  const expectedByClass = {};
+  const requestLines = booked.map((b, i) => {
+    const request = requests[i] || { type: null, weight: b.weightKg };
+    const sku = classFor(classes, request.type);
+    const expected = sku ? itemsFor(b.weightKg, sku) : null;
+    if (sku) expectedByClass[sku.label] = (expectedByClass[sku.label] || 0) + expected;
+
+    const seen = countedAtStop[b.request] || { total: 0, labels: {} };
+    const counted = sku ? seen.labels[sku.label] || 0 : seen.total;
+    let status = 'unchecked';
+    if (sku && stopCounting) {
+      status = verdict(expected, counted);
+      if (status === 'ok' && seen.total > counted) status = 'extra'; // other kinds of items loaded at this stop
+    }
+    return {
+      request: b.request,
+      sellerName: b.sellerName,
+      goodsType: request.type,
+      declaredKg: b.weightKg,
+      sku: sku ? sku.label : null,
+      expected,
+      counted,
+      otherItems: seen.total - (sku ? counted : seen.total),
+      status,
+    };
+  });
+
+  // Items loaded at stops for requests that were never booked on this trip
+  const bookedIds = new Set(booked.map(b => b.request));
+  const unbooked = Object.keys(countedAtStop).filter(id => !bookedIds.has(id));
+  (await Promise.all(unbooked.map(id => pickupRequests.findById(id)))).forEach((request, i) => {
+    requestLines.push({
+      request: unbooked[i],
+      sellerName: request ? request.sellerName : '',
+      goodsType: request ? request.type : null,
+      declaredKg: 0,
+      sku: null,
+      expected: 0,
+      counted: countedAtStop[unbooked[i]].total,
+      otherItems: 0,
+      status: 'extra',
+    });
+  });
+
+  const classLines = counts.classes
+    .map(c => ({
+      sku: c.sku,
+      label: c.label,
+      name: c.name,
+      expected: expectedByClass[c.label] || 0,
+      counted: c.count,
+      countedKg: c.weightKg,
+      status: verdict(expectedByClass[c.label] || 0, c.count),
+    }))
+    .filter(l => l.expected > 0 || l.counted > 0);
+
+  const flags = [
+    ...classLines.filter(l => MISMATCHES.includes(l.status)).map(l => ({ kind: 'sku', key: l.label, status: l.status, expected: l.expected, counted: l.counted })),
+    ...(counts.unclassified > 0 ? [{ kind: 'unclassified', key: 'other', status: 'extra', expected: 0, counted: counts.unclassified }] : []),
+    ...requestLines.filter(l => MISMATCHES.includes(l.status)).map(l => ({ kind: 'request', key: l.request, status: l.status, expected: l.expected, counted: l.counted })),
+  ];
+  const fingerprint = fingerprintOf(flags);
+  const signOff = trip.loadSignOff ? { ...trip.loadSignOff, current: trip.loadSignOff.fingerprint === fingerprint } : null;
+
+  let status = 'matched';
+  if (flags.length) status = signOff && signOff.current ? 'signed-off' : 'mismatch';
+
+  return {
+    trip: trip.id,
+    status,
+    canDepart: status !== 'mismatch',
+    tolerancePercent: config.loadTolerance * 100,
+    countResetAt: counts.countResetAt,
+    declaredKg: booked.reduce((sum, b) => sum + b.weightKg, 0),
+    countedKg: counts.estimatedWeightKg,
+    classes: classLines,
+    unclassified: counts.unclassified,
+    requests: requestLines,
+    flags,
+    fingerprint,
+    signOff,
+  };
+}
+
+// 🔹 A dispatcher accepts the current mismatches; later count changes need a fresh sign-off
+async function signOff(tripId, user, note) {
+  const reconciliation = await reconcileTrip(tripId);
+  if (!reconciliation.flags.length) {
+    throw new HttpError(409, 'The load matches what was booked; there is nothing to sign off');
+  }
+  const trip = await trips.update(tripId, {
+    loadSignOff: { by: user.userId, name: user.name, note, at: new Date(), fingerprint: reconciliation.fingerprint },
+  });
+  events.publish('trip.updated', await withDetails(trip));
+  return reconcileTrip(tripId);
+}
+
+// 🔹 Throws 409 (with the reconciliation) while a mismatched load has not been signed off
+async function checkDeparture(tripId) {
+  const reconciliation = await reconcileTrip(tripId);
+  if (!reconciliation.canDepart) {
+    throw new HttpError(
+      409,
+      `The counted load differs from the bookings (${reconciliation.flags.length} mismatch${reconciliation.flags.length === 1 ? '' : 'es'}); a dispatcher must sign it off before departure`,
+      { reconciliation }
+    );
+  }
+}
+
+module.exports = { reconcileTrip, signOff, checkDeparture };
@@ -0,0 +1,75 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trips, bookings, pickupRequests, skuClasses, detections } = require('../repositories');
+const { reconcileTrip, signOff, checkDeparture } = require('./reconciliation');
+
+const dispatcher = { userId: 'BC-IND-101', name: 'Dispatch' };
+
+// A trip with one 100 kg textiles booking: 4 bales of 25 kg expected
+async function bookedTrip() {
+  const trip = await trips.create({ hub: 'Salem Hub', departureAt: new Date(Date.now() + 864e5), vehicle: 'v1', capacityKg: 1000 });
+  const request = await pickupRequests.create({
+    sellerName: 'Arul', phone: '+91 98765 43210', email: 'arul@example.com', address: 'Salem', weight: 100, type: 'Textiles', trip: trip.id,
+  });
+  await bookings.create({ trip: trip.id, request: request.id, seller: 's1', sellerName: 'Arul', weightKg: 100 });
+  return trip;
+}
+
+const count = (trip, label, n) => Promise.all(Array.from({ length: n }, () =>
+  detections.create({ device: 'cam-1', label, at: new Date(), trip: trip.id })));
+
+test.before(() => skuClasses.create({ label: 'bale', name: 'Textile bale', goodsType: 'Textiles', unitWeightKg: 25 }));
+
+test('a load counted as booked matches and may depart', async () => {
+  const trip = await bookedTrip();
+  await count(trip, 'bale', 4);
+
+  const result = await reconcileTrip(trip.id);
+  assert.equal(result.status, 'matched');
+  assert.equal(result.canDepart, true);
+  assert.equal(result.declaredKg, 100);
+  assert.equal(result.countedKg, 100);
+  assert.deepEqual(result.classes.map(c => [c.label, c.expected, c.counted, c.status]), [['bale', 4, 4, 'ok']]);
+  await checkDeparture(trip.id);
+});
+
+test('a short load blocks departure until a dispatcher signs it off', async () => {
+  const trip = await bookedTrip();
+  await count(trip, 'bale', 3);
+
+  const result = await reconcileTrip(trip.id);
+  assert.equal(result.status, 'mismatch');
+  assert.deepEqual(result.flags, [{ kind: 'sku', key: 'bale', status: 'short', expected: 4, counted: 3 }]);
+  await assert.rejects(checkDeparture(trip.id), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.details.reconciliation.status, 'mismatch');
+    return true;
+  });
+
+  const signed = await signOff(trip.id, dispatcher, 'One bale travels tomorrow');
+  assert.equal(signed.status, 'signed-off');
+  assert.equal(signed.signOff.current, true);
+  await checkDeparture(trip.id);
+});
+
+test('a sign-off stops covering the load once the counts change', async () => {
+  const trip = await bookedTrip();
+  await count(trip, 'bale', 3);
+  await signOff(trip.id, dispatcher, 'Short by one');
+
+  await count(trip, 'unknown-box', 1);
+  const result = await reconcileTrip(trip.id);
+  assert.equal(result.status, 'mismatch');
+  assert.equal(result.signOff.current, false);
+  assert.ok(result.flags.some(f => f.kind === 'unclassified'));
+  await assert.rejects(checkDeparture(trip.id), err => err.status === 409);
+});
+
+test('signing off a matching load is refused', async () => {
+  const trip = await bookedTrip();
+  await count(trip, 'bale', 4);
+
+  await assert.rejects(signOff(trip.id, dispatcher, 'Nothing to see'), err => err.status === 409);
+});
@@ -0,0 +1,55 @@
+const config = require('../../config');
+const { createCache } = require('../cache');
+const createRoadNetwork = require('./roadNetwork');
+const createOsrmProvider = require('./providers/osrm');
+
+// 🔹 Road routing through the configured provider, with the bundled road network as
+// the fallback whenever it fails. ROUTER=osrm | local (air-gapped deployments)
+const local = createRoadNetwork({ file: config.roadNetworkFile || undefined });
+
+function createProvider() {
+  switch (config.router) {
+    case 'osrm':
+      return createOsrmProvider({ baseUrl: config.osrmUrl });
+    case 'local':
+      return local;
+    default:
+      throw new Error(`Unknown ROUTER "${config.router}"`);
+  }
+}
+
+const provider = createProvider();
+const routeCache = createCache({ max: 500, ttlMs: config.routeCacheTtlMs });
+const matrixCache = createCache({ max: 50, ttlMs: config.routeCacheTtlMs });
+
+// ~1 m, so the same stop picked twice on the map still hits the cache
+const cacheKey = (points) => points.map(p => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`).join(';');
+
+// provider[method](points), cached by coordinates; falls back to the bundled network on failure
+async function cached(cache, method, points) {
+  const key = cacheKey(points);
+  const hit = cache.get(key);
+  if (hit) return { ...hit, cached: true };
+
+  let result;
+  let providerError;
+  try {
+    result = { ...(await provider[method](points)), source: provider.name };
+  } catch (err) {
+    console.warn(`Router ${provider.name} ${method} failed:`, err.message);
+    providerError = `${provider.name} unavailable`;
+    result = { ...(await local[method](points)), source: local.name };
+  }
+  // Don't pin a fallback answer in the cache while the provider is down
+  if (!providerError) cache.set(key, result);
+
+  return { ...result, cached: false, ...(providerError ? { providerError } : {}) };
+}
+
+// Returns { distanceKm, durationMin, geometry: [[lat, lng]], legs: [{ distanceKm, durationMin }], source, cached, providerError? }
+const route = (points) => cached(routeCache, 'route', points);
+
+// Returns { km: [[]], minutes: [[]], source, cached, providerError? } where km[i][j] is from points[i] to points[j]
+const matrix = (points) => cached(matrixCache, 'table', points);
+
+module.exports = { route, matrix };
@@ -0,0 +1,39 @@
+// 🔹 OSRM-compatible HTTP router (public demo server or self-hosted osrm-backend).
+module.exports = function createOsrmProvider({ baseUrl, timeoutMs = 5000 }) {
+  async function route(waypoints) {
+    const coords = waypoints.map(p => `${p.lng},${p.lat}`).join(';');
+    const url = `${baseUrl.replace(/\/$/, '')}/route/v1/driving/${coords}?overview=full&geometries=geojson`;
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`OSRM responded ${res.status}`);
+    const data = await res.json();
+    const best = data.routes && data.routes[0];
+    if (data.code !== 'Ok' || !best) throw new Error(`OSRM found no route (${data.code})`);
+
+    return {
+      distanceKm: best.distance / 1000,
+      durationMin: best.duration / 60,
+      // GeoJSON is [lng, lat]
+      geometry: best.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+      legs: best.legs.map(l => ({ distanceKm: l.distance / 1000, durationMin: l.duration / 60 })),
+    };
+  }
+
+  // { km: [[]], minutes: [[]] } between every pair of waypoints
+  async function table(waypoints) {
+    const coords = waypoints.map(p => `${p.lng},${p.lat}`).join(';');
+    const url = `${baseUrl.replace(/\/$/, '')}/table/v1/driving/${coords}?annotations=distance,duration`;
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`OSRM responded ${res.status}`);
+    const data = await res.json();
+    if (data.code !== 'Ok') throw new Error(`OSRM table failed (${data.code})`);
+    // null marks a pair OSRM could not connect; a partial matrix is no use to the optimizer
+    if (data.distances.some(row => row.includes(null))) throw new Error('OSRM could not connect every pair');
+
+    return {
+      km: data.distances.map(row => row.map(m => m / 1000)),
+      minutes: data.durations.map(row => row.map(s => s / 60)),
+    };
+  }
+
+  return { name: 'osrm', route, table };
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { haversineKm } = require('../optimizer/geo');
+
+// 🔹 Built-in router over a bundled road network: { nodes: [[lat, lng]], ways: [{ name, speedKmh, nodes: [index] }] }.
+// Ways are two-way. A point off the network drives in a straight line to the nearest node
+// ("access" leg) at ACCESS_SPEED_KMH, stretched by ACCESS_DETOUR for the roads it can't see.
+
+const ACCESS_SPEED_KMH = 25;
+const ACCESS_DETOUR = 1.3;
+
+// Binary min-heap of [priority, value]
+function createHeap() {
+  const items = [];
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+  return {
+    size: () => items.length,
+    push(priority, value) {
+      items.push([priority, value]);
+      for (let i = items.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        for (let i = 0; ;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let min = i;
+          if (l < items.length && items[l][0] < items[min][0]) min = l;
+          if (r < items.length && items[r][0] < items[min][0]) min = r;
+          if (min === i) break;
+          swap(i, min);
+          i = min;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+function loadNetwork(file) {
+  const { name, nodes, ways } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const points = nodes.map(([lat, lng]) => ({ lat, lng }));
+  const edges = points.map(() => []);
+  ways.forEach((way) => {
+    for (let i = 1; i < way.nodes.length; i += 1) {
+      const a = way.nodes[i - 1];
+      const b = way.nodes[i];
+      const km = haversineKm(points[a], points[b]);
+      const minutes = (km / way.speedKmh) * 60;
+      edges[a].push({ to: b, km, minutes });
+      edges[b].push({ to: a, km, minutes });
+    }
+  });
+  return { name, points, edges };
+}
+
+module.exports = function createRoadNetwork({ file } = {}) {
+  const network = loadNetwork(file || path.join(__dirname, '../../data/roads.json'));
+  const { points, edges } = network;
+
+  function nearestNode(point) {
+    let best = null;
+    points.forEach((p, i) => {
+      const km = haversineKm(point, p);
+      if (!best || km < best.km) best = { node: i, km };
+    });
+    return best;
+  }
+
+  // Fastest paths from `source`; stops early once `target` is settled
+  function dijkstra(source, target = null) {
+    const minutes = new Array(points.length).fill(Infinity);
+    const km = new Array(points.length).fill(Infinity);
+    const prev = new Array(points.length).fill(-1);
+    const heap = createHeap();
+    minutes[source] = 0;
+    km[source] = 0;
+    heap.push(0, source);
+    while (heap.size()) {
+      const [t, node] = heap.pop();
+      if (t > minutes[node]) continue;
+      if (node === target) break;
+      edges[node].forEach((e) => {
+        if (t + e.minutes < minutes[e.to]) {
+          minutes[e.to] = t + e.minutes;
+          km[e.to] = km[node] + e.km;
+          prev[e.to] = node;
+          heap.push(minutes[e.to], e.to);
+        }
+      });
+    }
+    return { minutes, km, prev };
+  }
+
+  const access = (km) => ({ km: km * ACCESS_DETOUR, minutes: ((km * ACCESS_DETOUR) / ACCESS_SPEED_KMH) * 60 });
+
+  // Quicker of: access leg + network path between the snapped nodes + access leg, or straight across.
+  // `tree` is a dijkstra() result from start.node; `road` is false when going straight.
+  function between(from, to, start, end, tree) {
+    const direct = access(haversineKm(from, to));
+    if (tree.minutes[end.node] === Infinity) return { ...direct, road: false };
+    const onRoad = {
+      km: access(start.km).km + tree.km[end.node] + access(end.km).km,
+      minutes: access(start.km).minutes + tree.minutes[end.node] + access(end.km).minutes,
+    };
+    return direct.minutes <= onRoad.minutes ? { ...direct, road: false } : { ...onRoad, road: true };
+  }
+
+  // One leg between two points with its geometry
+  function leg(from, to) {
+    const start = nearestNode(from);
+    const end = nearestNode(to);
+    const tree = dijkstra(start.node, end.node);
+    const best = between(from, to, start, end, tree);
+    if (!best.road) {
+      return { distanceKm: best.km, durationMin: best.minutes, geometry: [[from.lat, from.lng], [to.lat, to.lng]] };
+    }
+
+    const nodes = [];
+    for (let n = end.node; n !== -1; n = tree.prev[n]) nodes.unshift(n);
+    return {
+      distanceKm: best.km,
+      durationMin: best.minutes,
+      geometry: [[from.lat, from.lng], ...nodes.map(n => [points[n].lat, points[n].lng]), [to.lat, to.lng]]
+        .filter((p, i, all) => i === 0 || p[0] !== all[i - 1][0] || p[1] !== all[i - 1][1]),
+    };
+  }
+
+  // Same shape as the other providers: { distanceKm, durationMin, geometry: [[lat, lng]], legs }
+  async function route(waypoints) {
+    const legs = [];
+    const geometry = [];
+    for (let i = 1; i < waypoints.length; i += 1) {
+      const l = leg(waypoints[i - 1], waypoints[i]);
+      legs.push({ distanceKm: l.distanceKm, durationMin: l.durationMin });
+      geometry.push(...(i === 1 ? l.geometry : l.geometry.slice(1)));
+    }
+    return {
+      distanceKm: legs.reduce((sum, l) => sum + l.distanceKm, 0),
+      durationMin: legs.reduce((sum, l) => sum + l.durationMin, 0),
+      geometry,
+      legs,
+    };
+  }
+
+  // km and minutes between every pair of points; one shortest-path tree per snapped node
+  async function table(waypoints) {
+    const snapped = waypoints.map(nearestNode);
+    const trees = new Map();
+    const treeFrom = (node) => {
+      if (!trees.has(node)) trees.set(node, dijkstra(node));
+      return trees.get(node);
+    };
+
+    const km = [];
+    const minutes = [];
+    waypoints.forEach((from, i) => {
+      const tree = treeFrom(snapped[i].node);
+      const cells = waypoints.map((to, j) => (i === j ? { km: 0, minutes: 0 } : between(from, to, snapped[i], snapped[j], tree)));
+      km.push(cells.map(c => c.km));
+      minutes.push(cells.map(c => c.minutes));
+    });
+    return { km, minutes };
+  }
+
+  return { name: 'local', network: network.name, route, table };
+};
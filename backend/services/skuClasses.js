@@ -0,0 +1,30 @@
+const { skuClasses } = require('../repositories');
+const { HttpError } = require('../errors');
+
+// 🔹 Item classes the camera counters report, in the order they were added
+async function listSkuClasses() {
+  return skuClasses.find();
+}
+
+async function createSkuClass(data) {
+  if (await skuClasses.findOne({ label: data.label.toLowerCase() })) {
+    throw new HttpError(409, `SKU class "${data.label}" already exists`);
+  }
+  return skuClasses.create(data);
+}
+
+async function updateSkuClass(id, changes) {
+  const current = await skuClasses.findById(id);
+  if (!current) throw new HttpError(404, 'SKU class not found');
+  if (changes.label && changes.label.toLowerCase() !== current.label && await skuClasses.findOne({ label: changes.label.toLowerCase() })) {
+    throw new HttpError(409, `SKU class "${changes.label}" already exists`);
+  }
+  return skuClasses.update(id, changes);
+}
+
+// Past detections keep their label and count as unclassified until a class claims it again
+async function removeSkuClass(id) {
+  if (!(await skuClasses.remove(id))) throw new HttpError(404, 'SKU class not found');
+}
+
+module.exports = { listSkuClasses, createSkuClass, updateSkuClass, removeSkuClass };
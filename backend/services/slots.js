@@ -0,0 +1,97 @@
+const { pickupSlots, pickupRequests } = require('../repositories');
+const { HttpError } = require('../errors');
+const events = require('./events');
+
+// Requests in these states no longer hold their place in a slot
+const RELEASED_STATUSES = ['Rejected', 'Cancelled'];
+// Requests in these states are still to be picked up, so they follow their slot's window
+const AWAITING_PICKUP_STATUSES = ['Pending', 'Accepted', 'Scheduled', 'PickupFailed'];
+
+const withUsage = (slot) => {
+  const remainingPickups = Math.max(0, slot.maxPickups - slot.bookedPickups);
+  const remainingKg = Math.max(0, slot.maxKg - slot.bookedKg);
+  return { ...slot, remainingPickups, remainingKg, full: remainingPickups === 0 || remainingKg === 0 };
+};
+
+// 🔹 Slots starting in [from, to), earliest first
+async function listSlots({ from, to, status } = {}) {
+  const all = await pickupSlots.find(status ? { status } : {});
+  return all
+    .filter(s => (!from || new Date(s.start) >= from) && (!to || new Date(s.start) < to))
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(withUsage);
+}
+
+async function getSlot(id) {
+  const slot = await pickupSlots.findById(id);
+  if (!slot) throw new HttpError(404, 'Pickup slot not found');
+  return withUsage(slot);
+}
+
+function checkWindow(start, end) {
+  if (end <= start) {
+    throw new HttpError(400, 'Validation failed', { errors: { end: 'must be after the start' } });
+  }
+}
+
+// 🔹 Publish a pickup window
+async function createSlot({ start, end, hub, maxPickups, maxKg }, user) {
+  checkWindow(start, end);
+  return withUsage(await pickupSlots.create({ start, end, hub, maxPickups, maxKg, createdBy: user.userId }));
+}
+
+async function updateSlot(id, changes) {
+  const current = await getSlot(id);
+  checkWindow(changes.start || new Date(current.start), changes.end || new Date(current.end));
+  if (changes.maxPickups !== undefined && changes.maxPickups < current.bookedPickups) {
+    throw new HttpError(409, `${current.bookedPickups} pickups are already booked in this slot`);
+  }
+  if (changes.maxKg !== undefined && changes.maxKg < current.bookedKg) {
+    throw new HttpError(409, `${current.bookedKg} kg is already booked in this slot`);
+  }
+  const updated = await pickupSlots.update(id, changes);
+  if (changes.start || changes.end) await moveBookedRequests(updated);
+  return getSlot(id);
+}
+
+// Copy a slot's new window onto the requests booked into it that are still to be picked up
+async function moveBookedRequests(slot) {
+  const booked = await pickupRequests.find({ slot: slot.id, status: { $in: AWAITING_PICKUP_STATUSES } });
+  for (const request of booked) {
+    const moved = await pickupRequests.update(request.id, { date: slot.start, windowStart: slot.start, windowEnd: slot.end });
+    if (moved) events.publish('request.updated', moved);
+  }
+}
+
+async function removeSlot(id) {
+  const slot = await getSlot(id);
+  if (slot.bookedPickups > 0) {
+    throw new HttpError(409, 'Pickups are booked in this slot; close it instead');
+  }
+  await pickupSlots.remove(id);
+}
+
+// 🔹 Hold a place for a new request of `weightKg`; returns the slot.
+// The counters only move while they stay within the caps, so concurrent requests cannot overfill it.
+async function reserveSlot(id, weightKg) {
+  const slot = await getSlot(id);
+  if (slot.status !== 'open') throw new HttpError(409, 'This pickup slot is closed');
+  if (new Date(slot.start) <= new Date()) throw new HttpError(409, 'This pickup slot has already started');
+
+  const held = await pickupSlots.increment(id, { bookedPickups: 1, bookedKg: weightKg }, {
+    bookedPickups: 'maxPickups',
+    bookedKg: 'maxKg',
+  });
+  if (held) return withUsage(held);
+
+  const now = await getSlot(id);
+  if (now.remainingPickups < 1) throw new HttpError(409, 'This pickup slot is fully booked');
+  throw new HttpError(409, `Only ${now.remainingKg} kg left in this pickup slot`, { remainingKg: now.remainingKg });
+}
+
+// Give back the place a request held (it was refused, cancelled or never created)
+async function releaseSlot(slotId, weightKg) {
+  await pickupSlots.increment(slotId, { bookedPickups: -1, bookedKg: -weightKg });
+}
+
+module.exports = { RELEASED_STATUSES, listSlots, getSlot, createSlot, updateSlot, removeSlot, reserveSlot, releaseSlot };
@@ -0,0 +1,43 @@
+process.env.STORAGE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickupRequests } = require('../repositories');
+const { createSlot, updateSlot, reserveSlot, releaseSlot, getSlot } = require('./slots');
+
+const logistics = { userId: 'BC-IND-101' };
+const hours = n => new Date(Date.now() + n * 36e5);
+
+const slot = () => createSlot({ start: hours(24), end: hours(26), hub: 'Salem Hub', maxPickups: 2, maxKg: 500 }, logistics);
+
+const request = (s, status = 'Pending') => pickupRequests.create({
+  sellerName: 'Arul', phone: '+91 98765 43210', email: 'arul@example.com', address: 'Salem', weight: 100, type: 'Textiles',
+  slot: s.id, date: s.start, windowStart: s.start, windowEnd: s.end, status,
+});
+
+test('reserveSlot holds places only up to the slot caps, even when called concurrently', async () => {
+  const { id } = await slot();
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => reserveSlot(id, 100)));
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 2);
+  assert.equal(results.find(r => r.status === 'rejected').reason.status, 409);
+  await assert.rejects(reserveSlot(id, 400), err => err.status === 409);
+
+  await releaseSlot(id, 100);
+  const after = await getSlot(id);
+  assert.equal(after.bookedPickups, 1);
+  assert.equal(after.remainingKg, 400);
+});
+
+test('moving a slot moves the window of the requests still waiting in it', async () => {
+  const s = await slot();
+  const waiting = await request(s);
+  const collected = await request(s, 'PickedUp');
+  const start = hours(48);
+  const end = hours(50);
+
+  await updateSlot(s.id, { start, end });
+  const moved = await pickupRequests.findById(waiting.id);
+  assert.deepEqual([moved.date, moved.windowStart, moved.windowEnd].map(d => new Date(d).getTime()), [start, start, end].map(d => d.getTime()));
+  assert.deepEqual((await pickupRequests.findById(collected.id)).windowStart, collected.windowStart);
+});
@@ -0,0 +1,109 @@
+const config = require('../config');
+const { locationPings, vehicles } = require('../repositories');
+const { HttpError } = require('../errors');
+const { haversineKm } = require('./optimizer/geo');
+const { activePlan, driverVehicle } = require('./driverRoutes');
+const events = require('./events');
+
+const DONE = ['picked-up', 'failed', 'skipped'];
+
+const minutesFrom = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60000);
+
+// Remaining stops with an ETA from where the truck is now: the share of the current leg
+// still to drive (straight-line progress from the last stop towards the next), then the
+// planned drive and service time for each stop after it
+function stopEtas(plan, depot, position, now = new Date()) {
+  const remaining = plan.stops.filter(s => !DONE.includes(s.status));
+  if (!remaining.length) return [];
+  const done = plan.stops.filter(s => DONE.includes(s.status));
+  const from = done.length ? done[done.length - 1] : depot;
+  const next = remaining[0];
+
+  let legLeft = 0;
+  if (next.status !== 'arrived') {
+    const legKm = haversineKm(from, next);
+    legLeft = legKm > 0 ? Math.min(1, haversineKm(position, next) / legKm) : 0;
+  }
+
+  let at = minutesFrom(now, next.driveMin * legLeft);
+  return remaining.map((stop, i) => {
+    if (i > 0) at = minutesFrom(at, config.pickupServiceMinutes + stop.driveMin);
+    return {
+      sequence: stop.sequence,
+      request: stop.request,
+      name: stop.name,
+      lat: stop.lat,
+      lng: stop.lng,
+      status: stop.status,
+      plannedEta: stop.eta,
+      eta: at,
+      delayMin: stop.eta ? Math.round((at - new Date(stop.eta)) / 60000) : null,
+    };
+  });
+}
+
+const vehicleSummary = (v) => ({ id: v.id, registrationNumber: v.registrationNumber, vehicleClass: v.vehicleClass, driverName: v.driverName });
+
+// Latest position, recent trail and remaining-stop ETAs of one truck, or null if it has not reported lately
+async function vehicleStatus(vehicle, now = new Date()) {
+  const since = new Date(now.getTime() - config.trackingTrailMinutes * 60000);
+  // Served by the { vehicle, recordedAt } index, so old pings are never read
+  const pings = (await locationPings.find({ vehicle: vehicle.id, recordedAt: { $gte: since } }))
+    .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  if (!pings.length) return null;
+
+  const position = pings[pings.length - 1];
+  const plan = await activePlan(vehicle.id);
+  return {
+    vehicle: vehicleSummary(vehicle),
+    position: {
+      lat: position.lat,
+      lng: position.lng,
+      speedKmh: position.speedKmh,
+      headingDeg: position.headingDeg,
+      recordedAt: position.recordedAt,
+    },
+    stale: now - new Date(position.recordedAt) > config.trackingStaleMinutes * 60000,
+    trail: pings.map(p => [p.lat, p.lng]),
+    planId: plan ? plan.id : null,
+    stops: plan ? stopEtas(plan, plan.depot, position, now) : [],
+  };
+}
+
+// 🔹 Store a GPS fix: drivers report for their own truck, logistics (or a simulator) names one
+async function recordPing(user, { vehicleId, lat, lng, speedKmh = null, headingDeg = null, accuracyM = null, recordedAt }) {
+  let vehicle;
+  if (user.role === 'driver') {
+    vehicle = await driverVehicle(user);
+  } else {
+    if (!vehicleId) throw new HttpError(400, 'Validation failed', { errors: { vehicleId: 'is required' } });
+    vehicle = await vehicles.findById(vehicleId);
+    if (!vehicle) throw new HttpError(404, 'Vehicle not found');
+  }
+
+  const now = new Date();
+  await locationPings.create({
+    vehicle: vehicle.id,
+    reportedBy: user.userId,
+    lat,
+    lng,
+    speedKmh,
+    headingDeg,
+    accuracyM,
+    // Devices with a wrong clock must not report from the future
+    recordedAt: recordedAt && recordedAt < now ? recordedAt : now,
+  });
+
+  const status = await vehicleStatus(vehicle, now);
+  events.publish('tracking.position', status);
+  return status;
+}
+
+// 🔹 Every truck that has reported within the trail window
+async function liveFleet() {
+  const now = new Date();
+  const statuses = await Promise.all((await vehicles.find()).map(v => vehicleStatus(v, now)));
+  return statuses.filter(Boolean);
+}
+
+module.exports = { recordPing, liveFleet, vehicleStatus, stopEtas };
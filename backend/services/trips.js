@@ -0,0 +1,135 @@
+const config = require('../config');
+const { trips, vehicles, bookings } = require('../repositories');
+const { HttpError } = require('../errors');
+const events = require('./events');
+
+// Public vehicle fields shown on a trip card
+const vehicleSummary = (v) => (v ? {
+  id: v.id,
+  registrationNumber: v.registrationNumber,
+  vehicleClass: v.vehicleClass,
+  fuelType: v.fuelType,
+  driverName: v.driverName,
+} : null);
+
+// Active booking count per trip id (the booked kg is kept on the trip itself)
+async function bookedByTrip(filter = {}) {
+  const active = await bookings.find({ ...filter, status: 'active' });
+  const counts = {};
+  active.forEach((b) => { counts[b.trip] = (counts[b.trip] || 0) + 1; });
+  return counts;
+}
+
+// Status changes a trip may make; every move out of 'scheduled' except a cancel passes the load check
+const TRIP_TRANSITIONS = {
+  scheduled: ['departed', 'cancelled'],
+  departed: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+const cutoffFor = (trip) => new Date(new Date(trip.departureAt).getTime() - config.bookingCutoffHours * 60 * 60 * 1000);
+
+async function withDetails(trip, vehicleById, booked) {
+  const vehicle = vehicleById ? vehicleById[trip.vehicle] : await vehicles.findById(trip.vehicle);
+  const count = (booked || await bookedByTrip({ trip: trip.id }))[trip.id] || 0;
+  return {
+    ...trip,
+    vehicle: vehicleSummary(vehicle),
+    bookingCount: count,
+    remainingKg: Math.max(0, trip.capacityKg - trip.bookedKg),
+    bookingCutoffAt: cutoffFor(trip),
+  };
+}
+
+// 🔹 Trips departing in [from, to), soonest first
+async function listTrips({ from, to, hub, status } = {}) {
+  const filter = {};
+  if (hub) filter.hub = hub;
+  if (status) filter.status = status;
+
+  const [all, fleet, booked] = await Promise.all([trips.find(filter), vehicles.find(), bookedByTrip()]);
+  const vehicleById = Object.fromEntries(fleet.map(v => [v.id, v]));
+
+  const inRange = all
+    .filter(t => (!from || new Date(t.departureAt) >= from) && (!to || new Date(t.departureAt) < to))
+    .sort((a, b) => new Date(a.departureAt) - new Date(b.departureAt));
+  return Promise.all(inRange.map(t => withDetails(t, vehicleById, booked)));
+}
+
+async function getTrip(id) {
+  const trip = await trips.findById(id);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+  return withDetails(trip);
+}
+
+async function checkVehicle(vehicleId, capacityKg) {
+  const vehicle = await vehicles.findById(vehicleId);
+  if (!vehicle) throw new HttpError(404, 'Vehicle not found');
+  if (['maintenance', 'off-duty'].includes(vehicle.availability)) {
+    throw new HttpError(409, `Vehicle ${vehicle.registrationNumber} is ${vehicle.availability}`);
+  }
+  if (capacityKg !== undefined && capacityKg > vehicle.payloadCapacityKg) {
+    throw new HttpError(409, `Vehicle ${vehicle.registrationNumber} carries at most ${vehicle.payloadCapacityKg} kg`);
+  }
+  return vehicle;
+}
+
+// 🔹 Publish a departure; capacity defaults to the vehicle's full payload
+async function publishTrip({ hub, destination, departureAt, vehicleId, capacityKg, notes }, user) {
+  if (departureAt <= new Date()) {
+    throw new HttpError(400, 'Validation failed', { errors: { departureAt: 'must be in the future' } });
+  }
+  const vehicle = await checkVehicle(vehicleId, capacityKg);
+  const trip = await trips.create({
+    hub,
+    destination,
+    departureAt,
+    vehicle: vehicle.id,
+    capacityKg: capacityKg ?? vehicle.payloadCapacityKg,
+    notes,
+    createdBy: user.userId,
+  });
+  const detailed = await withDetails(trip);
+  events.publish('trip.updated', detailed);
+  return detailed;
+}
+
+async function updateTrip(id, { vehicleId, ...changes }) {
+  const trip = await trips.findById(id);
+  if (!trip) throw new HttpError(404, 'Trip not found');
+  if (['completed', 'cancelled'].includes(trip.status)) {
+    throw new HttpError(409, `Trip is already ${trip.status}`);
+  }
+
+  const moving = changes.status !== undefined && changes.status !== trip.status;
+  if (moving && !TRIP_TRANSITIONS[trip.status].includes(changes.status)) {
+    throw new HttpError(409, `A ${trip.status} trip cannot become ${changes.status}`, {
+      status: trip.status,
+      allowed: TRIP_TRANSITIONS[trip.status],
+    });
+  }
+  if (moving && trip.status === 'scheduled' && changes.status !== 'cancelled') {
+    // Lazy require: reconciliation depends on this module
+    await require('./reconciliation').checkDeparture(id);
+  }
+
+  const nextVehicle = vehicleId || trip.vehicle;
+  if (vehicleId || changes.capacityKg !== undefined) {
+    await checkVehicle(nextVehicle, changes.capacityKg ?? trip.capacityKg);
+  }
+  if (changes.capacityKg !== undefined && changes.capacityKg < trip.bookedKg) {
+    throw new HttpError(409, `${trip.bookedKg} kg is already booked on this trip; capacity cannot go below that`);
+  }
+
+  const updated = await trips.update(id, { ...changes, vehicle: nextVehicle });
+  if (changes.status === 'cancelled') {
+    // Lazy require: bookings service depends on this module
+    await require('./bookings').cancelAllForTrip(id, 'Trip cancelled');
+  }
+  const detailed = await withDetails(updated);
+  events.publish('trip.updated', detailed);
+  return detailed;
+}
+
+module.exports = { TRIP_TRANSITIONS, listTrips, getTrip, publishTrip, updateTrip, withDetails, cutoffFor };
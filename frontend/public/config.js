@@ -0,0 +1,12 @@
+// Deployment settings, read by the app at startup (src/config.js). Edit this file on the
+// server to point a built app at another backend; anything left out keeps its default.
+window.__BLUE_COMPASS_CONFIG__ = {
+  // apiUrl: 'https://api.example.com/api',
+  // requestTimeoutMs: 15000,
+  // retries: 2,
+  // toastMs: 5000,
+  // tiles: {
+  //   logistics: 'http://{s}.google.com/vt/lyrs=m&x={x}&y={y}&z={z}',
+  //   seller: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  // },
+};
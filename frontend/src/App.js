@@ -1,13 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation, Link, useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import { 
   Truck, Globe, ChevronRight, Map as MapIcon, Package, Leaf, 
-  Bell, Calendar, CreditCard, MapPin, LogOut, BarChart3, User, Phone 
+  Calendar, CreditCard, MapPin, LogOut, BarChart3, User, Phone, Tag 
 } from "lucide-react";
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMapEvents, useMap } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, CircleMarker, useMapEvents, useMap } from "react-leaflet";
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import { AuthProvider, RequireAuth, useAuth, homeFor } from './auth';
+import api, { apiUrl } from './api';
+import config from './config';
+import { ToastProvider, useToast } from './toast';
+import useEventStream from './useEventStream';
+import FleetPanel from './FleetPanel';
+import TripsPanel, { formatKg, formatDeparture } from './TripsPanel';
+import JoinTripModal from './JoinTripModal';
+import SlotsPanel, { formatWindow } from './SlotsPanel';
+import EmissionFactorsPanel from './EmissionFactorsPanel';
+import SkuClassesPanel from './SkuClassesPanel';
+import CarbonStatement from './CarbonStatement';
+import NotificationCenter, { useNotificationFeed } from './NotificationCenter';
+import CargoCounter, { useTripCounts } from './CargoCounter';
+import CameraFeed, { useCameras } from './CameraFeed';
+import DriverApp from './DriverApp';
+import PickupQueue, { usePickupQueue } from './PickupQueue';
 
 // --- LEAFLET ICON FIX ---
 delete L.Icon.Default.prototype._getIconUrl;
@@ -86,6 +103,50 @@ const translations = {
   }
 };
 
+// --- PICKUP LIFECYCLE (mirrors backend/services/pickupLifecycle.js) ---
+const TERMINAL_STATUSES = ['Rejected', 'Delivered', 'Cancelled'];
+const ACTION_LABELS = {
+  accept: 'Accept',
+  reject: 'Reject',
+  schedule: 'Schedule',
+  pickup: 'Picked Up',
+  fail: 'Pickup Failed',
+  dispatch: 'In Transit',
+  deliver: 'Delivered',
+  cancel: 'Cancel',
+};
+const STATUS_STYLES = {
+  Pending: 'bg-amber-500/20 text-amber-400',
+  Accepted: 'bg-emerald-500/20 text-emerald-400',
+  Scheduled: 'bg-blue-500/20 text-blue-400',
+  PickupFailed: 'bg-red-500/20 text-red-400',
+  PickedUp: 'bg-indigo-500/20 text-indigo-400',
+  InTransit: 'bg-purple-500/20 text-purple-400',
+};
+
+// Estimator defaults for road shipments (the baseline is a diesel truck of the same class)
+const ESTIMATE_VEHICLE = { vehicleClass: 'MCV', fuelType: 'diesel', refrigerated: false, emptyReturn: false };
+
+// One colour per optimized truck route on the map
+const ROUTE_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#a855f7', '#06b6d4', '#ec4899', '#84cc16'];
+
+// Convert a backend pickup request to the open-request format used by the bell and the map
+const toOpenRequest = (req) => ({
+  id: `req-${req.id}`,
+  sender: req.sellerName,
+  locationName: req.address,
+  lat: req.lat || 12.9716, // Use geocoded coordinates from backend
+  lng: req.lng || 77.5946,
+  requestId: req.id,
+  phone: req.phone,
+  email: req.email,
+  weight: req.weight,
+  type: req.type,
+  status: req.status,
+  vehicle: req.vehicle || null,
+  allowedActions: req.allowedActions || [],
+});
+
 // --- GLOBAL THEME WRAPPER ---
 const PageWrapper = ({ children }) => (
   <motion.div
@@ -100,6 +161,18 @@ const PageWrapper = ({ children }) => (
 
 // --- COMPONENTS ---
 
+const LogoutButton = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const handleLogout = async () => {
+    await logout();
+    navigate('/');
+  };
+  return (
+    <button onClick={handleLogout} className="p-4 text-slate-500 hover:text-red-400 flex items-center gap-4 border-t border-white/5 pt-6 transition-colors"><LogOut size={18} /> Logout</button>
+  );
+};
+
 const Landing = ({ lang, setLang }) => {
   const t = translations[lang];
   return (
@@ -137,9 +210,36 @@ const Landing = ({ lang, setLang }) => {
 
 const Login = ({ lang }) => {
   const [role, setRole] = useState('logistics');
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [form, setForm] = useState({ name: '', phone: '', userId: '', password: '' });
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { login, register } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const t = translations[lang];
-  const handleLogin = (e) => { e.preventDefault(); navigate(role === 'logistics' ? '/logistics' : '/seller'); };
+
+  const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const user = role === 'seller' && isRegistering
+        ? await register({ userId: form.userId, password: form.password, name: form.name, phone: form.phone })
+        : await login(form.userId, form.password);
+      // Go back to the page that sent us here, as long as it belongs to this role
+      const from = location.state?.from;
+      navigate(from && from === homeFor(user) ? from : homeFor(user));
+    } catch (err) {
+      setError(err.fields
+        ? Object.entries(err.fields).map(([field, msg]) => `${field} ${msg}`).join(' · ')
+        : err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
 
   return (
     <PageWrapper>
@@ -148,7 +248,7 @@ const Login = ({ lang }) => {
           <div className="p-10 flex flex-col justify-center bg-gradient-to-br from-amber-500/10 to-emerald-500/5 border-r border-white/5">
             <h2 className="text-3xl font-bold text-white mb-6">{t.loginTitle}</h2>
             <div className="space-y-4">
-              <button onClick={() => setRole('logistics')} className={`w-full flex items-center justify-between p-5 rounded-2xl border-2 transition-all ${role === 'logistics' ? 'border-amber-500 bg-amber-500/10 text-white' : 'border-white/5 text-slate-500'}`}>
+              <button onClick={() => { setRole('logistics'); setIsRegistering(false); }} className={`w-full flex items-center justify-between p-5 rounded-2xl border-2 transition-all ${role === 'logistics' ? 'border-amber-500 bg-amber-500/10 text-white' : 'border-white/5 text-slate-500'}`}>
                 <span className="font-bold">{t.asLogistics}</span>
                 <div className={`w-4 h-4 rounded-full ${role === 'logistics' ? 'bg-amber-500' : 'border border-slate-600'}`} />
               </button>
@@ -161,30 +261,36 @@ const Login = ({ lang }) => {
           <div className="p-10 flex flex-col justify-center bg-slate-950/50">
             <form onSubmit={handleLogin} className="space-y-4">
               <AnimatePresence mode="wait">
-                {role === 'seller' && (
+                {role === 'seller' && isRegistering && (
                   <motion.div initial={{ opacity: 0, height: 0 }} animate={{ opacity: 1, height: 'auto' }} exit={{ opacity: 0, height: 0 }} className="space-y-4 overflow-hidden">
                     <div>
                       <label className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">{t.name}</label>
-                      <div className="relative"><User className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-600 w-4 h-4" /><input required type="text" className="w-full bg-slate-900 border border-white/5 p-4 pl-12 rounded-xl mt-1 text-white focus:border-emerald-500/50 outline-none" placeholder="Arul Kumar" /></div>
+                      <div className="relative"><User className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-600 w-4 h-4" /><input required type="text" name="name" value={form.name} onChange={handleChange} className="w-full bg-slate-900 border border-white/5 p-4 pl-12 rounded-xl mt-1 text-white focus:border-emerald-500/50 outline-none" placeholder="Arul Kumar" /></div>
                     </div>
                     <div>
                       <label className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">{t.phone}</label>
-                      <div className="relative"><Phone className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-600 w-4 h-4" /><input required type="tel" className="w-full bg-slate-900 border border-white/5 p-4 pl-12 rounded-xl mt-1 text-white focus:border-emerald-500/50 outline-none" placeholder="+91 98765 43210" /></div>
+                      <div className="relative"><Phone className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-600 w-4 h-4" /><input required type="tel" name="phone" value={form.phone} onChange={handleChange} className="w-full bg-slate-900 border border-white/5 p-4 pl-12 rounded-xl mt-1 text-white focus:border-emerald-500/50 outline-none" placeholder="+91 98765 43210" /></div>
                     </div>
                   </motion.div>
                 )}
               </AnimatePresence>
               <div>
                 <label className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">{t.userId}</label>
-                <input required type="text" className="w-full bg-slate-900 border border-white/5 p-4 rounded-xl mt-1 text-white focus:border-amber-500/50 outline-none" placeholder="BC-IND-101" />
+                <input required type="text" name="userId" value={form.userId} onChange={handleChange} autoComplete="username" className="w-full bg-slate-900 border border-white/5 p-4 rounded-xl mt-1 text-white focus:border-amber-500/50 outline-none" placeholder="BC-IND-101" />
               </div>
               <div>
                 <label className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">{t.password}</label>
-                <input required type="password" className="w-full bg-slate-900 border border-white/5 p-4 rounded-xl mt-1 text-white focus:border-amber-500/50 outline-none" placeholder="••••••••" />
+                <input required type="password" name="password" value={form.password} onChange={handleChange} autoComplete={isRegistering ? 'new-password' : 'current-password'} minLength={isRegistering ? 8 : undefined} className="w-full bg-slate-900 border border-white/5 p-4 rounded-xl mt-1 text-white focus:border-amber-500/50 outline-none" placeholder="••••••••" />
               </div>
-              <button type="submit" className={`w-full font-black py-4 rounded-xl mt-4 transition-all active:scale-95 ${role === 'seller' ? 'bg-emerald-500 text-black shadow-[0_0_20px_rgba(16,185,129,0.2)]' : 'bg-amber-500 text-black shadow-[0_0_20px_rgba(245,158,11,0.2)]'}`}>
-                {t.enter.toUpperCase()}
+              {error && <p className="text-red-400 text-sm font-bold">{error}</p>}
+              <button type="submit" disabled={isSubmitting} className={`w-full font-black py-4 rounded-xl mt-4 transition-all active:scale-95 disabled:opacity-60 ${role === 'seller' ? 'bg-emerald-500 text-black shadow-[0_0_20px_rgba(16,185,129,0.2)]' : 'bg-amber-500 text-black shadow-[0_0_20px_rgba(245,158,11,0.2)]'}`}>
+                {(role === 'seller' && isRegistering ? 'Create Account' : t.enter).toUpperCase()}
               </button>
+              {role === 'seller' && (
+                <button type="button" onClick={() => { setIsRegistering(r => !r); setError(''); }} className="w-full text-xs text-slate-400 hover:text-emerald-400 transition-colors">
+                  {isRegistering ? 'Already registered? Sign in' : 'New seller? Create an account'}
+                </button>
+              )}
             </form>
           </div>
         </div>
@@ -194,89 +300,147 @@ const Login = ({ lang }) => {
 };
 
 const LogisticsDashboard = ({ lang }) => {
+  const toast = useToast();
   const [activeTab, setActiveTab] = useState('camera');
-  const [counts, setCounts] = useState({ a: 0, b: 0 });
+  const { token } = useAuth();
   const t = translations[lang];
-  const ESP32_IP = "http://10.124.211.137/capture";
-  const PYTHON_BACKEND = "http://localhost:5001";
-
-  // Notifications and locations
-  const [notifications, setNotifications] = useState([
-    { id: 'n1', sender: 'Ravi Kumar', locationName: 'Salem Hub', lat: 11.6643, lng: 78.1460 },
-    { id: 'n2', sender: 'Meera Iyer', locationName: 'Koramangala Depot', lat: 12.9352, lng: 77.6245 },
-    { id: 'n3', sender: 'Karthik S', locationName: 'Chennai Collection', lat: 13.0827, lng: 80.2707 }
-  ]);
-  const [locations, setLocations] = useState([]); // accepted notifications appear here
+  const counter = useTripCounts(); // camera counts for the trip being loaded
+  const cameras = useCameras(); // registry and health of the dock and truck cameras
+
+  // Notification feed, open requests and locations
+  const feed = useNotificationFeed();
+  const [openRequests, setOpenRequests] = useState([]); // non-terminal requests, for the controls on feed items
+  const [locations, setLocations] = useState([]); // accepted requests appear here
   const [showNotifications, setShowNotifications] = useState(false);
+  const [requestsVersion, setRequestsVersion] = useState(0); // bumped on every request change
+  const [tripsVersion, setTripsVersion] = useState(0); // bumped when a trip or its bookings change
+  const [vehicles, setVehicles] = useState([]); // fleet for the "assign truck" picker
 
   // Optimization & routing states
-  const [optimizedRoute, setOptimizedRoute] = useState([]);
-  const [sortedStops, setSortedStops] = useState([]); // stops order returned from backend
-  const [roadPath, setRoadPath] = useState([]); // array of [lat, lng] from OSRM geometry
+  const [routePlans, setRoutePlans] = useState([]); // one route per truck from /api/optimize, with colour and road path
+  const [depot, setDepot] = useState(null);
+  const [baselineRoutes, setBaselineRoutes] = useState([]); // same trucks, stops in arrival order
   const [routeStats, setRouteStats] = useState(null); // stats returned from optimizer (/optimize)
   const [optimizationStats, setOptimizationStats] = useState(null); // stats from /optimize for fleet tab
   const [calculationLogs, setCalculationLogs] = useState('');
   const [totalDrivingDistance, setTotalDrivingDistance] = useState(0); // meters
+  const [liveTrucks, setLiveTrucks] = useState([]); // GPS position, trail and stop ETAs per reporting truck (/api/tracking)
 
   // Manual emission estimator state
   const [manualDistance, setManualDistance] = useState('');
   const [manualWeight, setManualWeight] = useState('');
   const [manualMode, setManualMode] = useState('road');
+  const [manualVehicle, setManualVehicle] = useState(ESTIMATE_VEHICLE); // road only: truck class, fuel, reefer, empty return
   const [manualEmission, setManualEmission] = useState(null);
-  const [manualResult, setManualResult] = useState(null); // { emission_kg, baseline_kg, savings_kg }
+  const [manualResult, setManualResult] = useState(null); // { emissionKg, baselineKg, savingsKg, factorVersion, breakdown }
 
-  // Reset / counts poll
-  const handleReset = async () => {
+  // Fetch open (non-terminal) requests from backend
+  const fetchPendingRequests = useCallback(async () => {
     try {
-      await fetch('http://10.42.109.137/capture', { method: 'POST' });
-      setCounts({ a: 0, b: 0 });
-    } catch (err) { console.error("Reset failed:", err); }
-  };
+      const allRequests = await api.get('/requests');
+      setOpenRequests(allRequests.filter(req => !TERMINAL_STATUSES.includes(req.status)).map(toOpenRequest));
+    } catch (err) {
+      console.error('Failed to fetch pending requests:', err);
+    }
+  }, []);
 
-  // Fetch pending requests from backend and populate notifications
-  useEffect(() => {
-    const fetchPendingRequests = async () => {
-      try {
-        const response = await fetch('http://localhost:5000/api/requests');
-        if (response.ok) {
-          const allRequests = await response.json();
-          const pendingRequests = allRequests.filter(req => req.status === 'Pending');
-          // Convert backend requests to notification format with geocoded coordinates
-          const requestNotifications = pendingRequests.map(req => ({
-            id: `req-${req.id}`,
-            sender: req.sellerName,
-            locationName: req.address,
-            lat: req.lat || 12.9716, // Use geocoded coordinates from backend
-            lng: req.lng || 77.5946,
-            requestId: req.id,
-            phone: req.phone,
-            email: req.email,
-            weight: req.weight,
-            type: req.type,
-          }));
-          // Set notifications to show pending pickup requests
-          setNotifications(requestNotifications);
-        }
-      } catch (err) {
-        console.error('Failed to fetch pending requests:', err);
-      }
-    };
+  const fetchLiveTrucks = useCallback(async () => {
+    try {
+      setLiveTrucks(await api.get('/tracking'));
+    } catch (err) {
+      console.error('Failed to fetch live positions:', err);
+    }
+  }, []);
+
+  // Replace a truck's live status with the one pushed after its latest ping
+  const upsertLiveTruck = useCallback((status) => {
+    setLiveTrucks(prev => [...prev.filter(t => t.vehicle.id !== status.vehicle.id), status]);
+  }, []);
+
+  // Merge a pushed request into the open list (drops it once it reaches a terminal state)
+  const upsertRequest = useCallback((req) => {
+    setRequestsVersion(v => v + 1);
+    setOpenRequests(prev => {
+      const item = toOpenRequest(req);
+      const exists = prev.some(n => n.id === item.id);
+      if (TERMINAL_STATUSES.includes(req.status)) return prev.filter(n => n.id !== item.id);
+      return exists ? prev.map(n => n.id === item.id ? item : n) : [...prev, item];
+    });
+  }, []);
+
+  // Live updates over SSE; re-sync the full list whenever the stream (re)connects
+  const liveConnected = useEventStream(
+    token ? apiUrl('/events', { token }) : null,
+    {
+      ready: () => {
+        fetchPendingRequests();
+        fetchLiveTrucks();
+        feed.refresh();
+        counter.refresh();
+        cameras.refresh();
+      },
+      'notification.created': feed.receive,
+      'request.created': upsertRequest,
+      'request.status-changed': upsertRequest,
+      'request.updated': upsertRequest,
+      'trip.updated': () => {
+        setTripsVersion(v => v + 1);
+        counter.refresh();
+      },
+      'tracking.position': upsertLiveTruck,
+      'camera.health': cameras.receive,
+      // A stop done or a new plan moves the ETAs
+      'route.updated': fetchLiveTrucks,
+      'detections.counted': (counts) => {
+        counter.receive(counts);
+        setTripsVersion(v => v + 1); // the trip's load check moves with its counts
+      },
+    }
+  );
 
+  // Fallback polling, only while the live channel is down
+  useEffect(() => {
     fetchPendingRequests();
+    if (liveConnected) return undefined;
     // Poll every 3 seconds
     const interval = setInterval(fetchPendingRequests, 3000);
     return () => clearInterval(interval);
-  }, []);
+  }, [liveConnected, fetchPendingRequests]);
 
+  // Live trucks on the Route Map; polled while the stream is down so stale positions still show as stale
   useEffect(() => {
-    const interval = setInterval(() => {
-      fetch(`${PYTHON_BACKEND}/counts`)
-        .then(res => res.json())
-        .then(data => setCounts(data))
-        .catch(() => console.error("Waiting for Python backend..."));
-    }, 1000);
+    if (activeTab !== 'map') return undefined;
+    fetchLiveTrucks();
+    if (liveConnected) return undefined;
+    const interval = setInterval(fetchLiveTrucks, 10000);
     return () => clearInterval(interval);
-  }, []);
+  }, [activeTab, liveConnected, fetchLiveTrucks]);
+
+  // Cargo counts while the stream is down
+  const refreshCounts = counter.refresh;
+  useEffect(() => {
+    if (liveConnected) return undefined;
+    const interval = setInterval(refreshCounts, 3000);
+    return () => clearInterval(interval);
+  }, [liveConnected, refreshCounts]);
+
+  // Fleet (with free capacity) for the assignment picker and camera labels; refreshed as requests change
+  useEffect(() => {
+    if (!showNotifications && activeTab !== 'camera') return;
+    api.get('/vehicles')
+      .then(setVehicles)
+      .catch(err => console.error('Failed to fetch vehicles:', err));
+  }, [showNotifications, activeTab, requestsVersion]);
+
+  // Put an accepted request on a truck ('' unassigns)
+  const handleAssignVehicle = async (requestId, vehicleId) => {
+    try {
+      upsertRequest(await api.post(`/requests/${requestId}/assign-vehicle`, { vehicleId: vehicleId || null }));
+    } catch (err) {
+      console.error('Error assigning vehicle:', err);
+      toast.error(err, 'Failed to assign vehicle');
+    }
+  };
 
   // Map Click Event (adds manual points)
   function MapClickEvent() {
@@ -288,217 +452,149 @@ const LogisticsDashboard = ({ lang }) => {
     return null;
   }
 
-  // Accept a notification -> move it to locations and update backend status
-  const handleAcceptNotification = async (id) => {
-    const item = notifications.find(n => n.id === id);
+  // Apply a lifecycle action (accept, reject, schedule, ...) to an open request.
+  // Accepting also moves the pickup point onto the route map.
+  const handleRequestAction = async (id, action) => {
+    const item = openRequests.find(n => n.id === id);
     if (!item) return;
 
-    // If this is a seller request, update backend status
-    if (item.requestId) {
-      try {
-        const response = await fetch(`http://localhost:5000/api/accept-request/${item.requestId}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-        });
-        if (!response.ok) {
-          console.error('Failed to update request status');
-          return;
-        }
-        console.log('Request accepted on backend:', item.requestId);
-      } catch (err) {
-        console.error('Error accepting request:', err);
-      }
+    try {
+      const data = await api.post(`/requests/${item.requestId}/${action}`);
+      console.log(`Request ${action} on backend:`, item.requestId, data.status);
+      setOpenRequests(prev => TERMINAL_STATUSES.includes(data.status)
+        ? prev.filter(n => n.id !== id)
+        : prev.map(n => n.id === id ? { ...n, status: data.status, allowedActions: data.allowedActions || [] } : n));
+    } catch (err) {
+      console.error(`Error on ${action} request:`, err);
+      toast.error(err, `Failed to ${action} request`);
+      return;
     }
 
-    setNotifications(prev => prev.filter(n => n.id !== id));
-    setLocations(prev => [...prev, { id: item.id, locationName: item.locationName, lat: item.lat, lng: item.lng }]);
-    console.log('Accepted notification:', item);
+    if (action === 'accept') {
+      setLocations(prev => [...prev, { id: item.id, requestId: item.requestId, locationName: item.locationName, lat: item.lat, lng: item.lng, weight: item.weight }]);
+      console.log('Accepted notification:', item);
+    }
   };
 
-  // Helper: fetch real driving path from OSRM between consecutive points
-  const fetchRoadPath = async (orderedCoords) => {
-    if (!orderedCoords || orderedCoords.length < 2) {
-      setRoadPath([]);
-      setTotalDrivingDistance(0);
-      return;
-    }
+  // Status, load details, truck picker and lifecycle buttons for a feed item's request while it is open
+  const renderRequestControls = (requestId) => {
+    const n = openRequests.find(r => r.requestId === requestId);
+    if (!n) return null;
+    return (
+      <div className="mt-2 pt-2 border-t border-white/5 flex items-start justify-between gap-3" onClick={e => e.stopPropagation()}>
+        <div>
+          <span className={`text-[9px] font-black uppercase px-2 py-0.5 rounded-full ${STATUS_STYLES[n.status] || 'bg-slate-700 text-slate-300'}`}>{n.status}</span>
+          <div className="text-[10px] text-slate-500 mt-1">
+            <div>Weight: {n.weight}kg | Type: {n.type}</div>
+            <div>Phone: {n.phone}</div>
+            <div>📍 {(n.lat || 0).toFixed(4)}, {(n.lng || 0).toFixed(4)}</div>
+          </div>
+          {['Accepted', 'Scheduled'].includes(n.status) && (
+            <select value={n.vehicle || ''} onChange={(e) => handleAssignVehicle(n.requestId, e.target.value)} className="mt-2 w-full bg-slate-800 text-[10px] text-slate-200 p-1 rounded border border-white/5">
+              <option value="">Assign truck…</option>
+              {vehicles.map(v => (
+                <option key={v.id} value={v.id} disabled={v.id !== n.vehicle && v.remainingKg < (n.weight || 0)}>
+                  {v.registrationNumber} ({v.remainingKg} kg free)
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="flex flex-wrap justify-end gap-1">
+          {n.allowedActions.map(action => (
+            <button key={action} onClick={() => handleRequestAction(n.id, action)} className={`px-3 py-1 rounded-lg font-bold text-xs ${['reject', 'cancel'].includes(action) ? 'bg-red-500/10 text-red-400 border border-red-500/20' : 'bg-emerald-500 text-black'}`}>{ACTION_LABELS[action] || action}</button>
+          ))}
+        </div>
+      </div>
+    );
+  };
 
+  // Road geometry for one route from the backend router; straight lines between stops if it is unreachable
+  const fetchRouteGeometry = async (path) => {
     try {
-      const mergedPath = [];
-      let totalDist = 0;
-
-      for (let i = 0; i < orderedCoords.length - 1; i++) {
-        const a = orderedCoords[i];
-        const b = orderedCoords[i + 1];
-        // OSRM expects lon,lat
-        const url = `https://router.project-osrm.org/route/v1/driving/${a.lng},${a.lat};${b.lng},${b.lat}?overview=full&geometries=geojson`;
-        console.log('OSRM request:', url);
-        const res = await fetch(url);
-        if (!res.ok) {
-          console.error('OSRM fetch failed:', res.statusText);
-          continue;
-        }
-        const data = await res.json();
-        if (data.routes && data.routes.length > 0 && data.routes[0].geometry && data.routes[0].geometry.coordinates) {
-          const coordsLonLat = data.routes[0].geometry.coordinates; // [ [lon,lat], ... ]
-          // convert to lat,lng for Leaflet and append (avoid duplicate points)
-          for (let j = 0; j < coordsLonLat.length; j++) {
-            const [lon, lat] = coordsLonLat[j];
-            const latLng = [lat, lon];
-            const last = mergedPath[mergedPath.length - 1];
-            if (!last || last[0] !== latLng[0] || last[1] !== latLng[1]) mergedPath.push(latLng);
-          }
-          totalDist += (data.routes[0].distance || 0);
-        } else {
-          console.warn('OSRM returned no route for segment', i, data);
-        }
-      }
-
-      setRoadPath(mergedPath);
-      setTotalDrivingDistance(totalDist);
-      console.log('Total driving distance (m):', totalDist);
-      return { mergedPath, totalDist };
+      const data = await api.post('/route', { points: path.map(([lat, lng]) => ({ lat, lng })) });
+      return { positions: data.geometry, meters: data.distanceKm * 1000, road: true, source: data.source };
     } catch (err) {
-      console.error('fetchRoadPath error:', err);
+      console.warn('Routing failed, falling back to straight-line path:', err);
+      return { positions: path, meters: null, road: false };
     }
   };
 
-  // OPTIMIZE: send locations to backend /optimize (backend must implement Johnson's algorithm)
-  // --- NEW: ROBUST ROUTING FUNCTION ---
+  // OPTIMIZE: capacitated multi-truck routing on the Node backend, one coloured route per truck
   const handleOptimize = async () => {
     if (locations.length < 2) {
-      alert("Please select at least 2 points on the map!");
+      toast.info('Please select at least 2 points on the map!');
       return;
     }
 
     try {
-      console.log("1. Sending locations to Backend...", locations);
-      
-      // 1. Ask Python to sort the stops (Johnson's/VRP Logic)
-      // Make sure this matches your backend port (5000 or 5001)
-      const response = await fetch('http://localhost:5001/optimize', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ locations }),
-      });
-      
-      const data = await response.json();
-      console.log("2. Backend Response:", data);
-
-      if (data.optimized_route) {
-        // 2. We have the sorted stops. Save them, then request the full road geometry from OSRM.
-        const sortedLocs = data.optimized_route;
-        // Save optimizer stats (distance/emissions) to both routeStats and optimizationStats
-        if (data.stats) {
-          setRouteStats(data.stats);
-          setOptimizationStats(data.stats);
-        }
-        setSortedStops(sortedLocs || []);
-
-        // Build OSRM coordinate string: "lon,lat;lon,lat;..."
-        const osrmCoords = (sortedLocs || [])
-          .map(loc => `${loc.lng},${loc.lat}`)
-          .join(';');
-
-        if (!osrmCoords) {
-          console.error('No coordinates to route on OSRM');
-          alert('No coordinates available for routing');
-          return;
-        }
-
-        console.log("3. Fetching Roads from OSRM:", osrmCoords);
-        const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${osrmCoords}?overview=full&geometries=geojson`;
-
-        // Helper: Haversine distance (km)
-        const haversineKm = (lat1, lon1, lat2, lon2) => {
-          const toRad = v => v * Math.PI / 180;
-          const R = 6371; // Earth radius km
-          const dLat = toRad(lat2 - lat1);
-          const dLon = toRad(lon2 - lon1);
-          const a = Math.sin(dLat/2) * Math.sin(dLat/2) + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2) * Math.sin(dLon/2);
-          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-          return R * c;
-        };
-
-        try {
-          const roadResponse = await fetch(osrmUrl);
-          if (!roadResponse.ok) throw new Error(`OSRM status ${roadResponse.status}`);
-          const roadData = await roadResponse.json();
-
-          if (roadData.routes && roadData.routes.length > 0 && roadData.routes[0].geometry && roadData.routes[0].geometry.coordinates) {
-            // OSRM returns coords as [lon, lat]. Convert every coord to [lat, lon] for Leaflet.
-            const rawCoordinates = roadData.routes[0].geometry.coordinates; // [ [lon,lat], ... ]
-            const leafletCoordinates = rawCoordinates.map(coord => [coord[1], coord[0]]);
-
-            console.log("4. Drawing Route (Leaflet lat,lng):", leafletCoordinates);
-            // Update optimizedRoute with the detailed road path (lat, lng pairs)
-            setOptimizedRoute(leafletCoordinates);
-
-            // Update distance and logs if available
-            const dist = roadData.routes[0].distance || 0;
-            setTotalDrivingDistance(dist);
-            setCalculationLogs(`Backend stops: ${sortedLocs.length}\nOSRM distance: ${dist.toFixed(0)} m`);
-          } else {
-            throw new Error('OSRM returned no valid route data');
-          }
-        } catch (err) {
-          console.warn('OSRM fetch failed, falling back to straight-line path:', err);
-          // Fallback: use straight-line connections between sorted stops
-          const fallbackPath = (sortedLocs || []).map(s => [s.lat, s.lng]);
-          setOptimizedRoute(fallbackPath);
-
-          // Estimate distance using haversine between stops
-          let estKm = 0;
-          for (let i = 0; i < (sortedLocs || []).length - 1; i++) {
-            const a = sortedLocs[i];
-            const b = sortedLocs[i+1];
-            if (a && b && a.lat != null && a.lng != null && b.lat != null && b.lng != null) {
-              estKm += haversineKm(a.lat, a.lng, b.lat, b.lng);
-            }
-          }
-          setTotalDrivingDistance(Math.round(estKm * 1000)); // meters
-          setCalculationLogs(`Backend stops: ${sortedLocs.length}\nFallback straight-line distance: ${Math.round(estKm)} km (OSRM unavailable)`);
-        }
-      }
+      const stops = locations.map(loc => ({
+        id: String(loc.id),
+        requestId: loc.requestId,
+        name: loc.locationName,
+        lat: loc.lat,
+        lng: loc.lng,
+        weightKg: loc.weight || 0,
+      }));
+      const data = await api.post('/optimize', { stops });
+
+      setDepot(data.depot);
+      setBaselineRoutes(data.baselineRoutes);
+      setRouteStats(data.stats);
+      setOptimizationStats(data.stats);
+
+      const plans = await Promise.all(data.routes.map(async (route, i) => ({
+        ...route,
+        color: ROUTE_COLORS[i % ROUTE_COLORS.length],
+        geometry: await fetchRouteGeometry(route.path),
+      })));
+      setRoutePlans(plans);
+
+      // Road km where the router answered, straight-line km from the optimizer elsewhere
+      const meters = plans.reduce((sum, p) => sum + (p.geometry.meters ?? p.distanceKm * 1000), 0);
+      setTotalDrivingDistance(meters);
+      setCalculationLogs([
+        `Trucks used: ${data.stats.vehiclesUsed} | Stops: ${stops.length}`,
+        ...plans.map(p => `${p.vehicle.registrationNumber} (${p.vehicle.vehicleClass}): ${p.stops.length} stops, ${p.loadKg}/${p.vehicle.capacityKg} kg, ${p.distanceKm} km, ${formatMinutes(p.durationMin)}${p.geometry.road ? ` (road via ${p.geometry.source})` : ' (straight line)'}`),
+        ...data.unassigned.map(u => `Unassigned: ${u.name} (${u.reason})`),
+        ...data.baselineUnassigned.map(u => `Arrival order could not fit: ${u.name} (${u.reason}), counted as a separate run`),
+        `Arrival order: ${data.stats.baselineKm} km, ${formatMinutes(data.stats.baselineMin)}, ${data.stats.baseline} kg CO2e | Optimized: ${data.stats.optimizedKm} km, ${formatMinutes(data.stats.optimizedMin)}, ${data.stats.optimized} kg CO2e`,
+        `Emission factors: v${data.stats.factorVersion} | Road distances: ${data.stats.distanceSource}`,
+      ].join('\n'));
     } catch (error) {
       console.error("Optimization failed:", error);
-      alert("Error: Check Console (F12) for details.");
+      toast.error(error, 'Optimization failed');
     }
   };
 
-  // Manual emission calculator (calls Python optimizer service /calculate-manual)
+  // Manual emission calculator against the active emission-factor version
   const handleManualCalculate = async () => {
-    const distance = parseFloat(manualDistance) || 0;
-    const weight = parseFloat(manualWeight) || 0;
+    const distanceKm = parseFloat(manualDistance) || 0;
+    const weightKg = parseFloat(manualWeight) || 0;
     try {
-      const res = await fetch('http://localhost:5001/calculate-manual', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ distance, weight, mode: manualMode }),
-      });
-      if (!res.ok) throw new Error('Calculation failed');
-      const d = await res.json();
-      // backend now returns emission_kg, baseline_kg, savings_kg
-      const emissionKg = d.emission_kg ?? d.emission ?? 0;
-      const baselineKg = d.baseline_kg ?? d.baseline ?? 0;
-      const savingsKg = d.savings_kg ?? Math.max(0, baselineKg - emissionKg);
-      setManualResult({ emission_kg: emissionKg, baseline_kg: baselineKg, savings_kg: savingsKg });
-      setManualEmission(emissionKg / 1000.0);
+      const data = await api.post('/emissions/estimate', { distanceKm, weightKg, mode: manualMode, ...(manualMode === 'road' ? manualVehicle : {}) });
+      setManualResult(data);
+      setManualEmission(data.emissionKg / 1000.0);
     } catch (err) {
       console.error('Manual calc error:', err);
-      alert('Failed to calculate emissions');
+      toast.error(err, 'Failed to calculate emissions');
     }
   };
 
+  const handleManualVehicleChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setManualVehicle(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
   // Auto-calc when manual inputs change (debounced)
   useEffect(() => {
     const id = setTimeout(() => {
-      if ((manualDistance !== '' || manualWeight !== '') && (parseFloat(manualDistance) > 0 || parseFloat(manualWeight) > 0)) {
+      if (parseFloat(manualDistance) > 0 && parseFloat(manualWeight) >= 0) {
         handleManualCalculate();
       }
     }, 300);
     return () => clearTimeout(id);
-  }, [manualDistance, manualWeight, manualMode]);
+  }, [manualDistance, manualWeight, manualMode, manualVehicle]);
 
   return (
     <PageWrapper>
@@ -508,89 +604,42 @@ const LogisticsDashboard = ({ lang }) => {
           <span className="font-black tracking-tighter text-xl text-white">BLUE COMPASS</span>
         </div>
         <nav className="flex-1 space-y-2">
-          {[{ id: 'camera', label: 'Live Cargo Feed', icon: <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse" /> }, { id: 'map', label: 'Route Map', icon: <MapIcon size={18}/> }, { id: 'fleet', label: 'Fleet Load', icon: <BarChart3 size={18}/> }].map(item => (
+          {[{ id: 'camera', label: 'Live Cargo Feed', icon: <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse" /> }, { id: 'map', label: 'Route Map', icon: <MapIcon size={18}/> }, { id: 'fleet', label: 'Fleet Load', icon: <BarChart3 size={18}/> }, { id: 'trips', label: 'Trips & Slots', icon: <Calendar size={18}/> }].map(item => (
             <button key={item.id} onClick={() => setActiveTab(item.id)} className={`w-full flex items-center gap-4 p-4 rounded-xl transition-all ${activeTab === item.id ? 'bg-amber-500 text-black font-bold' : 'text-slate-400 hover:bg-white/5'}`}>{item.icon} {item.label}</button>
           ))}
         </nav>
-        <Link to="/" className="p-4 text-slate-500 hover:text-red-400 flex items-center gap-4 border-t border-white/5 pt-6 transition-colors"><LogOut size={18} /> Logout</Link>
+        <LogoutButton />
       </aside>
 
       <main className="flex-1 p-8 flex flex-col relative overflow-y-auto">
         <header className="flex justify-between items-end mb-8 relative">
           <div>
             <h2 className="text-3xl font-bold text-white">{t.asLogistics}</h2>
-            <p className="text-slate-500 text-sm mt-1 uppercase tracking-widest font-medium">Real Road Routing</p>
+            <p className="text-slate-500 text-sm mt-1 uppercase tracking-widest font-medium flex items-center gap-2">
+              Real Road Routing
+              <span title={liveConnected ? 'Receiving live updates' : 'Live channel down, polling'} className={`inline-flex items-center gap-1 text-[10px] font-black ${liveConnected ? 'text-emerald-400' : 'text-slate-500'}`}>
+                <span className={`w-2 h-2 rounded-full ${liveConnected ? 'bg-emerald-400' : 'bg-slate-600'}`} />{liveConnected ? 'LIVE' : 'POLLING'}
+              </span>
+            </p>
           </div>
 
           <div className="flex gap-4 items-center relative">
-            <button onClick={handleReset} className="bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white px-4 py-2 rounded-xl border border-red-500/20 transition-all font-bold text-xs h-10">RESET</button>
-
-            {/* Bell notifications */}
-            <div className="relative">
-              <button onClick={() => setShowNotifications(s => !s)} className="p-2 bg-slate-900 border border-white/5 rounded-xl hover:bg-white/2">
-                <Bell className="text-slate-200" />
-              </button>
-
-              {showNotifications && (
-                <div className="absolute right-0 mt-3 w-96 bg-slate-900 border border-white/5 rounded-2xl p-4 z-50 shadow-xl">
-                  <div className="flex items-center justify-between mb-3">
-                    <h4 className="font-bold text-white">Notifications</h4>
-                    <button onClick={() => setShowNotifications(false)} className="text-slate-400 text-sm">Close</button>
-                  </div>
-
-                  {notifications.length === 0 ? (
-                    <p className="text-slate-500 text-sm">No pending requests</p>
-                  ) : (
-                    <div className="space-y-3 max-h-64 overflow-y-auto">
-                      {notifications.map(n => (
-                        <div key={n.id} className="flex items-start justify-between gap-3 bg-slate-950 p-3 rounded-xl border border-white/5">
-                          <div>
-                            <div className="font-bold text-white">{n.sender}</div>
-                            <div className="text-slate-400 text-xs">{n.locationName}</div>
-                            {n.requestId && (
-                              <div className="text-[10px] text-slate-500 mt-1">
-                                <div>Weight: {n.weight}kg | Type: {n.type}</div>
-                                <div>Phone: {n.phone}</div>
-                              </div>
-                            )}
-                          </div>
-                          <div className="flex flex-col items-end gap-2">
-                            <button onClick={() => handleAcceptNotification(n.id)} className="bg-emerald-500 text-black px-3 py-1 rounded-lg font-bold text-xs">Accept</button>
-                            <div className="text-[10px] text-slate-500">📍 {(n.lat || 0).toFixed(4)}, {(n.lng || 0).toFixed(4)}</div>
-                            {n.requestId && <div className="text-[9px] text-emerald-400">Geocoded</div>}
-                          </div>
-                        </div>
-                      ))}
-                    </div>
-                  )}
-                </div>
-              )}
-            </div>
+            {/* Bell: server-side notification feed */}
+            <NotificationCenter feed={feed} open={showNotifications} onToggle={() => setShowNotifications(s => !s)} renderRequest={renderRequestControls} />
 
-            <div className="bg-slate-900 border border-white/5 px-6 py-3 rounded-2xl flex flex-col items-center">
-              <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">Object A</span>
-              <span className="text-2xl font-black text-emerald-500">{counts.a}</span>
-            </div>
-            <div className="bg-slate-900 border border-white/5 px-6 py-3 rounded-2xl flex flex-col items-center">
-              <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">Object B</span>
-              <span className="text-2xl font-black text-amber-500">{counts.b}</span>
-            </div>
+            {/* Camera counter tallies for the trip being loaded */}
+            <CargoCounter counter={counter} />
           </div>
         </header>
 
         {activeTab === 'camera' && (
-          <div className="flex-1 flex flex-col gap-6">
-            <div className="relative flex-1 bg-black rounded-[32px] overflow-hidden border border-white/10 shadow-2xl">
-              <img src={`${ESP32_IP}?t=${Date.now()}`} alt="Cargo Feed" className="w-full h-full object-cover opacity-90" onError={(e) => { e.target.src = "https://placehold.co/640x480/020617/white?text=Camera+Offline"; }} />
-              <div className="absolute top-6 left-6 bg-red-600 text-white text-[10px] font-black px-3 py-1 rounded-full flex items-center gap-2 animate-pulse">LIVE VIDEO FEED</div>
-            </div>
-          </div>
+          <CameraFeed cameras={cameras} vehicles={vehicles} />
         )}
 
         {activeTab === 'map' && (
           <div className="flex flex-col h-full gap-4 relative">
              <div className="flex justify-between items-center bg-slate-900/50 p-4 rounded-2xl border border-white/5">
-                <p className="text-sm text-slate-400">Click on the map to add delivery points. Accept notifications to include them.</p>
+                <p className="text-sm text-slate-400">Click on the map to add delivery points. Accept requests from the bell to include them.</p>
                 <button 
                   onClick={handleOptimize}
                   disabled={locations.length < 2}
@@ -603,7 +652,7 @@ const LogisticsDashboard = ({ lang }) => {
              <div className="flex-1 min-h-[500px] rounded-[32px] overflow-hidden border border-white/5 relative shadow-2xl">
                 <MapContainer center={[12.9716, 77.5946]} zoom={7} style={{ height: '100%', width: '100%' }}>
                   <TileLayer
-                    url="http://{s}.google.com/vt/lyrs=m&x={x}&y={y}&z={z}"
+                    url={config.tiles.logistics}
                     subdomains={['mt0','mt1','mt2','mt3']}
                     attribution='Map data © Google'
                   />
@@ -618,17 +667,55 @@ const LogisticsDashboard = ({ lang }) => {
                     </Marker>
                   ))}
 
-                  {/* Sorted stops (markers returned from backend) */}
-                  {sortedStops && sortedStops.map((r, i) => (r && r.lat && r.lng) ? (
-                    <Marker key={`opt-${i}`} position={[r.lat, r.lng]}>
-                      <Popup>{r.name || `Stop ${i + 1}`}</Popup>
+                  {/* Depot and each truck's stops in its route colour */}
+                  {depot && routePlans.length > 0 && (
+                    <Marker position={[depot.lat, depot.lng]}>
+                      <Popup>Depot: {depot.name}</Popup>
                     </Marker>
-                  ) : null)}
-
-                  {/* Real road path from OSRM (Google-like blue) */}
-                  {optimizedRoute && optimizedRoute.length > 1 && (
-                    <Polyline positions={optimizedRoute} color="#3b82f6" weight={5} opacity={0.9} />
                   )}
+                  {routePlans.map(plan => plan.stops.map(stop => (
+                    <CircleMarker key={`${plan.vehicle.id}-${stop.id}`} center={[stop.lat, stop.lng]} radius={9} pathOptions={{ color: plan.color, fillColor: plan.color, fillOpacity: 0.9 }}>
+                      <Popup>
+                        {plan.vehicle.registrationNumber} · Stop {stop.sequence}: {stop.name}<br />
+                        {stop.weightKg} kg (load {stop.loadAfterKg} kg)<br />
+                        ETA {formatDeparture(stop.eta).date} {formatDeparture(stop.eta).time}{stop.windowStart ? ` · window ${formatWindow({ start: stop.windowStart, end: stop.windowEnd })}` : ''}
+                      </Popup>
+                    </CircleMarker>
+                  )))}
+
+                  {/* One road path per truck */}
+                  {routePlans.map(plan => plan.geometry.positions.length > 1 && (
+                    <Polyline key={plan.vehicle.id} positions={plan.geometry.positions} pathOptions={{ color: plan.color, weight: 5, opacity: 0.9 }} />
+                  ))}
+
+                  {/* Live trucks: recent GPS trail and current position with ETAs for the stops left */}
+                  {liveTrucks.map(truck => {
+                    const color = truck.stale ? '#64748b' : (routePlans.find(p => p.vehicle.id === truck.vehicle.id)?.color || '#f8fafc');
+                    return (
+                      <React.Fragment key={`live-${truck.vehicle.id}`}>
+                        {truck.trail.length > 1 && <Polyline positions={truck.trail} pathOptions={{ color, weight: 3, opacity: 0.7, dashArray: '4 6' }} />}
+                        <CircleMarker center={[truck.position.lat, truck.position.lng]} radius={12} pathOptions={{ color: '#020617', weight: 3, fillColor: color, fillOpacity: 1 }}>
+                          <Popup>
+                            <strong>{truck.vehicle.registrationNumber}</strong> · {truck.vehicle.driverName}<br />
+                            {truck.stale ? 'No signal since' : 'Seen'} {formatDeparture(truck.position.recordedAt).time}{truck.position.speedKmh != null ? ` · ${Math.round(truck.position.speedKmh)} km/h` : ''}
+                            {truck.stops.length > 0 ? (
+                              <table className="mt-1 text-xs">
+                                <tbody>
+                                  {truck.stops.map(stop => (
+                                    <tr key={stop.sequence}>
+                                      <td className="pr-2">{stop.sequence}. {stop.name}</td>
+                                      <td className="pr-2">{stop.status === 'arrived' ? 'at stop' : formatDeparture(stop.eta).time}</td>
+                                      <td>{stop.delayMin > 0 ? `+${stop.delayMin} min` : 'on time'}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            ) : <><br />No stops left</>}
+                          </Popup>
+                        </CircleMarker>
+                      </React.Fragment>
+                    );
+                  })}
                 </MapContainer>
 
                 {/* Emission Estimator (bottom-left overlay) */}
@@ -649,7 +736,10 @@ const LogisticsDashboard = ({ lang }) => {
                     <div className="flex items-center gap-2">
                       <button onClick={handleManualCalculate} className="bg-emerald-500 text-black px-3 py-2 rounded font-bold">Calculate</button>
                       {manualEmission !== null && (
-                        <div className="text-emerald-400 font-black text-lg">{(manualEmission/1000).toFixed(3)} tCO2e</div>
+                        <div>
+                          <div className="text-emerald-400 font-black text-lg">{(manualEmission/1000).toFixed(3)} tCO2e</div>
+                          <div className="text-[10px] text-slate-500">Factors v{manualResult.factorVersion}</div>
+                        </div>
                       )}
                     </div>
                   </div>
@@ -661,8 +751,8 @@ const LogisticsDashboard = ({ lang }) => {
                     <h4 className="font-bold text-white mb-3">Route Efficiency</h4>
                     <div className="flex items-end gap-4 h-36">
                       {(() => {
-                        const base = routeStats.baseline ?? routeStats.baseline_emission_kg ?? 0;
-                        const opt = routeStats.optimized ?? routeStats.optimized_emission_kg ?? 0;
+                        const base = routeStats.baseline ?? 0;
+                        const opt = routeStats.optimized ?? 0;
                         const m = Math.max(base, opt, 1);
                         const baseH = Math.round((base / m) * 100);
                         const optH = Math.round((opt / m) * 100);
@@ -670,7 +760,7 @@ const LogisticsDashboard = ({ lang }) => {
                           <>
                             <div className="flex flex-col items-center">
                               <div className="bg-slate-500 w-12" style={{ height: `${baseH}%` }}></div>
-                              <div className="text-xs text-slate-400 mt-2">Baseline</div>
+                              <div className="text-xs text-slate-400 mt-2">Arrival order</div>
                             </div>
                             <div className="flex flex-col items-center">
                               <div className="bg-teal-400 w-12" style={{ height: `${optH}%` }}></div>
@@ -680,7 +770,8 @@ const LogisticsDashboard = ({ lang }) => {
                         )
                       })()}
                     </div>
-                    <div className="mt-3 text-white font-bold text-lg">{Math.round(routeStats.reduction_percent ?? routeStats.reduction_percentage ?? 0)}% Reduction</div>
+                    <div className="mt-3 text-white font-bold text-lg">{Math.round(routeStats.percent ?? 0)}% Reduction</div>
+                    <div className="text-[10px] text-slate-500">Emission factors v{routeStats.factorVersion}</div>
                   </div>
                 )}
 
@@ -689,6 +780,19 @@ const LogisticsDashboard = ({ lang }) => {
                   <h4 className="font-bold text-white mb-2">Algorithm Logistics</h4>
                   <div className="text-xs text-slate-400 mb-3 whitespace-pre-wrap">{calculationLogs || 'No calculations yet. Click "Optimize Route".'}</div>
                   <div className="text-sm text-slate-300"><strong>Total Driving Distance:</strong> {totalDrivingDistance ? `${(totalDrivingDistance / 1000).toFixed(2)} km` : '—'}</div>
+                  {routePlans.length > 0 && (
+                    <div className="mt-3 space-y-3">
+                      {routePlans.map(plan => (
+                        <div key={plan.vehicle.id}>
+                          <div className="flex items-center gap-2 text-xs text-slate-300 mb-1">
+                            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: plan.color }} />
+                            {plan.vehicle.registrationNumber} · {Math.round(plan.utilisation * 100)}% full · {plan.distanceKm} km · {formatMinutes(plan.durationMin)} · {plan.emissionKg} kg CO2e
+                          </div>
+                          <RouteLegs legs={plan.legs} />
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
              </div>
           </div>
@@ -741,12 +845,40 @@ const LogisticsDashboard = ({ lang }) => {
                   </select>
                 </div>
 
+                {manualMode === 'road' && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="text-sm text-slate-400 block mb-1">Vehicle Class</label>
+                      <select name="vehicleClass" value={manualVehicle.vehicleClass} onChange={handleManualVehicleChange} className="w-full bg-slate-800 p-3 rounded border border-white/5 text-white">
+                        <option value="LCV">LCV</option>
+                        <option value="MCV">MCV</option>
+                        <option value="HCV">HCV</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="text-sm text-slate-400 block mb-1">Fuel</label>
+                      <select name="fuelType" value={manualVehicle.fuelType} onChange={handleManualVehicleChange} className="w-full bg-slate-800 p-3 rounded border border-white/5 text-white">
+                        <option value="diesel">Diesel</option>
+                        <option value="cng">CNG</option>
+                        <option value="petrol">Petrol</option>
+                        <option value="electric">Electric</option>
+                      </select>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-400">
+                      <input type="checkbox" name="refrigerated" checked={manualVehicle.refrigerated} onChange={handleManualVehicleChange} /> Refrigerated
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-slate-400">
+                      <input type="checkbox" name="emptyReturn" checked={manualVehicle.emptyReturn} onChange={handleManualVehicleChange} /> Empty return leg
+                    </label>
+                  </div>
+                )}
+
                 {/* Bar Chart */}
                 <div className="flex-1 flex flex-col justify-center mt-4">
                   <div className="flex items-end gap-6 h-32">
                     {(() => {
-                      const baseline = manualResult ? manualResult.baseline_kg : 1;
-                      const selected = manualResult ? manualResult.emission_kg : 0.5;
+                      const baseline = manualResult ? manualResult.baselineKg : 1;
+                      const selected = manualResult ? manualResult.emissionKg : 0.5;
                       const max = Math.max(baseline, selected, 1);
                       const baselineHeight = Math.max(12, Math.round((baseline / max) * 120));
                       const selectedHeight = Math.max(12, Math.round((selected / max) * 120));
@@ -757,7 +889,7 @@ const LogisticsDashboard = ({ lang }) => {
                               className="w-full bg-slate-500 rounded-t-lg transition-all"
                               style={{ height: `${baselineHeight}px` }}
                             ></div>
-                            <div className="text-xs text-slate-400 mt-2 text-center">Air (Baseline)</div>
+                            <div className="text-xs text-slate-400 mt-2 text-center">Diesel Truck (Baseline)</div>
                           </div>
                           <div className="flex-1 flex flex-col items-center justify-end">
                             <div
@@ -775,9 +907,12 @@ const LogisticsDashboard = ({ lang }) => {
                 {/* Results */}
                 {manualResult && (
                   <div className="bg-slate-950 p-4 rounded-lg border border-white/5">
-                    <div className="text-sm text-slate-400 mb-2">Saved Emissions</div>
-                    <div className="text-3xl font-black text-emerald-400">
-                      {(manualResult.savings_kg / 1000).toFixed(3)} tCO2e
+                    <div className="text-sm text-slate-400 mb-2">{manualResult.savingsKg >= 0 ? 'Saved Emissions' : 'Extra Emissions'}</div>
+                    <div className={`text-3xl font-black ${manualResult.savingsKg >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                      {(Math.abs(manualResult.savingsKg) / 1000).toFixed(3)} tCO2e
+                    </div>
+                    <div className="text-xs text-slate-500 mt-2">
+                      {manualResult.emissionKg.toFixed(1)} kg CO2e{manualResult.breakdown.emptyReturnKg > 0 ? ` (incl. ${manualResult.breakdown.emptyReturnKg.toFixed(1)} kg empty return)` : ''} · Factors v{manualResult.factorVersion}
                     </div>
                   </div>
                 )}
@@ -796,8 +931,8 @@ const LogisticsDashboard = ({ lang }) => {
                   {/* Bar Chart */}
                   <div className="flex items-end gap-6 h-40">
                     {(() => {
-                      const baseline = optimizationStats.baseline || 1;
-                      const optimized = optimizationStats.optimized || 0.5;
+                      const baseline = optimizationStats.baseline ?? 0;
+                      const optimized = optimizationStats.optimized ?? 0;
                       const max = Math.max(baseline, optimized, 1);
                       const baselineHeight = Math.max(12, Math.round((baseline / max) * 120));
                       const optimizedHeight = Math.max(12, Math.round((optimized / max) * 120));
@@ -808,7 +943,7 @@ const LogisticsDashboard = ({ lang }) => {
                               className="w-full bg-slate-500 rounded-t-lg transition-all"
                               style={{ height: `${baselineHeight}px` }}
                             ></div>
-                            <div className="text-xs text-slate-400 mt-2 text-center">Baseline Route</div>
+                            <div className="text-xs text-slate-400 mt-2 text-center">Arrival Order</div>
                           </div>
                           <div className="flex-1 flex flex-col items-center justify-end">
                             <div
@@ -837,6 +972,36 @@ const LogisticsDashboard = ({ lang }) => {
                       <div className="text-2xl font-black text-emerald-400 mt-1">
                         {(optimizationStats.saved / 1000).toFixed(2)} tCO2e
                       </div>
+                      <div className="text-xs text-slate-500 mt-1">
+                        {optimizationStats.baseline} → {optimizationStats.optimized} kg CO2e · {optimizationStats.baselineKm} → {optimizationStats.optimizedKm} km · Factors v{optimizationStats.factorVersion}
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Leg-by-leg breakdown: the load grows after every pickup */}
+                  <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <div className="text-xs uppercase font-black text-slate-500 mb-2">Optimized</div>
+                      {routePlans.map(plan => (
+                        <div key={plan.vehicle.id} className="mb-3">
+                          <div className="text-xs text-slate-300 mb-1 flex items-center gap-2">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: plan.color }} />
+                            {plan.vehicle.registrationNumber} · {plan.distanceKm} km · {plan.emissionKg} kg
+                          </div>
+                          <RouteLegs legs={plan.legs} />
+                        </div>
+                      ))}
+                    </div>
+                    <div>
+                      <div className="text-xs uppercase font-black text-slate-500 mb-2">Arrival Order</div>
+                      {baselineRoutes.map((route, i) => (
+                        <div key={`${route.vehicle.id}-${i}`} className="mb-3">
+                          <div className="text-xs text-slate-300 mb-1">
+                            {route.vehicle.registrationNumber}{route.separateRun ? ' (separate run)' : ''} · {route.distanceKm} km · {route.emissionKg} kg
+                          </div>
+                          <RouteLegs legs={route.legs} />
+                        </div>
+                      ))}
                     </div>
                   </div>
                 </div>
@@ -846,6 +1011,15 @@ const LogisticsDashboard = ({ lang }) => {
                 </div>
               )}
             </div>
+
+            <FleetPanel version={requestsVersion} />
+          </div>
+        )}
+
+        {activeTab === 'trips' && (
+          <div className="space-y-8">
+            <TripsPanel version={tripsVersion} />
+            <SlotsPanel />
           </div>
         )}
       </main>
@@ -853,17 +1027,57 @@ const LogisticsDashboard = ({ lang }) => {
   );
 };
 
-const SellerRequestForm = () => {
-  const [formData, setFormData] = React.useState({
-    sellerName: '',
-    phone: '',
-    email: '',
+// Drive time as "45 min" or "2 h 05 min"
+const formatMinutes = (min) => (min < 60 ? `${min} min` : `${Math.floor(min / 60)} h ${String(min % 60).padStart(2, '0')} min`);
+
+// Per-leg km, load on board and CO2e for one truck route
+const RouteLegs = ({ legs }) => (
+  <table className="w-full text-[10px] text-slate-400">
+    <tbody>
+      {legs.map((leg, i) => (
+        <tr key={i} className="border-t border-white/5">
+          <td className="py-1 pr-2 text-slate-300">{leg.from} → {leg.to}</td>
+          <td className="py-1 pr-2 text-right">{leg.km} km</td>
+          <td className="py-1 pr-2 text-right">{formatMinutes(leg.minutes)}</td>
+          <td className="py-1 pr-2 text-right">{leg.loadKg} kg</td>
+          <td className="py-1 text-right text-emerald-400">{leg.emissionKg.toFixed(2)} kg</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Inline field-level message under a form input
+const FieldError = ({ message }) => (
+  message ? <p className="text-red-400 text-xs font-bold mt-1">{message}</p> : null
+);
+
+const FORM_MESSAGE_STYLES = {
+  success: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  pending: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+  error: 'bg-red-500/10 text-red-400 border-red-500/20',
+};
+
+// `queue` is the dashboard's usePickupQueue(): requests are saved on the device before they are
+// sent, so a dropped connection queues them instead of losing them
+const SellerRequestForm = ({ queue }) => {
+  const { user } = useAuth();
+  const emptyForm = {
+    sellerName: user?.name || '',
+    phone: user?.phone || '',
+    email: user?.email || '',
     address: '',
     weight: '',
     type: 'Perishables',
-    date: ''
-  });
+    date: '',
+    slotId: ''
+  };
+  const [formData, setFormData] = React.useState(emptyForm);
+  const [slots, setSlots] = React.useState([]); // open pickup windows on the chosen date
+  const [slotsOffline, setSlotsOffline] = React.useState(false); // windows could not be loaded without a connection
   const [isLoading, setIsLoading] = React.useState(false);
+  const [fieldErrors, setFieldErrors] = React.useState({}); // { field: message } from the API schema
+  const [formMessage, setFormMessage] = React.useState(null); // { type: 'success' | 'error', text }
 
   // Verification state
   const [verifiedLat, setVerifiedLat] = React.useState(null);
@@ -872,9 +1086,35 @@ const SellerRequestForm = () => {
   const [verifyResults, setVerifyResults] = React.useState([]);
   const [showVerifyModal, setShowVerifyModal] = React.useState(false);
 
+  const setFieldError = (name, message) => setFieldErrors(prev => ({ ...prev, [name]: message }));
+  const offline = !queue.online || slotsOffline;
+
+  // Load the windows logistics published for the chosen day
+  useEffect(() => {
+    if (!formData.date) {
+      setSlots([]);
+      return;
+    }
+    const from = new Date(`${formData.date}T00:00`);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+    api.get('/slots', { query: { from: from.toISOString(), to: to.toISOString() } })
+      .then((list) => {
+        setSlots(list);
+        setSlotsOffline(false);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch pickup slots:', err);
+        setSlotsOffline(err.status === 0);
+      });
+  }, [formData.date]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    // A new date invalidates the chosen window
+    setFormData(prev => ({ ...prev, [name]: value, ...(name === 'date' ? { slotId: '' } : {}) }));
+    setFieldError(name, null);
+    setFormMessage(null);
     // Any address change resets verification
     if (name === 'address') {
       setIsVerified(false);
@@ -886,86 +1126,101 @@ const SellerRequestForm = () => {
   const verifyLocation = async () => {
     const q = (formData.address || '').trim();
     if (!q) {
-      alert('Enter an address or pincode to verify');
+      setFieldError('address', 'Enter an address or pincode to verify');
       return;
     }
 
     try {
-      const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(q)}`;
-      const res = await fetch(url, { headers: { 'Accept-Language': 'en' } });
-      const items = await res.json();
-
-      if (!items || items.length === 0) {
-        alert('Location not found. Please check the Pincode.');
+      // Backend resolves pincodes from its offline gazetteer before any external geocoder
+      const data = await api.get('/geocode', { query: { q } });
+      const candidates = data.candidates || [];
+
+      if (candidates.length === 0) {
+        setFieldError('address', data.providerError
+          ? 'Location not found offline and the online geocoder is unavailable. Try a 6-digit pincode.'
+          : 'Location not found. Please check the Pincode.');
         return;
       }
 
-      if (items.length === 1) {
-        const it = items[0];
-        setVerifiedLat(parseFloat(it.lat));
-        setVerifiedLng(parseFloat(it.lon));
-        setIsVerified(true);
-        setVerifyResults([]);
-        setShowVerifyModal(false);
-        alert('✅ Location verified');
+      setFieldError('address', null);
+      if (candidates.length === 1) {
+        pickVerifyResult(candidates[0]);
         return;
       }
 
-      // Multiple results: show modal for selection
-      setVerifyResults(items.map(i => ({ display_name: i.display_name, lat: i.lat, lon: i.lon })));
+      // Multiple results (already ranked by the backend): show modal for selection
+      setVerifyResults(candidates);
       setShowVerifyModal(true);
     } catch (err) {
       console.error('Verify error:', err);
-      alert('Failed to verify location. See console.');
+      if (err.fields?.q) setFieldError('address', `Address ${err.fields.q}`);
+      else setFieldError('address', err.status ? err.message : 'Failed to verify location. Please try again.');
     }
   };
 
   const pickVerifyResult = (item) => {
-    setVerifiedLat(parseFloat(item.lat));
-    setVerifiedLng(parseFloat(item.lon));
+    setVerifiedLat(item.lat);
+    setVerifiedLng(item.lng);
     setIsVerified(true);
     setShowVerifyModal(false);
     setVerifyResults([]);
   };
 
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setSlots([]);
+    setFieldErrors({});
+    setIsVerified(false);
+    setVerifiedLat(null);
+    setVerifiedLng(null);
+  };
+
   const handleSubmitRequest = async (e) => {
     e.preventDefault();
-    if (!formData.sellerName || !formData.phone || !formData.email || !formData.address || !formData.weight) {
-      alert('Please fill in all fields');
+    setFormMessage(null);
+    // Offline, windows cannot be booked and addresses cannot be looked up: the request keeps its
+    // date and the address is located when it syncs
+    const required = ['sellerName', 'phone', 'email', 'address', 'weight', 'date', ...(offline ? [] : ['slotId'])];
+    const missing = required.filter(f => !formData[f]);
+    if (missing.length > 0) {
+      setFieldErrors(Object.fromEntries(missing.map(f => [f, 'is required'])));
       return;
     }
 
-    if (!isVerified || verifiedLat == null || verifiedLng == null) {
-      alert('Please verify your pickup location before submitting');
+    if (!offline && (!isVerified || verifiedLat == null || verifiedLng == null)) {
+      setFieldError('address', 'Please verify your pickup location before submitting');
       return;
     }
 
     setIsLoading(true);
     try {
-      const payload = { ...formData, lat: verifiedLat, lng: verifiedLng };
-      const response = await fetch('http://localhost:5000/api/request-pickup', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || 'Failed to submit request');
+      // The server takes the pickup date from the booked slot
+      const { date, ...rest } = formData;
+      const payload = {
+        ...rest,
+        ...(formData.slotId ? {} : { date }),
+        ...(isVerified ? { lat: verifiedLat, lng: verifiedLng } : {}),
+      };
+      const entry = await queue.submit(payload);
+      if (entry.status === 'failed') throw Object.assign(new Error(entry.error), { fields: entry.fields });
+      resetForm();
+      if (entry.status === 'pending') {
+        setFormMessage({ type: 'pending', text: 'No connection right now. The request is saved on this device and will be sent automatically when you are back online.' });
+        return;
       }
-
-      const data = await response.json();
+      const data = entry.request;
       const coordsText = (data.lat && data.lng)
         ? `Coordinates: ${parseFloat(data.lat).toFixed(4)}, ${parseFloat(data.lng).toFixed(4)}`
         : 'Coordinates: Not provided';
-      alert(`✓ Pickup request submitted successfully! (ID: ${data.id})\nLocation: ${data.address}\n${coordsText}`);
-      setFormData({ sellerName: '', phone: '', email: '', address: '', weight: '', type: 'Perishables', date: '' });
-      setIsVerified(false);
-      setVerifiedLat(null);
-      setVerifiedLng(null);
+      setFormMessage({ type: 'success', text: `✓ Pickup request submitted successfully! (ID: ${data.id}) Location: ${data.address}. ${coordsText}` });
     } catch (error) {
       console.error('Submit error:', error);
-      alert('Error submitting request. Check console for details.');
+      if (error.fields) {
+        // Coordinates come from verification, so report them against the address field
+        const { lat, lng, ...rest } = error.fields;
+        setFieldErrors({ ...rest, ...(lat || lng ? { address: `Location ${lat || lng}` } : {}) });
+      }
+      setFormMessage({ type: 'error', text: error.fields ? 'Please correct the highlighted fields.' : error.message });
     } finally {
       setIsLoading(false);
     }
@@ -992,6 +1247,7 @@ const SellerRequestForm = () => {
               placeholder="Your Full Name"
               required
             />
+            <FieldError message={fieldErrors.sellerName} />
           </div>
           <div>
             <label className="text-xs font-bold text-slate-500 uppercase tracking-widest">Phone *</label>
@@ -1004,6 +1260,7 @@ const SellerRequestForm = () => {
               placeholder="+91 98765 43210"
               required
             />
+            <FieldError message={fieldErrors.phone} />
           </div>
         </div>
         <div className="grid grid-cols-2 gap-6">
@@ -1018,6 +1275,7 @@ const SellerRequestForm = () => {
               placeholder="you@example.com"
               required
             />
+            <FieldError message={fieldErrors.email} />
           </div>
           <div>
             <label className="text-xs font-bold text-slate-500 uppercase tracking-widest">Pickup Address or Pincode *</label>
@@ -1033,6 +1291,7 @@ const SellerRequestForm = () => {
               />
               <button type="button" onClick={verifyLocation} className="bg-blue-600 px-4 rounded-lg text-white font-bold">Verify</button>
             </div>
+            <FieldError message={fieldErrors.address} />
             <div className="mt-2">
               {isVerified ? (
                 <span className="text-emerald-400 font-bold">✅ Verified ({verifiedLat?.toFixed(4)}, {verifiedLng?.toFixed(4)})</span>
@@ -1044,7 +1303,7 @@ const SellerRequestForm = () => {
             <div className="mt-4 h-60 rounded-xl overflow-hidden border border-white/5">
               <MapContainer center={previewCenter} zoom={13} style={{ height: '100%', width: '100%' }}>
                 <TileLayer
-                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                  url={config.tiles.seller}
                   attribution='© OpenStreetMap contributors'
                 />
                 <MapUpdater center={previewCenter} />
@@ -1069,6 +1328,7 @@ const SellerRequestForm = () => {
               min="0"
               required
             />
+            <FieldError message={fieldErrors.weight} />
           </div>
           <div>
             <label className="text-xs font-bold text-slate-500 uppercase tracking-widest">Goods Type *</label>
@@ -1084,20 +1344,71 @@ const SellerRequestForm = () => {
               <option>Electronics</option>
               <option>Other</option>
             </select>
+            <FieldError message={fieldErrors.type} />
           </div>
         </div>
+        <div className="grid grid-cols-2 gap-6">
+          <div>
+            <label className="text-xs font-bold text-slate-500 uppercase tracking-widest">Pickup Date *</label>
+            <input
+              type="date"
+              name="date"
+              value={formData.date}
+              onChange={handleInputChange}
+              min={new Date().toLocaleDateString('en-CA')}
+              className="w-full bg-slate-950 border border-white/10 p-4 rounded-xl mt-2 text-white outline-none focus:border-emerald-500"
+              required
+            />
+            <FieldError message={fieldErrors.date} />
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-500 uppercase tracking-widest">Pickup Window{offline ? '' : ' *'}</label>
+            {!formData.date ? (
+              <p className="text-slate-500 text-sm mt-4">Choose a date to see available windows.</p>
+            ) : offline ? (
+              <p className="text-amber-400 text-sm mt-4">Offline: windows can't be booked right now. The request will go in for this date.</p>
+            ) : slots.length === 0 ? (
+              <p className="text-slate-500 text-sm mt-4">No pickup windows on this day. Try another date.</p>
+            ) : (
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                {slots.map(slot => {
+                  const unavailable = slot.full || new Date(slot.start) <= new Date() || (parseFloat(formData.weight) || 0) > slot.remainingKg;
+                  return (
+                    <button
+                      key={slot.id}
+                      type="button"
+                      disabled={unavailable}
+                      onClick={() => handleInputChange({ target: { name: 'slotId', value: slot.id } })}
+                      className={`p-3 rounded-xl border text-left text-sm transition-colors disabled:opacity-40 ${formData.slotId === slot.id ? 'border-emerald-500 bg-emerald-500/10 text-white' : 'border-white/10 bg-slate-950 text-slate-300'}`}
+                    >
+                      <span className="font-bold block">{formatWindow(slot)}</span>
+                      <span className="text-[10px] text-slate-500">{slot.full ? 'Fully booked' : `${slot.remainingPickups} left · ${formatKg(slot.remainingKg)} free`}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <FieldError message={fieldErrors.slotId} />
+          </div>
+        </div>
+        {formMessage && (
+          <div className={`p-4 rounded-xl text-sm font-bold border ${FORM_MESSAGE_STYLES[formMessage.type]}`}>
+            {formMessage.text}
+          </div>
+        )}
         <button
           type="submit"
-          disabled={isLoading || !isVerified}
+          disabled={isLoading || (!isVerified && !offline)}
           className={`w-full font-black py-5 rounded-2xl shadow-xl transition-transform active:scale-95 ${
-            isLoading || !isVerified
+            isLoading || (!isVerified && !offline)
               ? 'bg-slate-700 text-slate-400 cursor-not-allowed'
               : 'bg-emerald-500 text-black shadow-emerald-500/20 hover:bg-emerald-400'
           }`}
         >
-          {isLoading ? 'SUBMITTING...' : !isVerified ? 'VERIFY LOCATION FIRST' : 'SUBMIT PICKUP REQUEST'}
+          {isLoading ? 'SUBMITTING...' : offline ? 'SAVE AND SEND WHEN ONLINE' : !isVerified ? 'VERIFY LOCATION FIRST' : 'SUBMIT PICKUP REQUEST'}
         </button>
       </form>
+      <PickupQueue queue={queue} />
       {/* Verification modal */}
       {showVerifyModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center">
@@ -1110,8 +1421,11 @@ const SellerRequestForm = () => {
             <div className="max-h-80 overflow-y-auto space-y-3">
               {verifyResults.map((r, i) => (
                 <button key={i} onClick={() => pickVerifyResult(r)} className="w-full text-left p-3 bg-slate-900/60 hover:bg-slate-900 rounded-lg border border-white/5">
-                  <div className="text-sm text-white">{r.display_name}</div>
-                  <div className="text-xs text-slate-400 mt-1">{parseFloat(r.lat).toFixed(5)}, {parseFloat(r.lon).toFixed(5)}</div>
+                  <div className="flex items-center justify-between gap-3">
+                    <div className="text-sm text-white">{r.label}</div>
+                    <span className={`text-[9px] font-black uppercase px-2 py-0.5 rounded-full flex-shrink-0 ${r.source === 'gazetteer' ? 'bg-emerald-500/20 text-emerald-400' : 'bg-blue-500/20 text-blue-400'}`}>{r.source === 'gazetteer' ? 'Pincode DB' : r.source}</span>
+                  </div>
+                  <div className="text-xs text-slate-400 mt-1">{r.lat.toFixed(5)}, {r.lng.toFixed(5)}</div>
                 </button>
               ))}
             </div>
@@ -1124,32 +1438,157 @@ const SellerRequestForm = () => {
 
 const SellerDashboard = ({ lang }) => {
   const [activeTab, setActiveTab] = useState('cal');
+  const [trips, setTrips] = useState([]); // published departures over the next three months
+  const [selectedDay, setSelectedDay] = useState(null); // Date clicked on the calendar
+  const [joiningTrip, setJoiningTrip] = useState(null); // trip shown in the JOIN TRIP modal
+  const [bookings, setBookings] = useState([]); // this seller's active bookings
+  const [bookingMessage, setBookingMessage] = useState('');
+  const [rank, setRank] = useState(null); // { rank, of, city } among sellers in the same city
+  const { user, token } = useAuth();
+  const pickupQueue = usePickupQueue(user.userId);
   const t = translations[lang];
+
+  const fetchTrips = useCallback(() => {
+    const from = new Date();
+    const to = new Date(from.getFullYear(), from.getMonth() + 3, 1);
+    api.get('/trips', { query: { from: from.toISOString(), to: to.toISOString() } })
+      .then(setTrips)
+      .catch(err => console.error('Failed to fetch trips:', err));
+  }, []);
+
+  const fetchBookings = useCallback(() => {
+    api.get('/bookings', { query: { status: 'active' } })
+      .then(setBookings)
+      .catch(err => console.error('Failed to fetch bookings:', err));
+  }, []);
+
+  const fetchRank = useCallback(() => {
+    api.get('/carbon/rank')
+      .then(setRank)
+      .catch(err => console.error('Failed to fetch sustainability rank:', err));
+  }, []);
+
+  useEffect(() => {
+    fetchTrips();
+    fetchBookings();
+    fetchRank();
+  }, [fetchTrips, fetchBookings, fetchRank]);
+
+  // Keep free space on the cards current as other sellers book
+  useEventStream(
+    token ? apiUrl('/events', { token }) : null,
+    {
+      'trip.updated': (trip) => {
+        // Newly published departures need the date-range query, so refetch those
+        if (trip.status === 'scheduled' && !trips.some(x => x.id === trip.id)) fetchTrips();
+        setTrips(prev => (trip.status === 'scheduled'
+          ? prev.map(x => (x.id === trip.id ? trip : x))
+          : prev.filter(x => x.id !== trip.id)));
+        fetchBookings();
+      },
+      // Deliveries add emissions, which can move the rank
+      'request.status-changed': (request) => {
+        if (request.status === 'Delivered') fetchRank();
+      },
+    }
+  );
+
+  const handleBooked = () => {
+    setJoiningTrip(null);
+    setBookingMessage('');
+    fetchTrips();
+    fetchBookings();
+  };
+
+  const cancelBooking = async (id) => {
+    setBookingMessage('');
+    try {
+      await api.post(`/bookings/${id}/cancel`);
+    } catch (err) {
+      setBookingMessage(err.message);
+    }
+    fetchTrips();
+    fetchBookings();
+  };
+
+  const bookingsByTrip = bookings.reduce((acc, b) => {
+    (acc[b.trip] = acc[b.trip] || []).push(b);
+    return acc;
+  }, {});
+
+  // Trips grouped by local calendar day
+  const tripsByDay = trips.reduce((acc, trip) => {
+    const key = new Date(trip.departureAt).toDateString();
+    (acc[key] = acc[key] || []).push(trip);
+    return acc;
+  }, {});
+  const selectedTrips = selectedDay ? (tripsByDay[selectedDay.toDateString()] || []) : [];
+
+  const renderTripCard = (trip) => {
+    const when = formatDeparture(trip.departureAt);
+    const mine = bookingsByTrip[trip.id] || [];
+    const open = new Date() < new Date(trip.bookingCutoffAt);
+    const full = trip.remainingKg <= 0;
+    return (
+      <div key={trip.id} className="bg-slate-950 p-5 rounded-2xl border border-white/5 hover:border-emerald-500/30 transition-colors">
+        <div className="flex justify-between items-center">
+          <div>
+            <p className="font-bold text-white">{when.day} • {when.time}</p>
+            <p className="text-xs text-slate-500 mt-1">{when.date} | {trip.hub}{trip.destination ? ` → ${trip.destination}` : ''}</p>
+            <p className="text-xs text-slate-500 mt-1">Driver: {trip.vehicle?.driverName || '—'} | Avail. Space: {formatKg(trip.remainingKg)} of {formatKg(trip.capacityKg)}</p>
+          </div>
+          <button
+            onClick={() => setJoiningTrip(trip)}
+            disabled={!open || full}
+            className="bg-emerald-500/10 text-emerald-500 text-xs font-black px-4 py-2 rounded-lg border border-emerald-500/20 hover:bg-emerald-500 hover:text-black transition-all disabled:opacity-40 disabled:hover:bg-emerald-500/10 disabled:hover:text-emerald-500"
+          >
+            {full ? 'FULL' : open ? 'JOIN TRIP' : 'CLOSED'}
+          </button>
+        </div>
+
+        {/* This seller's cargo already on the trip */}
+        {mine.map(b => (
+          <div key={b.id} className="mt-3 pt-3 border-t border-white/5 flex justify-between items-center text-xs">
+            <span className="text-emerald-400 font-bold">Booked: {formatKg(b.weightKg)}</span>
+            {open ? (
+              <button onClick={() => cancelBooking(b.id)} className="text-red-400 font-bold">Cancel booking</button>
+            ) : (
+              <span className="text-slate-500">Cancellation closed</span>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   return (
     <PageWrapper>
       <aside className="w-64 bg-slate-950 border-r border-white/5 p-6 flex flex-col z-20">
         <div className="mb-10 flex items-center gap-3"><div className="p-2 bg-emerald-500 rounded-lg text-black shadow-lg shadow-emerald-500/20"><Package size={20} /></div><span className="font-black tracking-tighter text-xl text-white">BLUE COMPASS</span></div>
         <nav className="flex-1 space-y-2">
-          {[{ id: 'cal', label: 'Truck Schedule', icon: <Calendar size={18}/> }, { id: 'req', label: 'Request Pickup', icon: <Truck size={18}/> }].map(item => (
-            <button key={item.id} onClick={() => setActiveTab(item.id)} className={`w-full flex items-center gap-4 p-4 rounded-xl transition-all ${activeTab === item.id ? 'bg-emerald-500 text-black font-bold' : 'text-slate-400 hover:bg-white/5'}`}>{item.icon} {item.label}</button>
+          {[{ id: 'cal', label: 'Truck Schedule', icon: <Calendar size={18}/> }, { id: 'req', label: 'Request Pickup', icon: <Truck size={18}/> }, { id: 'carbon', label: 'Carbon Statement', icon: <Leaf size={18}/> }].map(item => (
+            <button key={item.id} onClick={() => setActiveTab(item.id)} className={`w-full flex items-center gap-4 p-4 rounded-xl transition-all ${activeTab === item.id ? 'bg-emerald-500 text-black font-bold' : 'text-slate-400 hover:bg-white/5'}`}>{item.icon} {item.label}
+              {item.id === 'req' && pickupQueue.pending > 0 && (
+                <span className="ml-auto text-[10px] font-black bg-amber-500 text-black px-2 py-0.5 rounded-full" title="Waiting to sync">{pickupQueue.pending}</span>
+              )}
+            </button>
           ))}
         </nav>
-        <Link to="/" className="p-4 text-slate-500 hover:text-red-400 flex items-center gap-4 border-t border-white/5 pt-6 transition-colors"><LogOut size={18} /> Logout</Link>
+        <LogoutButton />
       </aside>
       <main className="flex-1 p-8 flex flex-col overflow-y-auto">
         <header className="flex justify-between items-center mb-10">
           <div><h2 className="text-3xl font-bold text-white italic">Welcome to Blue Compass</h2><p className="text-slate-500 text-sm mt-1 uppercase tracking-[0.2em] font-bold">Your cargo, our expertise</p></div>
-          <div className="flex gap-4"><div className="bg-slate-900 border border-white/5 px-6 py-3 rounded-2xl text-center"><p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">Sustainability Rank</p><p className="text-emerald-500 font-bold">#14 in Salem</p></div></div>
+          <div className="flex gap-4"><div className="bg-slate-900 border border-white/5 px-6 py-3 rounded-2xl text-center"><p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">Sustainability Rank</p><p className="text-emerald-500 font-bold" title={rank?.rank ? `${rank.kgPerTonne} kg CO2e per tonne shipped, last ${rank.windowDays} days` : undefined}>{rank?.rank ? `#${rank.rank} of ${rank.of} in ${rank.city}` : 'Not ranked yet'}</p></div></div>
         </header>
         {activeTab === 'cal' && (
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-            <div className="bg-slate-900/50 p-8 rounded-[32px] border border-white/5"><h3 className="text-xl font-bold mb-6 flex items-center gap-3"><Calendar className="text-emerald-500"/> Upcoming Trucks</h3><div className="space-y-4">
-                {[{ day: 'Wednesday', time: '16:00', driver: 'Rajesh K.', space: '400kg' }, { day: 'Friday', time: '11:30', driver: 'Suresh M.', space: '1.2 Tons' },{ day: 'Saturday', time: '10:25', driver: 'Ramesh M', space: '1.2 Tons' },{ day: 'Sataurday', time: '9:45', driver: 'Leo Das', space: '10 Tons' }].map((ship, i) => (
-                  <div key={i} className="bg-slate-950 p-5 rounded-2xl border border-white/5 flex justify-between items-center hover:border-emerald-500/30 transition-colors">
-                    <div><p className="font-bold text-white">{ship.day} • {ship.time}</p><p className="text-xs text-slate-500 mt-1">Driver: {ship.driver} | Avail. Space: {ship.space}</p></div>
-                    <button className="bg-emerald-500/10 text-emerald-500 text-xs font-black px-4 py-2 rounded-lg border border-emerald-500/20 hover:bg-emerald-500 hover:text-black transition-all">JOIN TRIP</button>
-                  </div>
-                ))}
+            <div className="bg-slate-900/50 p-8 rounded-[32px] border border-white/5"><h3 className="text-xl font-bold mb-6 flex items-center gap-3"><Calendar className="text-emerald-500"/> Upcoming Trucks</h3>
+              {bookingMessage && <p className="text-red-400 text-sm font-bold mb-4">{bookingMessage}</p>}
+              <div className="space-y-4">
+                {trips.length === 0 ? (
+                  <p className="text-slate-500 text-sm">No trucks scheduled yet.</p>
+                ) : trips.slice(0, 6).map(renderTripCard)}
             </div></div>
             <div className="bg-slate-900/50 p-8 rounded-[32px] border border-white/5">
               <h3 className="text-xl font-bold mb-6 flex items-center gap-3">
@@ -1227,16 +1666,20 @@ const SellerDashboard = ({ lang }) => {
                             const isToday =
                               dayObj.date.toDateString() === today.toDateString();
                             
-                            // Random availability logic: every 3rd day + every 5th day
-                            const isAvailable =
-                              (dayObj.day + monthIdx) % 6 === 0 || dayObj.day % 9 === 0;
+                            // Available when at least one published trip that day still has space
+                            const dayTrips = tripsByDay[dayObj.date.toDateString()] || [];
+                            const isAvailable = dayTrips.some(trip => trip.remainingKg > 0);
+                            const isSelected = selectedDay && dayObj.date.toDateString() === selectedDay.toDateString();
 
                             return (
                               <div
                                 key={`day-${monthIdx}-${dayObj.day}`}
+                                onClick={() => setSelectedDay(dayObj.date)}
+                                title={dayTrips.length ? `${dayTrips.length} trip(s)` : undefined}
                                 className={`
                                   aspect-square flex items-center justify-center text-xs font-bold
                                   rounded-lg transition-all cursor-pointer
+                                  ${isSelected ? 'ring-2 ring-white' : ''}
                                   ${
                                     isAvailable
                                       ? 'bg-emerald-500 text-black shadow-[0_0_8px_rgba(16,185,129,0.6)] hover:scale-105'
@@ -1264,13 +1707,64 @@ const SellerDashboard = ({ lang }) => {
                   <span className="text-xs text-slate-400">Truck Available</span>
                 </div>
               </div>
+
+              {/* Trips on the selected day */}
+              {selectedDay && (
+                <div className="mt-6 pt-6 border-t border-white/5">
+                  <h4 className="text-sm font-bold text-white mb-3">
+                    Trips on {selectedDay.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long' })}
+                  </h4>
+                  {selectedTrips.length === 0 ? (
+                    <p className="text-slate-500 text-sm">No trucks leave on this day.</p>
+                  ) : (
+                    <div className="space-y-3">{selectedTrips.map(renderTripCard)}</div>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         )}
         {activeTab === 'req' && (
-          <SellerRequestForm />
+          <SellerRequestForm queue={pickupQueue} />
+        )}
+        {activeTab === 'carbon' && (
+          <CarbonStatement />
         )}
       </main>
+      {joiningTrip && (
+        <JoinTripModal trip={joiningTrip} onClose={() => setJoiningTrip(null)} onBooked={handleBooked} />
+      )}
+    </PageWrapper>
+  );
+};
+
+// --- ADMIN: reference data shared by every dashboard ---
+const AdminDashboard = () => {
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState('emissions');
+  return (
+    <PageWrapper>
+      <aside className="w-64 bg-slate-950 border-r border-white/5 p-6 flex flex-col z-20">
+        <div className="mb-10 flex items-center gap-3">
+          <div className="p-2 bg-blue-500 rounded-lg text-black shadow-lg shadow-blue-500/20"><Leaf size={20} /></div>
+          <span className="font-black tracking-tighter text-xl text-white">BLUE COMPASS</span>
+        </div>
+        <nav className="flex-1 space-y-2">
+          {[{ id: 'emissions', label: 'Emission Factors', icon: <Leaf size={18} /> }, { id: 'sku', label: 'SKU Classes', icon: <Tag size={18} /> }].map(item => (
+            <button key={item.id} onClick={() => setActiveTab(item.id)} className={`w-full flex items-center gap-4 p-4 rounded-xl transition-all ${activeTab === item.id ? 'bg-blue-500 text-black font-bold' : 'text-slate-400 hover:bg-white/5'}`}>{item.icon} {item.label}</button>
+          ))}
+        </nav>
+        <LogoutButton />
+      </aside>
+
+      <main className="flex-1 p-8 flex flex-col overflow-y-auto">
+        <header className="mb-8">
+          <h2 className="text-3xl font-bold text-white">Administration</h2>
+          <p className="text-slate-500 text-sm mt-1 uppercase tracking-widest font-medium">{user?.name}</p>
+        </header>
+        {activeTab === 'emissions' && <EmissionFactorsPanel />}
+        {activeTab === 'sku' && <SkuClassesPanel />}
+      </main>
     </PageWrapper>
   );
 };
@@ -1285,8 +1779,10 @@ export default function App() {
       <Routes location={location} key={location.pathname}>
         <Route path="/" element={<Landing lang={lang} setLang={setLang} />} />
         <Route path="/login" element={<Login lang={lang} />} />
-        <Route path="/logistics" element={<LogisticsDashboard lang={lang} />} />
-        <Route path="/seller" element={<SellerDashboard lang={lang} />} />
+        <Route path="/logistics" element={<RequireAuth role="logistics"><LogisticsDashboard lang={lang} /></RequireAuth>} />
+        <Route path="/seller" element={<RequireAuth role="seller"><SellerDashboard lang={lang} /></RequireAuth>} />
+        <Route path="/admin" element={<RequireAuth role="admin"><AdminDashboard /></RequireAuth>} />
+        <Route path="/driver" element={<RequireAuth role="driver"><DriverApp /></RequireAuth>} />
         <Route path="*" element={<Navigate to="/" />} />
       </Routes>
     </AnimatePresence>
@@ -1297,7 +1793,11 @@ export default function App() {
 export function AppWrapper() {
   return (
     <Router>
-      <App />
+      <AuthProvider>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </AuthProvider>
     </Router>
   );
 }
\ No newline at end of file
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { VideoOff, LayoutGrid, Square } from 'lucide-react';
+import api, { apiUrl } from './api';
+
+// Snapshot cameras are re-fetched this long after the previous frame arrives
+const FRAME_INTERVAL_MS = { single: 1000, grid: 2000 };
+// Wait before asking an unreachable camera again
+const RETRY_MS = 5000;
+// Fetch a new media token when the current one has less than this left
+const TOKEN_MARGIN_MS = 30000;
+
+const HEALTH_STYLES = {
+  online: 'bg-emerald-500',
+  offline: 'bg-red-500',
+  unknown: 'bg-slate-500',
+  disabled: 'bg-slate-700',
+};
+
+const hasVideo = (camera) => Boolean(camera.streamUrl || camera.snapshotUrl);
+
+const placeOf = (camera, vehicleById) => {
+  if (camera.vehicle) return vehicleById[camera.vehicle] ? vehicleById[camera.vehicle].registrationNumber : 'Truck';
+  return [camera.hub, camera.dock].filter(Boolean).join(' · ') || 'Unassigned';
+};
+
+const lastHeard = (camera) => {
+  const times = [camera.lastFrameAt, camera.lastSeenAt].filter(Boolean).map(t => new Date(t));
+  if (!times.length) return 'never';
+  return new Date(Math.max(...times)).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+};
+
+// The camera registry (/api/devices). Wire `receive` to the `camera.health` stream event
+// and `refresh` to `ready` so health dots stay current.
+export function useCameras() {
+  const [cameras, setCameras] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setCameras(await api.get('/devices'));
+    } catch (err) {
+      console.error('Failed to fetch cameras:', err);
+    }
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const receive = useCallback((camera) => {
+    setCameras(prev => prev.map(c => (c.id === camera.id ? camera : c)));
+  }, []);
+
+  return { cameras, refresh, receive };
+}
+
+// One camera through the backend proxy: its MJPEG stream when it has one, else snapshots
+// fetched one after another. Failures show an offline panel and retry on their own.
+// The URLs carry a short-lived token for this camera only, never the login token.
+const CameraTile = ({ camera, place, mode }) => {
+  const [frame, setFrame] = useState(0);
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [loaded, setLoaded] = useState(false); // a frame got through since the tile opened
+  const timer = useRef(null);
+  const media = useRef(null); // { token, expiresAt }
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const kind = camera.streamUrl ? 'stream' : 'snapshot';
+
+  // Each frame (or stream reconnect) gets a URL with a token that is still good
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        if (!media.current || new Date(media.current.expiresAt) - Date.now() < TOKEN_MARGIN_MS) {
+          media.current = await api.post(`/devices/${camera.id}/media-token`);
+        }
+        if (!cancelled) setSrc(apiUrl(`/devices/${camera.id}/${kind}`, { token: media.current.token, f: frame }));
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to get a camera token:', err);
+        setFailed(true);
+        clearTimeout(timer.current);
+        timer.current = setTimeout(() => setFrame(f => f + 1), RETRY_MS);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [camera.id, kind, frame]);
+
+  const next = (delay) => {
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => setFrame(f => f + 1), delay);
+  };
+
+  const handleLoad = () => {
+    setFailed(false);
+    setLoaded(true);
+    if (!camera.streamUrl) next(FRAME_INTERVAL_MS[mode]);
+  };
+
+  const handleError = () => {
+    setFailed(true);
+    next(RETRY_MS);
+  };
+
+  // Trust what this tile saw over the registry's last health check
+  const offline = failed || (!loaded && camera.health === 'offline');
+
+  return (
+    <div className="relative bg-black rounded-[32px] overflow-hidden border border-white/10 shadow-2xl min-h-[240px] h-full">
+      {hasVideo(camera) && camera.active && src && (
+        <img src={src} alt={camera.name || camera.deviceId} onLoad={handleLoad} onError={handleError} className={`w-full h-full object-cover ${failed ? 'hidden' : 'opacity-90'}`} />
+      )}
+
+      {(offline || !hasVideo(camera) || !camera.active) && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-2 bg-slate-950/90 text-center p-6">
+          <VideoOff className="text-slate-500" size={36} />
+          <p className="font-bold text-white">{!camera.active ? 'Camera disabled' : !hasVideo(camera) ? 'No video configured' : 'Camera offline'}</p>
+          {camera.active && hasVideo(camera) && (
+            <p className="text-xs text-slate-400">
+              {camera.lastError ? `${camera.lastError} · ` : ''}last frame {lastHeard(camera)}{failed ? ' · retrying…' : ''}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="absolute top-4 left-4 flex items-center gap-2">
+        {!offline && hasVideo(camera) && camera.active && (
+          <span className="bg-red-600 text-white text-[10px] font-black px-3 py-1 rounded-full animate-pulse">LIVE</span>
+        )}
+        <span className="bg-black/60 text-white text-xs font-bold px-3 py-1 rounded-full">{camera.name || camera.deviceId} · {place}</span>
+      </div>
+    </div>
+  );
+};
+
+// --- LIVE CARGO FEED: one camera large, or every camera in a grid ---
+const CameraFeed = ({ cameras, vehicles = [] }) => {
+  const [mode, setMode] = useState('single');
+  const [selected, setSelected] = useState('');
+  const vehicleById = Object.fromEntries(vehicles.map(v => [v.id, v]));
+
+  const list = cameras.cameras;
+  const current = list.find(c => c.id === selected) || list.find(c => c.active && hasVideo(c)) || list[0];
+
+  if (list.length === 0) {
+    return (
+      <div className="flex-1 flex flex-col items-center justify-center gap-2 bg-slate-900/50 rounded-[32px] border border-white/5 text-center p-10">
+        <VideoOff className="text-slate-500" size={36} />
+        <p className="font-bold text-white">No cameras registered</p>
+        <p className="text-sm text-slate-400">Register one with POST /api/devices (name, snapshotUrl or streamUrl, and a vehicle or hub dock).</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 flex flex-col gap-4">
+      <div className="flex items-center justify-between gap-4 bg-slate-900/50 p-3 rounded-2xl border border-white/5">
+        <div className="flex items-center gap-2 overflow-x-auto">
+          {list.map(camera => (
+            <button
+              key={camera.id}
+              onClick={() => { setSelected(camera.id); setMode('single'); }}
+              className={`flex items-center gap-2 px-3 py-2 rounded-xl text-xs font-bold whitespace-nowrap ${mode === 'single' && current && current.id === camera.id ? 'bg-amber-500 text-black' : 'bg-white/5 text-slate-300'}`}
+            >
+              <span className={`w-2 h-2 rounded-full ${HEALTH_STYLES[camera.health]}`} title={camera.health} />
+              {camera.name || camera.deviceId}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-1 shrink-0">
+          <button onClick={() => setMode('single')} aria-label="One camera" className={`p-2 rounded-lg ${mode === 'single' ? 'bg-amber-500 text-black' : 'text-slate-400'}`}><Square size={16} /></button>
+          <button onClick={() => setMode('grid')} aria-label="All cameras" className={`p-2 rounded-lg ${mode === 'grid' ? 'bg-amber-500 text-black' : 'text-slate-400'}`}><LayoutGrid size={16} /></button>
+        </div>
+      </div>
+
+      {mode === 'single' && current && (
+        <div className="flex-1">
+          <CameraTile key={current.id} camera={current} place={placeOf(current, vehicleById)} mode="single" />
+        </div>
+      )}
+
+      {mode === 'grid' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {list.map(camera => (
+            <div key={camera.id} className="aspect-video">
+              <CameraTile camera={camera} place={placeOf(camera, vehicleById)} mode="grid" />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CameraFeed;
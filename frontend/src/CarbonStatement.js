@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Leaf, Download, Printer } from 'lucide-react';
+import api from './api';
+import { formatKg } from './TripsPanel';
+
+const thisMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const monthLabel = (month) => new Date(`${month}-01T00:00:00`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Plain black-on-white document for the browser's "Save as PDF"
+const printableHtml = (statement) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>Carbon statement ${escapeHtml(statement.month)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; margin: 32px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; margin-top: 16px; }
+  th, td { border-bottom: 1px solid #ccc; padding: 6px; text-align: left; }
+  td.num, th.num { text-align: right; }
+  tfoot td { font-weight: bold; border-top: 2px solid #111; }
+  .muted { color: #555; font-size: 12px; }
+</style></head><body>
+<h1>Blue Compass carbon statement</h1>
+<p><strong>${escapeHtml(statement.seller.name)}</strong> (${escapeHtml(statement.seller.userId)}) · ${escapeHtml(monthLabel(statement.month))}</p>
+<table>
+  <thead><tr><th>Delivered</th><th>Pickup</th><th>Goods</th><th class="num">Weight (kg)</th><th class="num">Distance (km)</th><th>Vehicle</th><th class="num">kg CO2e</th></tr></thead>
+  <tbody>${statement.lines.map(l => `<tr><td>${escapeHtml(formatDay(l.deliveredAt))}</td><td>${escapeHtml(l.address)}</td><td>${escapeHtml(l.type)}</td><td class="num">${l.weightKg}</td><td class="num">${l.estimated ? '≈' : ''}${l.distanceKm}</td><td>${escapeHtml(l.vehicle || '—')}</td><td class="num">${l.emissionKg}</td></tr>`).join('')}</tbody>
+  <tfoot><tr><td colspan="3">${statement.totals.pickups} pickups</td><td class="num">${statement.totals.weightKg}</td><td></td><td></td><td class="num">${statement.totals.emissionKg}</td></tr></tfoot>
+</table>
+<p class="muted">${statement.totals.kgPerTonne} kg CO2e per tonne shipped. Each pickup carries its weight share of the run that delivered it.
+Emission factor version(s): ${statement.totals.factorVersions.join(', ') || '—'}.${statement.totals.estimated ? '<br>≈ Straight-line distance; that pickup\'s emissions are an estimate.' : ''}</p>
+</body></html>`;
+
+// --- CARBON STATEMENT: a seller's delivered pickups for one month with their emissions ---
+const CarbonStatement = () => {
+  const [month, setMonth] = useState(thisMonth());
+  const [statement, setStatement] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const fetchStatement = useCallback(async () => {
+    setMessage('');
+    try {
+      setStatement(await api.get('/carbon/statement', { query: { month } }));
+    } catch (err) {
+      console.error('Failed to fetch carbon statement:', err);
+      setMessage(err.message);
+    }
+  }, [month]);
+
+  useEffect(() => { fetchStatement(); }, [fetchStatement]);
+
+  const handleCsv = async () => {
+    let csv;
+    try {
+      csv = await api.get('/carbon/statement', { query: { month, format: 'csv' }, as: 'blob' });
+    } catch (err) {
+      setMessage(err.message || 'Failed to download CSV');
+      return;
+    }
+    const url = URL.createObjectURL(csv);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `carbon-statement-${month}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handlePrint = () => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      setMessage('Allow pop-ups to print the statement');
+      return;
+    }
+    win.document.write(printableHtml(statement));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  return (
+    <div className="bg-slate-900/50 p-8 rounded-[32px] border border-white/5 text-white">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h3 className="text-xl font-bold flex items-center gap-3"><Leaf className="text-emerald-500" /> Carbon Statement</h3>
+        <div className="flex items-center gap-2">
+          <input type="month" value={month} max={thisMonth()} onChange={e => e.target.value && setMonth(e.target.value)} className="bg-slate-800 p-2 rounded border border-white/5 text-white text-sm" />
+          <button onClick={handleCsv} disabled={!statement} className="flex items-center gap-2 bg-white/5 text-slate-300 border border-white/10 px-3 py-2 rounded-xl font-bold text-xs disabled:opacity-40"><Download size={14} /> CSV</button>
+          <button onClick={handlePrint} disabled={!statement} className="flex items-center gap-2 bg-emerald-500 text-black px-3 py-2 rounded-xl font-bold text-xs disabled:opacity-40"><Printer size={14} /> PDF</button>
+        </div>
+      </div>
+
+      {message && <p className="text-red-400 text-sm font-bold mb-4">{message}</p>}
+
+      {statement && (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="bg-slate-950 p-4 rounded-xl border border-white/5"><p className="text-[10px] uppercase font-black text-slate-500">Pickups</p><p className="text-2xl font-black">{statement.totals.pickups}</p></div>
+            <div className="bg-slate-950 p-4 rounded-xl border border-white/5"><p className="text-[10px] uppercase font-black text-slate-500">Shipped</p><p className="text-2xl font-black">{formatKg(statement.totals.weightKg)}</p></div>
+            <div className="bg-slate-950 p-4 rounded-xl border border-white/5"><p className="text-[10px] uppercase font-black text-slate-500">Emissions</p><p className="text-2xl font-black text-emerald-400">{statement.totals.emissionKg} kg CO2e</p><p className="text-xs text-slate-500">{statement.totals.kgPerTonne} kg per tonne</p></div>
+          </div>
+
+          {statement.lines.length === 0 ? (
+            <p className="text-slate-400 text-sm">No deliveries in {monthLabel(month)}.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-[10px] uppercase text-slate-500">
+                  <th className="pb-2">Delivered</th><th className="pb-2">Pickup</th><th className="pb-2 text-right">Weight</th><th className="pb-2 text-right">Distance</th><th className="pb-2">Vehicle</th><th className="pb-2 text-right">kg CO2e</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.lines.map(line => (
+                  <tr key={line.requestId} className="border-t border-white/5">
+                    <td className="py-2">{formatDay(line.deliveredAt)}</td>
+                    <td className="py-2 text-slate-300">{line.address}</td>
+                    <td className="py-2 text-right">{formatKg(line.weightKg)}</td>
+                    <td className="py-2 text-right" title={line.estimated ? 'Straight-line distance: an estimate' : undefined}>{line.estimated ? '≈' : ''}{line.distanceKm} km</td>
+                    <td className="py-2 text-slate-400">{line.vehicle || '—'}{line.basis === 'trip' ? ' (trip)' : ''}</td>
+                    <td className="py-2 text-right font-bold text-emerald-400">{line.emissionKg}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-slate-500 mt-4">Each pickup carries its weight share of the run that delivered it · Factors {statement.totals.factorVersions.map(v => `v${v}`).join(', ') || '—'}{statement.totals.estimated ? ' · ≈ straight-line distance, so an estimate' : ''}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CarbonStatement;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import api from './api';
+import { useToast } from './toast';
+import { formatDeparture } from './TripsPanel';
+
+// Trips a camera counter can still be loading for (backend/services/detections.js currentTrip)
+const LOADING_STATUSES = ['scheduled', 'departed'];
+
+// Tile colours, by the SKU class's position in the catalog
+const CLASS_COLORS = ['text-emerald-500', 'text-amber-500', 'text-sky-400', 'text-fuchsia-400', 'text-lime-400'];
+
+const tripLabel = (trip) => {
+  const { date, time } = formatDeparture(trip.departureAt);
+  return `${trip.vehicle ? trip.vehicle.registrationNumber : trip.hub} · ${date} ${time}${trip.status === 'departed' ? ' (on the road)' : ''}`;
+};
+
+// Camera counts for one trip at a time. Wire `receive` to the `detections.counted` stream
+// event and `refresh` to `ready` (and trip changes) so the picker and tiles stay current.
+export function useTripCounts() {
+  const toast = useToast();
+  const [trips, setTrips] = useState([]);
+  const [tripId, setTripId] = useState('');
+  const [counts, setCounts] = useState(null);
+  const selected = useRef('');
+  selected.current = tripId;
+
+  const fetchCounts = useCallback(async (id) => {
+    if (!id) {
+      setCounts(null);
+      return;
+    }
+    try {
+      const data = await api.get(`/trips/${id}/counts`);
+      if (selected.current === id) setCounts(data);
+    } catch (err) {
+      console.error('Failed to fetch cargo counts:', err);
+    }
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      const loading = (await api.get('/trips')).filter(t => LOADING_STATUSES.includes(t.status));
+      setTrips(loading);
+      // Keep the picked trip while it is still loading, else fall back to the next departure
+      const next = loading.some(t => t.id === selected.current) ? selected.current : (loading[0] ? loading[0].id : '');
+      setTripId(next);
+      if (next === selected.current) fetchCounts(next);
+    } catch (err) {
+      console.error('Failed to fetch trips:', err);
+    }
+  }, [fetchCounts]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+  useEffect(() => { fetchCounts(tripId); }, [tripId, fetchCounts]);
+
+  const receive = useCallback((data) => {
+    if (data.trip === selected.current) setCounts(data);
+  }, []);
+
+  // Zero this trip's tiles; other trips and the detections already on record are untouched
+  const reset = async () => {
+    if (!tripId) return;
+    try {
+      setCounts(await api.post(`/trips/${tripId}/counts/reset`));
+    } catch (err) {
+      toast.error(err, 'Reset failed');
+    }
+  };
+
+  return { trips, tripId, setTripId, counts, refresh, receive, reset };
+}
+
+// --- CARGO COUNTER: trip picker, per-SKU counts from the camera counters and a trip-scoped reset ---
+const CargoCounter = ({ counter }) => {
+  const { trips, tripId, setTripId, counts, reset } = counter;
+
+  return (
+    <div className="flex gap-4 items-center">
+      <div className="flex flex-col gap-1">
+        <select value={tripId} onChange={e => setTripId(e.target.value)} className="bg-slate-900 border border-white/5 text-white text-xs rounded-xl px-3 py-2 max-w-[220px]" aria-label="Trip being loaded">
+          {trips.length === 0 && <option value="">No trips loading</option>}
+          {trips.map(trip => <option key={trip.id} value={trip.id}>{tripLabel(trip)}</option>)}
+        </select>
+        <button onClick={reset} disabled={!tripId} className="bg-red-500/10 hover:bg-red-500 text-red-500 hover:text-white px-4 py-1 rounded-xl border border-red-500/20 transition-all font-bold text-xs disabled:opacity-30">RESET TRIP</button>
+      </div>
+
+      {counts && counts.classes.map((c, i) => (
+        <div key={c.sku} title={c.weightKg != null ? `about ${c.weightKg} kg` : undefined} className="bg-slate-900 border border-white/5 px-6 py-3 rounded-2xl flex flex-col items-center">
+          <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest whitespace-nowrap">{c.name}</span>
+          <span className={`text-2xl font-black ${CLASS_COLORS[i % CLASS_COLORS.length]}`}>{c.count}</span>
+        </div>
+      ))}
+      {counts && counts.unclassified > 0 && (
+        <div title="Detector labels with no SKU class" className="bg-slate-900 border border-white/5 px-6 py-3 rounded-2xl flex flex-col items-center">
+          <span className="text-[10px] text-slate-500 font-bold uppercase tracking-widest">Other</span>
+          <span className="text-2xl font-black text-slate-300">{counts.unclassified}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CargoCounter;
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Truck, Phone, MapPin, Package, Clock, CheckCircle, XCircle, LogOut, RefreshCw, Navigation } from 'lucide-react';
+import { useAuth } from './auth';
+import api, { apiUrl } from './api';
+import useEventStream from './useEventStream';
+import { formatKg } from './TripsPanel';
+
+// At most one GPS ping per this many ms, however often the phone reports a fix
+const PING_INTERVAL_MS = 15000;
+
+// Reasons offered when a pickup cannot be made; "Other" asks for free text
+const FAIL_REASONS = ['Seller not available', 'Goods not ready', 'Address not found', 'Load too large for the vehicle', 'Other'];
+
+const STOP_STYLES = {
+  pending: 'bg-slate-700 text-slate-300',
+  arrived: 'bg-sky-500/20 text-sky-400',
+  'picked-up': 'bg-emerald-500/20 text-emerald-400',
+  failed: 'bg-red-500/20 text-red-400',
+  skipped: 'bg-slate-800 text-slate-500',
+};
+
+const STOP_LABELS = { pending: 'To visit', arrived: 'Arrived', 'picked-up': 'Picked up', failed: 'Failed', skipped: 'Skipped' };
+
+const DONE_STATUSES = ['picked-up', 'failed', 'skipped'];
+
+// Requests the seller or logistics withdrew after the route was planned; their stops are skipped
+const WITHDRAWN = ['Cancelled', 'Rejected'];
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '—');
+
+const mapsLink = (stop) => `https://www.google.com/maps/dir/?api=1&destination=${stop.lat},${stop.lng}`;
+
+// One stop card: who to meet, what to load and the buttons for what happened there
+const StopCard = ({ stop, busy, onAction }) => {
+  const [failing, setFailing] = useState(false);
+  const [reason, setReason] = useState(FAIL_REASONS[0]);
+  const [otherReason, setOtherReason] = useState('');
+  const done = DONE_STATUSES.includes(stop.status);
+  const withdrawn = WITHDRAWN.includes(stop.requestStatus);
+
+  const submitFail = () => {
+    const text = reason === 'Other' ? otherReason.trim() : reason;
+    if (!text) return;
+    onAction(stop.sequence, 'fail', text).then(ok => ok && setFailing(false));
+  };
+
+  return (
+    <div className={`bg-slate-900/60 rounded-2xl border p-4 ${stop.status === 'arrived' ? 'border-sky-500/40' : 'border-white/5'} ${done ? 'opacity-60' : ''}`}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <span className="w-8 h-8 shrink-0 rounded-full bg-sky-500 text-black font-black flex items-center justify-center">{stop.sequence}</span>
+          <div>
+            <p className="font-bold text-white">{stop.sellerName || stop.name}</p>
+            <p className="text-xs text-slate-400 flex items-center gap-1"><MapPin size={12} /> {stop.address}</p>
+          </div>
+        </div>
+        <span className={`text-[10px] font-black uppercase px-2 py-1 rounded-full whitespace-nowrap ${STOP_STYLES[stop.status]}`}>{STOP_LABELS[stop.status]}</span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mt-4 text-xs">
+        <div className="bg-slate-950 rounded-xl p-2"><p className="text-[9px] uppercase font-black text-slate-500">Weight</p><p className="font-bold flex items-center gap-1"><Package size={12} /> {formatKg(stop.weightKg)}</p></div>
+        <div className="bg-slate-950 rounded-xl p-2"><p className="text-[9px] uppercase font-black text-slate-500">Goods</p><p className="font-bold">{stop.type || '—'}</p></div>
+        <div className="bg-slate-950 rounded-xl p-2"><p className="text-[9px] uppercase font-black text-slate-500">ETA</p><p className="font-bold flex items-center gap-1"><Clock size={12} /> {formatTime(stop.eta)}</p></div>
+      </div>
+
+      {stop.status === 'failed' && <p className="text-xs text-red-400 mt-3">Reason: {stop.reason}</p>}
+
+      {!done && (
+        <div className="mt-4 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            {stop.phone
+              ? <a href={`tel:${stop.phone.replace(/\s/g, '')}`} className="flex items-center justify-center gap-2 py-3 rounded-xl bg-white/5 border border-white/10 font-bold text-sm"><Phone size={16} /> Call</a>
+              : <span className="flex items-center justify-center py-3 rounded-xl bg-white/5 text-slate-600 text-sm">No phone</span>}
+            <a href={mapsLink(stop)} target="_blank" rel="noreferrer" className="flex items-center justify-center gap-2 py-3 rounded-xl bg-white/5 border border-white/10 font-bold text-sm"><MapPin size={16} /> Navigate</a>
+          </div>
+
+          {withdrawn ? (
+            <div className="bg-slate-950 rounded-xl p-3 space-y-2">
+              <p className="text-xs text-amber-400">This request was {stop.requestStatus.toLowerCase()} after the route was planned. Nothing to collect here.</p>
+              <button onClick={() => onAction(stop.sequence, 'skip')} disabled={busy} className="w-full py-3 rounded-xl bg-white/10 font-bold text-sm disabled:opacity-30">Skip stop</button>
+            </div>
+          ) : failing ? (
+            <div className="bg-slate-950 rounded-xl p-3 space-y-2">
+              <select value={reason} onChange={e => setReason(e.target.value)} className="w-full bg-slate-800 p-3 rounded-lg border border-white/5 text-white text-sm">
+                {FAIL_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+              {reason === 'Other' && (
+                <input value={otherReason} onChange={e => setOtherReason(e.target.value)} maxLength={200} placeholder="What happened?" className="w-full bg-slate-800 p-3 rounded-lg border border-white/5 text-white text-sm" />
+              )}
+              <div className="grid grid-cols-2 gap-2">
+                <button onClick={() => setFailing(false)} className="py-3 rounded-xl bg-white/5 font-bold text-sm">Back</button>
+                <button onClick={submitFail} disabled={busy || (reason === 'Other' && !otherReason.trim())} className="py-3 rounded-xl bg-red-500 text-black font-bold text-sm disabled:opacity-40">Confirm failed</button>
+              </div>
+            </div>
+          ) : (
+            <div className="grid grid-cols-3 gap-2">
+              <button onClick={() => onAction(stop.sequence, 'arrive')} disabled={busy || stop.status !== 'pending'} className="py-3 rounded-xl bg-sky-500 text-black font-bold text-sm disabled:opacity-30">Arrived</button>
+              <button onClick={() => onAction(stop.sequence, 'pickup')} disabled={busy} className="py-3 rounded-xl bg-emerald-500 text-black font-bold text-sm flex items-center justify-center gap-1 disabled:opacity-30"><CheckCircle size={16} /> Picked up</button>
+              <button onClick={() => setFailing(true)} disabled={busy} className="py-3 rounded-xl bg-red-500/10 text-red-400 border border-red-500/20 font-bold text-sm flex items-center justify-center gap-1 disabled:opacity-30"><XCircle size={16} /> Failed</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Report the phone's GPS position for the driver's truck while a route is open.
+// Returns 'off' (no geolocation or permission denied), 'waiting' or 'on'.
+function useLocationPings(enabled) {
+  const [gps, setGps] = useState('waiting');
+  const lastSent = useRef(0);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    if (!navigator.geolocation) {
+      setGps('off');
+      return undefined;
+    }
+    const watchId = navigator.geolocation.watchPosition(
+      async ({ coords, timestamp }) => {
+        if (Date.now() - lastSent.current < PING_INTERVAL_MS) return;
+        lastSent.current = Date.now();
+        try {
+          await api.post('/tracking/pings', {
+            lat: coords.latitude,
+            lng: coords.longitude,
+            speedKmh: coords.speed != null ? coords.speed * 3.6 : undefined,
+            headingDeg: coords.heading ?? undefined,
+            accuracyM: coords.accuracy,
+            recordedAt: new Date(timestamp).toISOString(),
+          });
+          setGps('on');
+        } catch (err) {
+          console.error('Failed to send location:', err);
+          setGps('waiting');
+        }
+      },
+      (err) => setGps(err.code === err.PERMISSION_DENIED ? 'off' : 'waiting'),
+      { enableHighAccuracy: true, maximumAge: 10000 }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [enabled]);
+
+  return gps;
+}
+
+const GPS_STYLES = { on: 'text-emerald-400', waiting: 'text-amber-400', off: 'text-red-400' };
+const GPS_LABELS = { on: 'GPS on', waiting: 'Finding GPS…', off: 'GPS off' };
+
+// --- DRIVER: the truck's route from the latest optimization, worked stop by stop on a phone ---
+const DriverApp = () => {
+  const { user, token, logout } = useAuth();
+  const navigate = useNavigate();
+  const [route, setRoute] = useState(null);
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchRoute = useCallback(async () => {
+    try {
+      setRoute(await api.get('/driver/route'));
+      setMessage('');
+    } catch (err) {
+      console.error('Failed to fetch route:', err);
+      if (err.status) setRoute(null); // the server answered; offline keeps the last route on screen
+      setMessage(err.message);
+    }
+  }, []);
+
+  useEffect(() => { fetchRoute(); }, [fetchRoute]);
+
+  const gps = useLocationPings(Boolean(route));
+
+  // A new optimization run or a change made elsewhere reloads the route
+  useEventStream(
+    token ? apiUrl('/events', { token }) : null,
+    { ready: fetchRoute, 'route.updated': fetchRoute }
+  );
+
+  const handleAction = async (sequence, action, reason) => {
+    setBusy(true);
+    try {
+      setRoute(await api.post(`/driver/stops/${sequence}/${action}`, reason ? { reason } : {}));
+      setMessage('');
+      return true;
+    } catch (err) {
+      console.error(`Failed to ${action} stop:`, err);
+      setMessage(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/');
+  };
+
+  const stops = route ? route.stops : [];
+  const remaining = stops.filter(s => !DONE_STATUSES.includes(s.status)).length;
+
+  return (
+    <div className="min-h-screen bg-[#020617] text-slate-100">
+      <header className="sticky top-0 z-10 bg-slate-950/95 backdrop-blur border-b border-white/5 px-4 py-3 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-sky-500 rounded-lg text-black"><Truck size={18} /></div>
+          <div>
+            <p className="font-black text-white leading-tight">{route ? route.vehicle.registrationNumber : 'My Route'}</p>
+            <p className="text-[10px] uppercase tracking-widest text-slate-500">{user?.name}{route && <span className={`ml-2 ${GPS_STYLES[gps]}`}><Navigation size={10} className="inline" /> {GPS_LABELS[gps]}</span>}</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-1">
+          <button onClick={fetchRoute} aria-label="Refresh" className="p-3 text-slate-400"><RefreshCw size={18} /></button>
+          <button onClick={handleLogout} aria-label="Logout" className="p-3 text-slate-400"><LogOut size={18} /></button>
+        </div>
+      </header>
+
+      <main className="max-w-md mx-auto p-4 space-y-3">
+        {message && <p className="text-red-400 text-sm font-bold">{message}</p>}
+
+        {route && (
+          <div className="bg-slate-900/50 rounded-2xl border border-white/5 p-4 text-sm">
+            <p className="font-bold">{remaining ? `${remaining} of ${stops.length} stops left` : 'All stops done — return to the depot'}</p>
+            <p className="text-xs text-slate-400 mt-1">Departs {formatTime(route.departAt)} from {route.depot?.name} · {route.distanceKm} km · about {route.durationMin} min</p>
+          </div>
+        )}
+
+        {stops.map(stop => <StopCard key={stop.sequence} stop={stop} busy={busy} onAction={handleAction} />)}
+      </main>
+    </div>
+  );
+};
+
+export default DriverApp;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Leaf, RotateCcw } from 'lucide-react';
+import api from './api';
+
+const VEHICLE_CLASSES = ['LCV', 'MCV', 'HCV'];
+
+// Editable numbers in the catalog, as [label, path into factors]
+const SECTIONS = [
+  {
+    title: 'Diesel trucks (kg CO2e per km)',
+    rows: VEHICLE_CLASSES.map(c => [c, [['Empty', ['road', c, 'empty']], ['Full', ['road', c, 'full']], ['Payload kg', ['road', c, 'payloadKg']]]]),
+  },
+  {
+    title: 'Fuel multiplier vs diesel',
+    rows: [['Fuel', [['Diesel', ['fuel', 'diesel']], ['CNG', ['fuel', 'cng']], ['Petrol', ['fuel', 'petrol']]]]],
+  },
+  {
+    title: 'Electric trucks (kWh per km)',
+    rows: [
+      ...VEHICLE_CLASSES.map(c => [c, [['Empty', ['electric', 'kwhPerKm', c, 'empty']], ['Full', ['electric', 'kwhPerKm', c, 'full']]]]),
+      ['Grid', [['kg CO2e per kWh', ['electric', 'gridKgPerKwh']]]],
+    ],
+  },
+  {
+    title: 'Other factors',
+    rows: [
+      ['Reefer', [['Uplift share', ['reeferUplift']]]],
+      ['Modes', [['Rail kg/t-km', ['modes', 'rail']], ['Air kg/t-km', ['modes', 'air']]]],
+    ],
+  },
+];
+
+const getIn = (obj, path) => path.reduce((o, key) => o?.[key], obj);
+
+const setIn = (obj, [key, ...rest], value) => ({ ...obj, [key]: rest.length ? setIn(obj[key] || {}, rest, value) : value });
+
+const formatDate = (iso) => new Date(iso).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// --- EMISSION FACTORS: admins edit the catalog; each publish is a new version ---
+const EmissionFactorsPanel = () => {
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState(null); // factors being edited
+  const [baseVersion, setBaseVersion] = useState(null); // version the draft started from
+  const [notes, setNotes] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadDraft = (set) => {
+    setDraft(set.factors);
+    setBaseVersion(set.version);
+    setNotes('');
+  };
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const data = await api.get('/emission-factors');
+      setVersions(data);
+      return data;
+    } catch (err) {
+      console.error('Failed to fetch emission factors:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVersions().then((data) => {
+      const active = data?.find(v => v.active);
+      if (active) loadDraft(active);
+    });
+  }, [fetchVersions]);
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    let data;
+    try {
+      data = await api.post('/emission-factors', { factors: draft, notes });
+    } catch (err) {
+      setMessage(err.fields ? Object.values(err.fields).join('; ') : err.message);
+      return;
+    }
+    loadDraft(data);
+    setMessage(`Published version ${data.version}`);
+    fetchVersions();
+  };
+
+  const handleActivate = async (version) => {
+    setMessage('');
+    try {
+      await api.post(`/emission-factors/${version}/activate`);
+      setMessage(`Version ${version} is now active`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchVersions();
+  };
+
+  const inputClass = 'w-full bg-slate-800 p-2 rounded border border-white/5 text-white text-sm';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 text-white">
+      <div className="lg:col-span-2 bg-slate-900/50 p-8 rounded-3xl border border-white/5">
+        <div className="flex items-center gap-3 mb-6">
+          <Leaf className="text-emerald-500" size={24} />
+          <h3 className="text-xl font-bold">Emission Factors</h3>
+          {baseVersion && <span className="text-xs text-slate-500">editing from v{baseVersion}</span>}
+        </div>
+
+        {message && <p className="text-amber-400 text-sm font-bold mb-4">{message}</p>}
+
+        {draft && (
+          <form onSubmit={handlePublish} className="space-y-6">
+            {SECTIONS.map(section => (
+              <div key={section.title}>
+                <p className="text-xs uppercase font-black text-slate-500 mb-2">{section.title}</p>
+                <div className="space-y-2">
+                  {section.rows.map(([rowLabel, fields]) => (
+                    <div key={rowLabel} className="grid grid-cols-4 gap-3 items-end">
+                      <span className="text-sm font-bold text-slate-300 pb-2">{rowLabel}</span>
+                      {fields.map(([label, path]) => (
+                        <label key={label} className="text-[10px] text-slate-500 uppercase font-bold">
+                          {label}
+                          <input
+                            type="number"
+                            step="any"
+                            value={getIn(draft, path) ?? ''}
+                            onChange={e => setDraft(prev => setIn(prev, path, e.target.value))}
+                            className={inputClass}
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            <input value={notes} onChange={e => setNotes(e.target.value)} placeholder="What changed (source, reason)" className={inputClass} />
+            <button type="submit" className="w-full bg-emerald-500 text-black py-3 rounded-xl font-bold text-sm">Publish New Version</button>
+          </form>
+        )}
+      </div>
+
+      <div className="bg-slate-900/50 p-8 rounded-3xl border border-white/5">
+        <h3 className="text-xl font-bold mb-6">Versions</h3>
+        <div className="space-y-3">
+          {versions.map(set => (
+            <div key={set.id} className={`bg-slate-950 p-4 rounded-xl border ${set.active ? 'border-emerald-500/40' : 'border-white/5'}`}>
+              <div className="flex items-center justify-between">
+                <span className="font-black">v{set.version}</span>
+                {set.active && <span className="text-[10px] uppercase font-black text-emerald-400">Active</span>}
+              </div>
+              <p className="text-xs text-slate-400 mt-1">{set.notes || 'No notes'}</p>
+              <p className="text-[10px] text-slate-500 mt-1">{set.createdBy} · {formatDate(set.createdAt)}</p>
+              <div className="flex gap-2 mt-3">
+                <button onClick={() => loadDraft(set)} className="bg-white/5 text-slate-300 border border-white/10 px-3 py-1 rounded-lg font-bold text-xs">Edit from here</button>
+                {!set.active && (
+                  <button onClick={() => handleActivate(set.version)} className="flex items-center gap-1 bg-amber-500/10 text-amber-400 border border-amber-500/20 px-3 py-1 rounded-lg font-bold text-xs"><RotateCcw size={12} /> Activate</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmissionFactorsPanel;
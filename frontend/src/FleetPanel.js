@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Truck, Plus } from 'lucide-react';
+import api from './api';
+
+const VEHICLE_CLASSES = ['LCV', 'MCV', 'HCV'];
+const FUEL_TYPES = ['diesel', 'cng', 'electric', 'petrol'];
+const AVAILABILITY = ['available', 'on-trip', 'maintenance', 'off-duty'];
+
+const EMPTY_VEHICLE = {
+  registrationNumber: '', vehicleClass: 'LCV', payloadCapacityKg: '', volumeCapacityM3: '',
+  fuelType: 'diesel', refrigerated: false, driverName: '', driverPhone: '', homeHub: '',
+};
+
+const AVAILABILITY_STYLES = {
+  available: 'bg-emerald-500/20 text-emerald-400',
+  'on-trip': 'bg-blue-500/20 text-blue-400',
+  maintenance: 'bg-red-500/20 text-red-400',
+  'off-duty': 'bg-slate-700 text-slate-300',
+};
+
+// Bar colour by how full the truck is
+const utilisationColor = (u) => (u >= 0.9 ? 'bg-red-500' : u >= 0.6 ? 'bg-amber-500' : 'bg-emerald-500');
+
+// --- FLEET LOAD: vehicle registry with accepted weight vs payload capacity ---
+const FleetPanel = ({ version }) => {
+  const [vehicles, setVehicles] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_VEHICLE);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+
+  const fetchFleet = useCallback(async () => {
+    try {
+      setVehicles(await api.get('/vehicles'));
+    } catch (err) {
+      console.error('Failed to fetch fleet:', err);
+    }
+  }, []);
+
+  // Reload whenever the dashboard sees request changes (assignments, cancellations...)
+  useEffect(() => { fetchFleet(); }, [fetchFleet, version]);
+
+  const handleChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setErrors(prev => ({ ...prev, [e.target.name]: null }));
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    try {
+      await api.post('/vehicles', form);
+    } catch (err) {
+      setErrors(err.fields || {});
+      setMessage(err.fields ? 'Please correct the highlighted fields.' : err.message);
+      return;
+    }
+    setForm(EMPTY_VEHICLE);
+    setShowForm(false);
+    fetchFleet();
+  };
+
+  const updateAvailability = async (id, availability) => {
+    try {
+      await api.patch(`/vehicles/${id}`, { availability });
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchFleet();
+  };
+
+  const input = (name, placeholder, type = 'text') => (
+    <div>
+      <input name={name} type={type} value={form[name]} onChange={handleChange} placeholder={placeholder} className="w-full bg-slate-800 p-3 rounded border border-white/5 text-white text-sm" />
+      {errors[name] && <p className="text-red-400 text-xs font-bold mt-1">{errors[name]}</p>}
+    </div>
+  );
+
+  return (
+    <div className="bg-slate-900/50 p-8 rounded-3xl border border-white/5 lg:col-span-2">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <Truck className="text-amber-500" size={24} />
+          <h3 className="text-xl font-bold">Fleet</h3>
+          <span className="text-xs text-slate-500">{vehicles.length} vehicles</span>
+        </div>
+        <button onClick={() => setShowForm(s => !s)} className="flex items-center gap-2 bg-amber-500 text-black px-4 py-2 rounded-xl font-bold text-xs"><Plus size={14} /> Register Vehicle</button>
+      </div>
+
+      {message && <p className="text-red-400 text-sm font-bold mb-4">{message}</p>}
+
+      {showForm && (
+        <form onSubmit={handleRegister} className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6 bg-slate-950 p-4 rounded-xl border border-white/5">
+          {input('registrationNumber', 'Registration (TN30AB1234)')}
+          <select name="vehicleClass" value={form.vehicleClass} onChange={handleChange} className="bg-slate-800 p-3 rounded border border-white/5 text-white text-sm">
+            {VEHICLE_CLASSES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          {input('payloadCapacityKg', 'Payload (kg)', 'number')}
+          {input('volumeCapacityM3', 'Volume (m³)', 'number')}
+          <select name="fuelType" value={form.fuelType} onChange={handleChange} className="bg-slate-800 p-3 rounded border border-white/5 text-white text-sm">
+            {FUEL_TYPES.map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
+          {input('driverName', 'Driver name')}
+          {input('driverPhone', 'Driver phone', 'tel')}
+          {input('homeHub', 'Home hub')}
+          <label className="flex items-center gap-2 text-sm text-slate-400">
+            <input type="checkbox" name="refrigerated" checked={form.refrigerated} onChange={handleChange} /> Refrigerated
+          </label>
+          <button type="submit" className="md:col-span-3 col-span-1 bg-emerald-500 text-black py-3 rounded-xl font-bold text-sm">Save Vehicle</button>
+        </form>
+      )}
+
+      {vehicles.length === 0 ? (
+        <p className="text-slate-400 text-sm">No vehicles registered yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {vehicles.map(v => {
+            const pct = Math.min(100, Math.round(v.utilisation * 100));
+            return (
+              <div key={v.id} className="bg-slate-950 p-4 rounded-xl border border-white/5 grid grid-cols-1 md:grid-cols-12 gap-4 items-center">
+                <div className="md:col-span-3">
+                  <div className="font-black text-white tracking-wider">{v.registrationNumber}</div>
+                  <div className="text-xs text-slate-500">{v.vehicleClass} · {v.fuelType}{v.refrigerated ? ' · reefer' : ''}{v.volumeCapacityM3 ? ` · ${v.volumeCapacityM3} m³` : ''}</div>
+                </div>
+                <div className="md:col-span-3 text-xs text-slate-400">
+                  <div>Driver: {v.driverName || '—'}</div>
+                  <div>Hub: {v.homeHub || '—'}</div>
+                </div>
+                <div className="md:col-span-4">
+                  <div className="flex justify-between text-xs text-slate-400 mb-1">
+                    <span>{v.loadKg} / {v.payloadCapacityKg} kg ({v.assignedRequests} pickups)</span>
+                    <span className="font-bold text-white">{pct}%</span>
+                  </div>
+                  <div className="h-2 bg-slate-800 rounded-full overflow-hidden">
+                    <div className={`h-full ${utilisationColor(v.utilisation)} transition-all`} style={{ width: `${pct}%` }} />
+                  </div>
+                  <div className="text-[10px] text-emerald-400 mt-1">{v.remainingKg} kg free</div>
+                </div>
+                <div className="md:col-span-2">
+                  <select value={v.availability} onChange={(e) => updateAvailability(v.id, e.target.value)} className={`w-full text-xs font-bold p-2 rounded-lg border border-white/5 ${AVAILABILITY_STYLES[v.availability] || ''}`}>
+                    {AVAILABILITY.map(a => <option key={a} value={a} className="bg-slate-900 text-white">{a}</option>)}
+                  </select>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FleetPanel;
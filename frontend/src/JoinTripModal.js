@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import api from './api';
+import { formatKg, formatDeparture } from './TripsPanel';
+
+// Requests that have not been picked up yet can still go on a trip
+const BOOKABLE_STATUSES = ['Pending', 'Accepted', 'Scheduled'];
+
+// --- JOIN TRIP: seller reserves space on a departure for one of their requests ---
+const JoinTripModal = ({ trip, onClose, onBooked }) => {
+  const [requests, setRequests] = useState(null); // null while loading
+  const [selected, setSelected] = useState('');
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const when = formatDeparture(trip.departureAt);
+
+  useEffect(() => {
+    api.get('/requests')
+      .then(all => setRequests(all.filter(r => BOOKABLE_STATUSES.includes(r.status) && !r.trip)))
+      .catch(() => setRequests([]));
+  }, []);
+
+  const handleBook = async () => {
+    setMessage('');
+    setSubmitting(true);
+    try {
+      onBooked(await api.post(`/trips/${trip.id}/bookings`, { requestId: selected }));
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div className="relative bg-slate-900 rounded-2xl p-6 w-[520px] max-w-full border border-white/10 text-white">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="font-bold text-lg">Join trip</h3>
+          <button onClick={onClose} className="text-slate-400">Close</button>
+        </div>
+        <p className="text-xs text-slate-500 mb-4">
+          {when.day}, {when.date} • {when.time} | {trip.hub}{trip.destination ? ` → ${trip.destination}` : ''} | {formatKg(trip.remainingKg)} free
+        </p>
+
+        {requests === null ? (
+          <p className="text-slate-400 text-sm">Loading your requests…</p>
+        ) : requests.length === 0 ? (
+          <p className="text-slate-400 text-sm">You have no open pickup requests to put on this trip. Create one under Request Pickup first.</p>
+        ) : (
+          <div className="space-y-2 max-h-64 overflow-y-auto">
+            {requests.map(r => {
+              const fits = r.weight <= trip.remainingKg;
+              return (
+                <label key={r.id} className={`flex items-center justify-between p-3 rounded-lg border ${selected === r.id ? 'border-emerald-500 bg-emerald-500/10' : 'border-white/5 bg-slate-950'} ${fits ? 'cursor-pointer' : 'opacity-50'}`}>
+                  <div className="flex items-center gap-3">
+                    <input type="radio" name="request" value={r.id} checked={selected === r.id} disabled={!fits} onChange={() => setSelected(r.id)} />
+                    <div>
+                      <p className="text-sm font-bold">{r.type || 'Cargo'} · {formatKg(r.weight)}</p>
+                      <p className="text-xs text-slate-500">{r.address}</p>
+                    </div>
+                  </div>
+                  <span className="text-[10px] uppercase font-black text-slate-400">{fits ? r.status : 'Too heavy'}</span>
+                </label>
+              );
+            })}
+          </div>
+        )}
+
+        {message && <p className="text-red-400 text-sm font-bold mt-4">{message}</p>}
+
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-white/5 rounded">Cancel</button>
+          <button onClick={handleBook} disabled={!selected || submitting} className="px-4 py-2 bg-emerald-500 text-black font-bold rounded disabled:opacity-50">
+            {submitting ? 'Booking…' : 'Book space'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JoinTripModal;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ClipboardCheck } from 'lucide-react';
+import api from './api';
+import { formatKg } from './TripsPanel';
+
+const LINE_STYLES = {
+  ok: 'text-emerald-400',
+  short: 'text-red-400',
+  extra: 'text-amber-400',
+  unchecked: 'text-slate-500',
+};
+
+const LINE_LABELS = { ok: 'OK', short: 'Short', extra: 'Extra', unchecked: 'Not counted' };
+
+const SUMMARY = {
+  matched: { text: 'Load matches the bookings', style: 'text-emerald-400' },
+  mismatch: { text: 'Load differs from the bookings; sign-off needed before departure', style: 'text-red-400' },
+  'signed-off': { text: 'Mismatch signed off', style: 'text-amber-400' },
+};
+
+// --- LOAD CHECK: booked cargo against camera counts for one trip, with the dispatcher sign-off ---
+const LoadReconciliation = ({ tripId, version }) => {
+  const [data, setData] = useState(null);
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchReconciliation = useCallback(async () => {
+    try {
+      setData(await api.get(`/trips/${tripId}/reconciliation`));
+    } catch (err) {
+      console.error('Failed to fetch load reconciliation:', err);
+    }
+  }, [tripId]);
+
+  useEffect(() => { fetchReconciliation(); }, [fetchReconciliation, version]);
+
+  const handleSignOff = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    try {
+      setData(await api.post(`/trips/${tripId}/reconciliation/sign-off`, { note }));
+      setNote('');
+    } catch (err) {
+      setMessage(err.fields ? err.fields.note : err.message);
+    }
+  };
+
+  if (!data) return <p className="text-slate-500 text-xs">Loading…</p>;
+  const summary = SUMMARY[data.status];
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="flex items-center justify-between">
+        <p className={`font-bold flex items-center gap-2 ${summary.style}`}><ClipboardCheck size={14} /> {summary.text}</p>
+        <p className="text-slate-500">Declared {formatKg(data.declaredKg)} · counted about {formatKg(data.countedKg)} · ±{data.tolerancePercent}%</p>
+      </div>
+
+      {data.classes.length === 0 && data.unclassified === 0 ? (
+        <p className="text-slate-500">Nothing booked or counted yet.</p>
+      ) : (
+        <table className="w-full">
+          <thead>
+            <tr className="text-[9px] uppercase font-black text-slate-500 text-left">
+              <th className="py-1">Items</th><th>Expected</th><th>Counted</th><th className="text-right">Check</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.classes.map(line => (
+              <tr key={line.sku} className="border-t border-white/5">
+                <td className="py-1 text-slate-300">{line.name}</td>
+                <td>{line.expected}</td>
+                <td>{line.counted}</td>
+                <td className={`text-right font-bold ${LINE_STYLES[line.status]}`}>{LINE_LABELS[line.status]}</td>
+              </tr>
+            ))}
+            {data.unclassified > 0 && (
+              <tr className="border-t border-white/5">
+                <td className="py-1 text-slate-300">Other (no SKU class)</td>
+                <td>0</td>
+                <td>{data.unclassified}</td>
+                <td className={`text-right font-bold ${LINE_STYLES.extra}`}>{LINE_LABELS.extra}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+
+      {data.requests.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-[9px] uppercase font-black text-slate-500">Per pickup</p>
+          {data.requests.map(line => (
+            <div key={line.request} className="flex justify-between">
+              <span className="text-slate-300">
+                {line.sellerName || 'Seller'} · #{line.request.slice(-6)} · {line.declaredKg ? `${formatKg(line.declaredKg)} ${line.goodsType}` : 'not booked on this trip'}
+              </span>
+              <span className={`font-bold ${LINE_STYLES[line.status]}`}>
+                {line.status !== 'unchecked' && `${line.counted}/${line.expected ?? '—'} `}{LINE_LABELS[line.status]}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {data.signOff && (
+        <p className={data.signOff.current ? 'text-amber-400' : 'text-slate-500 line-through'}>
+          Signed off by {data.signOff.name || data.signOff.by} at {new Date(data.signOff.at).toLocaleString('en-IN')}: {data.signOff.note}
+        </p>
+      )}
+
+      {data.status === 'mismatch' && (
+        <form onSubmit={handleSignOff} className="flex gap-2">
+          <input value={note} onChange={e => setNote(e.target.value)} maxLength={500} placeholder="Why this load can leave as counted" className="flex-1 bg-slate-800 p-2 rounded border border-white/5 text-white text-xs" />
+          <button type="submit" disabled={note.trim().length < 3} className="bg-amber-500 text-black px-3 py-1 rounded-lg font-bold disabled:opacity-40">Sign off</button>
+        </form>
+      )}
+      {message && <p className="text-red-400 font-bold">{message}</p>}
+    </div>
+  );
+};
+
+export default LoadReconciliation;
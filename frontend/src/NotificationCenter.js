@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell } from 'lucide-react';
+import api from './api';
+
+// Feed filters (mirrors backend/models/Notification.js NOTIFICATION_TYPES)
+const FILTERS = [
+  { id: '', label: 'All' },
+  { id: 'request', label: 'Requests' },
+  { id: 'cancellation', label: 'Cancellations' },
+  { id: 'driver', label: 'Drivers' },
+  { id: 'capacity', label: 'Capacity' },
+];
+
+const TYPE_STYLES = {
+  request: 'bg-emerald-500/20 text-emerald-400',
+  cancellation: 'bg-red-500/20 text-red-400',
+  driver: 'bg-sky-500/20 text-sky-400',
+  capacity: 'bg-amber-500/20 text-amber-400',
+};
+
+const timeAgo = (iso) => {
+  const minutes = Math.round((Date.now() - new Date(iso)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+};
+
+// The signed-in user's server-side feed. Wire `receive` to the `notification.created`
+// stream event and `refresh` to `ready` so the list stays current.
+export function useNotificationFeed() {
+  const [items, setItems] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [filter, setFilter] = useState('');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await api.get('/notifications', { query: { type: filter, unread: unreadOnly ? 'true' : '' } });
+      setItems(data.items);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Failed to fetch notifications:', err);
+    }
+  }, [filter, unreadOnly]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const receive = useCallback((item) => {
+    setUnreadCount(c => c + 1);
+    if (!filter || item.type === filter) setItems(prev => [item, ...prev.filter(n => n.id !== item.id)]);
+  }, [filter]);
+
+  const markRead = async (item) => {
+    if (item.read) return;
+    const updated = await api.post(`/notifications/${item.id}/read`).catch(() => null);
+    if (!updated) return;
+    setItems(prev => (unreadOnly ? prev.filter(n => n.id !== item.id) : prev.map(n => (n.id === item.id ? updated : n))));
+    setUnreadCount(c => Math.max(0, c - 1));
+  };
+
+  const markAllRead = async () => {
+    await api.post('/notifications/read-all', filter ? { type: filter } : {})
+      .then(refresh)
+      .catch(err => console.error('Failed to mark notifications read:', err));
+  };
+
+  return { items, unreadCount, filter, setFilter, unreadOnly, setUnreadOnly, refresh, receive, markRead, markAllRead };
+}
+
+// --- NOTIFICATION CENTER: bell with unread badge and the feed dropdown ---
+// `renderRequest(requestId)` adds controls for items about a request that is still open.
+const NotificationCenter = ({ feed, open, onToggle, renderRequest }) => {
+  const { items, unreadCount, filter, setFilter, unreadOnly, setUnreadOnly, markRead, markAllRead } = feed;
+
+  return (
+    <div className="relative">
+      <button onClick={onToggle} className="relative p-2 bg-slate-900 border border-white/5 rounded-xl hover:bg-white/2" aria-label={`${unreadCount} unread notifications`}>
+        <Bell className="text-slate-200" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-black flex items-center justify-center">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-3 w-96 bg-slate-900 border border-white/5 rounded-2xl p-4 z-50 shadow-xl">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-bold text-white">Notifications</h4>
+            <div className="flex items-center gap-3">
+              <button onClick={markAllRead} disabled={unreadCount === 0} className="text-amber-400 text-xs font-bold disabled:text-slate-600">Mark all read</button>
+              <button onClick={onToggle} className="text-slate-400 text-sm">Close</button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-1 mb-3">
+            {FILTERS.map(f => (
+              <button key={f.id} onClick={() => setFilter(f.id)} className={`px-2 py-1 rounded-lg text-[10px] font-bold ${filter === f.id ? 'bg-amber-500 text-black' : 'bg-white/5 text-slate-400'}`}>{f.label}</button>
+            ))}
+            <label className="ml-auto flex items-center gap-1 text-[10px] text-slate-400">
+              <input type="checkbox" checked={unreadOnly} onChange={e => setUnreadOnly(e.target.checked)} /> Unread only
+            </label>
+          </div>
+
+          {items.length === 0 ? (
+            <p className="text-slate-500 text-sm">Nothing here yet</p>
+          ) : (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {items.map(n => (
+                <div key={n.id} onClick={() => markRead(n)} className={`bg-slate-950 p-3 rounded-xl border cursor-pointer ${n.read ? 'border-white/5' : 'border-amber-500/30'}`}>
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="flex items-start gap-2">
+                      {!n.read && <span className="mt-1.5 w-2 h-2 shrink-0 rounded-full bg-amber-400" />}
+                      <div>
+                        <p className={`text-sm ${n.read ? 'text-slate-300' : 'text-white font-bold'}`}>{n.title}</p>
+                        {n.body && <p className="text-xs text-slate-400">{n.body}</p>}
+                      </div>
+                    </div>
+                    <div className="flex flex-col items-end gap-1 shrink-0">
+                      <span className={`text-[9px] font-black uppercase px-2 py-0.5 rounded-full ${TYPE_STYLES[n.type]}`}>{n.type}</span>
+                      <span className="text-[10px] text-slate-500">{timeAgo(n.createdAt)}</span>
+                    </div>
+                  </div>
+                  {n.request && renderRequest && renderRequest(n.request)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
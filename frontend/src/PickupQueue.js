@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CloudOff, CheckCircle2, AlertTriangle, RotateCcw, Trash2 } from 'lucide-react';
+import api, { ApiError } from './api';
+import { useToast } from './toast';
+
+const DB_NAME = 'blueCompass';
+const STORE = 'pickups';
+// Keep sent requests on the list for a day so the seller sees them go through
+const KEEP_SYNCED_MS = 24 * 60 * 60 * 1000;
+// The browser's `online` event also fires on networks without internet, so pending ones are retried on a timer too
+const SYNC_INTERVAL_MS = 30000;
+
+const STATUS_STYLES = {
+  pending: { label: 'Waiting to sync', icon: CloudOff, style: 'text-amber-400 bg-amber-500/10 border-amber-500/20' },
+  synced: { label: 'Synced', icon: CheckCircle2, style: 'text-emerald-400 bg-emerald-500/10 border-emerald-500/20' },
+  failed: { label: 'Failed', icon: AlertTriangle, style: 'text-red-400 bg-red-500/10 border-red-500/20' },
+};
+
+// crypto.randomUUID() exists only on HTTPS (and localhost); LAN deployments over plain HTTP get a v4 UUID by hand
+const newKey = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const SIGNED_OUT = 'Your session has expired. Sign in again to send this request.';
+
+// --- INDEXEDDB: one record per submission, keyed by the idempotency key sent with it ---
+let dbPromise = null;
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+const inStore = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const listeners = new Set();
+const changed = () => listeners.forEach(listener => listener());
+
+const save = async (entry) => {
+  await inStore('readwrite', store => store.put(entry));
+  changed();
+  return entry;
+};
+
+const remove = async (key) => {
+  await inStore('readwrite', store => store.delete(key));
+  changed();
+};
+
+const listFor = async (seller) => {
+  const all = await inStore('readonly', store => store.getAll());
+  return all.filter(e => e.seller === seller).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Saved without a verified location (the geocoder needs the network): use the best match now
+async function locate(payload) {
+  if (payload.lat != null && payload.lng != null) return payload;
+  const { candidates = [] } = await api.get('/geocode', { query: { q: payload.address } });
+  if (!candidates.length) {
+    throw new ApiError(422, 'Location not found. Check the address or pincode.', { fields: { address: 'could not be found' } });
+  }
+  return { ...payload, lat: candidates[0].lat, lng: candidates[0].lng };
+}
+
+// 🔹 Send one queued pickup. It stays 'pending' while the server is out of reach (or the session has
+// expired, which it says so the seller signs in again), turns 'failed' when the server refuses it or
+// something else goes wrong, and 'synced' once the request exists.
+// Every attempt carries the entry's key, so a retry after a lost response cannot create a duplicate.
+async function send(entry) {
+  let payload = entry.payload;
+  try {
+    payload = await locate(entry.payload);
+    const request = await api.post('/request-pickup', payload, { headers: { 'Idempotency-Key': entry.key } });
+    return save({
+      ...entry,
+      payload,
+      status: 'synced',
+      request: { id: request.id, address: request.address, lat: request.lat, lng: request.lng },
+      error: null,
+      fields: null,
+      syncedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    if (!(err instanceof ApiError)) console.error('Failed to send queued pickup:', err);
+    const isApiError = err instanceof ApiError;
+    const waiting = isApiError && (err.status === 0 || err.retryable || err.status === 401);
+    const failed = {
+      ...entry,
+      payload, // keep the located address, so a retry sends the same body under the same key
+      status: waiting ? 'pending' : 'failed',
+      error: err.status === 401 ? SIGNED_OUT : (isApiError && err.message) || 'Could not send this request. Try again.',
+      fields: isApiError ? err.fields : null,
+      attempts: entry.attempts + 1,
+    };
+    return save(failed).catch(() => failed);
+  }
+}
+
+// One pass over the seller's pending entries at a time; stops at the first that cannot get through
+let syncing = null;
+function syncAll(seller) {
+  if (!syncing) {
+    syncing = (async () => {
+      const entries = await listFor(seller);
+      const stale = entries.filter(e => e.status === 'synced' && Date.now() - new Date(e.syncedAt) > KEEP_SYNCED_MS);
+      await Promise.all(stale.map(e => remove(e.key)));
+
+      const results = [];
+      for (const entry of entries.filter(e => e.status === 'pending')) {
+        const result = await send(entry);
+        results.push(result);
+        if (result.status === 'pending') break; // offline or signed out: the rest would fare the same
+      }
+      return results;
+    })().finally(() => { syncing = null; });
+  }
+  return syncing;
+}
+
+// Pickup submissions that survive a dropped connection. `submit(payload)` stores the request
+// on this device before sending it and resolves with the entry ({ status, request, error, fields }).
+// Whatever could not be sent goes out when the connection returns.
+export function usePickupQueue(seller) {
+  const toast = useToast();
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(navigator.onLine);
+
+  const refresh = useCallback(() => {
+    listFor(seller).then(setEntries).catch(err => console.error('Failed to read queued pickups:', err));
+  }, [seller]);
+
+  const sync = useCallback(async () => {
+    try {
+      const results = await syncAll(seller);
+      const sent = results.filter(e => e.status === 'synced').length;
+      const failed = results.filter(e => e.status === 'failed').length;
+      if (results.some(e => e.error === SIGNED_OUT)) toast.error('Sign in again to send your saved pickup requests');
+      if (sent) toast.success(`${sent} saved pickup request${sent === 1 ? '' : 's'} sent`);
+      if (failed) toast.error(`${failed} saved pickup request${failed === 1 ? ' was' : 's were'} refused; see Request Pickup`);
+    } catch (err) {
+      console.error('Pickup sync failed:', err);
+    }
+  }, [seller, toast]);
+
+  useEffect(() => {
+    if (typeof indexedDB === 'undefined') return undefined;
+    listeners.add(refresh);
+    refresh();
+    sync();
+    const timer = setInterval(sync, SYNC_INTERVAL_MS);
+    return () => {
+      listeners.delete(refresh);
+      clearInterval(timer);
+    };
+  }, [refresh, sync]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [sync]);
+
+  const submit = useCallback(async (payload) => {
+    const entry = {
+      key: newKey(),
+      seller,
+      payload,
+      status: 'pending',
+      request: null,
+      error: null,
+      fields: null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      syncedAt: null,
+    };
+    try {
+      await save(entry);
+    } catch (err) {
+      // No IndexedDB (private browsing on some browsers): send it straight away, still idempotently
+      console.error('Failed to queue pickup:', err);
+      const request = await api.post('/request-pickup', payload, { headers: { 'Idempotency-Key': entry.key } });
+      return { ...entry, status: 'synced', request };
+    }
+    const result = await send(entry);
+    // Refused straight away: the form still holds the details to fix, so do not keep a copy
+    if (result.status === 'failed') await remove(entry.key).catch(err => console.error('Failed to discard pickup:', err));
+    return result;
+  }, [seller]);
+
+  const retry = useCallback(async (key) => {
+    const entry = entries.find(e => e.key === key);
+    if (!entry) return;
+    const result = await send({ ...entry, status: 'pending' });
+    if (result.status === 'synced') toast.success('Pickup request sent');
+    else toast.error(result.error);
+  }, [entries, toast]);
+
+  const discard = useCallback((key) => remove(key).catch(err => console.error('Failed to discard pickup:', err)), []);
+
+  const pending = entries.filter(e => e.status === 'pending').length;
+  return { entries, pending, online, submit, retry, discard };
+}
+
+// --- SAVED PICKUPS: what this device has queued and whether each one reached the server ---
+const PickupQueue = ({ queue }) => {
+  const { entries, online, retry, discard } = queue;
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="max-w-3xl bg-slate-900/50 p-6 rounded-[32px] border border-white/5 mx-auto w-full mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-bold text-white">Saved on this device</h4>
+        {!online && <span className="text-xs font-bold text-amber-400 flex items-center gap-2"><CloudOff size={14} /> Offline; requests will sync when you reconnect</span>}
+      </div>
+      <div className="space-y-2">
+        {entries.map(entry => {
+          const { label, icon: Icon, style } = STATUS_STYLES[entry.status];
+          return (
+            <div key={entry.key} className="bg-slate-950 p-4 rounded-xl border border-white/5 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm text-white font-bold truncate">{entry.payload.address}</p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {entry.payload.weight} kg {entry.payload.type} · saved {new Date(entry.createdAt).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                  {entry.request ? ` · ID ${entry.request.id}` : ''}
+                </p>
+                {entry.status !== 'synced' && entry.error && <p className="text-xs text-red-400 mt-1">{entry.error}</p>}
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <span className={`flex items-center gap-1 text-[10px] font-black uppercase px-2 py-1 rounded-full border ${style}`}><Icon size={12} /> {label}</span>
+                {entry.status !== 'synced' && (
+                  <button onClick={() => retry(entry.key)} aria-label="Retry" title="Send now" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-white/5"><RotateCcw size={14} /></button>
+                )}
+                <button onClick={() => discard(entry.key)} aria-label="Discard" title={entry.status === 'synced' ? 'Hide' : 'Discard'} className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-white/5"><Trash2 size={14} /></button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PickupQueue;
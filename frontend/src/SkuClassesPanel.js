@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Tag, Plus } from 'lucide-react';
+import api from './api';
+
+// Mirrors backend/models/PickupRequest.js GOODS_TYPES
+const GOODS_TYPES = ['Perishables', 'Textiles', 'Hardware', 'Electronics', 'Other'];
+
+const EMPTY_CLASS = { label: '', name: '', goodsType: '', unitWeightKg: '' };
+
+// --- SKU CLASSES: admins name the detector labels the camera counters report ---
+const SkuClassesPanel = () => {
+  const [classes, setClasses] = useState([]);
+  const [form, setForm] = useState(EMPTY_CLASS);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [showForm, setShowForm] = useState(false);
+
+  const fetchClasses = useCallback(async () => {
+    try {
+      setClasses(await api.get('/sku-classes'));
+    } catch (err) {
+      console.error('Failed to fetch SKU classes:', err);
+    }
+  }, []);
+
+  useEffect(() => { fetchClasses(); }, [fetchClasses]);
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    setErrors({});
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    try {
+      await api.post('/sku-classes', form);
+    } catch (err) {
+      setErrors(err.fields || {});
+      setMessage(err.fields ? 'Please correct the highlighted fields.' : err.message);
+      return;
+    }
+    setForm(EMPTY_CLASS);
+    setShowForm(false);
+    fetchClasses();
+  };
+
+  const handleRemove = async (sku) => {
+    setMessage('');
+    try {
+      await api.delete(`/sku-classes/${sku.id}`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchClasses();
+  };
+
+  const fieldError = (name) => errors[name] && <p className="text-red-400 text-xs font-bold mt-1">{errors[name]}</p>;
+  const inputClass = 'w-full bg-slate-800 p-3 rounded border border-white/5 text-white text-sm';
+
+  return (
+    <div className="bg-slate-900/50 p-8 rounded-3xl border border-white/5 text-white">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <Tag className="text-blue-500" size={24} />
+          <div>
+            <h3 className="text-xl font-bold">SKU Classes</h3>
+            <p className="text-xs text-slate-500">Detections with any other label are counted as "Other".</p>
+          </div>
+        </div>
+        <button onClick={() => setShowForm(s => !s)} className="flex items-center gap-2 bg-blue-500 text-black px-4 py-2 rounded-xl font-bold text-xs"><Plus size={14} /> Add Class</button>
+      </div>
+
+      {message && <p className="text-red-400 text-sm font-bold mb-4">{message}</p>}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6 bg-slate-950 p-4 rounded-xl border border-white/5">
+          <div>
+            <input name="label" value={form.label} onChange={handleChange} placeholder="Detector label" className={inputClass} />
+            {fieldError('label')}
+          </div>
+          <div>
+            <input name="name" value={form.name} onChange={handleChange} placeholder="Name" className={inputClass} />
+            {fieldError('name')}
+          </div>
+          <div>
+            <select name="goodsType" value={form.goodsType} onChange={handleChange} className={inputClass}>
+              <option value="">Any goods</option>
+              {GOODS_TYPES.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+            {fieldError('goodsType')}
+          </div>
+          <div>
+            <input type="number" name="unitWeightKg" value={form.unitWeightKg} onChange={handleChange} placeholder="Kg per item" className={inputClass} />
+            {fieldError('unitWeightKg')}
+          </div>
+          <button type="submit" className="col-span-2 md:col-span-4 bg-emerald-500 text-black py-3 rounded-xl font-bold text-sm">Add</button>
+        </form>
+      )}
+
+      {classes.length === 0 ? (
+        <p className="text-slate-400 text-sm">No SKU classes yet; every detection counts as "Other".</p>
+      ) : (
+        <div className="space-y-2">
+          {classes.map(sku => (
+            <div key={sku.id} className="bg-slate-950 p-3 rounded-xl border border-white/5 flex justify-between items-center gap-4">
+              <div>
+                <p className="font-bold text-sm">{sku.name} <span className="font-mono text-xs text-slate-500">{sku.label}</span></p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {sku.goodsType || 'Any goods'}{sku.unitWeightKg != null ? ` · ${sku.unitWeightKg} kg each` : ''}
+                </p>
+              </div>
+              <button onClick={() => handleRemove(sku)} className="bg-red-500/10 text-red-400 border border-red-500/20 px-3 py-1 rounded-lg font-bold text-xs">Remove</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SkuClassesPanel;
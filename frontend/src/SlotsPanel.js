@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, Plus } from 'lucide-react';
+import api, { request } from './api';
+import { formatKg } from './TripsPanel';
+
+const EMPTY_SLOT = { day: '', startTime: '09:00', endTime: '12:00', hub: '', maxPickups: '8', maxKg: '3000' };
+
+export const formatWindow = (slot) => {
+  const time = (iso) => new Date(iso).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false });
+  return `${time(slot.start)}–${time(slot.end)}`;
+};
+
+// Local date + "HH:MM" as an ISO timestamp ('' if either part is missing)
+const toIso = (day, time) => (day && time ? new Date(`${day}T${time}`).toISOString() : '');
+
+// --- PICKUP SLOTS: logistics publishes the windows sellers can book pickups into ---
+const SlotsPanel = () => {
+  const [slots, setSlots] = useState([]);
+  const [form, setForm] = useState(EMPTY_SLOT);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [showForm, setShowForm] = useState(false);
+
+  const fetchSlots = useCallback(async () => {
+    try {
+      setSlots(await api.get('/slots', { query: { from: new Date().toISOString() } }));
+    } catch (err) {
+      console.error('Failed to fetch pickup slots:', err);
+    }
+  }, []);
+
+  useEffect(() => { fetchSlots(); }, [fetchSlots]);
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    setErrors({});
+  };
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    const payload = {
+      start: toIso(form.day, form.startTime),
+      end: toIso(form.day, form.endTime),
+      hub: form.hub,
+      maxPickups: form.maxPickups,
+      maxKg: form.maxKg,
+    };
+    try {
+      await api.post('/slots', payload);
+    } catch (err) {
+      setErrors(err.fields || {});
+      setMessage(err.fields ? 'Please correct the highlighted fields.' : err.message);
+      return;
+    }
+    setForm(prev => ({ ...EMPTY_SLOT, day: prev.day }));
+    setShowForm(false);
+    fetchSlots();
+  };
+
+  const updateSlot = async (slot, method, body) => {
+    setMessage('');
+    try {
+      await request(method, `/slots/${slot.id}`, { body });
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchSlots();
+  };
+
+  // Upcoming slots grouped by local day
+  const byDay = slots.reduce((acc, slot) => {
+    const key = new Date(slot.start).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    (acc[key] = acc[key] || []).push(slot);
+    return acc;
+  }, {});
+
+  const fieldError = (name) => errors[name] && <p className="text-red-400 text-xs font-bold mt-1">{errors[name]}</p>;
+  const inputClass = 'w-full bg-slate-800 p-3 rounded border border-white/5 text-white text-sm';
+
+  return (
+    <div className="bg-slate-900/50 p-8 rounded-3xl border border-white/5 text-white">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <Clock className="text-amber-500" size={24} />
+          <h3 className="text-xl font-bold">Pickup Slots</h3>
+        </div>
+        <button onClick={() => setShowForm(s => !s)} className="flex items-center gap-2 bg-amber-500 text-black px-4 py-2 rounded-xl font-bold text-xs"><Plus size={14} /> Publish Slot</button>
+      </div>
+
+      {message && <p className="text-red-400 text-sm font-bold mb-4">{message}</p>}
+
+      {showForm && (
+        <form onSubmit={handlePublish} className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6 bg-slate-950 p-4 rounded-xl border border-white/5">
+          <div>
+            <input type="date" name="day" value={form.day} onChange={handleChange} className={inputClass} />
+            {fieldError('start')}
+          </div>
+          <div className="flex gap-2">
+            <input type="time" name="startTime" value={form.startTime} onChange={handleChange} className={inputClass} />
+            <input type="time" name="endTime" value={form.endTime} onChange={handleChange} className={inputClass} />
+          </div>
+          <div>
+            <input name="hub" value={form.hub} onChange={handleChange} placeholder="Hub" className={inputClass} />
+            {fieldError('hub')}
+          </div>
+          <div>
+            <input type="number" name="maxPickups" value={form.maxPickups} onChange={handleChange} placeholder="Max pickups" className={inputClass} />
+            {fieldError('maxPickups')}
+          </div>
+          <div>
+            <input type="number" name="maxKg" value={form.maxKg} onChange={handleChange} placeholder="Max kg" className={inputClass} />
+            {fieldError('maxKg')}
+          </div>
+          <div>{fieldError('end')}</div>
+          <button type="submit" className="col-span-2 md:col-span-3 bg-emerald-500 text-black py-3 rounded-xl font-bold text-sm">Publish</button>
+        </form>
+      )}
+
+      {slots.length === 0 ? (
+        <p className="text-slate-400 text-sm">No upcoming pickup slots.</p>
+      ) : (
+        <div className="space-y-4">
+          {Object.entries(byDay).map(([day, daySlots]) => (
+            <div key={day}>
+              <p className="text-xs uppercase font-black text-slate-500 mb-2">{day}</p>
+              <div className="space-y-2">
+                {daySlots.map(slot => (
+                  <div key={slot.id} className={`bg-slate-950 p-3 rounded-xl border border-white/5 flex justify-between items-center gap-4 ${slot.status === 'closed' ? 'opacity-50' : ''}`}>
+                    <div>
+                      <p className="font-bold text-sm">{formatWindow(slot)}{slot.hub ? ` · ${slot.hub}` : ''}</p>
+                      <p className="text-xs text-slate-500 mt-1">
+                        {slot.bookedPickups}/{slot.maxPickups} pickups · {formatKg(slot.bookedKg)} of {formatKg(slot.maxKg)}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {slot.full && slot.status === 'open' && <span className="text-[10px] uppercase font-black text-amber-400">Full</span>}
+                      <button
+                        onClick={() => updateSlot(slot, 'PATCH', { status: slot.status === 'open' ? 'closed' : 'open' })}
+                        className="bg-white/5 text-slate-300 border border-white/10 px-3 py-1 rounded-lg font-bold text-xs"
+                      >
+                        {slot.status === 'open' ? 'Close' : 'Reopen'}
+                      </button>
+                      {slot.bookedPickups === 0 && (
+                        <button onClick={() => updateSlot(slot, 'DELETE')} className="bg-red-500/10 text-red-400 border border-red-500/20 px-3 py-1 rounded-lg font-bold text-xs">Delete</button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlotsPanel;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Calendar, Plus, Package, ClipboardCheck } from 'lucide-react';
+import api from './api';
+import LoadReconciliation from './LoadReconciliation';
+
+export const formatKg = (kg) => (kg >= 1000 ? `${(kg / 1000).toFixed(1)} Tons` : `${Math.round(kg)}kg`);
+
+export const formatDeparture = (iso) => {
+  const d = new Date(iso);
+  return {
+    day: d.toLocaleDateString('en-IN', { weekday: 'long' }),
+    date: d.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' }),
+    time: d.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false }),
+  };
+};
+
+const EMPTY_TRIP = { hub: '', destination: '', departureAt: '', vehicleId: '', capacityKg: '', notes: '' };
+
+// --- TRIPS: logistics publishes departures that sellers see on their schedule ---
+const TripsPanel = ({ version }) => {
+  const [trips, setTrips] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [form, setForm] = useState(EMPTY_TRIP);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [openTrip, setOpenTrip] = useState(null); // id of the trip whose bookings are shown
+  const [bookings, setBookings] = useState([]);
+  const [checkingTrip, setCheckingTrip] = useState(null); // id of the trip whose load check is shown
+
+  const fetchTrips = useCallback(async () => {
+    try {
+      const [tripList, vehicleList] = await Promise.all([
+        api.get('/trips', { query: { from: new Date().toISOString() } }),
+        api.get('/vehicles'),
+      ]);
+      setTrips(tripList);
+      setVehicles(vehicleList);
+    } catch (err) {
+      console.error('Failed to fetch trips:', err);
+    }
+  }, []);
+
+  const fetchBookings = useCallback(async (tripId) => {
+    try {
+      setBookings((await api.get(`/trips/${tripId}/bookings`)).filter(b => b.status === 'active'));
+    } catch (err) {
+      console.error('Failed to fetch bookings:', err);
+    }
+  }, []);
+
+  useEffect(() => { fetchTrips(); }, [fetchTrips, version]);
+
+  useEffect(() => {
+    if (openTrip) fetchBookings(openTrip);
+  }, [openTrip, fetchBookings, version]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      // Default the hub and capacity from the chosen vehicle
+      if (name === 'vehicleId') {
+        const v = vehicles.find(x => x.id === value);
+        if (v && !prev.hub) next.hub = v.homeHub;
+        if (v) next.capacityKg = String(v.payloadCapacityKg);
+      }
+      return next;
+    });
+    setErrors(prev => ({ ...prev, [name]: null }));
+  };
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    const payload = { ...form, departureAt: form.departureAt ? new Date(form.departureAt).toISOString() : '' };
+    try {
+      await api.post('/trips', payload);
+    } catch (err) {
+      setErrors(err.fields || {});
+      setMessage(err.fields ? 'Please correct the highlighted fields.' : err.message);
+      return;
+    }
+    setForm(EMPTY_TRIP);
+    setShowForm(false);
+    fetchTrips();
+  };
+
+  const cancelTrip = async (id) => {
+    try {
+      await api.patch(`/trips/${id}`, { status: 'cancelled' });
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchTrips();
+  };
+
+  // Refused with the load check attached while counted cargo differs and nobody has signed it off
+  const departTrip = async (id) => {
+    setMessage('');
+    try {
+      await api.patch(`/trips/${id}`, { status: 'departed' });
+    } catch (err) {
+      setMessage(err.message);
+      if (err.details && err.details.reconciliation) setCheckingTrip(id);
+    }
+    fetchTrips();
+  };
+
+  const cancelBooking = async (id) => {
+    try {
+      await api.post(`/bookings/${id}/cancel`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchTrips();
+    fetchBookings(openTrip);
+  };
+
+  const fieldError = (name) => errors[name] && <p className="text-red-400 text-xs font-bold mt-1">{errors[name]}</p>;
+  const inputClass = 'w-full bg-slate-800 p-3 rounded border border-white/5 text-white text-sm';
+
+  return (
+    <div className="bg-slate-900/50 p-8 rounded-3xl border border-white/5 text-white">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <Calendar className="text-amber-500" size={24} />
+          <h3 className="text-xl font-bold">Published Trips</h3>
+        </div>
+        <button onClick={() => setShowForm(s => !s)} className="flex items-center gap-2 bg-amber-500 text-black px-4 py-2 rounded-xl font-bold text-xs"><Plus size={14} /> Publish Departure</button>
+      </div>
+
+      {message && <p className="text-red-400 text-sm font-bold mb-4">{message}</p>}
+
+      {showForm && (
+        <form onSubmit={handlePublish} className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6 bg-slate-950 p-4 rounded-xl border border-white/5">
+          <div>
+            <select name="vehicleId" value={form.vehicleId} onChange={handleChange} className={inputClass}>
+              <option value="">Select vehicle…</option>
+              {vehicles.filter(v => !['maintenance', 'off-duty'].includes(v.availability)).map(v => (
+                <option key={v.id} value={v.id}>{v.registrationNumber} · {v.vehicleClass} · {formatKg(v.payloadCapacityKg)}</option>
+              ))}
+            </select>
+            {fieldError('vehicleId')}
+          </div>
+          <div>
+            <input type="datetime-local" name="departureAt" value={form.departureAt} onChange={handleChange} className={inputClass} />
+            {fieldError('departureAt')}
+          </div>
+          <div>
+            <input type="number" name="capacityKg" value={form.capacityKg} onChange={handleChange} placeholder="Capacity (kg)" className={inputClass} />
+            {fieldError('capacityKg')}
+          </div>
+          <div>
+            <input name="hub" value={form.hub} onChange={handleChange} placeholder="Departure hub" className={inputClass} />
+            {fieldError('hub')}
+          </div>
+          <div>
+            <input name="destination" value={form.destination} onChange={handleChange} placeholder="Destination" className={inputClass} />
+            {fieldError('destination')}
+          </div>
+          <div>
+            <input name="notes" value={form.notes} onChange={handleChange} placeholder="Notes" className={inputClass} />
+            {fieldError('notes')}
+          </div>
+          <button type="submit" className="col-span-2 md:col-span-3 bg-emerald-500 text-black py-3 rounded-xl font-bold text-sm">Publish</button>
+        </form>
+      )}
+
+      {trips.length === 0 ? (
+        <p className="text-slate-400 text-sm">No upcoming departures.</p>
+      ) : (
+        <div className="space-y-3">
+          {trips.map(trip => {
+            const when = formatDeparture(trip.departureAt);
+            const filled = trip.capacityKg ? Math.min(100, (trip.bookedKg / trip.capacityKg) * 100) : 0;
+            return (
+              <div key={trip.id} className="bg-slate-950 p-4 rounded-xl border border-white/5">
+                <div className="flex justify-between items-center gap-4">
+                  <div>
+                    <p className="font-bold text-white">{when.day}, {when.date} • {when.time}</p>
+                    <p className="text-xs text-slate-500 mt-1">
+                      {trip.hub}{trip.destination ? ` → ${trip.destination}` : ''} | {trip.vehicle?.registrationNumber || 'Unknown vehicle'} | Driver: {trip.vehicle?.driverName || '—'}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4">
+                    <div className="text-right text-xs">
+                      <div className="text-emerald-400 font-bold">{formatKg(trip.remainingKg)} free</div>
+                      <div className="text-slate-500">of {formatKg(trip.capacityKg)}</div>
+                    </div>
+                    <button
+                      onClick={() => setOpenTrip(id => (id === trip.id ? null : trip.id))}
+                      className="flex items-center gap-1 bg-white/5 text-slate-300 border border-white/10 px-3 py-1 rounded-lg font-bold text-xs"
+                    >
+                      <Package size={12} /> {trip.bookingCount || 0}
+                    </button>
+                    <button
+                      onClick={() => setCheckingTrip(id => (id === trip.id ? null : trip.id))}
+                      title="Load check"
+                      className={`flex items-center gap-1 border px-3 py-1 rounded-lg font-bold text-xs ${trip.loadSignOff ? 'bg-amber-500/10 text-amber-400 border-amber-500/20' : 'bg-white/5 text-slate-300 border-white/10'}`}
+                    >
+                      <ClipboardCheck size={12} /> Load
+                    </button>
+                    {trip.status === 'scheduled' ? (
+                      <>
+                        <button onClick={() => departTrip(trip.id)} className="bg-emerald-500/10 text-emerald-400 border border-emerald-500/20 px-3 py-1 rounded-lg font-bold text-xs">Depart</button>
+                        <button onClick={() => cancelTrip(trip.id)} className="bg-red-500/10 text-red-400 border border-red-500/20 px-3 py-1 rounded-lg font-bold text-xs">Cancel</button>
+                      </>
+                    ) : (
+                      <span className="text-[10px] uppercase font-black text-slate-500">{trip.status}</span>
+                    )}
+                  </div>
+                </div>
+                <div className="mt-3 h-1.5 bg-slate-800 rounded-full overflow-hidden">
+                  <div className={`h-full ${filled >= 90 ? 'bg-amber-500' : 'bg-emerald-500'}`} style={{ width: `${filled}%` }} />
+                </div>
+
+                {/* Booked cargo on this trip */}
+                {openTrip === trip.id && (
+                  <div className="mt-3 pt-3 border-t border-white/5 space-y-2">
+                    {bookings.length === 0 ? (
+                      <p className="text-slate-500 text-xs">No cargo booked yet.</p>
+                    ) : bookings.map(b => (
+                      <div key={b.id} className="flex justify-between items-center text-xs">
+                        <span className="text-slate-300">{b.sellerName || 'Seller'} · Request #{b.request.slice(-6)}</span>
+                        <div className="flex items-center gap-3">
+                          <span className="text-white font-bold">{formatKg(b.weightKg)}</span>
+                          {trip.status === 'scheduled' && (
+                            <button onClick={() => cancelBooking(b.id)} className="text-red-400 font-bold">Remove</button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Booked against counted cargo */}
+                {checkingTrip === trip.id && (
+                  <div className="mt-3 pt-3 border-t border-white/5">
+                    <LoadReconciliation tripId={trip.id} version={version} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TripsPanel;
@@ -0,0 +1,112 @@
+import config from './config';
+import { getToken } from './session';
+
+// Every failed call rejects with one of these. `status` is 0 when the server was never reached
+// (offline, timeout); `fields` carries the backend's per-field validation messages.
+export class ApiError extends Error {
+  constructor(status, message, { fields = null, details = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fields = fields;
+    this.details = details;
+    this.retryable = retryable;
+  }
+}
+
+const RETRY_STATUSES = [502, 503, 504];
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Absolute URL of an API path, with `query` entries that are set appended
+export const apiUrl = (path, query = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value);
+  });
+  const search = params.toString();
+  return `${config.apiUrl}${path}${search ? `?${search}` : ''}`;
+};
+
+// Called with the error whenever the server rejects the session token
+const unauthorizedListeners = new Set();
+export const onUnauthorized = (listener) => {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+};
+
+const parseBody = async (res, as) => {
+  if (res.status === 204) return null;
+  if (as === 'blob') return res.blob();
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+};
+
+async function send(method, path, { body, query, headers = {}, timeoutMs, auth, as }) {
+  const token = auth ? getToken() : null;
+  let res;
+  try {
+    res = await fetch(apiUrl(path, query), {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const message = err.name === 'TimeoutError' ? 'The server did not answer in time' : 'Cannot reach the server';
+    throw new ApiError(0, message, { retryable: true });
+  }
+
+  if (res.ok) return parseBody(res, as);
+
+  const data = await parseBody(res).catch(() => null);
+  const error = new ApiError(
+    res.status,
+    (data && data.message) || `Request failed (${res.status})`,
+    { fields: (data && data.errors) || null, details: data, retryable: RETRY_STATUSES.includes(res.status) }
+  );
+  if (res.status === 401 && token) unauthorizedListeners.forEach(listener => listener(error));
+  throw error;
+}
+
+// 🔹 One API call: JSON in and out, bearer token attached, a timeout, and retries with backoff.
+// Reads retry by default; writes only when they carry an Idempotency-Key (or pass `retries`).
+// Options: body, query, headers, timeoutMs, retries, auth (default true), as ('blob').
+export async function request(method, path, options = {}) {
+  const {
+    timeoutMs = config.requestTimeoutMs,
+    auth = true,
+    headers = {},
+  } = options;
+  const canRetry = SAFE_METHODS.includes(method) || Boolean(headers['Idempotency-Key']);
+  const retries = options.retries ?? (canRetry ? config.retries : 0);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await send(method, path, { ...options, headers, timeoutMs, auth });
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      await sleep(500 * 2 ** attempt);
+    }
+  }
+}
+
+const api = {
+  get: (path, options) => request('GET', path, options),
+  post: (path, body, options) => request('POST', path, { ...options, body }),
+  patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+  put: (path, body, options) => request('PUT', path, { ...options, body }),
+  delete: (path, options) => request('DELETE', path, options),
+};
+
+export default api;
@@ -0,0 +1,66 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import api, { onUnauthorized } from './api';
+import { loadSession, saveSession } from './session';
+
+// --- AUTH CONTEXT ---
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(loadSession);
+
+  const applySession = useCallback((next) => {
+    saveSession(next);
+    setSession(next);
+  }, []);
+
+  // Drop a stored session the server no longer recognises (expired / logged out elsewhere)
+  useEffect(() => onUnauthorized(() => applySession(null)), [applySession]);
+
+  // The token stored when the app opened is checked once; later ones come straight from a login
+  const storedToken = useRef(session?.token);
+  useEffect(() => {
+    if (!storedToken.current) return;
+    api.get('/auth/me', { retries: 0 })
+      .catch(() => { /* a 401 clears the session above; offline keeps it until the server says otherwise */ });
+  }, []);
+
+  const login = useCallback(async (userId, password) => {
+    const data = await api.post('/auth/login', { userId, password }, { auth: false });
+    applySession({ token: data.token, user: data.user });
+    return data.user;
+  }, [applySession]);
+
+  const register = useCallback(async (details) => {
+    const data = await api.post('/auth/register', details, { auth: false });
+    applySession({ token: data.token, user: data.user });
+    return data.user;
+  }, [applySession]);
+
+  const logout = useCallback(async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (e) {
+      console.error('Logout request failed:', e);
+    }
+    applySession(null);
+  }, [applySession]);
+
+  const value = { user: session?.user || null, token: session?.token || null, login, register, logout };
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export const useAuth = () => useContext(AuthContext);
+
+const HOMES = { logistics: '/logistics', admin: '/admin', driver: '/driver' };
+export const homeFor = (user) => HOMES[user?.role] || '/seller';
+
+// Route guard: unauthenticated users go to /login, the wrong role goes to its own dashboard
+export function RequireAuth({ role, children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  if (role && user.role !== role) return <Navigate to={homeFor(user)} replace />;
+  return children;
+}
@@ -0,0 +1,42 @@
+// Runtime configuration. Later sources win:
+//   1. the defaults below (a backend on localhost:5000)
+//   2. REACT_APP_* variables at build time (see .env.example)
+//   3. public/config.js, served with the app and editable per deployment without a rebuild
+const DEFAULTS = {
+  apiUrl: 'http://localhost:5000/api',
+  requestTimeoutMs: 15000,
+  // Extra attempts for reads (and for writes sent with an idempotency key) after network errors or 502/503/504
+  retries: 2,
+  toastMs: 5000,
+  tiles: {
+    logistics: 'http://{s}.google.com/vt/lyrs=m&x={x}&y={y}&z={z}',
+    seller: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  },
+};
+
+const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+const fromEnv = {
+  apiUrl: process.env.REACT_APP_API_URL,
+  requestTimeoutMs: number(process.env.REACT_APP_REQUEST_TIMEOUT_MS),
+  retries: number(process.env.REACT_APP_REQUEST_RETRIES),
+  toastMs: number(process.env.REACT_APP_TOAST_MS),
+  tiles: {
+    logistics: process.env.REACT_APP_LOGISTICS_TILES_URL,
+    seller: process.env.REACT_APP_SELLER_TILES_URL,
+  },
+};
+
+const served = (typeof window !== 'undefined' && window.__BLUE_COMPASS_CONFIG__) || {};
+
+// Copies the keys of `override` that are set, one level deep for nested groups
+const merge = (base, override = {}) => Object.fromEntries(Object.entries(base).map(([key, value]) => {
+  const next = override[key];
+  if (value && typeof value === 'object') return [key, merge(value, next)];
+  return [key, next === undefined || next === null || Number.isNaN(next) ? value : next];
+}));
+
+const config = merge(merge(DEFAULTS, fromEnv), served);
+config.apiUrl = config.apiUrl.replace(/\/+$/, '');
+
+export default config;
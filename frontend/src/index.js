@@ -2,9 +2,13 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import { AppWrapper } from "./App"; // use the wrapper
 import "./index.css";
+import * as serviceWorkerRegistration from "./serviceWorkerRegistration";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <AppWrapper />
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Cache the app shell so sellers can open the app and queue pickups offline
+serviceWorkerRegistration.register();
@@ -0,0 +1,60 @@
+/* eslint-disable no-restricted-globals */
+// App shell cache for the installed app (production builds only; see serviceWorkerRegistration.js).
+// The build injects the hashed bundle list into self.__WB_MANIFEST. API calls are never cached:
+// pickups made offline wait in IndexedDB instead (pickupQueue.js).
+
+const PRECACHE = (self.__WB_MANIFEST || []).map(entry => (typeof entry === 'string' ? entry : entry.url));
+const SHELL = `${process.env.PUBLIC_URL}/index.html`;
+// Edited per deployment, so always asked for first and only served from cache offline
+const NETWORK_FIRST = [`${process.env.PUBLIC_URL}/config.js`, `${process.env.PUBLIC_URL}/manifest.json`];
+
+// A new build lists different files, which gives it a cache of its own
+const hash = (text) => [...text].reduce((h, c) => (h * 31 + c.charCodeAt(0)) | 0, 0).toString(36);
+const CACHE = `blue-compass-shell-${hash(PRECACHE.join('|'))}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll([...new Set([SHELL, ...NETWORK_FIRST, ...PRECACHE])]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('blue-compass-shell-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const networkFirst = async (request, fallback) => {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallback || request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallback || request);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Same-origin GETs only: the API, map tiles and camera frames go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Client-side routes (/seller, /login ...) all load index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL));
+    return;
+  }
+  if (NETWORK_FIRST.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+});
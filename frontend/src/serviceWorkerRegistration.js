@@ -0,0 +1,10 @@
+// Installs src/service-worker.js so the app shell opens without a connection. Production builds
+// only: in development the dev server's hot reloading and a cached shell would fight.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
@@ -0,0 +1,17 @@
+const STORAGE_KEY = 'blueCompass.session';
+
+// The signed-in session ({ token, user }) kept across reloads
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  if (session) localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  else localStorage.removeItem(STORAGE_KEY);
+};
+
+export const getToken = () => loadSession()?.token || null;
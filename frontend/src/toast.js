@@ -0,0 +1,66 @@
+import React, { createContext, useContext, useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { X, AlertTriangle, CheckCircle2, Info } from 'lucide-react';
+import config from './config';
+
+const KINDS = {
+  error: { icon: AlertTriangle, style: 'border-red-500/40 text-red-300' },
+  success: { icon: CheckCircle2, style: 'border-emerald-500/40 text-emerald-300' },
+  info: { icon: Info, style: 'border-sky-500/40 text-sky-300' },
+};
+
+// Keeps the stack short when many calls fail at once
+const MAX_TOASTS = 4;
+
+const ToastContext = createContext(null);
+
+// --- TOASTS: short non-blocking messages in the corner, in place of alert() ---
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+  const timers = useRef({});
+
+  useEffect(() => () => Object.values(timers.current).forEach(clearTimeout), []);
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current[id]);
+    delete timers.current[id];
+    setToasts(prev => prev.filter(t => t.id !== id));
+  }, []);
+
+  // `message` may be an Error (an ApiError's message is already meant for people)
+  const show = useCallback((kind, message, fallback) => {
+    const text = (message instanceof Error ? message.message : message) || fallback || 'Something went wrong';
+    nextId.current += 1;
+    const id = nextId.current;
+    setToasts(prev => [...prev.filter(t => t.text !== text), { id, kind, text }].slice(-MAX_TOASTS));
+    timers.current[id] = setTimeout(() => dismiss(id), config.toastMs);
+    return id;
+  }, [dismiss]);
+
+  const value = useMemo(() => ({
+    error: (message, fallback) => show('error', message, fallback),
+    success: (message) => show('success', message),
+    info: (message) => show('info', message),
+    dismiss,
+  }), [show, dismiss]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <div className="fixed bottom-6 right-6 z-[2000] flex flex-col gap-2 w-80 max-w-[calc(100vw-3rem)]" role="status" aria-live="polite">
+        {toasts.map(({ id, kind, text }) => {
+          const { icon: Icon, style } = KINDS[kind];
+          return (
+            <div key={id} className={`flex items-start gap-3 bg-slate-900 border ${style} rounded-2xl px-4 py-3 shadow-2xl text-sm`}>
+              <Icon size={16} className="shrink-0 mt-0.5" />
+              <p className="flex-1 text-slate-200">{text}</p>
+              <button onClick={() => dismiss(id)} aria-label="Dismiss" className="text-slate-500 hover:text-white"><X size={14} /></button>
+            </div>
+          );
+        })}
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+export const useToast = () => useContext(ToastContext);
@@ -0,0 +1,58 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Subscribe to a Server-Sent Events URL. `handlers` maps event type -> callback(parsedData).
+// Returns true while the channel is open so callers can fall back to polling when it is not.
+// EventSource retries dropped connections by itself; if the browser gives up
+// (readyState CLOSED, e.g. after a 401 or 5xx) we reopen it with exponential backoff.
+export default function useEventStream(url, handlers) {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!url || typeof EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let stopped = false;
+
+    const open = () => {
+      source = new EventSource(url);
+      source.onopen = () => {
+        attempt = 0;
+        setConnected(true);
+      };
+      source.onerror = () => {
+        setConnected(false);
+        if (source.readyState === EventSource.CLOSED && !stopped) {
+          source.close();
+          const delay = Math.min(30000, 1000 * 2 ** attempt);
+          attempt += 1;
+          retryTimer = setTimeout(open, delay);
+        }
+      };
+      Object.keys(handlersRef.current).forEach(type => {
+        source.addEventListener(type, (e) => {
+          const handler = handlersRef.current[type];
+          if (!handler) return;
+          try {
+            handler(JSON.parse(e.data));
+          } catch (err) {
+            console.error(`Bad "${type}" event:`, err);
+          }
+        });
+      });
+    };
+
+    open();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+      setConnected(false);
+    };
+  }, [url]);
+
+  return connected;
+}